@@ -91,7 +91,19 @@ function prepareFile(files, description, fullPath) {
 	, {folder: 'polyfills/test'}
 
 	, {file: 'polyfills/RegExp', require: true}
-//	, {file: 'polyfills/Symbol', require: true}
+	, {file: 'polyfills/Promise'}
+	, {file: 'polyfills/Symbol'}
+	, {file: 'polyfills/WeakMap'}
+	, {file: 'polyfills/WeakSet'}
+	, {file: 'polyfills/Map'}
+	, {file: 'polyfills/Set'}
+	, {file: 'polyfills/Number'}
+	, {file: 'polyfills/Math'}
+	, {folder: 'polyfills/Array'}
+	, {folder: 'polyfills/Object'}
+	, {folder: 'polyfills/String', doNotScanFolders: true}
+	, {file: 'polyfills/String/raw'}
+	, {folder: 'polyfills/String/prototype'}
 
 	, {file: 'jshint_globals/vars', copyOnly: true}
 
@@ -25,6 +25,7 @@ const is = require("simple-is");
 const ASTQuery = require("astquery");
 const node_inject = require("./lib/node_inject");
 const esprima = require("./lib/esprima_harmony");
+const polyfills = require("./transpiler/polyfills");
 
 const ESPRIMA_OPTIONS = {
 	loc: true,
@@ -42,6 +43,7 @@ let plugins = [
 	, require("./transpiler/classes")
 	, require("./transpiler/loopClosures")
 	, require("./transpiler/letConst")
+	, require("./transpiler/modules")
 	, require("./transpiler/objectLiteral")
 	, require("./transpiler/functions")
 	, require("./transpiler/spread")
@@ -50,10 +52,17 @@ let plugins = [
 	, require("./transpiler/arrayComprehension")
 	, require("./transpiler/generatorComprehension")
 	, require("./transpiler/forOf")
+	, require("./transpiler/symbols")
 	, require("./transpiler/optimiser")
 	, require("./transpiler/RegExp")
 	, require("./transpiler/unicode")
-	, require("./transpiler/polyfills")
+	, polyfills
+];
+
+// plugins of the second pass, which runs on the output of the first one
+let generatorsPassPlugins = [
+	core
+	, require("./transpiler/generators")
 ];
 
 let extensions = [
@@ -62,6 +71,12 @@ let extensions = [
 		, esprimaOption: 'classesExtras'
 		, lib: "./transpiler/extensions/classes"
 	}
+	, {
+		check: 'privateMembers'// boolean
+		, esprimaOption: 'privateMembers'
+		, lib: "./transpiler/extensions/privateMembers"
+		, before: "./transpiler/classes"// private members should be replaced before the class body transpilation
+	}
 ];
 
 function consoleArgumentsToOptions(args, options) {
@@ -93,12 +108,12 @@ module.exports = {
 	, node_inject_on: node_inject.node_inject_on
 	, node_inject_off: node_inject.node_inject_off
 
-	, setupPlugins: function(config, astQuery) {
+	, setupPlugins: function(config, astQuery, pluginsList) {
 		var optionsList = this.optionsList = [];
 
 		config.esprima = esprima;
 
-		plugins.forEach(function(plugin, index) {
+		(pluginsList || plugins).forEach(function(plugin, index) {
 			var options = optionsList[index] = {}, passIt = false;
 
 			if( typeof plugin.setup === "function" ) {
@@ -143,7 +158,7 @@ module.exports = {
 		this.ast = this.src = null;
 		error.reset();
 
-		plugins.forEach(function(plugin) {
+		plugins.concat(generatorsPassPlugins.slice(1)).forEach(function(plugin) {
 			if( typeof plugin.reset === "function" ) {
 				plugin.reset();
 			}
@@ -179,7 +194,16 @@ module.exports = {
 		// adding extensions to plugin list
 		extensions.forEach(function(extension) {
 			if ( config[extension.check] ) {
-				plugins.push(require(extension.lib));
+				let extensionPlugin = require(extension.lib);
+
+				if ( plugins.indexOf(extensionPlugin) === -1 ) {
+					if ( extension.before ) {
+						plugins.splice(plugins.indexOf(require(extension.before)), 0, extensionPlugin);
+					}
+					else {
+						plugins.push(extensionPlugin);
+					}
+				}
 				if ( typeof extension.esprimaOption === 'string' ) {
 					config.esprimaOptions[extension.esprimaOption] = config[extension.esprimaOption];
 				}
@@ -236,9 +260,24 @@ module.exports = {
 			//console.log(changes);var transformedSrc = "";try{ transformedSrc = alter(src, changes) } catch(e){ console.error(e+"") };
 
 			this.applyChanges(null, true, config.esprimaOptions, config.filename);
-			output.src = this.src;
+
+			if ( core.hasGenerators ) {
+				this.runGeneratorsPass(config);
+			}
+
+			if( error.errors.length ) {
+				output.exitcode = -1;
+				output.errors = error.errors;
+			}
+			else {
+				output.src = this.src;
+			}
 		}
 
+		this._onResults.forEach(function(callback) {
+			callback(output)
+		});
+
 		if( config.errorsToConsole ) {
 			if ( output.errors.length ) {
 				process.stderr.write(output.errors.join("\n"));
@@ -255,13 +294,31 @@ module.exports = {
 			fs.writeFileSync(config.outputFilename, output.src)
 		}
 
-		this._onResults.forEach(function(callback) {
-			callback(output)
-		});
-
 		return output;
 	}
 
+	, runGeneratorsPass: function(config) {
+		// generator functions are compiled to state machines after all other transformations,
+		//  so the second pass works with ES5 code in which function* and yield are the only ES6 parts
+		let passConfig = MIXIN({}, config);
+		passConfig.disallowVars = false;
+		passConfig.disallowDuplicated = false;
+		passConfig.disallowUnknownReferences = false;
+
+		this.ast = esprimaParse(this.src, config.esprimaOptions, config.filename);
+		core.reset();
+		this.alter = new StringAlter(this.src);
+
+		let astQuery = this.loadASTQuery();
+		this.setupPlugins(passConfig, astQuery, generatorsPassPlugins);
+
+		generatorsPassPlugins.forEach(this.runPlugin, this);
+
+		if( !error.errors.length ) {
+			this.applyChanges(null, true, config.esprimaOptions, config.filename);
+		}
+	}
+
 	, runPlugin: function(plugin, index) {
 		let options = this.optionsList[index];
 		let astQuery = this.astQuery;
@@ -296,9 +353,25 @@ module.exports = {
 		if ( IdentifierVK.indexOf('default') === -1 ) {
 			IdentifierVK.push('default');
 		}
+		visitorKeys['ImportDefaultSpecifier'] = ['id'];
+		visitorKeys['ImportNamespaceSpecifier'] = ['id'];
+		visitorKeys['AwaitExpression'] = ['argument'];
+		visitorKeys['MetaProperty'] = [];// 'new.target' has no references
+		visitorKeys['XStaticProperty'] = visitorKeys['XPublicProperty'] = visitorKeys['XPrivateProperty'] = ['value'];
 		return this.astQuery = new ASTQuery(this.ast, visitorKeys, {onpreparenode: core.onpreparenode});
 	}
 
+	/**
+	 * writes the polyfills needed by the files transpiled with the 'polyfillsFilename' option to the standalone script
+	 */
+	, writePolyfills: function(polyfillsFilename) {
+		const polyfillsLib = polyfills.takeSharedLib(polyfillsFilename);
+
+		fs.writeFileSync(polyfillsFilename, polyfillsLib);
+
+		return polyfillsLib;
+	}
+
 	, version: BUILD_VERSION
 };
 
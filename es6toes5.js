@@ -1,12 +1,38 @@
-var args = process.argv.filter(function(arg) {
-	return !/^-/.test(arg);
+var args = process.argv.filter(function(arg, index, argv) {
+	// skip options and the values of "--option value" pairs
+	return !/^-/.test(arg) && !(index > 0 && /^--/.test(argv[index - 1]));
 });
 
-require('./es6-transpiler').run({
-	filename: args[2],
-	outputToConsole: !args[3],
-	outputFilename: args[3],
-	errorsToConsole: true,
-	fromConsole: true,
-	consoleArgs: process.argv
-});
+var es6transpiler = require('./es6-transpiler');
+var polyfillsFilenameIndex = process.argv.indexOf("--polyfillsFilename");
+var polyfillsFilename = polyfillsFilenameIndex === -1 ? void 0 : process.argv[polyfillsFilenameIndex + 1];
+
+if ( !polyfillsFilename || /^--/.test(polyfillsFilename) ) {
+	es6transpiler.run({
+		filename: args[2],
+		outputToConsole: !args[3],
+		outputFilename: args[3],
+		errorsToConsole: true,
+		fromConsole: true,
+		consoleArgs: process.argv
+	});
+}
+else {
+	// es6toes5 <input file> <output file> [<input file> <output file> ...] --polyfillsFilename <polyfills file>
+	// the polyfills needed by all the files are written once to the polyfills file
+	for ( var i = 2 ; i < args.length ; i += 2 ) {
+		var output = es6transpiler.run({
+			filename: args[i],
+			outputFilename: args[i + 1],
+			errorsToConsole: true,
+			fromConsole: true,
+			consoleArgs: process.argv
+		});
+
+		if ( !args[i + 1] ) {
+			process.stdout.write(output.src);
+		}
+	}
+
+	es6transpiler.writePolyfills(polyfillsFilename);
+}
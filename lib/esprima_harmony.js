@@ -90,7 +90,8 @@ parseYieldExpression: true
         Punctuator: 7,
         StringLiteral: 8,
         RegularExpression: 9,
-        Template: 10
+        Template: 10,
+        PrivateName: 11// ADDED BY termi :: PRIVATE MEMBERS
     };
 
     TokenName = {};
@@ -101,6 +102,7 @@ parseYieldExpression: true
     TokenName[Token.NullLiteral] = 'Null';
     TokenName[Token.NumericLiteral] = 'Numeric';
     TokenName[Token.Punctuator] = 'Punctuator';
+    TokenName[Token.PrivateName] = 'PrivateName';// ADDED BY termi :: PRIVATE MEMBERS
     TokenName[Token.StringLiteral] = 'String';
     TokenName[Token.RegularExpression] = 'RegularExpression';
 
@@ -120,6 +122,7 @@ parseYieldExpression: true
         ArrayPattern: 'ArrayPattern',
         ArrowFunctionExpression: 'ArrowFunctionExpression',
         AssignmentExpression: 'AssignmentExpression',
+        AwaitExpression: 'AwaitExpression',
         BinaryExpression: 'BinaryExpression',
         BlockStatement: 'BlockStatement',
         BreakStatement: 'BreakStatement',
@@ -147,15 +150,19 @@ parseYieldExpression: true
         Identifier: 'Identifier',
         IfStatement: 'IfStatement',
         ImportDeclaration: 'ImportDeclaration',
+        ImportDefaultSpecifier: 'ImportDefaultSpecifier',
+        ImportNamespaceSpecifier: 'ImportNamespaceSpecifier',
         ImportSpecifier: 'ImportSpecifier',
         LabeledStatement: 'LabeledStatement',
         Literal: 'Literal',
         LogicalExpression: 'LogicalExpression',
         MemberExpression: 'MemberExpression',
+        MetaProperty: 'MetaProperty',// ADDED BY termi :: NEW.TARGET
         MethodDefinition: 'MethodDefinition',
         ModuleDeclaration: 'ModuleDeclaration',
         NewExpression: 'NewExpression',
         ObjectExpression: 'ObjectExpression',
+        PrivateName: 'PrivateName',// ADDED BY termi :: PRIVATE MEMBERS
         ObjectPattern: 'ObjectPattern',
         Program: 'Program',
         Property: 'Property',
@@ -237,6 +244,7 @@ parseYieldExpression: true
         StrictReservedWord:  'Use of future reserved word in strict mode',
         NewlineAfterModule:  'Illegal newline after module',
         NoFromAfterImport: 'Missing from after import',
+        NoAsAfterImportNamespace: 'Missing as after import *',
         InvalidModuleSpecifier: 'Invalid module specifier',
         NestedModule: 'Module declaration can not be nested',
         NoUnintializedConst: 'Const must be initialized',
@@ -611,6 +619,28 @@ parseYieldExpression: true
     }
 
 
+    // ADDED BY termi :: PRIVATE MEMBERS START
+    // '#name' of the private class member
+    function scanPrivateName() {
+        var start = index, id;
+
+        ++index;
+        id = (source.charCodeAt(index) === 92) ? getEscapedIdentifier() : getIdentifier();
+
+        if (id === 'constructor') {
+            throwError({}, Messages.UnexpectedToken, '#' + id);
+        }
+
+        return {
+            type: Token.PrivateName,
+            value: '#' + id,
+            lineNumber: lineNumber,
+            lineStart: lineStart,
+            range: [start, index]
+        };
+    }
+    // ADDED BY termi :: PRIVATE MEMBERS END
+
     // 7.7 Punctuators
 
     function scanPunctuator() {
@@ -1453,6 +1483,11 @@ parseYieldExpression: true
             return scanIdentifier();
         }
 
+        // Number sign (#) char #35 starts the name of the private class member
+        if (ch === 35 && extra.privateMembers && (isIdentifierStart(source.charCodeAt(index + 1)) || source.charCodeAt(index + 1) === 92)) {// ADDED BY termi :: PRIVATE MEMBERS
+            return scanPrivateName();
+        }
+
         // Dot (.) char #46 can also start a floating-point number, hence the need
         // to check the next character.
         if (ch === 46) {
@@ -1530,6 +1565,32 @@ parseYieldExpression: true
         return result;
     }
 
+    // ADDED BY termi :: PRIVATE MEMBERS: the second token after the lookahead, 'static #a = 1' and 'static #m() {}'
+    function lookahead3() {
+        var adv, pos, line, start, result;
+
+        adv = (typeof extra.advance === 'function') ? extra.advance : advance;
+
+        pos = index;
+        line = lineNumber;
+        start = lineStart;
+
+        if (lookahead === null) {
+            lookahead = adv();
+        }
+        index = lookahead.range[1];
+        lineNumber = lookahead.lineNumber;
+        lineStart = lookahead.lineStart;
+
+        adv();
+        result = adv();
+        index = pos;
+        lineNumber = line;
+        lineStart = start;
+
+        return result;
+    }
+
     // EDITED BY termi :: SAVE STRICT MODE START
     function isDeclaration(node) {
         var type = node.type;
@@ -1781,6 +1842,14 @@ parseYieldExpression: true
             };
         },
 
+        // ADDED BY termi :: PRIVATE MEMBERS
+        createPrivateName: function (name) {
+            return {
+                type: Syntax.PrivateName,
+                name: name
+            };
+        },
+
         createIfStatement: function (test, consequent, alternate) {
             return {
                 type: Syntax.IfStatement,
@@ -1815,6 +1884,16 @@ parseYieldExpression: true
             };
         },
 
+        // ADDED BY termi :: NEW.TARGET START
+        createMetaProperty: function (meta, property) {
+            return {
+                type: Syntax.MetaProperty,
+                meta: meta,
+                property: property
+            };
+        },
+        // ADDED BY termi :: NEW.TARGET END
+
         createNewExpression: function (callee, args) {
             return {
                 type: Syntax.NewExpression,
@@ -2054,9 +2133,10 @@ parseYieldExpression: true
             };
         },
 
-        createExportDeclaration: function (declaration, specifiers, source) {
+        createExportDeclaration: function (isDefault, declaration, specifiers, source) {
             return {
                 type: Syntax.ExportDeclaration,
+                'default': !!isDefault,
                 declaration: declaration,
                 specifiers: specifiers,
                 source: source
@@ -2071,6 +2151,20 @@ parseYieldExpression: true
             };
         },
 
+        createImportDefaultSpecifier: function (id) {
+            return {
+                type: Syntax.ImportDefaultSpecifier,
+                id: id
+            };
+        },
+
+        createImportNamespaceSpecifier: function (id) {
+            return {
+                type: Syntax.ImportNamespaceSpecifier,
+                id: id
+            };
+        },
+
         createImportDeclaration: function (specifiers, kind, source) {
             return {
                 type: Syntax.ImportDeclaration,
@@ -2088,6 +2182,13 @@ parseYieldExpression: true
             };
         },
 
+        createAwaitExpression: function (argument) {
+            return {
+                type: Syntax.AwaitExpression,
+                argument: argument
+            };
+        },
+
         createModuleDeclaration: function (id, source, body) {
             return {
                 type: Syntax.ModuleDeclaration,
@@ -2243,6 +2344,18 @@ parseYieldExpression: true
         return lookahead.type === Token.Identifier && lookahead.value === keyword;
     }
 
+    // Return true if the next tokens are 'async function' without a line terminator between them
+
+    function matchAsyncFunction() {
+        var token;
+
+        if (!matchContextualKeyword('async')) {
+            return false;
+        }
+        token = lookahead2();
+        return token.type === Token.Keyword && token.value === 'function' && token.lineNumber === lookahead.lineNumber;
+    }
+
     // Return true if the next token is an assignment operator
 
     function matchAssign() {
@@ -2371,12 +2484,14 @@ parseYieldExpression: true
     // 11.1.5 Object Initialiser
 
     function parsePropertyFunction(options) {
-        var previousStrict, previousYieldAllowed, params, defaults, body,
+        var previousStrict, previousYieldAllowed, previousAwaitAllowed, params, defaults, body, method,
             marker = markerCreate();
 
         previousStrict = strict;
         previousYieldAllowed = state.yieldAllowed;
+        previousAwaitAllowed = state.awaitAllowed;
         state.yieldAllowed = options.generator;
+        state.awaitAllowed = !!options.async;
         params = options.params || [];
         defaults = options.defaults || [];
 
@@ -2386,8 +2501,9 @@ parseYieldExpression: true
         }
         strict = previousStrict;
         state.yieldAllowed = previousYieldAllowed;
+        state.awaitAllowed = previousAwaitAllowed;
 
-        return markerApply(marker, delegate.createFunctionExpression(
+        method = markerApply(marker, delegate.createFunctionExpression(
             null,
             params,
             defaults,
@@ -2396,6 +2512,9 @@ parseYieldExpression: true
             options.generator,
             body.type !== Syntax.BlockStatement
         ), {parenthesesRange: options.parenthesesRange || options.range});// parenthesesRange ADDED BY termi :: PARENTHESES RANGE
+        method.async = !!options.async;
+
+        return method;
     }
 
 
@@ -2417,6 +2536,7 @@ parseYieldExpression: true
             defaults: tmp.defaults,
             rest: tmp.rest,
             generator: options.generator,
+            async: options.async,
 	        parenthesesRange: tmp.range// ADDED BY termi :: PARENTHESES RANGE
         });
 
@@ -2442,6 +2562,10 @@ parseYieldExpression: true
             return markerApply(marker, delegate.createLiteral(token));
         }
 
+        if (token.type === Token.PrivateName) {// ADDED BY termi :: PRIVATE MEMBERS
+            return markerApply(marker, delegate.createPrivateName(token.value.substr(1)));
+        }
+
         if (token.type === Token.Punctuator && token.value === '[') {
 			var bracketsRange = [token.range[0]];// ADDED BY termi :: BRACKETS RANGE
 
@@ -2478,6 +2602,10 @@ parseYieldExpression: true
         token = lookahead;
         computed = (token.type === Token.Punctuator && token.value === '[');// FIXED BY TERMI
 
+        if (token.type === Token.PrivateName) {// ADDED BY termi :: PRIVATE MEMBERS: only the class members can be private
+            throwUnexpected(token);
+        }
+
         if (token.type === Token.Identifier || computed) {
 
             id = parseObjectPropertyKey();
@@ -2526,6 +2654,14 @@ parseYieldExpression: true
                  return markerApply(marker, delegate.createProperty('set', key, parsePropertyFunction({ params: param, generator: false, name: token }), false, false, computed));
                 */
             }
+            if (token.value === 'async' && !computed && !(match(':') || match('(') || match(',') || match('}') || match('=')) && !peekLineTerminator()) {
+                computed = match('[');
+                key = parseObjectPropertyKey();
+                if (!match('(')) {
+                    throwUnexpected(lex());
+                }
+                return markerApply(marker, delegate.createProperty('init', key, parsePropertyMethodFunction({ generator: false, async: true }), true, false, computed));
+            }
             if (match(':')) {
                 lex();
                 return markerApply(marker, delegate.createProperty('init', id, parseAssignmentExpression(), false, false, computed));
@@ -2570,11 +2706,23 @@ parseYieldExpression: true
 
     function parseObjectInitialiser() {
         var properties = [], property, name, key, kind, map = {}, toString = String,
-            marker = markerCreate();
+            marker = markerCreate(),
+            oldParenthesizedCount;// ADDED BY termi :: PARENTHESES IN DEFAULT VALUES
 
         expect('{');
 
         while (!match('}')) {
+            // ADDED BY termi :: OBJECT REST/SPREAD START
+            if (match('...')) {
+                property = markerCreate();
+                lex();
+                properties.push(markerApply(property, delegate.createSpreadElement(parseAssignmentExpression())));
+                if (!match('}')) {
+                    expect(',');
+                }
+                continue;
+            }
+            // ADDED BY termi :: OBJECT REST/SPREAD END
             property = parseObjectProperty();
 
 			if ( !property.computed ) {// ADDED BY TERMI:: we should not test computed properties
@@ -2609,7 +2757,9 @@ parseYieldExpression: true
             // EDITED BY termi :: DEFAULT VALUE START
             if( match('=') ) {// Destructuring default values
                 lex();
+                oldParenthesizedCount = state.parenthesizedCount;// ADDED BY termi :: PARENTHESES IN DEFAULT VALUES
                 property.value.default = parseAssignmentExpression();// LINK adding 'default' property
+                state.parenthesizedCount = oldParenthesizedCount;// ADDED BY termi :: PARENTHESES IN DEFAULT VALUES
             }
             // EDITED BY termi :: DEFAULT VALUE END
 
@@ -2723,6 +2873,9 @@ parseYieldExpression: true
         type = lookahead.type;
 
         if (type === Token.Identifier) {
+            if (matchAsyncFunction()) {
+                return parseFunctionExpression();
+            }
             marker = markerCreate();
             return markerApply(marker, delegate.createIdentifier(lex().value));
         }
@@ -2836,6 +2989,10 @@ parseYieldExpression: true
         var marker = markerCreate(),
             token = lex();
 
+        if (token.type === Token.PrivateName) {// ADDED BY termi :: PRIVATE MEMBERS
+            return markerApply(marker, delegate.createPrivateName(token.value.substr(1)));
+        }
+
         if (!isIdentifierName(token)) {
             throwUnexpected(token);
         }
@@ -2862,9 +3019,22 @@ parseYieldExpression: true
     }
 
     function parseNewExpression() {
-        var callee, args, marker = markerCreate();
+        var callee, args, marker = markerCreate(), metaMarker = markerCreate();
 
         expectKeyword('new');
+
+        // ADDED BY termi :: NEW.TARGET START
+        if (match('.')) {
+            var meta = markerApply(metaMarker, delegate.createIdentifier('new'));
+
+            lex();
+            if (lookahead.type !== Token.Identifier || lookahead.value !== 'target') {
+                throwUnexpected(lookahead);
+            }
+
+            return markerApply(marker, delegate.createMetaProperty(meta, parseNonComputedProperty()));
+        }
+        // ADDED BY termi :: NEW.TARGET END
         callee = parseLeftHandSideExpression();
         args = match('(') ? parseArguments() : [];
 
@@ -2952,6 +3122,13 @@ parseYieldExpression: true
     function parseUnaryExpression() {
         var marker, token, expr;
 
+        if (state.awaitAllowed && matchContextualKeyword('await')) {
+            marker = markerCreate();
+            lex();
+            expr = parseUnaryExpression();
+            return markerApply(marker, delegate.createAwaitExpression(expr));
+        }
+
         if (lookahead.type !== Token.Punctuator && lookahead.type !== Token.Keyword) {
             return parsePostfixExpression();
         }
@@ -3166,6 +3343,18 @@ parseYieldExpression: true
             expr.type = Syntax.ObjectPattern;
             for (i = 0, len = expr.properties.length; i < len; i += 1) {
                 property = expr.properties[i];
+                // ADDED BY termi :: OBJECT REST/SPREAD START
+                if (property.type === Syntax.SpreadElement) {
+                    if (i !== len - 1) {
+                        throwError({}, Messages.ElementAfterSpreadElement);
+                    }
+                    if (property.argument.type !== Syntax.Identifier && property.argument.type !== Syntax.MemberExpression) {
+                        throwError({}, Messages.ObjectPatternAsSpread);
+                    }
+                    reinterpretAsAssignmentBindingPattern(property.argument);
+                    continue;
+                }
+                // ADDED BY termi :: OBJECT REST/SPREAD END
                 if (property.kind !== 'init') {
                     throwError({}, Messages.InvalidLHSInAssignment);
                 }
@@ -3203,6 +3392,10 @@ parseYieldExpression: true
                     */
                 }
             }
+        // ADDED BY termi :: NESTED PATTERNS WITH DEFAULTS START
+        } else if (expr.type === Syntax.ObjectPattern || expr.type === Syntax.ArrayPattern) {
+            // the pattern with default value ```[{b} = {}] = []``` has already been reinterpreted
+        // ADDED BY termi :: NESTED PATTERNS WITH DEFAULTS END
         } else if (expr.type === Syntax.Identifier) {
             if (isRestrictedWord(expr.name)) {
                 throwError({}, Messages.InvalidLHSInAssignment);
@@ -3223,10 +3416,25 @@ parseYieldExpression: true
     function reinterpretAsDestructuredParameter(options, expr) {
         var i, len, property, element;
 
-        if (expr.type === Syntax.ObjectExpression) {
+        // EDITED BY termi :: NESTED PATTERNS WITH DEFAULTS START
+        // the pattern with default value ```{b: {a} = {}}``` has already been reinterpreted by reinterpretAsAssignmentBindingPattern
+        if (expr.type === Syntax.ObjectExpression || expr.type === Syntax.ObjectPattern) {
+        // EDITED BY termi :: NESTED PATTERNS WITH DEFAULTS END
             expr.type = Syntax.ObjectPattern;
             for (i = 0, len = expr.properties.length; i < len; i += 1) {
                 property = expr.properties[i];
+                // ADDED BY termi :: OBJECT REST/SPREAD START
+                if (property.type === Syntax.SpreadElement) {
+                    if (i !== len - 1) {
+                        throwError({}, Messages.ElementAfterSpreadElement);
+                    }
+                    if (property.argument.type !== Syntax.Identifier) {
+                        throwError({}, Messages.ObjectPatternAsSpread);
+                    }
+                    reinterpretAsDestructuredParameter(options, property.argument);
+                    continue;
+                }
+                // ADDED BY termi :: OBJECT REST/SPREAD END
                 if (property.kind !== 'init') {
                     throwError({}, Messages.InvalidLHSInFormalsList);
                 }
@@ -3239,7 +3447,7 @@ parseYieldExpression: true
                 // EDITED BY termi :: DEFAULT VALUE END
                 reinterpretAsDestructuredParameter(options, property.value);
             }
-        } else if (expr.type === Syntax.ArrayExpression) {
+        } else if (expr.type === Syntax.ArrayExpression || expr.type === Syntax.ArrayPattern) {// EDITED BY termi :: NESTED PATTERNS WITH DEFAULTS
             expr.type = Syntax.ArrayPattern;
             for (i = 0, len = expr.elements.length; i < len; i += 1) {
                 element = expr.elements[i];
@@ -3323,14 +3531,16 @@ parseYieldExpression: true
         };
     }
 
-    function parseArrowFunctionExpression(options, marker) {
-        var previousStrict, previousYieldAllowed, body;
+    function parseArrowFunctionExpression(options, marker, isAsync) {
+        var previousStrict, previousYieldAllowed, previousAwaitAllowed, body, arrow;
 
         expect('=>');
 
         previousStrict = strict;
         previousYieldAllowed = state.yieldAllowed;
+        previousAwaitAllowed = state.awaitAllowed;
         state.yieldAllowed = false;
+        state.awaitAllowed = !!isAsync;
         body = parseConciseBody();
 
         if (strict && options.firstRestricted) {
@@ -3342,18 +3552,22 @@ parseYieldExpression: true
 
         strict = previousStrict;
         state.yieldAllowed = previousYieldAllowed;
+        state.awaitAllowed = previousAwaitAllowed;
 
-        return markerApply(marker, delegate.createArrowFunctionExpression(
+        arrow = markerApply(marker, delegate.createArrowFunctionExpression(
             options.params,
             options.defaults,
             body,
             options.rest,
             body.type !== Syntax.BlockStatement
         ), {parenthesesRange: options.range});// options.range ADDED BY termi :: PARENTHESES RANGE
+        arrow.async = !!isAsync;
+
+        return arrow;
     }
 
     function parseAssignmentExpression() {
-        var marker, expr, token, params, oldParenthesizedCount;
+        var marker, expr, token, params, oldParenthesizedCount, right;// 'right' ADDED BY termi :: PARENTHESES IN DEFAULT VALUES
 
         // Note that 'yield' is treated as a keyword in strict mode, but a
         // contextual keyword (identifier) in non-strict mode, so we need
@@ -3377,9 +3591,34 @@ parseYieldExpression: true
             }
         }
 
+        if (matchContextualKeyword('async')) {
+            token = lookahead2();
+            if (token.type === Token.Identifier && token.lineNumber === lookahead.lineNumber) {
+                // async x => ...
+                lex();
+                expr = parsePrimaryExpression();
+                params = reinterpretAsCoverFormalsList([ expr ]);
+                params.range = expr.range;
+                if (!match('=>')) {
+                    throwUnexpected(lex());
+                }
+                return parseArrowFunctionExpression(params, marker, true);
+            }
+        }
+
         token = lookahead;
         expr = parseConditionalExpression();
 
+        if (match('=>') && expr.type === Syntax.CallExpression && expr.callee.type === Syntax.Identifier && expr.callee.name === 'async'
+                && token.value === 'async' && state.parenthesizedCount === oldParenthesizedCount) {
+            // async (a, b) => ...
+            params = reinterpretAsCoverFormalsList(expr['arguments']);
+            if (params) {
+                params.range = [source.indexOf('(', expr.callee.range[1]), expr.range[1]];
+                return parseArrowFunctionExpression(params, marker, true);
+            }
+        }
+
         if (match('=>') &&
                 (state.parenthesizedCount === oldParenthesizedCount ||
                 state.parenthesizedCount === (oldParenthesizedCount + 1))) {
@@ -3412,7 +3651,18 @@ parseYieldExpression: true
                 throwError({}, Messages.InvalidLHSInAssignment);
             }
 
+            // EDITED BY termi :: PARENTHESES IN DEFAULT VALUES START
+            // the parentheses of the right side are not the parentheses on the LHS of the '=>': ```(a = (1)) => a```
+            token = lex().value;
+            oldParenthesizedCount = state.parenthesizedCount;
+            right = parseAssignmentExpression();
+            state.parenthesizedCount = oldParenthesizedCount;
+            expr = markerApply(marker, delegate.createAssignmentExpression(token, expr, right));
+            // EDITED BY termi :: PARENTHESES IN DEFAULT VALUES END
+            // ORIGINAL ::
+            /*
             expr = markerApply(marker, delegate.createAssignmentExpression(lex().value, expr, parseAssignmentExpression()));
+            */
         }
 
         return expr;
@@ -3646,12 +3896,45 @@ parseYieldExpression: true
         return markerApply(marker, delegate.createExportSpecifier(id, name));
     }
 
+    function parseExportDefaultDeclaration(marker) {
+        var decl, token;
+
+        expectKeyword('default');
+
+        if (matchKeyword('function') || matchKeyword('class')) {
+            token = lookahead2();
+            if (matchKeyword('function') && token.type === Token.Punctuator && token.value === '*') {
+                // export default function* [name] () {}
+                decl = parseFunctionExpression();
+                if (decl.id) {
+                    decl.type = Syntax.FunctionDeclaration;
+                    return markerApply(marker, delegate.createExportDeclaration(true, decl, null, null));
+                }
+            }
+            else if (token.type === Token.Identifier) {
+                // export default function name () {} / export default class name {}
+                return markerApply(marker, delegate.createExportDeclaration(true, parseSourceElement(), null, null));
+            }
+        }
+
+        if (!decl) {
+            decl = parseAssignmentExpression();
+        }
+        consumeSemicolon();
+
+        return markerApply(marker, delegate.createExportDeclaration(true, decl, null, null));
+    }
+
     function parseExportDeclaration() {
         var previousAllowKeyword, decl, def, src, specifiers,
             marker = markerCreate();
 
         expectKeyword('export');
 
+        if (matchKeyword('default')) {
+            return parseExportDefaultDeclaration(marker);
+        }
+
         if (lookahead.type === Token.Keyword) {
             switch (lookahead.value) {
                 case 'let':
@@ -3659,7 +3942,7 @@ parseYieldExpression: true
                 case 'var':
                 case 'class':
                 case 'function':
-                return markerApply(marker, delegate.createExportDeclaration(parseSourceElement(), null, null));
+                return markerApply(marker, delegate.createExportDeclaration(false, parseSourceElement(), null, null));
             }
         }
 
@@ -3668,7 +3951,7 @@ parseYieldExpression: true
             state.allowKeyword = true;
             decl = parseVariableDeclarationList('let');
             state.allowKeyword = previousAllowKeyword;
-            return markerApply(marker, delegate.createExportDeclaration(decl, null, null));
+            return markerApply(marker, delegate.createExportDeclaration(false, decl, null, null));
         }
 
         specifiers = [];
@@ -3694,7 +3977,7 @@ parseYieldExpression: true
 
         consumeSemicolon();
 
-        return markerApply(marker, delegate.createExportDeclaration(null, specifiers, src));
+        return markerApply(marker, delegate.createExportDeclaration(false, null, specifiers, src));
     }
 
     function parseImportDeclaration() {
@@ -3703,21 +3986,33 @@ parseYieldExpression: true
         expectKeyword('import');
         specifiers = [];
 
-        if (isIdentifierName(lookahead)) {
-            kind = 'default';
-            specifiers.push(parseImportSpecifier());
+        if (lookahead.type !== Token.StringLiteral) {
+            if (isIdentifierName(lookahead)) {
+                // import a from "m" / import a, {b} from "m" / import a, * as ns from "m"
+                kind = 'default';
+                specifiers.push(parseImportDefaultSpecifier());
 
-            if (!matchContextualKeyword('from')) {
-                throwError({}, Messages.NoFromAfterImport);
+                if (match(',')) {
+                    lex();
+                    if (!match('*') && !match('{')) {
+                        throwUnexpected(lookahead);
+                    }
+                }
+            }
+
+            if (match('*')) {
+                kind = kind || 'namespace';
+                specifiers.push(parseImportNamespaceSpecifier());
+            } else if (match('{')) {
+                kind = kind || 'named';
+                lex();
+                if (!match('}')) {
+                    do {
+                        specifiers.push(parseImportSpecifier());
+                    } while (match(',') && lex() && !match('}'));
+                }
+                expect('}');
             }
-            lex();
-        } else if (match('{')) {
-            kind = 'named';
-            lex();
-            do {
-                specifiers.push(parseImportSpecifier());
-            } while (match(',') && lex());
-            expect('}');
 
             if (!matchContextualKeyword('from')) {
                 throwError({}, Messages.NoFromAfterImport);
@@ -3735,6 +4030,24 @@ parseYieldExpression: true
         return markerApply(marker, delegate.createImportDeclaration(specifiers, kind, src));
     }
 
+    function parseImportDefaultSpecifier() {
+        var marker = markerCreate();
+
+        return markerApply(marker, delegate.createImportDefaultSpecifier(parseVariableIdentifier()));
+    }
+
+    function parseImportNamespaceSpecifier() {
+        var marker = markerCreate();
+
+        expect('*');
+        if (!matchContextualKeyword('as')) {
+            throwError({}, Messages.NoAsAfterImportNamespace);
+        }
+        lex();
+
+        return markerApply(marker, delegate.createImportNamespaceSpecifier(parseVariableIdentifier()));
+    }
+
     function parseImportSpecifier() {
         var id, name = null, marker = markerCreate();
 
@@ -4194,6 +4507,14 @@ parseYieldExpression: true
         if (strict && param.type === Syntax.Identifier && isRestrictedWord(param.name)) {
             throwErrorTolerant({}, Messages.StrictCatchVariable);
         }
+        // ADDED BY termi :: CATCH DESTRUCTURING START
+        if (param.type === Syntax.ObjectExpression || param.type === Syntax.ArrayExpression) {
+            reinterpretAsDestructuredParameter({ paramSet: {} }, param);
+        }
+        else if (param.type !== Syntax.Identifier) {
+            throwError({}, Messages.InvalidLHSInFormalsList);
+        }
+        // ADDED BY termi :: CATCH DESTRUCTURING END
 
         expect(')');
         body = parseBlock();
@@ -4514,9 +4835,15 @@ parseYieldExpression: true
     }
 
     function parseFunctionDeclaration() {
-        var id, body, token, tmp, firstRestricted, message, previousStrict, previousYieldAllowed, generator,
+        var id, body, token, tmp, firstRestricted, message, previousStrict, previousYieldAllowed, previousAwaitAllowed, generator, isAsync, fn,
             marker = markerCreate();
 
+        isAsync = false;
+        if (matchContextualKeyword('async')) {
+            lex();
+            isAsync = true;
+        }
+
         expectKeyword('function');
 
         generator = false;
@@ -4551,7 +4878,9 @@ parseYieldExpression: true
 
         previousStrict = strict;
         previousYieldAllowed = state.yieldAllowed;
+        previousAwaitAllowed = state.awaitAllowed;
         state.yieldAllowed = generator;
+        state.awaitAllowed = isAsync;
 
         body = parseFunctionSourceElements();
 
@@ -4563,15 +4892,25 @@ parseYieldExpression: true
         }
         strict = previousStrict;
         state.yieldAllowed = previousYieldAllowed;
+        state.awaitAllowed = previousAwaitAllowed;
 
-        return markerApply(marker, delegate.createFunctionDeclaration(id, tmp.params, tmp.defaults, body, tmp.rest, generator, false)
+        fn = markerApply(marker, delegate.createFunctionDeclaration(id, tmp.params, tmp.defaults, body, tmp.rest, generator, false)
 			, {parenthesesRange: tmp.range});// tmp.range ADDED BY termi :: PARENTHESES RANGE
+        fn.async = isAsync;
+
+        return fn;
     }
 
     function parseFunctionExpression() {
-        var token, id = null, firstRestricted, message, tmp, body, previousStrict, previousYieldAllowed, generator,
+        var token, id = null, firstRestricted, message, tmp, body, previousStrict, previousYieldAllowed, previousAwaitAllowed, generator, isAsync, fn,
             marker = markerCreate();
 
+        isAsync = false;
+        if (matchContextualKeyword('async')) {
+            lex();
+            isAsync = true;
+        }
+
         expectKeyword('function');
 
         generator = false;
@@ -4607,7 +4946,9 @@ parseYieldExpression: true
 
         previousStrict = strict;
         previousYieldAllowed = state.yieldAllowed;
+        previousAwaitAllowed = state.awaitAllowed;
         state.yieldAllowed = generator;
+        state.awaitAllowed = isAsync;
 
         body = parseFunctionSourceElements();
 
@@ -4619,9 +4960,13 @@ parseYieldExpression: true
         }
         strict = previousStrict;
         state.yieldAllowed = previousYieldAllowed;
+        state.awaitAllowed = previousAwaitAllowed;
 
-        return markerApply(marker, delegate.createFunctionExpression(id, tmp.params, tmp.defaults, body, tmp.rest, generator, false)
+        fn = markerApply(marker, delegate.createFunctionExpression(id, tmp.params, tmp.defaults, body, tmp.rest, generator, false)
 			, {parenthesesRange: tmp.range});// tmp.range ADDED BY termi :: PARENTHESES RANGE
+        fn.async = isAsync;
+
+        return fn;
     }
 
     function parseYieldExpression() {
@@ -4640,7 +4985,13 @@ parseYieldExpression: true
             delegateFlag = true;
         }
 
-        expr = parseAssignmentExpression();
+        if (!delegateFlag && (match(';') || match('}') || match(')') || match(']') || match(',') || match(':') ||
+                lookahead.type === Token.EOF || peekLineTerminator())) {
+            // yield without an argument
+            expr = null;
+        } else {
+            expr = parseAssignmentExpression();
+        }
 
         return markerApply(marker, delegate.createYieldExpression(expr, delegateFlag));
     }
@@ -4658,14 +5009,30 @@ parseYieldExpression: true
             propType = ClassPropertyType.prototype;
         }
 
+        if (matchContextualKeyword('async')) {
+            token = lookahead2();
+            if (!(token.type === Token.Punctuator && (token.value === '(' || token.value === '=')) && token.lineNumber === lookahead.lineNumber) {
+                lex();
+                computed = match('[');
+                return markerApply(marker, delegate.createMethodDefinition(
+                    propType,
+                    '',
+                    parseObjectPropertyKey(),
+                    parsePropertyMethodFunction({ generator: false, async: true })
+                    , computed
+                ));
+            }
+        }
+
         if (match('*')) {
             lex();
+            computed = match('[');
             return markerApply(marker, delegate.createMethodDefinition(
                 propType,
                 '',
                 parseObjectPropertyKey(),
                 parsePropertyMethodFunction({ generator: true })
-	            , match('[')// ADDED BY TERMI:: computed properties for classes
+	            , computed// ADDED BY TERMI:: computed properties for classes
             ));
         }
 
@@ -4679,7 +5046,7 @@ parseYieldExpression: true
             key = parseObjectPropertyKey();
 
 	        if ( !computed ){// FIXED BY TERMI: 1. dont need to check computer property. 2. name = key.value for type=="Literal" START
-				var _name = key.type === Syntax.Literal ? key.value : key.name;
+				var _name = key.type === Syntax.Literal ? key.value : (key.type === Syntax.PrivateName ? '#' : '') + key.name;
 				// It is a syntax error if any other properties have a name
 				// duplicating this one unless they are a setter
 				if (existingPropNames[propType].hasOwnProperty(_name)) {
@@ -4718,7 +5085,7 @@ parseYieldExpression: true
             key = parseObjectPropertyKey();
 
 			if ( !computed ){// FIXED BY TERMI: 1. dont need to check computer property. 2. name = key.value for type=="Literal" START
-				var _name = key.type === Syntax.Literal ? key.value : key.name;
+				var _name = key.type === Syntax.Literal ? key.value : (key.type === Syntax.PrivateName ? '#' : '') + key.name;
 				// It is a syntax error if any other properties have a name
 				// duplicating this one unless they are a getter
 				if (existingPropNames[propType].hasOwnProperty(_name)) {
@@ -4779,7 +5146,7 @@ parseYieldExpression: true
         }
 
 	    if ( !computed ){// FIXED BY TERMI: 1. dont need to check computer property. 2. name = key.value for type=="Literal" START
-			var _name = key.type === Syntax.Literal ? key.value : key.name;
+			var _name = key.type === Syntax.Literal ? key.value : (key.type === Syntax.PrivateName ? '#' : '') + key.name;
 			// It is a syntax error if any other properties have the same name as a
 			// non-getter, non-setter method
 			if (existingPropNames[propType].hasOwnProperty(_name)) {
@@ -4878,9 +5245,70 @@ parseYieldExpression: true
         }
         // ADDED BY termi :: CLASSES EXTRAS END
 
+        // ADDED BY termi :: PRIVATE MEMBERS START
+        /*
+        example:
+        class A {
+           #a = 1;
+           #b
+           #m() {}
+        }
+        */
+        if (lookahead.type === Token.PrivateName && !(lookahead2().type === Token.Punctuator && lookahead2().value === '(')) {
+            return xParseClassPrivatePropertyDefinition(existingProps, false);
+        }
+        // static #a = 1: parsed to be reported as not supported by the transpiler
+        if (value === 'static' && (lookahead.type === Token.Identifier || lookahead.type === Token.Keyword)
+            && lookahead2().type === Token.PrivateName
+            && !(lookahead3().type === Token.Punctuator && lookahead3().value === '(')
+        ) {
+            return xParseClassPrivatePropertyDefinition(existingProps, true);
+        }
+        // ADDED BY termi :: PRIVATE MEMBERS END
+
         return parseMethodDefinition(existingProps);
     }
 
+    // ADDED BY termi :: PRIVATE MEMBERS START
+    function xParseClassPrivatePropertyDefinition(existingProps, isStatic) {
+        var marker = markerCreate(), token, key, value = null, name, result;
+
+        if (isStatic) {
+            lex();
+        }
+        token = lookahead;
+        name = token.value;
+
+        key = parseObjectPropertyKey();
+
+        if (existingProps[ClassPropertyType.prototype].hasOwnProperty(name)) {
+            throwError(token, Messages.IllegalDuplicateClassProperty);
+        }
+        existingProps[ClassPropertyType.prototype][name] = {data: true};
+
+        if (match('=')) {
+            lex();
+            value = parseAssignmentExpression();
+        }
+
+        result = markerApply(marker, {
+            type: "XPrivateProperty",
+            key: key,
+            value: value,
+            'static': isStatic
+        });
+
+        if (match(';')) {
+            lex();
+        }
+        else if (!match('}') && !peekLineTerminator()) {
+            throwUnexpected(lookahead);
+        }
+
+        return result;
+    }
+    // ADDED BY termi :: PRIVATE MEMBERS END
+
     function parseClassBody() {
         var classElement, classElements = [], existingProps = {}, marker = markerCreate();
 
@@ -4971,6 +5399,10 @@ parseYieldExpression: true
             }
         }
 
+        if (matchAsyncFunction()) {
+            return parseFunctionDeclaration();
+        }
+
         if (matchModuleDeclaration()) {
             throwError({}, Messages.NestedModule);
         }
@@ -5413,6 +5845,7 @@ parseYieldExpression: true
         extra.loc = (typeof options.loc === 'boolean') && options.loc;
         extra.strictMode = (typeof options.strictMode === 'boolean') && options.strictMode;//ADDED BY termi :: SAVE STRICT MODE
         extra.classesExtras = (typeof options.classesExtras === 'object') && options.classesExtras;//ADDED BY termi :: CLASSES EXTRAS
+        extra.privateMembers = (typeof options.privateMembers === 'boolean') && options.privateMembers;//ADDED BY termi :: PRIVATE MEMBERS
 
         if (typeof options.comment === 'boolean' && options.comment) {
             extra.comments = [];
@@ -5498,7 +5931,8 @@ parseYieldExpression: true
             inIteration: false,
             inSwitch: false,
             lastCommentStart: -1,
-            yieldAllowed: false
+            yieldAllowed: false,
+            awaitAllowed: false
         };
 
         extra = {};
@@ -5507,6 +5941,7 @@ parseYieldExpression: true
             extra.loc = (typeof options.loc === 'boolean') && options.loc;
             extra.strictMode = (typeof options.strictMode === 'boolean') && options.strictMode;//ADDED BY termi :: SAVE STRICT MODE
             extra.classesExtras = (typeof options.classesExtras === 'object') && options.classesExtras;//ADDED BY termi :: CLASSES EXTRAS
+        extra.privateMembers = (typeof options.privateMembers === 'boolean') && options.privateMembers;//ADDED BY termi :: PRIVATE MEMBERS
 
             if (extra.loc && options.source !== null && options.source !== undefined) {
                 delegate = extend(delegate, {
@@ -17,7 +17,7 @@ let transpilerLaunched = false;
 function es6_compile(content, filename) {
 	if ( ( !filter || filter(filename, content) ) && !transpilerLaunched ) {
 		transpilerLaunched = true;
-		var transpiledResult = es6transpiler.run({src: content, filename: filename, fullES6: true});
+		var transpiledResult = es6transpiler.run({src: content, filename: filename, fullES6: true, moduleFormat: "commonjs"});
 		transpilerLaunched = false;
 
 		if( transpiledResult.errors && transpiledResult.errors.length ) {
@@ -37,12 +37,14 @@ function Scope(args) {
     //     kind: "fun" for functions,
     //           "param" for function parameters,
     //           "caught" for catch parameter
+    //           "import" for imported bindings
     //           "var",
     //           "const",
-    //           "let"
+    //           "let",
+    //           "class" for class names (a "let" which can't be assigned inside the class body)
     //     node: the AST node the declaration corresponds to
     //     from: source code index from which it is visible at earliest
-    //           (only stored for "const", "let" [and "var"] nodes)
+    //           (only stored for "const", "let", "class" [and "var"] nodes)
     // }
     this.decls = stringmap();
 
@@ -102,7 +104,7 @@ function isLoop(node) {
 }
 
 function isBlockScoped(kind) {
-    return is.someof(kind, ["const", "let", "caught"]);
+    return is.someof(kind, ["const", "let", "class", "caught", "import"]);
 }
 
 Scope.prototype.mutate = function(newKind) {
@@ -117,13 +119,18 @@ Scope.prototype.mutate = function(newKind) {
 };
 
 Scope.prototype.add = function(name, kind, node, referableFromPos, freeFromPosition, originalDeclarator) {
-    assert(is.someof(kind, ["fun", "param", "var", "caught", "const", "let", "get", "set"]), kind + " is a wrong kind");
+    assert(is.someof(kind, ["fun", "param", "var", "caught", "const", "let", "class", "get", "set", "import"]), kind + " is a wrong kind");
 
     let isGlobal = node && (node.range || [])[0] < 0;
 
     if (!name && isObjectPattern(node)) {
         node.properties.forEach(function(property) {
-            property && this.add(property.value.name, kind, property.value, referableFromPos, freeFromPosition, property.key);
+            if (property && property.type === "SpreadElement") {// object rest
+                this.add(property.argument.name, kind, property.argument, referableFromPos, freeFromPosition, property);
+            }
+            else if (property) {
+                this.add(property.value.name, kind, property.value, referableFromPos, freeFromPosition, property.key);
+            }
         }, this);
 
         return;
@@ -140,7 +147,7 @@ Scope.prototype.add = function(name, kind, node, referableFromPos, freeFromPosit
 	}
 
     function isConstLet(kind) {
-        return is.someof(kind, ["const", "let"]);
+        return is.someof(kind, ["const", "let", "class"]);
     }
 
     let scope = this;
@@ -194,7 +201,7 @@ Scope.prototype.add = function(name, kind, node, referableFromPos, freeFromPosit
         ]
     };
     if ( referableFromPos !== void 0 ) {
-        assert(is.someof(kind, ["var", "const", "let"]), kind + " is not one of [var, const, let]");
+        assert(is.someof(kind, ["var", "const", "let", "class"]), kind + " is not one of [var, const, let, class]");
         if (originalDeclarator) {
             declaration.from = originalDeclarator.range[0];
         }
@@ -203,7 +210,7 @@ Scope.prototype.add = function(name, kind, node, referableFromPos, freeFromPosit
         }
     }
     if ( freeFromPosition !== void 0 ) {
-        assert(is.someof(kind, ["var", "const", "let"]), kind + " is not one of [var, const, let]");
+        assert(is.someof(kind, ["var", "const", "let", "class"]), kind + " is not one of [var, const, let, class]");
         if (originalDeclarator) {
             declaration.to = originalDeclarator.range[1];
         }
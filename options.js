@@ -4,5 +4,7 @@ module.exports = {
     disallowVars: false,
     disallowDuplicated: true,
     disallowUnknownReferences: true,
+    moduleFormat: "commonjs",//"commonjs", "amd", "umd", "global"
+    privateMembers: true,// '#name' class fields and methods
 	resetUnCapturedVariables: false//true, false, ['fun', 'let', 'const', 'var']
 };
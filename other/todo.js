@@ -5,9 +5,6 @@
 	let {y} = a;// runtime error
 }
 
-// Esprima#harmony: Error: Line 1: Invalid left-hand side in formals list
-function A({b:{a} = {}}){};
-
 // Powerfull array comprehantions
 var arr = [1]
 var arr1 = [2,3]
@@ -37,7 +34,4 @@ let obj = {
 	})()
 }
 
-// Esprima support #2
-var fff = ({x = (() => 1)()}) => (x);
-
 // ---------------------------------------------------
@@ -0,0 +1,48 @@
+/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Array.from polyfill: Array.from(iterable | arrayLike, mapFn, thisArg)
+//  The iterator of the iterable is taken by the "@@iterator" key (the key the transpiled code uses without Symbol) or by Symbol.iterator.
+
+if ( typeof (new Function("return this"))()["Array"]["from"] !== "function" ) {
+	let global = (new Function("return this"))()
+		, _Array = global["Array"]
+		, _Object = global["Object"]
+		, symbolIterator = typeof global["Symbol"] === "function" && global["Symbol"]["iterator"] || "@@iterator"
+	;
+
+	_Array["from"] = function from(items, mapFn, thisArg) {
+		if ( items == null ) {
+			throw new TypeError("Cannot convert undefined or null to object");
+		}
+		if ( mapFn !== void 0 && typeof mapFn !== "function" ) {
+			throw new TypeError(mapFn + " is not a function");
+		}
+
+		let Constructor = typeof this === "function" ? this : _Array
+			, iteratorMethod = items["@@iterator"] || items[symbolIterator]
+			, result
+			, length = 0
+		;
+
+		if ( typeof iteratorMethod === "function" ) {
+			let iterator = iteratorMethod.call(items), step;
+
+			result = new Constructor();
+			while ( !(step = iterator.next()).done ) {
+				result[length] = mapFn ? mapFn.call(thisArg, step.value, length) : step.value;
+				length++;
+			}
+		}
+		else {
+			let arrayLike = _Object(items);
+
+			length = Math.max(Math.floor(Number(arrayLike.length)) || 0, 0);
+			result = new Constructor(length);
+			for ( let index = 0 ; index < length ; index++ ) {
+				result[index] = mapFn ? mapFn.call(thisArg, arrayLike[index], index) : arrayLike[index];
+			}
+		}
+
+		result.length = length;
+		return result;
+	};
+}
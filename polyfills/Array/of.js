@@ -0,0 +1,19 @@
+/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Array.of polyfill: Array.of(...items)
+
+if ( typeof (new Function("return this"))()["Array"]["of"] !== "function" ) {
+	let _Array = (new Function("return this"))()["Array"];
+
+	_Array["of"] = function of() {
+		let length = arguments.length
+			, result = typeof this === "function" ? new this(length) : new _Array(length)
+		;
+
+		for ( let index = 0 ; index < length ; index++ ) {
+			result[index] = arguments[index];
+		}
+
+		result.length = length;
+		return result;
+	};
+}
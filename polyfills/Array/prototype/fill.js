@@ -0,0 +1,29 @@
+/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Array.prototype.fill polyfill: [].fill(value, start, end)
+
+if ( typeof (new Function("return this"))()["Array"].prototype["fill"] !== "function" ) {
+	let global = (new Function("return this"))()
+		, toRelativeIndex = function(value, length, defaultValue) {
+			let index = value === void 0 ? defaultValue : (Number(value) || 0);
+			index = index < 0 ? Math.ceil(index) : Math.floor(index);
+			return index < 0 ? Math.max(length + index, 0) : Math.min(index, length);
+		}
+	;
+
+	global["Object"].defineProperty(global["Array"].prototype, "fill", {
+		value: function fill(value, start, end) {
+			if ( this == null ) {
+				throw new TypeError("Array.prototype.fill called on null or undefined");
+			}
+
+			let list = global["Object"](this), length = Math.max(Math.floor(Number(list.length)) || 0, 0);
+			for ( let index = toRelativeIndex(start, length, 0), last = toRelativeIndex(end, length, length) ; index < last ; index++ ) {
+				list[index] = value;
+			}
+			return list;
+		}
+		, configurable: true
+		, enumerable: false
+		, writable: true
+	});
+}
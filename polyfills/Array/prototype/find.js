@@ -0,0 +1,29 @@
+/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Array.prototype.find polyfill: [].find(predicate, thisArg)
+
+if ( typeof (new Function("return this"))()["Array"].prototype["find"] !== "function" ) {
+	let global = (new Function("return this"))();
+
+	global["Object"].defineProperty(global["Array"].prototype, "find", {
+		value: function find(predicate, thisArg) {
+			if ( this == null ) {
+				throw new TypeError("Array.prototype.find called on null or undefined");
+			}
+			if ( typeof predicate !== "function" ) {
+				throw new TypeError(predicate + " is not a function");
+			}
+
+			let list = global["Object"](this), length = Math.max(Math.floor(Number(list.length)) || 0, 0);
+			for ( let index = 0 ; index < length ; index++ ) {
+				let value = list[index];
+				if ( predicate.call(thisArg, value, index, list) ) {
+					return value;
+				}
+			}
+			return void 0;
+		}
+		, configurable: true
+		, enumerable: false
+		, writable: true
+	});
+}
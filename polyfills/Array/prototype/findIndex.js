@@ -0,0 +1,28 @@
+/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Array.prototype.findIndex polyfill: [].findIndex(predicate, thisArg)
+
+if ( typeof (new Function("return this"))()["Array"].prototype["findIndex"] !== "function" ) {
+	let global = (new Function("return this"))();
+
+	global["Object"].defineProperty(global["Array"].prototype, "findIndex", {
+		value: function findIndex(predicate, thisArg) {
+			if ( this == null ) {
+				throw new TypeError("Array.prototype.findIndex called on null or undefined");
+			}
+			if ( typeof predicate !== "function" ) {
+				throw new TypeError(predicate + " is not a function");
+			}
+
+			let list = global["Object"](this), length = Math.max(Math.floor(Number(list.length)) || 0, 0);
+			for ( let index = 0 ; index < length ; index++ ) {
+				if ( predicate.call(thisArg, list[index], index, list) ) {
+					return index;
+				}
+			}
+			return -1;
+		}
+		, configurable: true
+		, enumerable: false
+		, writable: true
+	});
+}
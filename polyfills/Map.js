@@ -0,0 +1,160 @@
+/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Map polyfill: the keys and the values are kept in the lists of the Map instance, the keys are compared by SameValueZero.
+//  The deleted entries are left as holes, so the live iterators see the entries added during the iteration.
+//  The iterators are available by the "@@iterator" key (the key the transpiled code uses without Symbol) and by Symbol.iterator.
+
+if ( typeof (new Function("return this"))()["Map"] !== "function" ) {
+	let global = (new Function("return this"))()
+		, _Object = global["Object"]
+		, defineProperty = _Object.defineProperty
+		, HOLE = {}
+		, symbolIterator = typeof global["Symbol"] === "function" && global["Symbol"]["iterator"] || "@@iterator"
+		, defineValue = function(object, key, value) {
+			defineProperty(object, key, {value: value, configurable: true, enumerable: false, writable: true});
+		}
+		, mapRecord = function(map) {
+			let record = map instanceof Map && map["__map__"];
+			if ( !record ) {
+				throw new TypeError(map + " is not a Map");
+			}
+			return record;
+		}
+		, indexOfKey = function(record, key) {
+			let keys = record.keys;
+			if ( key !== key ) {// NaN
+				for ( let i = 0, len = keys.length ; i < len ; i++ ) {
+					if ( keys[i] !== keys[i] ) {
+						return i;
+					}
+				}
+				return -1;
+			}
+			return keys.indexOf(key === 0 ? 0 : key);// -0 => +0
+		}
+		, forEachOfIterable = function(iterable, callback) {
+			let iteratorMethod = iterable["@@iterator"] || iterable[symbolIterator];
+
+			if ( typeof iteratorMethod === "function" ) {
+				let iterator = iteratorMethod.call(iterable), step;
+				while ( !(step = iterator.next()).done ) {
+					callback(step.value);
+				}
+			}
+			else {
+				iterable = _Object(iterable);
+				for ( let i = 0, len = iterable.length ; i < len ; i++ ) {
+					callback(iterable[i]);
+				}
+			}
+		}
+		, createIterator = function(record, kind) {
+			let index = 0, iterator = {
+				"next": function() {
+					while ( record !== void 0 ) {
+						let keys = record.keys;
+						if ( index >= keys.length ) {
+							record = void 0;
+							break;
+						}
+
+						let i = index++, key = keys[i];
+						if ( key !== HOLE ) {
+							return {
+								value: kind === "keys" ? key : kind === "values" ? record.values[i] : [key, record.values[i]]
+								, done: false
+							};
+						}
+					}
+					return {value: void 0, done: true};
+				}
+			};
+			defineValue(iterator, "@@iterator", function() { return this });
+			if ( symbolIterator !== "@@iterator" ) {
+				defineValue(iterator, symbolIterator, function() { return this });
+			}
+			return iterator;
+		}
+	;
+
+	let Map = function Map(iterable) {
+		if ( !(this instanceof Map) ) {
+			throw new TypeError("Constructor Map requires 'new'");
+		}
+
+		defineValue(this, "__map__", {keys: [], values: [], size: 0});
+
+		if ( iterable !== void 0 && iterable !== null ) {
+			forEachOfIterable(iterable, (entry) => {
+				if ( entry === null || (typeof entry !== "object" && typeof entry !== "function") ) {
+					throw new TypeError("Iterator value " + entry + " is not an entry object");
+				}
+				this.set(entry[0], entry[1]);
+			});
+		}
+	};
+
+	defineValue(Map.prototype, "get", function(key) {
+		let record = mapRecord(this), index = indexOfKey(record, key);
+		return index === -1 ? void 0 : record.values[index];
+	});
+	defineValue(Map.prototype, "set", function(key, value) {
+		let record = mapRecord(this), index = indexOfKey(record, key);
+		if ( index === -1 ) {
+			index = record.keys.push(key === 0 ? 0 : key) - 1;
+			record.size++;
+		}
+		record.values[index] = value;
+		return this;
+	});
+	defineValue(Map.prototype, "has", function(key) {
+		return indexOfKey(mapRecord(this), key) !== -1;
+	});
+	defineValue(Map.prototype, "delete", function(key) {
+		let record = mapRecord(this), index = indexOfKey(record, key);
+		if ( index === -1 ) {
+			return false;
+		}
+		record.keys[index] = HOLE;
+		record.values[index] = void 0;
+		record.size--;
+		return true;
+	});
+	defineValue(Map.prototype, "clear", function() {
+		let record = mapRecord(this), keys = record.keys;
+		for ( let i = 0, len = keys.length ; i < len ; i++ ) {
+			keys[i] = HOLE;
+			record.values[i] = void 0;
+		}
+		record.size = 0;
+	});
+	defineValue(Map.prototype, "forEach", function(callback, thisArg) {
+		let record = mapRecord(this), keys = record.keys;
+		for ( let i = 0 ; i < keys.length ; i++ ) {
+			if ( keys[i] !== HOLE ) {
+				callback.call(thisArg, record.values[i], keys[i], this);
+			}
+		}
+	});
+	defineValue(Map.prototype, "keys", function() {
+		return createIterator(mapRecord(this), "keys");
+	});
+	defineValue(Map.prototype, "values", function() {
+		return createIterator(mapRecord(this), "values");
+	});
+	defineValue(Map.prototype, "entries", function() {
+		return createIterator(mapRecord(this), "entries");
+	});
+	defineValue(Map.prototype, "@@iterator", Map.prototype["entries"]);
+	if ( symbolIterator !== "@@iterator" ) {
+		defineValue(Map.prototype, symbolIterator, Map.prototype["entries"]);
+	}
+	defineProperty(Map.prototype, "size", {
+		get: function() {
+			return mapRecord(this).size;
+		}
+		, configurable: true
+		, enumerable: false
+	});
+
+	global["Map"] = Map;
+}
@@ -0,0 +1,145 @@
+/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Math polyfill: the ES6 methods of Math which are not defined yet
+//  (Math.acosh, Math.asinh, Math.atanh, Math.cbrt, Math.clz32, Math.cosh, Math.expm1, Math.fround, Math.hypot, Math.imul,
+//  Math.log1p, Math.log10, Math.log2, Math.sign, Math.sinh, Math.tanh, Math.trunc)
+
+{
+	let global = (new Function("return this"))()
+		, _Math = global["Math"]
+		, defineProperty = global["Object"].defineProperty
+		, defineMethod = function(name, method) {
+			if ( typeof _Math[name] !== "function" ) {
+				defineProperty(_Math, name, {value: method, configurable: true, enumerable: false, writable: true});
+			}
+		}
+		, exp = _Math.exp
+		, log = _Math.log
+		, sqrt = _Math.sqrt
+		, abs = _Math.abs
+		, logBase = function(x, logE, power) {
+			let result = log(x) * logE, rounded = _Math.round(result);
+			// the exact powers of the base have the exact logarithms: log2(8) === 3, log10(1000) === 3
+			return rounded !== result && power(rounded) === x ? rounded : result;
+		}
+	;
+
+	defineMethod("sign", function sign(x) {
+		x = Number(x);
+		return x === 0 || x !== x ? x : x < 0 ? -1 : 1;
+	});
+	defineMethod("trunc", function trunc(x) {
+		x = Number(x);
+		return x === 0 || x !== x || x === Infinity || x === -Infinity ? x : x < 0 ? _Math.ceil(x) : _Math.floor(x);
+	});
+	defineMethod("cbrt", function cbrt(x) {
+		x = Number(x);
+		if ( x === 0 || x !== x || x === Infinity || x === -Infinity ) {
+			return x;
+		}
+		let result = _Math.pow(abs(x), 1 / 3);
+		// correct the rounding error for the exact cubes
+		result = result - (result * result * result - abs(x)) / (3 * result * result);
+		return x < 0 ? -result : result;
+	});
+	defineMethod("expm1", function expm1(x) {
+		x = Number(x);
+		if ( x === 0 ) {
+			return x;// +0 or -0
+		}
+		return abs(x) < 1e-5 ? x + x * x / 2 + x * x * x / 6 : exp(x) - 1;
+	});
+	defineMethod("log1p", function log1p(x) {
+		x = Number(x);
+		if ( x === 0 ) {
+			return x;// +0 or -0
+		}
+		return abs(x) < 1e-5 ? x - x * x / 2 + x * x * x / 3 : log(1 + x);
+	});
+	defineMethod("log10", function log10(x) {
+		return logBase(Number(x), _Math.LOG10E, (n) => Number("1e" + n));
+	});
+	defineMethod("log2", function log2(x) {
+		return logBase(Number(x), _Math.LOG2E, (n) => _Math.pow(2, n));
+	});
+	defineMethod("sinh", function sinh(x) {
+		x = Number(x);
+		return x === 0 ? x : abs(x) < 1 ? (_Math["expm1"](x) - _Math["expm1"](-x)) / 2 : (exp(x) - exp(-x)) / 2;
+	});
+	defineMethod("cosh", function cosh(x) {
+		x = exp(Number(x));
+		return (x + 1 / x) / 2;
+	});
+	defineMethod("tanh", function tanh(x) {
+		x = Number(x);
+		if ( x === 0 ) {
+			return x;
+		}
+		if ( x === Infinity || x > 20 ) {
+			return 1;
+		}
+		if ( x === -Infinity || x < -20 ) {
+			return -1;
+		}
+		let a = _Math["expm1"](x), b = _Math["expm1"](-x);
+		return (a - b) / (exp(x) + exp(-x));
+	});
+	defineMethod("acosh", function acosh(x) {
+		x = Number(x);
+		return x > 1e8 ? log(x) + _Math.LN2 : log(x + sqrt(x * x - 1));
+	});
+	defineMethod("asinh", function asinh(x) {
+		x = Number(x);
+		if ( x === 0 || x === Infinity || x === -Infinity ) {
+			return x;
+		}
+		let a = abs(x)
+			, result = a > 1e8 ? log(a) + _Math.LN2 : _Math["log1p"](a + a * a / (1 + sqrt(a * a + 1)))
+		;
+		return x < 0 ? -result : result;
+	});
+	defineMethod("atanh", function atanh(x) {
+		x = Number(x);
+		return x === 0 ? x : _Math["log1p"](2 * x / (1 - x)) / 2;
+	});
+	defineMethod("hypot", function hypot() {
+		let max = 0, sum = 0, hasNaN = false;
+		for ( let i = 0, len = arguments.length ; i < len ; i++ ) {
+			let value = abs(Number(arguments[i]));
+			if ( value === Infinity ) {
+				return Infinity;
+			}
+			if ( value !== value ) {
+				hasNaN = true;
+			}
+			else if ( value > max ) {
+				sum = sum * (max / value) * (max / value) + 1;
+				max = value;
+			}
+			else if ( value > 0 ) {
+				sum += (value / max) * (value / max);
+			}
+		}
+		return hasNaN ? NaN : max * sqrt(sum);
+	});
+	defineMethod("clz32", function clz32(x) {
+		x = Number(x) >>> 0;
+		return x === 0 ? 32 : 31 - _Math.floor(log(x + 0.5) * _Math.LOG2E);
+	});
+	defineMethod("imul", function imul(a, b) {
+		a = Number(a) | 0;
+		b = Number(b) | 0;
+		let aLow = a & 0xFFFF, bLow = b & 0xFFFF;
+		return (aLow * bLow + (((a >>> 16) * bLow + aLow * (b >>> 16)) << 16 >>> 0)) | 0;
+	});
+	defineMethod("fround", typeof global["Float32Array"] === "function"
+		? (function(array) {
+			return function fround(x) {
+				array[0] = x;
+				return array[0];
+			};
+		})(new global["Float32Array"](1))
+		: function fround(x) {
+			return Number(x);// no Float32Array: the precision of the double is kept
+		}
+	);
+}
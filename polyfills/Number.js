@@ -0,0 +1,42 @@
+/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Number polyfill: the ES6 static members of Number which are not defined yet
+//  (Number.isFinite, Number.isInteger, Number.isNaN, Number.isSafeInteger, Number.parseFloat, Number.parseInt,
+//  Number.EPSILON, Number.MAX_SAFE_INTEGER, Number.MIN_SAFE_INTEGER)
+
+{
+	let global = (new Function("return this"))()
+		, _Number = global["Number"]
+		, defineProperty = global["Object"].defineProperty
+		, defineMethod = function(name, method) {
+			if ( typeof _Number[name] !== "function" ) {
+				defineProperty(_Number, name, {value: method, configurable: true, enumerable: false, writable: true});
+			}
+		}
+		, defineConstant = function(name, value) {
+			if ( typeof _Number[name] !== "number" ) {
+				defineProperty(_Number, name, {value: value, configurable: false, enumerable: false, writable: false});
+			}
+		}
+		, isFinite = function isFinite(value) {
+			return typeof value === "number" && global["isFinite"](value);
+		}
+		, isInteger = function isInteger(value) {
+			return isFinite(value) && Math.floor(value) === value;
+		}
+	;
+
+	defineConstant("EPSILON", Math.pow(2, -52));
+	defineConstant("MAX_SAFE_INTEGER", 9007199254740991);
+	defineConstant("MIN_SAFE_INTEGER", -9007199254740991);
+
+	defineMethod("isFinite", isFinite);
+	defineMethod("isInteger", isInteger);
+	defineMethod("isNaN", function isNaN(value) {
+		return value !== value;
+	});
+	defineMethod("isSafeInteger", function isSafeInteger(value) {
+		return isInteger(value) && Math.abs(value) <= 9007199254740991;
+	});
+	defineMethod("parseFloat", global["parseFloat"]);
+	defineMethod("parseInt", global["parseInt"]);
+}
@@ -0,0 +1,36 @@
+/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Object.assign polyfill: Object.assign(target, ...sources)
+
+if ( typeof (new Function("return this"))()["Object"]["assign"] !== "function" ) {
+	let _Object = (new Function("return this"))()["Object"]
+		, propertyIsEnumerable = _Object.prototype.propertyIsEnumerable
+		, getOwnPropertySymbols = _Object["getOwnPropertySymbols"]
+	;
+
+	_Object["assign"] = function assign(target) {
+		if ( target == null ) {
+			throw new TypeError("Cannot convert undefined or null to object");
+		}
+
+		let to = _Object(target);
+		for ( let index = 1, len = arguments.length ; index < len ; index++ ) {
+			let source = arguments[index];
+			if ( source == null ) {
+				continue;
+			}
+
+			let from = _Object(source)
+				, keys = _Object.keys(from)
+			;
+
+			if ( typeof getOwnPropertySymbols === "function" ) {
+				keys = keys.concat(getOwnPropertySymbols(from).filter(function(symbol) { return propertyIsEnumerable.call(from, symbol) }));
+			}
+
+			for ( let i = 0, keysLength = keys.length ; i < keysLength ; i++ ) {
+				to[keys[i]] = from[keys[i]];
+			}
+		}
+		return to;
+	};
+}
@@ -0,0 +1,13 @@
+/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Object.is polyfill: SameValue comparison, Object.is(NaN, NaN) === true, Object.is(0, -0) === false
+
+if ( typeof (new Function("return this"))()["Object"]["is"] !== "function" ) {
+	let _Object = (new Function("return this"))()["Object"];
+
+	_Object["is"] = function is(a, b) {
+		if ( a === b ) {
+			return a !== 0 || 1 / a === 1 / b;
+		}
+		return a !== a && b !== b;
+	};
+}
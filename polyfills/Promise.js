@@ -0,0 +1,194 @@
+/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Promise polyfill: used by the async functions at runtime
+
+if ( typeof (new Function("return this"))()["Promise"] !== "function" ) {
+	let global = (new Function("return this"))()
+		, PENDING = 0
+		, FULFILLED = 1
+		, REJECTED = 2
+		, asap = typeof global["setImmediate"] === "function" ? global["setImmediate"] : function(fn) { global["setTimeout"](fn, 0) }
+		, promiseRecord = function(promise) {
+			let record = promise instanceof Promise && promise["__promise__"];
+			if ( !record ) {
+				throw new TypeError(promise + " is not a promise");
+			}
+			return record;
+		}
+		, settle = function(record, state, value) {
+			if ( record.state !== PENDING ) {
+				return;
+			}
+
+			let reactions = record.reactions;
+			record.state = state;
+			record.value = value;
+			record.reactions = null;
+
+			reactions.forEach(function(reaction) {
+				react(record, reaction);
+			});
+		}
+		, react = function(record, reaction) {
+			asap(function() {
+				let isFulfilled = record.state === FULFILLED
+					, handler = isFulfilled ? reaction.onFulfilled : reaction.onRejected
+					, result
+				;
+
+				if ( typeof handler !== "function" ) {
+					(isFulfilled ? reaction.resolve : reaction.reject)(record.value);
+					return;
+				}
+
+				try {
+					result = handler(record.value);
+				}
+				catch(e) {
+					reaction.reject(e);
+					return;
+				}
+				reaction.resolve(result);
+			});
+		}
+		, resolveRecord = function(record, promise, value) {
+			let then;
+
+			if ( value === promise ) {
+				settle(record, REJECTED, new TypeError("A promise cannot be resolved with itself"));
+				return;
+			}
+
+			if ( value !== null && (typeof value === "object" || typeof value === "function") ) {
+				try {
+					then = value["then"];
+				}
+				catch(e) {
+					settle(record, REJECTED, e);
+					return;
+				}
+
+				if ( typeof then === "function" ) {
+					asap(function() {
+						let called = false;
+
+						try {
+							then.call(value
+								, function(v) { if ( !called ) { called = true; resolveRecord(record, promise, v) } }
+								, function(e) { if ( !called ) { called = true; settle(record, REJECTED, e) } }
+							);
+						}
+						catch(e) {
+							if ( !called ) {
+								called = true;
+								settle(record, REJECTED, e);
+							}
+						}
+					});
+					return;
+				}
+			}
+
+			settle(record, FULFILLED, value);
+		}
+	;
+
+	let Promise = function Promise(executor) {
+		if ( !(this instanceof Promise) || this["__promise__"] ) {
+			throw new TypeError("Constructor Promise requires 'new'");
+		}
+		if ( typeof executor !== "function" ) {
+			throw new TypeError("Promise resolver " + executor + " is not a function");
+		}
+
+		let promise = this
+			, record = {state: PENDING, value: void 0, reactions: []}
+			, done = false
+		;
+
+		Object.defineProperty(this, "__promise__", {value: record, configurable: false, enumerable: false, writable: false});
+
+		try {
+			executor(
+				function(value) { if ( !done ) { done = true; resolveRecord(record, promise, value) } }
+				, function(reason) { if ( !done ) { done = true; settle(record, REJECTED, reason) } }
+			);
+		}
+		catch(e) {
+			if ( !done ) {
+				done = true;
+				settle(record, REJECTED, e);
+			}
+		}
+	};
+
+	Object.defineProperty(Promise.prototype, "then", {value: function then(onFulfilled, onRejected) {
+		let record = promiseRecord(this)
+			, reaction = {onFulfilled: onFulfilled, onRejected: onRejected}
+			, next = new Promise(function(resolve, reject) {
+				reaction.resolve = resolve;
+				reaction.reject = reject;
+			})
+		;
+
+		if ( record.state === PENDING ) {
+			record.reactions.push(reaction);
+		}
+		else {
+			react(record, reaction);
+		}
+		return next;
+	}, configurable: true, enumerable: false, writable: true});
+
+	Object.defineProperty(Promise.prototype, "catch", {value: function(onRejected) {
+		return this["then"](void 0, onRejected);
+	}, configurable: true, enumerable: false, writable: true});
+
+	Promise["resolve"] = function(value) {
+		if ( value instanceof Promise && value.constructor === this ) {
+			return value;
+		}
+		return new this(function(resolve) { resolve(value) });
+	};
+
+	Promise["reject"] = function(reason) {
+		return new this(function(resolve, reject) { reject(reason) });
+	};
+
+	// iterable - an Array or an array-like object
+	Promise["all"] = function(iterable) {
+		let C = this;
+
+		return new C(function(resolve, reject) {
+			let list = Array.prototype.slice.call(iterable)
+				, values = new Array(list.length)
+				, remaining = list.length
+			;
+
+			if ( !remaining ) {
+				resolve(values);
+				return;
+			}
+
+			list.forEach(function(item, index) {
+				C["resolve"](item)["then"](function(value) {
+					values[index] = value;
+					if ( --remaining === 0 ) {
+						resolve(values);
+					}
+				}, reject);
+			});
+		});
+	};
+
+	Promise["race"] = function(iterable) {
+		let C = this;
+
+		return new C(function(resolve, reject) {
+			Array.prototype.slice.call(iterable).forEach(function(item) {
+				C["resolve"](item)["then"](resolve, reject);
+			});
+		});
+	};
+
+	global["Promise"] = Promise;
+}
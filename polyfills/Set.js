@@ -0,0 +1,143 @@
+/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Set polyfill: the values are kept in the list of the Set instance, the values are compared by SameValueZero.
+//  The deleted values are left as holes, so the live iterators see the values added during the iteration.
+//  The iterators are available by the "@@iterator" key (the key the transpiled code uses without Symbol) and by Symbol.iterator.
+
+if ( typeof (new Function("return this"))()["Set"] !== "function" ) {
+	let global = (new Function("return this"))()
+		, _Object = global["Object"]
+		, defineProperty = _Object.defineProperty
+		, HOLE = {}
+		, symbolIterator = typeof global["Symbol"] === "function" && global["Symbol"]["iterator"] || "@@iterator"
+		, defineValue = function(object, key, value) {
+			defineProperty(object, key, {value: value, configurable: true, enumerable: false, writable: true});
+		}
+		, setRecord = function(set) {
+			let record = set instanceof Set && set["__set__"];
+			if ( !record ) {
+				throw new TypeError(set + " is not a Set");
+			}
+			return record;
+		}
+		, indexOfValue = function(record, value) {
+			let values = record.values;
+			if ( value !== value ) {// NaN
+				for ( let i = 0, len = values.length ; i < len ; i++ ) {
+					if ( values[i] !== values[i] ) {
+						return i;
+					}
+				}
+				return -1;
+			}
+			return values.indexOf(value === 0 ? 0 : value);// -0 => +0
+		}
+		, forEachOfIterable = function(iterable, callback) {
+			let iteratorMethod = iterable["@@iterator"] || iterable[symbolIterator];
+
+			if ( typeof iteratorMethod === "function" ) {
+				let iterator = iteratorMethod.call(iterable), step;
+				while ( !(step = iterator.next()).done ) {
+					callback(step.value);
+				}
+			}
+			else {
+				iterable = _Object(iterable);
+				for ( let i = 0, len = iterable.length ; i < len ; i++ ) {
+					callback(iterable[i]);
+				}
+			}
+		}
+		, createIterator = function(record, kind) {
+			let index = 0, iterator = {
+				"next": function() {
+					while ( record !== void 0 ) {
+						let values = record.values;
+						if ( index >= values.length ) {
+							record = void 0;
+							break;
+						}
+
+						let value = values[index++];
+						if ( value !== HOLE ) {
+							return {value: kind === "entries" ? [value, value] : value, done: false};
+						}
+					}
+					return {value: void 0, done: true};
+				}
+			};
+			defineValue(iterator, "@@iterator", function() { return this });
+			if ( symbolIterator !== "@@iterator" ) {
+				defineValue(iterator, symbolIterator, function() { return this });
+			}
+			return iterator;
+		}
+	;
+
+	let Set = function Set(iterable) {
+		if ( !(this instanceof Set) ) {
+			throw new TypeError("Constructor Set requires 'new'");
+		}
+
+		defineValue(this, "__set__", {values: [], size: 0});
+
+		if ( iterable !== void 0 && iterable !== null ) {
+			forEachOfIterable(iterable, (value) => this.add(value));
+		}
+	};
+
+	defineValue(Set.prototype, "add", function(value) {
+		let record = setRecord(this);
+		if ( indexOfValue(record, value) === -1 ) {
+			record.values.push(value === 0 ? 0 : value);
+			record.size++;
+		}
+		return this;
+	});
+	defineValue(Set.prototype, "has", function(value) {
+		return indexOfValue(setRecord(this), value) !== -1;
+	});
+	defineValue(Set.prototype, "delete", function(value) {
+		let record = setRecord(this), index = indexOfValue(record, value);
+		if ( index === -1 ) {
+			return false;
+		}
+		record.values[index] = HOLE;
+		record.size--;
+		return true;
+	});
+	defineValue(Set.prototype, "clear", function() {
+		let record = setRecord(this), values = record.values;
+		for ( let i = 0, len = values.length ; i < len ; i++ ) {
+			values[i] = HOLE;
+		}
+		record.size = 0;
+	});
+	defineValue(Set.prototype, "forEach", function(callback, thisArg) {
+		let values = setRecord(this).values;
+		for ( let i = 0 ; i < values.length ; i++ ) {
+			if ( values[i] !== HOLE ) {
+				callback.call(thisArg, values[i], values[i], this);
+			}
+		}
+	});
+	defineValue(Set.prototype, "values", function() {
+		return createIterator(setRecord(this), "values");
+	});
+	defineValue(Set.prototype, "keys", Set.prototype["values"]);
+	defineValue(Set.prototype, "entries", function() {
+		return createIterator(setRecord(this), "entries");
+	});
+	defineValue(Set.prototype, "@@iterator", Set.prototype["values"]);
+	if ( symbolIterator !== "@@iterator" ) {
+		defineValue(Set.prototype, symbolIterator, Set.prototype["values"]);
+	}
+	defineProperty(Set.prototype, "size", {
+		get: function() {
+			return setRecord(this).size;
+		}
+		, configurable: true
+		, enumerable: false
+	});
+
+	global["Set"] = Set;
+}
@@ -0,0 +1,31 @@
+/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// String.prototype.codePointAt polyfill: "".codePointAt(position)
+
+if ( typeof (new Function("return this"))()["String"].prototype["codePointAt"] !== "function" ) {
+	let global = (new Function("return this"))();
+
+	global["Object"].defineProperty(global["String"].prototype, "codePointAt", {
+		value: function codePointAt(position) {
+			if ( this == null ) {
+				throw new TypeError("String.prototype.codePointAt called on null or undefined");
+			}
+
+			let string = String(this), index = Math.floor(Number(position)) || 0;
+			if ( index < 0 || index >= string.length ) {
+				return void 0;
+			}
+
+			let first = string.charCodeAt(index);
+			if ( first >= 0xD800 && first <= 0xDBFF && index + 1 < string.length ) {
+				let second = string.charCodeAt(index + 1);
+				if ( second >= 0xDC00 && second <= 0xDFFF ) {
+					return (first - 0xD800) * 0x400 + second - 0xDC00 + 0x10000;
+				}
+			}
+			return first;
+		}
+		, configurable: true
+		, enumerable: false
+		, writable: true
+	});
+}
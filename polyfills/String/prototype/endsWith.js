@@ -0,0 +1,26 @@
+/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// String.prototype.endsWith polyfill: "".endsWith(searchString, endPosition)
+
+if ( typeof (new Function("return this"))()["String"].prototype["endsWith"] !== "function" ) {
+	let global = (new Function("return this"))();
+
+	global["Object"].defineProperty(global["String"].prototype, "endsWith", {
+		value: function endsWith(searchString, endPosition) {
+			if ( this == null ) {
+				throw new TypeError("String.prototype.endsWith called on null or undefined");
+			}
+			if ( global["Object"].prototype.toString.call(searchString) === "[object RegExp]" ) {
+				throw new TypeError("First argument to String.prototype.endsWith must not be a regular expression");
+			}
+
+			let string = String(this), search = String(searchString)
+				, end = endPosition === void 0 ? string.length : Math.min(Math.max(Math.floor(Number(endPosition)) || 0, 0), string.length)
+				, start = end - search.length
+			;
+			return start >= 0 && string.substr(start, search.length) === search;
+		}
+		, configurable: true
+		, enumerable: false
+		, writable: true
+	});
+}
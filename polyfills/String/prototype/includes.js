@@ -0,0 +1,22 @@
+/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// String.prototype.includes polyfill: "".includes(searchString, position)
+
+if ( typeof (new Function("return this"))()["String"].prototype["includes"] !== "function" ) {
+	let global = (new Function("return this"))();
+
+	global["Object"].defineProperty(global["String"].prototype, "includes", {
+		value: function includes(searchString, position) {
+			if ( this == null ) {
+				throw new TypeError("String.prototype.includes called on null or undefined");
+			}
+			if ( global["Object"].prototype.toString.call(searchString) === "[object RegExp]" ) {
+				throw new TypeError("First argument to String.prototype.includes must not be a regular expression");
+			}
+
+			return String(this).indexOf(String(searchString), position) !== -1;
+		}
+		, configurable: true
+		, enumerable: false
+		, writable: true
+	});
+}
@@ -0,0 +1,32 @@
+/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// String.prototype.repeat polyfill: "".repeat(count)
+
+if ( typeof (new Function("return this"))()["String"].prototype["repeat"] !== "function" ) {
+	let global = (new Function("return this"))();
+
+	global["Object"].defineProperty(global["String"].prototype, "repeat", {
+		value: function repeat(count) {
+			if ( this == null ) {
+				throw new TypeError("String.prototype.repeat called on null or undefined");
+			}
+
+			let string = String(this), times = Math.floor(Number(count)) || 0, result = "";
+			if ( times < 0 || times === Infinity ) {
+				throw new RangeError("Invalid count value");
+			}
+
+			// exponentiation by squaring
+			while ( times > 0 ) {
+				if ( times & 1 ) {
+					result += string;
+				}
+				times >>>= 1;
+				string += string;
+			}
+			return result;
+		}
+		, configurable: true
+		, enumerable: false
+		, writable: true
+	});
+}
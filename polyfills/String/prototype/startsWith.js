@@ -0,0 +1,25 @@
+/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// String.prototype.startsWith polyfill: "".startsWith(searchString, position)
+
+if ( typeof (new Function("return this"))()["String"].prototype["startsWith"] !== "function" ) {
+	let global = (new Function("return this"))();
+
+	global["Object"].defineProperty(global["String"].prototype, "startsWith", {
+		value: function startsWith(searchString, position) {
+			if ( this == null ) {
+				throw new TypeError("String.prototype.startsWith called on null or undefined");
+			}
+			if ( global["Object"].prototype.toString.call(searchString) === "[object RegExp]" ) {
+				throw new TypeError("First argument to String.prototype.startsWith must not be a regular expression");
+			}
+
+			let string = String(this), search = String(searchString)
+				, start = Math.min(Math.max(Math.floor(Number(position)) || 0, 0), string.length)
+			;
+			return string.substr(start, search.length) === search;
+		}
+		, configurable: true
+		, enumerable: false
+		, writable: true
+	});
+}
@@ -0,0 +1,32 @@
+/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// String.raw polyfill: String.raw`\n${value}` or String.raw({raw: ["a", "b"]}, value)
+
+if ( typeof (new Function("return this"))()["String"]["raw"] !== "function" ) {
+	let _String = (new Function("return this"))()["String"];
+
+	_String["raw"] = function raw(callSite) {
+		if ( callSite == null ) {
+			throw new TypeError("Cannot convert undefined or null to object");
+		}
+
+		let rawStrings = callSite["raw"];
+		if ( rawStrings == null ) {
+			throw new TypeError("Cannot convert undefined or null to object");
+		}
+
+		let length = Math.floor(Number(rawStrings.length)) || 0
+			, substitutionsCount = arguments.length - 1
+			, result = ""
+		;
+
+		for ( let index = 0 ; index < length ; index++ ) {
+			result += String(rawStrings[index]);
+
+			if ( index + 1 < length && index < substitutionsCount ) {
+				result += String(arguments[index + 1]);
+			}
+		}
+
+		return result;
+	};
+}
@@ -0,0 +1,143 @@
+/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Symbol polyfill: a symbol is a frozen object which string value is the unique property key of the symbol.
+//  The keys of the well-known symbols are the keys the transpiled code uses without Symbol ("@@iterator", "@@toStringTag").
+//  The transpiled code calls Symbol["__setObjectSetter__"](object) before it reads a symbol-keyed property of the object
+//   and Symbol["__setObjectSetter__"](void 0) after that: Symbol.iterator of the marked array-like object (arguments, DOM collections)
+//   is the Array iterator.
+
+if ( typeof (new Function("return this"))()["Symbol"] !== "function" ) {
+	let global = (new Function("return this"))()
+		, _Object = global["Object"]
+		, defineProperty = _Object.defineProperty
+		, getOwnPropertyNames = _Object.getOwnPropertyNames
+		, symbolsByKey = _Object.create(null)
+		, registry = _Object.create(null)
+		, uid = 0
+		, markedObject = void 0
+		, WELL_KNOWN_SYMBOLS = ["hasInstance", "isConcatSpreadable", "iterator", "match", "replace", "search", "species", "split", "toPrimitive", "toStringTag", "unscopables"]
+		, isSymbolKey = function(key) {
+			return _Object.prototype.hasOwnProperty.call(symbolsByKey, key);
+		}
+		, defineValue = function(object, key, value) {
+			defineProperty(object, key, {value: value, configurable: true, enumerable: false, writable: true});
+		}
+		, createArrayIterator = function(arrayLike) {
+			let index = 0, iterator = {
+				"next": function() {
+					return arrayLike !== void 0 && index < arrayLike.length
+						? {value: arrayLike[index++], done: false}
+						: (arrayLike = void 0, {value: void 0, done: true})
+					;
+				}
+			};
+			defineValue(iterator, "@@iterator", function() { return this });
+			return iterator;
+		}
+		, arrayValues = function() {
+			return createArrayIterator(_Object(this));
+		}
+		, stringValues = function() {
+			let string = String(this), index = 0, iterator = {
+				"next": function() {
+					if ( index >= string.length ) {
+						return {value: void 0, done: true};
+					}
+
+					let first = string.charCodeAt(index), size = 1;
+					if ( first >= 0xD800 && first <= 0xDBFF && index + 1 < string.length ) {
+						let second = string.charCodeAt(index + 1);
+						if ( second >= 0xDC00 && second <= 0xDFFF ) {
+							size = 2;
+						}
+					}
+					index += size;
+					return {value: string.substr(index - size, size), done: false};
+				}
+			};
+			defineValue(iterator, "@@iterator", function() { return this });
+			return iterator;
+		}
+		// symbol-keyed properties are not enumerable: the setter of the key is inherited from Object.prototype
+		, defineKeyAccessor = function(key) {
+			defineProperty(_Object.prototype, key, {
+				get: function() {
+					if ( key === "@@iterator" && this === markedObject && this !== null && typeof this.length === "number" ) {
+						return arrayValues;
+					}
+					return void 0;
+				}
+				, set: function(value) {
+					defineValue(this, key, value);
+				}
+				, configurable: true
+				, enumerable: false
+			});
+		}
+	;
+
+	let Symbol = function Symbol(description) {
+		if ( this instanceof Symbol ) {
+			throw new TypeError("Symbol is not a constructor");
+		}
+		description = description === void 0 ? "" : String(description);
+		return createSymbol(description, "@@Symbol(" + description + "):" + uid++);
+	};
+
+	let createSymbol = function(description, key) {
+		let symbol = _Object.create(Symbol.prototype);
+		defineProperty(symbol, "__description__", {value: description});
+		defineProperty(symbol, "__key__", {value: key});
+
+		symbolsByKey[key] = symbol;
+		defineKeyAccessor(key);
+
+		return _Object.freeze(symbol);
+	};
+
+	defineValue(Symbol.prototype, "toString", function() {
+		// the property key of the symbol
+		return this["__key__"];
+	});
+	defineValue(Symbol.prototype, "valueOf", function() {
+		return this;
+	});
+
+	defineValue(Symbol, "for", function(key) {
+		key = String(key);
+		return registry[key] || (registry[key] = Symbol(key));
+	});
+	defineValue(Symbol, "keyFor", function(symbol) {
+		if ( !(symbol instanceof Symbol) ) {
+			throw new TypeError(symbol + " is not a symbol");
+		}
+		let description = symbol["__description__"];
+		return registry[description] === symbol ? description : void 0;
+	});
+	defineValue(Symbol, "__setObjectSetter__", function(object) {
+		markedObject = object;
+	});
+
+	WELL_KNOWN_SYMBOLS.forEach(function(name) {
+		defineProperty(Symbol, name, {value: createSymbol("Symbol." + name, "@@" + name)});
+	});
+
+	defineValue(_Object, "getOwnPropertySymbols", function(object) {
+		return getOwnPropertyNames(object).filter(isSymbolKey).map(function(key) {
+			return symbolsByKey[key];
+		});
+	});
+	defineValue(_Object, "getOwnPropertyNames", function(object) {
+		return getOwnPropertyNames(object).filter(function(key) {
+			return !isSymbolKey(key);
+		});
+	});
+
+	if ( !_Object.prototype.hasOwnProperty.call(Array.prototype, "@@iterator") ) {
+		defineValue(Array.prototype, "@@iterator", arrayValues);
+	}
+	if ( !_Object.prototype.hasOwnProperty.call(String.prototype, "@@iterator") ) {
+		defineValue(String.prototype, "@@iterator", stringValues);
+	}
+
+	global["Symbol"] = Symbol;
+}
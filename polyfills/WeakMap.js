@@ -0,0 +1,101 @@
+/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// WeakMap polyfill: used by the private class members
+//  the value is stored in the hidden (not enumerable) property of the key object, so the value is collected with the key object.
+//  The keys which are not extensible are kept in the list of the WeakMap instance.
+
+if ( typeof (new Function("return this"))()["WeakMap"] !== "function" ) {
+	let global = (new Function("return this"))()
+		, _Object = global["Object"]
+		, defineProperty = _Object.defineProperty
+		, hasOwnProperty = _Object.prototype.hasOwnProperty
+		, uid = 0
+		, defineValue = function(object, key, value) {
+			defineProperty(object, key, {value: value, configurable: true, enumerable: false, writable: true});
+		}
+		, checkKey = function(key) {
+			if ( key === null || (typeof key !== "object" && typeof key !== "function") ) {
+				throw new TypeError("Invalid value used as weak map key");
+			}
+			return key;
+		}
+		, weakMapRecord = function(weakMap) {
+			let record = weakMap instanceof WeakMap && weakMap["__weakmap__"];
+			if ( !record ) {
+				throw new TypeError(weakMap + " is not a WeakMap");
+			}
+			return record;
+		}
+		, indexOfFrozenKey = function(record, key) {
+			return record.frozenKeys.indexOf(key);
+		}
+	;
+
+	let WeakMap = function WeakMap(iterable) {
+		if ( !(this instanceof WeakMap) ) {
+			throw new TypeError("Constructor WeakMap requires 'new'");
+		}
+
+		defineValue(this, "__weakmap__", {key: "@@WeakMap:" + uid++, frozenKeys: [], frozenValues: []});
+
+		if ( iterable !== void 0 && iterable !== null ) {
+			let entries = _Object(iterable);
+			for ( let i = 0, len = entries.length ; i < len ; i++ ) {
+				this.set(entries[i][0], entries[i][1]);
+			}
+		}
+	};
+
+	defineValue(WeakMap.prototype, "get", function(key) {
+		let record = weakMapRecord(this);
+		if ( key === null || (typeof key !== "object" && typeof key !== "function") ) {
+			return void 0;
+		}
+		if ( hasOwnProperty.call(key, record.key) ) {
+			return key[record.key];
+		}
+		let index = indexOfFrozenKey(record, key);
+		return index === -1 ? void 0 : record.frozenValues[index];
+	});
+	defineValue(WeakMap.prototype, "set", function(key, value) {
+		let record = weakMapRecord(this);
+		checkKey(key);
+		if ( hasOwnProperty.call(key, record.key) ) {
+			key[record.key] = value;
+		}
+		else if ( _Object.isExtensible(key) ) {
+			defineValue(key, record.key, value);
+		}
+		else {
+			let index = indexOfFrozenKey(record, key);
+			if ( index === -1 ) {
+				index = record.frozenKeys.push(key) - 1;
+			}
+			record.frozenValues[index] = value;
+		}
+		return this;
+	});
+	defineValue(WeakMap.prototype, "has", function(key) {
+		let record = weakMapRecord(this);
+		if ( key === null || (typeof key !== "object" && typeof key !== "function") ) {
+			return false;
+		}
+		return hasOwnProperty.call(key, record.key) || indexOfFrozenKey(record, key) !== -1;
+	});
+	defineValue(WeakMap.prototype, "delete", function(key) {
+		let record = weakMapRecord(this);
+		if ( !this.has(key) ) {
+			return false;
+		}
+		if ( hasOwnProperty.call(key, record.key) ) {
+			delete key[record.key];
+		}
+		else {
+			let index = indexOfFrozenKey(record, key);
+			record.frozenKeys.splice(index, 1);
+			record.frozenValues.splice(index, 1);
+		}
+		return true;
+	});
+
+	global["WeakMap"] = WeakMap;
+}
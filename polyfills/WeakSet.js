@@ -0,0 +1,77 @@
+/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// WeakSet polyfill: used by the private class methods
+//  the membership is stored in the hidden (not enumerable) property of the object, so it is collected with the object.
+//  The objects which are not extensible are kept in the list of the WeakSet instance.
+
+if ( typeof (new Function("return this"))()["WeakSet"] !== "function" ) {
+	let global = (new Function("return this"))()
+		, _Object = global["Object"]
+		, defineProperty = _Object.defineProperty
+		, hasOwnProperty = _Object.prototype.hasOwnProperty
+		, uid = 0
+		, defineValue = function(object, key, value) {
+			defineProperty(object, key, {value: value, configurable: true, enumerable: false, writable: true});
+		}
+		, isObject = function(value) {
+			return value !== null && (typeof value === "object" || typeof value === "function");
+		}
+		, weakSetRecord = function(weakSet) {
+			let record = weakSet instanceof WeakSet && weakSet["__weakset__"];
+			if ( !record ) {
+				throw new TypeError(weakSet + " is not a WeakSet");
+			}
+			return record;
+		}
+	;
+
+	let WeakSet = function WeakSet(iterable) {
+		if ( !(this instanceof WeakSet) ) {
+			throw new TypeError("Constructor WeakSet requires 'new'");
+		}
+
+		defineValue(this, "__weakset__", {key: "@@WeakSet:" + uid++, frozenValues: []});
+
+		if ( iterable !== void 0 && iterable !== null ) {
+			let values = _Object(iterable);
+			for ( let i = 0, len = values.length ; i < len ; i++ ) {
+				this.add(values[i]);
+			}
+		}
+	};
+
+	defineValue(WeakSet.prototype, "add", function(value) {
+		let record = weakSetRecord(this);
+		if ( !isObject(value) ) {
+			throw new TypeError("Invalid value used in weak set");
+		}
+		if ( this.has(value) ) {
+			return this;
+		}
+		if ( _Object.isExtensible(value) ) {
+			defineValue(value, record.key, true);
+		}
+		else {
+			record.frozenValues.push(value);
+		}
+		return this;
+	});
+	defineValue(WeakSet.prototype, "has", function(value) {
+		let record = weakSetRecord(this);
+		return isObject(value) && (hasOwnProperty.call(value, record.key) || record.frozenValues.indexOf(value) !== -1);
+	});
+	defineValue(WeakSet.prototype, "delete", function(value) {
+		let record = weakSetRecord(this);
+		if ( !this.has(value) ) {
+			return false;
+		}
+		if ( hasOwnProperty.call(value, record.key) ) {
+			delete value[record.key];
+		}
+		else {
+			record.frozenValues.splice(record.frozenValues.indexOf(value), 1);
+		}
+		return true;
+	});
+
+	global["WeakSet"] = WeakSet;
+}
@@ -155,7 +155,18 @@ for ( let file of tests ) {
 			continue;
 		}
 
-		result = es6transpiler.run({src, filename, polyfillsSeparator: "\/* <[tests es6-transpiler test file EOF ]> *\/"});
+		let options = {src, filename, polyfillsSeparator: "\/* <[tests es6-transpiler test file EOF ]> *\/"};
+
+		// additional transpiler options for the test (if any)
+		let testOptions = slurp(`${ pathToTests }/${ file.slice(0, -3) }-options.json`);
+		if ( testOptions ) {
+			testOptions = JSON.parse(testOptions);
+			for ( let name in testOptions ) if ( testOptions.hasOwnProperty(name) ) {
+				options[name] = testOptions[name];
+			}
+		}
+
+		result = es6transpiler.run(options);
 		errors = result.errors.join("\n");
 	}
 	catch(e) {
@@ -0,0 +1,25 @@
+"use strict";
+
+class A {
+    m() {
+        A = null;
+    }
+    static s() {
+        A++;
+    }
+}
+
+var B = class C {
+    m() {
+        C = null;
+    }
+};
+
+A = null;
+
+class D {
+    m() {
+        let D = 1;
+        D = 2;
+    }
+}
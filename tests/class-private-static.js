@@ -0,0 +1,7 @@
+class A {
+	static #count = 0;
+	static #next() {
+		return ++A.#count;
+	}
+	#id = A.#next();
+}
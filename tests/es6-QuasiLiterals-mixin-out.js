@@ -1,4 +1,4 @@
-var SLICE$0 = Array.prototype.slice;var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function ITER$0(v,f){if(v){if(Array.isArray(v))return f?v.slice():v;var i,r;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){i=f.call(v);r=[];}else if((v+'')==='[object Generator]'){i=v;r=[];};if(S_MARK$0)S_MARK$0(void 0);if(r) {while((f=i['next']()),f['done']!==true)r.push(f['value']);return r;}}throw new Error(v+' is not iterable')};var $D$0;var $freeze$0 = Object.freeze;var $defProps$0 = Object.defineProperties;var $TS$0 = $freeze$0($defProps$0(["\nstring", "string", "string\n"], {"raw": {"value": $freeze$0(["\nstring", "string", "string\\n"])}}));function GET_ITER$0(v){if(v){if(Array.isArray(v))return 0;var f;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){if(S_MARK$0)S_MARK$0(void 0);return f.call(v);}if(S_MARK$0)S_MARK$0(void 0);if((v+'')==='[object Generator]')return v;}throw new Error(v+' is not iterable')};
+var SLICE$0 = Array.prototype.slice;var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function ITER$0(v,f){if(v){if(Array.isArray(v))return f?v.slice():v;var i,r;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){i=f.call(v);r=[];}else if((v+'')==='[object Generator]'){i=v;r=[];};if(S_MARK$0)S_MARK$0(void 0);if(r) {while((f=i['next']()),f['done']!==true)r.push(f['value']);return r;}}throw new Error(v+' is not iterable')};var $D$0;function ITER_CLOSE$0(i,r){var f;if(i!==0&&r&&r["done"]!==true&&typeof (f=i["return"])==='function')f.call(i)};function DES_ITER$0(v,n){if(Array.isArray(v)||typeof v==='string')return v;var f,i,r,s={};if(S_MARK$0)S_MARK$0(v);if(v!=null)f=v[S_ITER$0];if(S_MARK$0)S_MARK$0(void 0);if(typeof f!=='function'){if(v!=null)return v;throw new TypeError(v+' is not iterable')}i=f.call(v);r=[];while(n===void 0||r.length<n){if((s=i["next"]())["done"])return r;r.push(s["value"])}ITER_CLOSE$0(i,s);return r};var DP$0 = Object.defineProperty;function TEMPLATE$0(c,r){var f=Object.freeze||function(o){return o};return f(DP$0(c,"raw",{"value":f(r||c.slice())}))};var $TS$0 = TEMPLATE$0(["\nstring", "string", "string\n"], ["\nstring", "string", "string\\n"]);function GET_ITER$0(v){if(v){if(Array.isArray(v))return 0;var f;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){if(S_MARK$0)S_MARK$0(void 0);return f.call(v);}if(S_MARK$0)S_MARK$0(void 0);if((v+'')==='[object Generator]')return v;}throw new Error(v+' is not iterable')};
 var arr = [1, 2, 3, 4, 5, 6], obj = { arr: arr, method: function(){ return ("value") } };
 
 {// array comprehentions
@@ -40,7 +40,7 @@ var arr = [1, 2, 3, 4, 5, 6], obj = { arr: arr, method: function(){ return ("val
 
 {// array destructuring assignment
 	var a$3 = 1, b$3 = [9];
-	var str$3 = (("<<{" + ((a$3 = ($D$0 = [b$3, a$3])[0][0], b$3 = $D$0[1], $D$0))) + "}>>");
+	var str$3 = (("<<{" + ((a$3 = (DES_ITER$0(($D$0 = [b$3, a$3])[0], 1))[0], b$3 = $D$0[1], $D$0))) + "}>>");
 	console.log(str$3 === "<<{" + [a$3, b$3] + "}>>", a$3 === 9, b$3 === 1);
 }
 
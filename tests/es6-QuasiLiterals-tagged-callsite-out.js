@@ -0,0 +1,33 @@
+"use strict";var DP$0 = Object.defineProperty;function TEMPLATE$0(c,r){var f=Object.freeze||function(o){return o};return f(DP$0(c,"raw",{"value":f(r||c.slice())}))};var $TS$0 = TEMPLATE$0(["a", "b"]);var $TS$1 = TEMPLATE$0(["a", "b"]);var $TS$2 = TEMPLATE$0(["loop", "\n"], ["loop", "\\n"]);var $TS$3 = TEMPLATE$0(["nested"]);
+
+function tag(strings) {
+	return strings;
+}
+
+// the same template object for each evaluation of the call site
+function site1(value) {
+	return tag($TS$0, value);
+}
+function site2(value) {
+	return tag($TS$1, value);
+}
+console.log(site1(1) === site1(2), site1(1) !== site2(1));
+
+var fromLoop = [];
+for (var i = 0 ; i < 3 ; i++) {
+	fromLoop.push(tag($TS$2, i));
+}
+console.log(fromLoop[0] === fromLoop[1] && fromLoop[1] === fromLoop[2]);
+
+function nested() {
+	return (function() {
+		return tag($TS$3);
+	})();
+}
+console.log(nested() === nested());
+
+// frozen strings and the not enumerable frozen 'raw'
+var strings = site1(0);
+console.log(Object.isFrozen(strings), Object.isFrozen(strings.raw));
+console.log(Object.keys(strings).join() === "0,1", Object.getOwnPropertyDescriptor(strings, "raw").enumerable === false);
+console.log(fromLoop[0].raw[1] === "\\n", fromLoop[0][1] === "\n", strings.raw !== strings);
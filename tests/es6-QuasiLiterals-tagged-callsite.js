@@ -0,0 +1,33 @@
+"use strict";
+
+function tag(strings) {
+	return strings;
+}
+
+// the same template object for each evaluation of the call site
+function site1(value) {
+	return tag`a${value}b`;
+}
+function site2(value) {
+	return tag`a${value}b`;
+}
+console.log(site1(1) === site1(2), site1(1) !== site2(1));
+
+var fromLoop = [];
+for (let i = 0 ; i < 3 ; i++) {
+	fromLoop.push(tag`loop${i}\n`);
+}
+console.log(fromLoop[0] === fromLoop[1] && fromLoop[1] === fromLoop[2]);
+
+function nested() {
+	return (function() {
+		return tag`nested`;
+	})();
+}
+console.log(nested() === nested());
+
+// frozen strings and the not enumerable frozen 'raw'
+var strings = site1(0);
+console.log(Object.isFrozen(strings), Object.isFrozen(strings.raw));
+console.log(Object.keys(strings).join() === "0,1", Object.getOwnPropertyDescriptor(strings, "raw").enumerable === false);
+console.log(fromLoop[0].raw[1] === "\\n", fromLoop[0][1] === "\n", strings.raw !== strings);
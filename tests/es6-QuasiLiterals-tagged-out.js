@@ -1,4 +1,4 @@
-var $freeze$0 = Object.freeze;var $defProps$0 = Object.defineProperties;var $TS$0 = ["one"];$TS$0 = $freeze$0($defProps$0($TS$0, {"raw": {"value": $TS$0}}));var $TS$1 = $freeze$0($defProps$0(["\n<", ">\t - \n<", ">\t"], {"raw": {"value": $freeze$0(["\\n<", ">\\t - \\n<", ">\\t"])}}));var $TS$3 = $freeze$0($defProps$0(["\0"], {"raw": {"value": $freeze$0(["\\0"])}}));var $TS$4 = $freeze$0($defProps$0(["\b"], {"raw": {"value": $freeze$0(["\\b"])}}));var $TS$5 = $freeze$0($defProps$0(["\f"], {"raw": {"value": $freeze$0(["\\f"])}}));var $TS$6 = $freeze$0($defProps$0(["\n"], {"raw": {"value": $freeze$0(["\\n"])}}));var $TS$7 = $freeze$0($defProps$0(["\r"], {"raw": {"value": $freeze$0(["\\r"])}}));var $TS$8 = $freeze$0($defProps$0(["\t"], {"raw": {"value": $freeze$0(["\\t"])}}));var $TS$9 = $freeze$0($defProps$0(["\v"], {"raw": {"value": $freeze$0(["\\v"])}}));var $TS$10 = $freeze$0($defProps$0(["\\"], {"raw": {"value": $freeze$0(["\\\\"])}}));var $TS$11 = ["\""];$TS$11 = $freeze$0($defProps$0($TS$11, {"raw": {"value": $TS$11}}));var $TS$12 = ["'"];$TS$12 = $freeze$0($defProps$0($TS$12, {"raw": {"value": $TS$12}}));var $TS$13 = ["\"\""];$TS$13 = $freeze$0($defProps$0($TS$13, {"raw": {"value": $TS$13}}));var $TS$14 = ["''"];$TS$14 = $freeze$0($defProps$0($TS$14, {"raw": {"value": $TS$14}}));var $TS$15 = $freeze$0($defProps$0(["\"\"\""], {"raw": {"value": $freeze$0(["\"\\\"\""])}}));var $TS$16 = $freeze$0($defProps$0(["'\''"], {"raw": {"value": $freeze$0(["'\\''"])}}));var $TS$17 = $freeze$0($defProps$0(["\x22\x21\x224"], {"raw": {"value": $freeze$0(["\\x22\\x21\\x224"])}}));var $TS$18 = $freeze$0($defProps$0(["\u2222\u2221\u22449"], {"raw": {"value": $freeze$0(["\\u2222\\u2221\\u22449"])}}));var $TS$19 = ["<table>", "</table>"];$TS$19 = $freeze$0($defProps$0($TS$19, {"raw": {"value": $TS$19}}));var $TS$20 = ["<tr>", "</tr>"];$TS$20 = $freeze$0($defProps$0($TS$20, {"raw": {"value": $TS$20}}));var $TS$21 = ["<td>", "</td>"];$TS$21 = $freeze$0($defProps$0($TS$21, {"raw": {"value": $TS$21}}));var assert = function(a, m){ if(!a)throw new Error(m||"") }
+var DP$0 = Object.defineProperty;function TEMPLATE$0(c,r){var f=Object.freeze||function(o){return o};return f(DP$0(c,"raw",{"value":f(r||c.slice())}))};var $TS$0 = TEMPLATE$0(["one"]);var $TS$1 = TEMPLATE$0(["\n<", ">\t - \n<", ">\t"], ["\\n<", ">\\t - \\n<", ">\\t"]);var $TS$4 = TEMPLATE$0(["\0"], ["\\0"]);var $TS$5 = TEMPLATE$0(["\b"], ["\\b"]);var $TS$6 = TEMPLATE$0(["\f"], ["\\f"]);var $TS$7 = TEMPLATE$0(["\n"], ["\\n"]);var $TS$8 = TEMPLATE$0(["\r"], ["\\r"]);var $TS$9 = TEMPLATE$0(["\t"], ["\\t"]);var $TS$10 = TEMPLATE$0(["\v"], ["\\v"]);var $TS$11 = TEMPLATE$0(["\\"], ["\\\\"]);var $TS$12 = TEMPLATE$0(["\""]);var $TS$13 = TEMPLATE$0(["'"]);var $TS$14 = TEMPLATE$0(["\"\""]);var $TS$15 = TEMPLATE$0(["''"]);var $TS$16 = TEMPLATE$0(["\"\"\""], ["\"\\\"\""]);var $TS$17 = TEMPLATE$0(["'\''"], ["'\\''"]);var $TS$18 = TEMPLATE$0(["\x22\x21\x224"], ["\\x22\\x21\\x224"]);var $TS$19 = TEMPLATE$0(["\u2222\u2221\u22449"], ["\\u2222\\u2221\\u22449"]);var $TS$20 = TEMPLATE$0(["<table>", "</table>"]);var $TS$21 = TEMPLATE$0(["<tr>", "</tr>"]);var $TS$22 = TEMPLATE$0(["<td>", "</td>"]);var assert = function(a, m){ if(!a)throw new Error(m||"") }
 
 var filter = void 0;
 function test(quasis){var SLICE$0 = Array.prototype.slice;var expressionValues = SLICE$0.call(arguments, 1);
@@ -47,25 +47,25 @@ var name = ("name");
 //	let c = String.raw`\n<${ 40 + 2 }>\t - \n<${ name }>\t`;
 //	console.log(c === '\\n<42>\\t - \\n<name>\\t' )
 
-	(function() {var $TS$2 = $freeze$0($defProps$0(["\n<{", "}>\t - \n<{", "}>\t"], {"raw": {"value": $freeze$0(["\\n<{", "}>\\t - \\n<{", "}>\\t"])}}));
-		var a1 = test($TS$1,  1 ,  2 );
+	(function() {var $TS$2 = TEMPLATE$0(["\n<", ">\t - \n<", ">\t"], ["\\n<", ">\\t - \\n<", ">\\t"]);var $TS$3 = TEMPLATE$0(["\n<{", "}>\t - \n<{", "}>\t"], ["\\n<{", "}>\\t - \\n<{", "}>\\t"]);
+		var a1 = test($TS$2,  1 ,  2 );
 		console.log(a1 === '\\n<(1)>\\t - \\n<(2)>\\t');
 
-		var a2 = test($TS$2,  3 ,  4 );
+		var a2 = test($TS$3,  3 ,  4 );
 		console.log(a2 === '\\n<{(3)}>\\t - \\n<{(4)}>\\t');
 	})();
 }
 
 {// raw special symbols
-	var z0 = test($TS$3), b$0 = test($TS$4), f = test($TS$5), n = test($TS$6), r = test($TS$7), t = test($TS$8), v = test($TS$9), bs = test($TS$10), q1 = test($TS$11), q2 = test($TS$12), q1q1 = test($TS$13), q2q2 = test($TS$14), q1_q1q1 = test($TS$15), q2_q2q2 = test($TS$16);
+	var z0 = test($TS$4), b$0 = test($TS$5), f = test($TS$6), n = test($TS$7), r = test($TS$8), t = test($TS$9), v = test($TS$10), bs = test($TS$11), q1 = test($TS$12), q2 = test($TS$13), q1q1 = test($TS$14), q2q2 = test($TS$15), q1_q1q1 = test($TS$16), q2_q2q2 = test($TS$17);
 	var string = (("" + z0) + ("|" + b$0) + ("|" + f) + ("|" + n) + ("|" + r) + ("|" + t) + ("|" + v) + ("|" + bs) + ("|" + q1) + ("|" + q2) + ("|" + q1q1) + ("|" + q2q2) + ("|" + q1_q1q1) + ("|" + q2_q2q2) + "");
 	console.log(string === "\\0|\\b|\\f|\\n|\\r|\\t|\\v|\\\\|\"|'|\"\"|''|\"\\\"\"|'\\''");
 }
 
 {// raw unicode, hex
-	var hex = test($TS$17);
+	var hex = test($TS$18);
 	console.log(hex === "\\x22\\x21\\x224");
-	var unicode = test($TS$18);
+	var unicode = test($TS$19);
 	console.log(unicode === "\\u2222\\u2221\\u22449");
 }
 
@@ -77,11 +77,11 @@ var name = ("name");
 	};
 
 	var rows = [['Unicorns', 'Sunbeams', 'Puppies'], ['<3', '<3', '<3']];
-	var html = test($TS$19, 
+	var html = test($TS$20, 
 		rows.map(function(row) {
-			return test($TS$20, 
+			return test($TS$21, 
 				row.map(function(cell) 
-					{return test($TS$21, cell)}
+					{return test($TS$22, cell)}
 				)
 			)
 		})
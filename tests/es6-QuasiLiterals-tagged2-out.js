@@ -1,4 +1,4 @@
-var $freeze$0 = Object.freeze;var $defProps$0 = Object.defineProperties;var $TS$0 = ["\nCREATE DATABASE IF NOT EXISTS ", ""];$TS$0 = $freeze$0($defProps$0($TS$0, {"raw": {"value": $TS$0}}));var $TS$1 = ["\nCREATE TABLE IF NOT EXISTS ", ".", " (\n  ", " char(72) NOT NULL DEFAULT '-',\n  ", " text NOT NULL,\n  ", " text NOT NULL DEFAULT '',\n  ", " varchar(64) NOT NULL DEFAULT '',\n  ", " varchar(15) NOT NULL,\n  ", " TINYINT(1) NOT NULL DEFAULT 0,\n  PRIMARY KEY (", "),\n  UNIQUE KEY ", " (", "),\n  KEY TASK (", ")\n) ENGINE=InnoDB DEFAULT CHARSET=utf8;\n\nCREATE TABLE IF NOT EXISTS ", ".", " (\n  ", " char(72) NOT NULL DEFAULT '-',\n  ", " char(72) NOT NULL,\n  ", " varchar(2) NOT NULL,\n  ", " text NOT NULL,\n  ", " varchar(15) NOT NULL,\n  PRIMARY KEY (", "),\n  UNIQUE KEY ", " (", "),\n  KEY TASK (", ")\n) ENGINE=InnoDB DEFAULT CHARSET=utf8"];$TS$1 = $freeze$0($defProps$0($TS$1, {"raw": {"value": $TS$1}}));var $TS$2 = ["\nDROP TRIGGER IF EXISTS ", ".", ""];$TS$2 = $freeze$0($defProps$0($TS$2, {"raw": {"value": $TS$2}}));var $TS$3 = ["\nCREATE\nTRIGGER ", ".", "\nBEFORE INSERT\nON ", ".", " FOR EACH ROW\nSET NEW.id_hash = concat(sha1(NEW.msgid), md5(NEW.msgid))"];$TS$3 = $freeze$0($defProps$0($TS$3, {"raw": {"value": $TS$3}}));var $TS$4 = ["\nCREATE\nTRIGGER ", ".", "\nBEFORE UPDATE\nON ", ".", " FOR EACH ROW\nSET NEW.id_hash = concat(sha1(NEW.msgid), md5(NEW.msgid))"];$TS$4 = $freeze$0($defProps$0($TS$4, {"raw": {"value": $TS$4}}));
+var DP$0 = Object.defineProperty;function TEMPLATE$0(c,r){var f=Object.freeze||function(o){return o};return f(DP$0(c,"raw",{"value":f(r||c.slice())}))};var $TS$0 = TEMPLATE$0(["\nCREATE DATABASE IF NOT EXISTS ", ""]);var $TS$1 = TEMPLATE$0(["\nCREATE TABLE IF NOT EXISTS ", ".", " (\n  ", " char(72) NOT NULL DEFAULT '-',\n  ", " text NOT NULL,\n  ", " text NOT NULL DEFAULT '',\n  ", " varchar(64) NOT NULL DEFAULT '',\n  ", " varchar(15) NOT NULL,\n  ", " TINYINT(1) NOT NULL DEFAULT 0,\n  PRIMARY KEY (", "),\n  UNIQUE KEY ", " (", "),\n  KEY TASK (", ")\n) ENGINE=InnoDB DEFAULT CHARSET=utf8;\n\nCREATE TABLE IF NOT EXISTS ", ".", " (\n  ", " char(72) NOT NULL DEFAULT '-',\n  ", " char(72) NOT NULL,\n  ", " varchar(2) NOT NULL,\n  ", " text NOT NULL,\n  ", " varchar(15) NOT NULL,\n  PRIMARY KEY (", "),\n  UNIQUE KEY ", " (", "),\n  KEY TASK (", ")\n) ENGINE=InnoDB DEFAULT CHARSET=utf8"]);var $TS$2 = TEMPLATE$0(["\nDROP TRIGGER IF EXISTS ", ".", ""]);var $TS$3 = TEMPLATE$0(["\nCREATE\nTRIGGER ", ".", "\nBEFORE INSERT\nON ", ".", " FOR EACH ROW\nSET NEW.id_hash = concat(sha1(NEW.msgid), md5(NEW.msgid))"]);var $TS$4 = TEMPLATE$0(["\nDROP TRIGGER IF EXISTS ", ".", ""]);var $TS$5 = TEMPLATE$0(["\nCREATE\nTRIGGER ", ".", "\nBEFORE UPDATE\nON ", ".", " FOR EACH ROW\nSET NEW.id_hash = concat(sha1(NEW.msgid), md5(NEW.msgid))"]);
 var DATABASE_NAME = 'database'
 	, MESSAGES_TABLE_NAME = 'msgid'
 	, PLURALS_TABLE_NAME = 'plural'
@@ -89,9 +89,9 @@ var sql_createInsertTrigger = create_sql($TS$3
 , DATABASE_NAME, MESSAGES_TABLE_NAME
 );
 
-var sql_dropUpdateTrigger = create_sql($TS$2
+var sql_dropUpdateTrigger = create_sql($TS$4
 , DATABASE_NAME, MESSAGES_TABLE_NAME + "_u_hash");
-var sql_createUpdateTrigger = create_sql($TS$4
+var sql_createUpdateTrigger = create_sql($TS$5
 
 , DATABASE_NAME, MESSAGES_TABLE_NAME + "_u_hash"
 
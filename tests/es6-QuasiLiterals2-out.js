@@ -1,4 +1,4 @@
-var $freeze$0 = Object.freeze;var $defProps$0 = Object.defineProperties;var $TS$0 = $freeze$0($defProps$0(["\nCREATE\"\nTRIGGER ", ".", "\nBEFORE UPDATE ON\\\"\nFOR EACH ROW\nSET NEW.id_hash = concat(sha1(NEW.msgid), md5(NEW.msgid));\n"], {"raw": {"value": $freeze$0(["\nCREATE\\\"\nTRIGGER ", ".", "\nBEFORE UPDATE ON\\\\\"\nFOR EACH ROW\nSET NEW.id_hash = concat(sha1(NEW.msgid), md5(NEW.msgid));\\n"])}}));var $TS$1 = $freeze$0($defProps$0(["\t\s\b\v\t\g\n\r\n!@#$%&^**()+_)(*''\\\``\"\"\uD808\uDF45"], {"raw": {"value": $freeze$0(["\\t\\s\\b\\v\\t\\g\\n\\r\\n!@#$%&^**()+_)(*''\\\\\\`\\`\\\"\\\"\\u{12345}"])}}));var $TS$2 = $freeze$0($defProps$0(["\\t\\s\\b\\v\\t\\g\\n\\r\\n\!\@\#$\%\&\^\*\*\(\)\+\_\)\(\*\'\'\\\\\\\`\\\`\\\"\\\"\uD808\uDF45"], {"raw": {"value": $freeze$0(["\\\\t\\\\s\\\\b\\\\v\\\\t\\\\g\\\\n\\\\r\\\\n\\!\\@\\#\\$\\%\\&\\^\\*\\*\\(\\)\\+\\_\\)\\(\\*\\'\\'\\\\\\\\\\\\\\`\\\\\\`\\\\\\\"\\\\\"\\u{12345}"])}}));
+var DP$0 = Object.defineProperty;function TEMPLATE$0(c,r){var f=Object.freeze||function(o){return o};return f(DP$0(c,"raw",{"value":f(r||c.slice())}))};var $TS$0 = TEMPLATE$0(["\nCREATE\"\nTRIGGER ", ".", "\nBEFORE UPDATE ON\\\"\nFOR EACH ROW\nSET NEW.id_hash = concat(sha1(NEW.msgid), md5(NEW.msgid));\n"], ["\nCREATE\\\"\nTRIGGER ", ".", "\nBEFORE UPDATE ON\\\\\"\nFOR EACH ROW\nSET NEW.id_hash = concat(sha1(NEW.msgid), md5(NEW.msgid));\\n"]);var $TS$1 = TEMPLATE$0(["\t\s\b\v\t\g\n\r\n!@#$%&^**()+_)(*''\\\``\"\"\uD808\uDF45"], ["\\t\\s\\b\\v\\t\\g\\n\\r\\n!@#$%&^**()+_)(*''\\\\\\`\\`\\\"\\\"\\u{12345}"]);var $TS$2 = TEMPLATE$0(["\\t\\s\\b\\v\\t\\g\\n\\r\\n\!\@\#$\%\&\^\*\*\(\)\+\_\)\(\*\'\'\\\\\\\`\\\`\\\"\\\"\uD808\uDF45"], ["\\\\t\\\\s\\\\b\\\\v\\\\t\\\\g\\\\n\\\\r\\\\n\\!\\@\\#\\$\\%\\&\\^\\*\\*\\(\\)\\+\\_\\)\\(\\*\\'\\'\\\\\\\\\\\\\\`\\\\\\`\\\\\\\"\\\\\"\\u{12345}"]);
 {// tagged
 	var sql_createUpdateTrigger = tag($TS$0
 
@@ -0,0 +1,64 @@
+;applyPolyfills$0();var DP$0 = Object.defineProperty;function TEMPLATE$0(c,r){var f=Object.freeze||function(o){return o};return f(DP$0(c,"raw",{"value":f(r||c.slice())}))};var $TS$0 = TEMPLATE$0(["a\n", "\t"], ["a\\n", "\\t"]);/*es6-transpiler includePolyfills:true */
+
+// String.raw keeps the escape sequences untouched
+var value = 2;
+console.log(String.raw($TS$0, value) === "a\\n2\\t");
+
+// the computed member access
+console.log(String["raw"]({raw: ["x", "y", "z"]}, 1, 2) === "x1y2z");
+
+// the alias of the global String
+var S = String;
+var rawAlias = S;
+console.log(rawAlias.raw({raw: "abc"}, "-", "+", "*") === "a-b+c");
+
+// the destructuring
+var raw = String.raw;
+console.log(raw.call(String, {raw: ["only"]}, 1) === "only");
+
+// the missing raw property throws
+var thrown = false;
+try {
+	String.raw({});
+}
+catch(e) {
+	thrown = e instanceof TypeError;
+}
+console.log(thrown);/* <[tests es6-transpiler test file EOF ]> */
+function applyPolyfills$0(){"use strict";
+(function(){/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// String.raw polyfill: String.raw`\n${value}` or String.raw({raw: ["a", "b"]}, value)
+
+if ( typeof (new Function("return this"))()["String"]["raw"] !== "function" ) {
+	var _String = (new Function("return this"))()["String"];
+
+	_String["raw"] = function raw(callSite) {
+		if ( callSite == null ) {
+			throw new TypeError("Cannot convert undefined or null to object");
+		}
+
+		var rawStrings = callSite["raw"];
+		if ( rawStrings == null ) {
+			throw new TypeError("Cannot convert undefined or null to object");
+		}
+
+		var length = Math.floor(Number(rawStrings.length)) || 0
+			, substitutionsCount = arguments.length - 1
+			, result = ""
+		;
+
+		for ( var index = 0 ; index < length ; index++ ) {
+			result += String(rawStrings[index]);
+
+			if ( index + 1 < length && index < substitutionsCount ) {
+				result += String(arguments[index + 1]);
+			}
+		}
+
+		return result;
+	};
+}
+
+})();
+
+}
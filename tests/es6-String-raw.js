@@ -0,0 +1,27 @@
+/*es6-transpiler includePolyfills:true */
+
+// String.raw keeps the escape sequences untouched
+var value = 2;
+console.log(String.raw`a\n${value}\t` === "a\\n2\\t");
+
+// the computed member access
+console.log(String["raw"]({raw: ["x", "y", "z"]}, 1, 2) === "x1y2z");
+
+// the alias of the global String
+var S = String;
+var rawAlias = S;
+console.log(rawAlias.raw({raw: "abc"}, "-", "+", "*") === "a-b+c");
+
+// the destructuring
+var {raw} = String;
+console.log(raw.call(String, {raw: ["only"]}, 1) === "only");
+
+// the missing raw property throws
+var thrown = false;
+try {
+	String.raw({});
+}
+catch(e) {
+	thrown = e instanceof TypeError;
+}
+console.log(thrown);
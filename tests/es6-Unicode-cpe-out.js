@@ -1,4 +1,4 @@
-var $freeze$0 = Object.freeze;var $defProps$0 = Object.defineProperties;var $TS$0 = $freeze$0($defProps$0(["\uD834\uDF06"], {"raw": {"value": $freeze$0(["\\u{1D306}"])}}));var $TS$1 = $freeze$0($defProps$0(["first\uD834\uDF06"], {"raw": {"value": $freeze$0(["first\\u{1D306}"])}}));var $TS$2 = $freeze$0($defProps$0(["\u00A9\uD834\uDF06"], {"raw": {"value": $freeze$0(["\\u00A9\\u{1D306}"])}}));var $TS$3 = $freeze$0($defProps$0(["\uD834\uDF06second"], {"raw": {"value": $freeze$0(["\\u{1D306}second"])}}));var $TS$4 = $freeze$0($defProps$0(["\uD834\uDF06\u00A9"], {"raw": {"value": $freeze$0(["\\u{1D306}\\u00A9"])}}));var $TS$5 = $freeze$0($defProps$0(["\\u{1D306}\\u00A9"], {"raw": {"value": $freeze$0(["\\\\u{1D306}\\\\u00A9"])}}));
+var DP$0 = Object.defineProperty;function TEMPLATE$0(c,r){var f=Object.freeze||function(o){return o};return f(DP$0(c,"raw",{"value":f(r||c.slice())}))};var $TS$0 = TEMPLATE$0(["\uD834\uDF06"], ["\\u{1D306}"]);var $TS$1 = TEMPLATE$0(["first\uD834\uDF06"], ["first\\u{1D306}"]);var $TS$2 = TEMPLATE$0(["\u00A9\uD834\uDF06"], ["\\u00A9\\u{1D306}"]);var $TS$3 = TEMPLATE$0(["\uD834\uDF06second"], ["\\u{1D306}second"]);var $TS$4 = TEMPLATE$0(["\uD834\uDF06\u00A9"], ["\\u{1D306}\\u00A9"]);var $TS$5 = TEMPLATE$0(["\\u{1D306}\\u00A9"], ["\\\\u{1D306}\\\\u00A9"]);
 // Unicode-code-point-escapes
 // @see http://mathiasbynens.be/notes/javascript-escapes#unicode-code-point
 
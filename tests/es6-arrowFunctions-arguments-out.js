@@ -0,0 +1,48 @@
+// the arrow functions use the 'arguments' of the enclosing function
+function test1() {var arguments$0 = arguments;
+	var arrow = function()  {return arguments$0[0] + arguments$0.length};
+	var nested = function()  {var a = arguments[0];if(a === void 0)a = arguments$0[1];return function()  {return a + arguments$0[2]}};
+	var own = function() {var arguments$0 = arguments; return (function()  {return arguments$0.length})() };
+	return [arrow(10), nested()(), own()].join();
+}
+console.log(test1(1, 2, 3) === "4,5,0");
+
+// the own 'arguments' variable of the arrow function
+function test2() {
+	var param = function(arguments)  {return arguments};
+	var local = function()  { var arguments = 5; return arguments };
+	var block = function()  { { var arguments = 6; return arguments } };
+	return [param(4), local(), block(), arguments[0]].join();
+}
+console.log(test2(1) === "4,5,6,1");
+
+var obj = {
+	method: function() {var SLICE$0 = Array.prototype.slice;var rest = SLICE$0.call(arguments, 0);var arguments$0 = arguments;
+		return rest.map(function(value, index)  {return value === arguments$0[index]}).every(function(value)  {return value});
+	}
+};
+console.log(obj.method(1, 2, 3));
+
+// the loop body with the closure over the block-scoped variable is wrapped in the IIFE
+function loopClosures() {;var $args$0=arguments;
+	var result = [];
+	for ( var j = 0 ; j < 2 ; j++ ) {(function(){
+		var i = j;
+		result.push(function()  {return $args$0[0] + i});
+	})();}
+	return result;
+}
+console.log(loopClosures(10).map(function(fn)  {return fn()}).join() === "10,11");
+
+var loopObj = {
+	value: 5
+	, method: function() {;var $that$0=this;;var $args$0=arguments;
+		var result = [];
+		for ( var j = 0 ; j < 2 ; j++ ) {(function(){
+			var i = j;
+			result.push(function()  {return $that$0.value + $args$0.length + i});
+		})();}
+		return result;
+	}
+};
+console.log(loopObj.method(1).map(function(fn)  {return fn()}).join() === "6,7");
@@ -0,0 +1,48 @@
+// the arrow functions use the 'arguments' of the enclosing function
+function test1() {
+	var arrow = () => arguments[0] + arguments.length;
+	var nested = (a = arguments[1]) => () => a + arguments[2];
+	var own = function() { return (() => arguments.length)() };
+	return [arrow(10), nested()(), own()].join();
+}
+console.log(test1(1, 2, 3) === "4,5,0");
+
+// the own 'arguments' variable of the arrow function
+function test2() {
+	var param = (arguments) => arguments;
+	var local = () => { var arguments = 5; return arguments };
+	var block = () => { { let arguments = 6; return arguments } };
+	return [param(4), local(), block(), arguments[0]].join();
+}
+console.log(test2(1) === "4,5,6,1");
+
+var obj = {
+	method(...rest) {
+		return rest.map((value, index) => value === arguments[index]).every((value) => value);
+	}
+};
+console.log(obj.method(1, 2, 3));
+
+// the loop body with the closure over the block-scoped variable is wrapped in the IIFE
+function loopClosures() {
+	var result = [];
+	for ( var j = 0 ; j < 2 ; j++ ) {
+		let i = j;
+		result.push(() => arguments[0] + i);
+	}
+	return result;
+}
+console.log(loopClosures(10).map((fn) => fn()).join() === "10,11");
+
+var loopObj = {
+	value: 5
+	, method() {
+		var result = [];
+		for ( var j = 0 ; j < 2 ; j++ ) {
+			let i = j;
+			result.push(() => this.value + arguments.length + i);
+		}
+		return result;
+	}
+};
+console.log(loopObj.method(1).map((fn) => fn()).join() === "6,7");
@@ -1,4 +1,4 @@
-var SLICE$0 = Array.prototype.slice;var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function ITER$0(v,f){if(v){if(Array.isArray(v))return f?v.slice():v;var i,r;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){i=f.call(v);r=[];}else if((v+'')==='[object Generator]'){i=v;r=[];};if(S_MARK$0)S_MARK$0(void 0);if(r) {while((f=i['next']()),f['done']!==true)r.push(f['value']);return r;}}throw new Error(v+' is not iterable')};
+var SLICE$0 = Array.prototype.slice;var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function ITER_CLOSE$0(i,r){var f;if(i!==0&&r&&r["done"]!==true&&typeof (f=i["return"])==='function')f.call(i)};function DES_ITER$0(v,n){if(Array.isArray(v)||typeof v==='string')return v;var f,i,r,s={};if(S_MARK$0)S_MARK$0(v);if(v!=null)f=v[S_ITER$0];if(S_MARK$0)S_MARK$0(void 0);if(typeof f!=='function'){if(v!=null)return v;throw new TypeError(v+' is not iterable')}i=f.call(v);r=[];while(n===void 0||r.length<n){if((s=i["next"]())["done"])return r;r.push(s["value"])}ITER_CLOSE$0(i,s);return r};function ITER$0(v,f){if(v){if(Array.isArray(v))return f?v.slice():v;var i,r;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){i=f.call(v);r=[];}else if((v+'')==='[object Generator]'){i=v;r=[];};if(S_MARK$0)S_MARK$0(void 0);if(r) {while((f=i['next']()),f['done']!==true)r.push(f['value']);return r;}}throw new Error(v+' is not iterable')};
 {
 	var test11 = function(a) {var a = a.a;var rest = SLICE$0.call(arguments, 1);return [a, rest[0]]} 
 	console.log(test11({a: 1}, 2, 3, 4).join("|") === [1, 2].join("|"))
@@ -89,7 +89,7 @@ var SLICE$0 = Array.prototype.slice;var S_ITER$0 = typeof Symbol!=='undefined'&&
 {
 	var obj = {
 		test: function(a) {var a = a.a;var rest = SLICE$0.call(arguments, 1);
-			var test = function(d)  {var a = d[0], b = d[1], c = d[2], d = d[3];return a + b +
+			var test = function(d)  {var a = (d = DES_ITER$0(d, 4))[0], b = d[1], c = d[2], d = d[3];return a + b +
 				c + d}
 			return a + test([ ].concat(ITER$0(rest), [5]));//1 + 14
 		}
@@ -101,7 +101,7 @@ var SLICE$0 = Array.prototype.slice;var S_ITER$0 = typeof Symbol!=='undefined'&&
 	var obj$0 = {
 		test: function(a)  {var a = a.a;var rest = SLICE$0.call(arguments, 1);
 			return (
-				[a].concat(ITER$0((function(d)  {var a = d[0], b = d[1], c = d[2], d = d[3];return [a, b,
+				[a].concat(ITER$0((function(d)  {var a = (d = DES_ITER$0(d, 4))[0], b = d[1], c = d[2], d = d[3];return [a, b,
 					c]}
 				)([ ].concat(ITER$0(rest), [5]))))
 			)
@@ -113,7 +113,7 @@ var SLICE$0 = Array.prototype.slice;var S_ITER$0 = typeof Symbol!=='undefined'&&
 {
 	var obj$1 = {
 		test: function(a)  {var a = a.a;var rest = SLICE$0.call(arguments, 1);
-			return [a].concat(ITER$0((function(d)  {var a = d[0], b = d[1], c = d[2], d = d[3];return [a, b,
+			return [a].concat(ITER$0((function(d)  {var a = (d = DES_ITER$0(d, 4))[0], b = d[1], c = d[2], d = d[3];return [a, b,
 					c]}
 				)([ ].concat(ITER$0(rest), [5]))))
 		}
@@ -0,0 +1,114 @@
+"use strict";var S_STAG$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["toStringTag"]||'@@toStringTag';var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];var Generator$0 = Function["__Generator__"];if(!Generator$0){Function["__Generator__"]=Generator$0=function Generator(){if(!(this instanceof Generator$0))throw new TypeError('incompatible'+this);this["__next__"]=arguments[0];this["__throw__"]=arguments[1];this["__return__"]=arguments[2];};Generator$0.prototype={constructor:Generator$0,"next":function(val){if(!(this instanceof Generator$0))throw new TypeError('next method called on incompatible '+this);if(this["__next__"]){try {return this["__next__"](val);}catch(e){if(this["__throw__"])return this["__throw__"](e);else throw e;}}else return {"value":void 0,"done":true};},"throw":function(e){if(!(this instanceof Generator$0))throw new TypeError('throw method called on incompatible '+this);if(this&&this["__throw__"])return this["__throw__"](e);else throw e},"return":function(v){if(!(this instanceof Generator$0))throw new TypeError('return method called on incompatible '+this);if(this["__return__"])return this["__return__"](v);this["__next__"]=this["__throw__"]=null;return {"value":v,"done":true}},"toString":function(){return '[object Generator]'}};if(S_MARK$0)S_MARK$0(Generator$0.prototype);Generator$0.prototype[S_STAG$0]='Generator';Generator$0.prototype[S_ITER$0]=function(){return this};if(S_MARK$0)S_MARK$0(void 0);};function GEN$0(b,s){var c={"label":0,"sent":function(){if(v[0]===1)throw v[1];return v[1]},"trys":[],"ops":[]},v,d,r=false,a=true,n=false;function i(o){var f;if(S_MARK$0)S_MARK$0(o);if(o!=null&&typeof (f=o[S_ITER$0])==='function'){if(S_MARK$0)S_MARK$0(void 0);return f.call(o);}if(S_MARK$0)S_MARK$0(void 0);if(o!=null&&typeof o.length==='number'){f=0;return {"next":function(){return f<o.length?{"value":o[f++],"done":false}:{"value":void 0,"done":true}}}}throw new TypeError(o+' is not iterable')}function step(o){var t,f;if(r)throw new TypeError('Generator is already running');if(!n){n=true;if(o[0])a=false;}while(a)try{r=true;if(d){f=d[o[0]===2?"return":o[0]===1?"throw":"next"];if(typeof f!=='function'){t=d;d=void 0;if(o[0]===1){if(typeof (f=t["return"])==='function')f.call(t);throw new TypeError('The iterator does not provide a \'throw\' method');}if(!o[0])throw new TypeError('The iterator does not provide a \'next\' method');}else{t=f.call(d,o[1]);if(Object(t)!==t)throw new TypeError('Iterator result '+t+' is not an object');if(!t["done"])return t;d=void 0;o=[o[0]===2?2:0,t["value"]];}}switch(o[0]){case 0:case 1:v=o;break;case 4:c["label"]++;return {"value":o[1],"done":false};case 5:c["label"]++;d=i(o[1]);o=[0];continue;case 7:o=c["ops"].pop();c["trys"].pop();continue;default:t=c["trys"];t=t.length>0&&t[t.length-1];if(!t&&(o[0]===6||o[0]===2)){a=false;continue;}if(o[0]===3&&(!t||(o[1]>t[0]&&o[1]<t[3]))){c["label"]=o[1];break;}if(o[0]===6&&t[1]&&c["label"]<t[1]){c["label"]=t[1];v=o;break;}if(t[2]&&c["label"]<t[2]){c["label"]=t[2];c["ops"].push(o);break;}if(t[2])c["ops"].pop();c["trys"].pop();continue;}o=b.call(s,c);}catch(e){o=[6,e];d=void 0;}finally{r=false;}if(o[0]===1||o[0]===6)throw o[1];return {"value":o[0]===2?o[1]:void 0,"done":true};}return new Generator$0(function(v){return step([0,v])},function(e){return step([1,e])},function(v){return step([2,v])})};function ASYNC$0(b,s){var g=GEN$0(b,s);return new Promise(function(resolve,reject){function step(m,v){var r;try{r=g[m](v)}catch(e){reject(e);return}if(r["done"])resolve(r["value"]);else Promise.resolve(r["value"]).then(function(v){step("next",v)},function(e){step("throw",e)})}step("next")})};
+
+var later = function(value, isRejected) {
+	return new Promise(function(resolve, reject) {
+		setTimeout(function() { isRejected ? reject(value) : resolve(value) }, 1);
+	});
+};
+
+{// declarations, expressions, arrows and methods
+	function double(x) {return ASYNC$0(function($ctx$0){switch($ctx$0["label"]){case 0:
+		return [4, later(x)];case 1:return [2, ($ctx$0["sent"]() * 2)];}}, this);
+	}
+
+	var expr = function() {var arguments$0 = arguments, $t$0;return ASYNC$0(function($ctx$0){switch($ctx$0["label"]){case 0:
+		$t$0 = arguments$0.length;return [4, this.value];case 1:return [2, ($t$0 + $ctx$0["sent"]())];}}, this);
+	};
+
+	var arrow = function(x ) {return ASYNC$0(function($ctx$0){switch($ctx$0["label"]){case 0:return [4, double(x)];case 1:return [2, ($ctx$0["sent"]() + 1)];}}, this);};
+
+	var Store = (function(){var PRS$0 = (function(o,t){o["__proto__"]={"a":t};return o["a"]===t})({},{});var DP$0 = Object.defineProperty;var GOPD$0 = Object.getOwnPropertyDescriptor;var MIXIN$0 = function(t,s){for(var p in s){if(s.hasOwnProperty(p)){DP$0(t,p,GOPD$0(s,p));}}return t};var static$0={},proto$0={};
+		function Store(value) {
+			this.value = value;
+		}DP$0(Store,"prototype",{"configurable":false,"enumerable":false,"writable":false});
+
+		proto$0.get = function() {var this$0, getValue;return ASYNC$0(function($ctx$0){switch($ctx$0["label"]){case 0:this$0 = this;
+			getValue = function()  {return ASYNC$0(function($ctx$0){switch($ctx$0["label"]){case 0:return [4, later(this$0.value)];case 1:return [2, $ctx$0["sent"]()];}}, this);};
+			return [4, getValue()];case 1:return [2, $ctx$0["sent"]()];}}, this);
+		};
+
+		static$0.create = function(value) {var $t$0;return ASYNC$0(function($ctx$0){switch($ctx$0["label"]){case 0:
+			$t$0 = Store;return [4, value];case 1:return [2, new $t$0($ctx$0["sent"]())];}}, this);
+		};
+	MIXIN$0(Store,static$0);MIXIN$0(Store.prototype,proto$0);static$0=proto$0=void 0;return Store;})();
+
+	var obj = {
+		prefix: "obj:"
+		, concat: function(a, b) {var $t$0, $t$1;return ASYNC$0(function($ctx$0){switch($ctx$0["label"]){case 0:
+			$t$0 = this.prefix;return [4, a];case 1:$t$1 = ($t$0 + $ctx$0["sent"]());return [4, b];case 2:return [2, ($t$1 + $ctx$0["sent"]())];}}, this);
+		}
+	};
+
+	Promise.all([double(2), expr.call({value: later(10)}, 1, 2), arrow(3), Store.create(later(5)).then(function(store) { return store.get() }), obj.concat(later("a"), "b")]).then(function(results) {
+		console.log(results.join("|") === "4|12|7|5|obj:ab");
+	});
+
+	var result = double(1);
+	console.log(result instanceof Promise, typeof result.then === "function");
+}
+
+{// await inside loops and conditionals
+	function sum(list) {var total, i, $t$0, $t$1;return ASYNC$0(function($ctx$0){switch($ctx$0["label"]){case 0:
+		total = 0;
+		i = 0;$ctx$0["label"] = 1;case 1:if (!(i < list.length)) return [3, 6];
+			if (!(typeof list[i] === "number")) return [3, 3];
+				$t$0 = total;return [4, later(list[i])];case 2:(total = $t$0 + $ctx$0["sent"]());return [3, 5];case 3:
+
+
+				$t$1 = total;return [4, list[i]];case 4:(total = $t$1 + ($ctx$0["sent"]() ? 100 : 0));$ctx$0["label"] = 5;case 5:i++;return [3, 1];case 6:
+
+
+		if (!(total > 1000)) return [3, 8];return [4, later(total / 10)];case 7:(total = $ctx$0["sent"]());return [3, 6];case 8:
+		return [2, total];}}, this);
+	}
+
+	Promise.all([sum([1, 2, 3]), sum([1, later(true), later(false)]), sum([5000, 5000])]).then(function(results) {
+		console.log(results.join("|") === "6|101|1000");
+	});
+}
+
+{// try/catch/finally and rejections
+	var log = [];
+
+	function guarded(isRejected) {var e$0, $t$0, $t$1;return ASYNC$0(function($ctx$0){switch($ctx$0["label"]){case 0:
+		$ctx$0["trys"].push([0, 2, 3, 4]);
+			$t$0 = log;$t$1 = $t$0.push;return [4, later("value", isRejected)];case 1:$t$1.call($t$0, $ctx$0["sent"]());
+			return [2, "done"];return [3, 4];case 2:
+
+		e$0 = $ctx$0["sent"]();{
+			return [2, "caught " + e$0];
+		}return [3, 4];case 3:
+		{
+			log.push("finally");
+		}return [7];case 4:return [2];}}, this);
+	}
+
+	function thrower() {return ASYNC$0(function($ctx$0){switch($ctx$0["label"]){case 0:
+		return [4, later(1)];case 1:$ctx$0["sent"]();
+		throw new Error("error");}}, this);
+	}
+
+	Promise.all([guarded(false), guarded(true), thrower().then(null, function(e) { return e.message })]).then(function(results) {
+		console.log(results.join("|") === "done|caught value|error", log.join("|") === "value|finally|finally");
+	});
+}
+
+{// concise body arrows without await
+	var increment = function(x ) {return ASYNC$0(function($ctx$0){switch($ctx$0["label"]){case 0:return [2, x + 1];}}, this);};
+	var add = function(a, b)  {return ASYNC$0(function($ctx$0){switch($ctx$0["label"]){case 0:return [2, a + b];}}, this);};
+	var noParams = function()  {return ASYNC$0(function($ctx$0){switch($ctx$0["label"]){case 0:return [2, "value"];}}, this);};
+
+	Promise.all([increment(1), add(2, 3), noParams()]).then(function(results) {
+		console.log(results.join("|") === "2|5|value", increment(1) instanceof Promise);
+	});
+}
+
+{// statements without semicolons (ASI)
+	var log$0 = [];
+
+	function filter(list) {var i;return ASYNC$0(function($ctx$0){switch($ctx$0["label"]){case 0:i = 0;$ctx$0["label"] = 1;case 1:if (!(i < list.length)) return [3, 4];return [4, later(list[i])];case 2:if (!($ctx$0["sent"]())) return [3, 3];log$0.push(list[i]) ;$ctx$0["label"] = 3;case 3:i++;return [3, 1];case 4:return [2, log$0.join()];}}, this);}
+
+	filter([1, 0, 3]).then(function(result) {
+		console.log(result === "1,3");
+	});
+}
@@ -0,0 +1,114 @@
+"use strict";
+
+let later = function(value, isRejected) {
+	return new Promise(function(resolve, reject) {
+		setTimeout(function() { isRejected ? reject(value) : resolve(value) }, 1);
+	});
+};
+
+{// declarations, expressions, arrows and methods
+	async function double(x) {
+		return await later(x) * 2;
+	}
+
+	let expr = async function() {
+		return arguments.length + await this.value;
+	};
+
+	let arrow = async x => await double(x) + 1;
+
+	class Store {
+		constructor(value) {
+			this.value = value;
+		}
+
+		async get() {
+			let getValue = async () => await later(this.value);
+			return await getValue();
+		}
+
+		static async create(value) {
+			return new Store(await value);
+		}
+	}
+
+	let obj = {
+		prefix: "obj:"
+		, async concat(a, b) {
+			return this.prefix + await a + await b;
+		}
+	};
+
+	Promise.all([double(2), expr.call({value: later(10)}, 1, 2), arrow(3), Store.create(later(5)).then(function(store) { return store.get() }), obj.concat(later("a"), "b")]).then(function(results) {
+		console.log(results.join("|") === "4|12|7|5|obj:ab");
+	});
+
+	let result = double(1);
+	console.log(result instanceof Promise, typeof result.then === "function");
+}
+
+{// await inside loops and conditionals
+	async function sum(list) {
+		let total = 0;
+		for ( let i = 0 ; i < list.length ; i++ ) {
+			if ( typeof list[i] === "number" ) {
+				total += await later(list[i]);
+			}
+			else {
+				total += await list[i] ? 100 : 0;
+			}
+		}
+		while ( total > 1000 ) total = await later(total / 10);
+		return total;
+	}
+
+	Promise.all([sum([1, 2, 3]), sum([1, later(true), later(false)]), sum([5000, 5000])]).then(function(results) {
+		console.log(results.join("|") === "6|101|1000");
+	});
+}
+
+{// try/catch/finally and rejections
+	let log = [];
+
+	async function guarded(isRejected) {
+		try {
+			log.push(await later("value", isRejected));
+			return "done";
+		}
+		catch ( e ) {
+			return "caught " + e;
+		}
+		finally {
+			log.push("finally");
+		}
+	}
+
+	async function thrower() {
+		await later(1);
+		throw new Error("error");
+	}
+
+	Promise.all([guarded(false), guarded(true), thrower().then(null, function(e) { return e.message })]).then(function(results) {
+		console.log(results.join("|") === "done|caught value|error", log.join("|") === "value|finally|finally");
+	});
+}
+
+{// concise body arrows without await
+	let increment = async x => x + 1;
+	let add = async (a, b) => a + b;
+	let noParams = async () => "value";
+
+	Promise.all([increment(1), add(2, 3), noParams()]).then(function(results) {
+		console.log(results.join("|") === "2|5|value", increment(1) instanceof Promise);
+	});
+}
+
+{// statements without semicolons (ASI)
+	let log = [];
+
+	async function filter(list) { for (let i = 0 ; i < list.length ; i++) { if (await later(list[i])) log.push(list[i]) } return log.join()}
+
+	filter([1, 0, 3]).then(function(result) {
+		console.log(result === "1,3");
+	});
+}
@@ -0,0 +1,89 @@
+var SP$0 = Object.setPrototypeOf||function(o,p){if(PRS$0){o["__proto__"]=p;}else {DP$0(o,"__proto__",{"value":p,"configurable":true,"enumerable":false,"writable":true});}return o};var PRS$0 = (function(o,t){o["__proto__"]={"a":t};return o["a"]===t})({},{});var DP$0 = Object.defineProperty;var GOPD$0 = Object.getOwnPropertyDescriptor;var MIXIN$0 = function(t,s){for(var p in s){if(s.hasOwnProperty(p)){DP$0(t,p,GOPD$0(s,p));}}return t};function SUPER_CONSTRUCT$0(s,t,a){var r=new(Function.prototype.bind.apply(s,[null].concat(Array.prototype.slice.call(a))));SP$0(r,Object.getPrototypeOf(t));return r};var OC$0 = Object.create;{// Error subclasses
+	var HttpError = (function(super$0){"use strict";if(!PRS$0)MIXIN$0(HttpError, super$0);var proto$0={};
+		function HttpError(message, status) {var this$0 = this;
+			this$0 = SUPER_CONSTRUCT$0(super$0, this, [message]);
+			this$0.name = "HttpError";
+			this$0.status = status;
+			this$0.getStatus = function()  {return this$0.status};
+
+			if ( typeof Error.captureStackTrace === "function" ) {
+				Error.captureStackTrace(this$0, HttpError);
+			}
+		;return this$0;}if(super$0!==null)SP$0(HttpError,super$0);HttpError.prototype = OC$0(super$0!==null?super$0.prototype:null,{"constructor":{"value":HttpError,"configurable":true,"writable":true}});DP$0(HttpError,"prototype",{"configurable":false,"enumerable":false,"writable":false});
+
+		proto$0.toString = function() {
+			return this.name + " " + this.status + ": " + this.message;
+		};
+	MIXIN$0(HttpError.prototype,proto$0);proto$0=void 0;return HttpError;})(Error);
+
+	var NotFound = (function(super$0){"use strict";if(!PRS$0)MIXIN$0(NotFound, super$0);
+		function NotFound(path) {var this$0 = this;
+			this$0 = SUPER_CONSTRUCT$0(super$0, this, ["not found " + path, 404]);
+		;return this$0;}if(super$0!==null)SP$0(NotFound,super$0);NotFound.prototype = OC$0(super$0!==null?super$0.prototype:null,{"constructor":{"value":NotFound,"configurable":true,"writable":true}});DP$0(NotFound,"prototype",{"configurable":false,"enumerable":false,"writable":false});
+	;return NotFound;})(HttpError);
+
+	var Timeout = (function(super$0){"use strict";function Timeout() {var this$0 = SUPER_CONSTRUCT$0(super$0, this, arguments);return this$0;}if(!PRS$0)MIXIN$0(Timeout, super$0);if(super$0!==null)SP$0(Timeout,super$0);Timeout.prototype = OC$0(super$0!==null?super$0.prototype:null,{"constructor":{"value":Timeout,"configurable":true,"writable":true}});DP$0(Timeout,"prototype",{"configurable":false,"enumerable":false,"writable":false});
+	;return Timeout;})(HttpError);
+
+	var notFound = new NotFound("/a"), timeout = new Timeout("timeout", 504);
+
+	console.log(notFound instanceof NotFound, notFound instanceof HttpError, notFound instanceof Error, notFound.message === "not found /a");
+	console.log(notFound.status === 404, notFound.getStatus() === 404, String(notFound) === "HttpError 404: not found /a", typeof notFound.stack === "string");
+	console.log(timeout instanceof Timeout, timeout instanceof Error, timeout.message === "timeout", timeout.status === 504);
+}
+
+{// Array and Map subclasses
+	var List = (function(super$0){"use strict";function List() {var this$0 = SUPER_CONSTRUCT$0(super$0, this, arguments);return this$0;}if(!PRS$0)MIXIN$0(List, super$0);if(super$0!==null)SP$0(List,super$0);List.prototype = OC$0(super$0!==null?super$0.prototype:null,{"constructor":{"value":List,"configurable":true,"writable":true}});DP$0(List,"prototype",{"configurable":false,"enumerable":false,"writable":false});var proto$0={};
+		proto$0.sum = function() {
+			return this.reduce(function(sum, value)  {return sum + value}, 0);
+		};
+	MIXIN$0(List.prototype,proto$0);proto$0=void 0;return List;})(Array);
+
+	var Stack = (function(super$0){"use strict";if(!PRS$0)MIXIN$0(Stack, super$0);var proto$0={};
+		function Stack() {var SLICE$0 = Array.prototype.slice;var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function ITER$0(v,f){if(v){if(Array.isArray(v))return f?v.slice():v;var i,r;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){i=f.call(v);r=[];}else if((v+'')==='[object Generator]'){i=v;r=[];};if(S_MARK$0)S_MARK$0(void 0);if(r) {while((f=i['next']()),f['done']!==true)r.push(f['value']);return r;}}throw new Error(v+' is not iterable')};var this$0 = this;var values = SLICE$0.call(arguments, 0);
+			this$0 = (function(){return SUPER_CONSTRUCT$0(super$0, this, arguments)}).apply(this, ITER$0(values));
+			this$0.isStack = true;
+		;return this$0;}if(super$0!==null)SP$0(Stack,super$0);Stack.prototype = OC$0(super$0!==null?super$0.prototype:null,{"constructor":{"value":Stack,"configurable":true,"writable":true}});DP$0(Stack,"prototype",{"configurable":false,"enumerable":false,"writable":false});
+
+		proto$0.peek = function() {
+			return this[this.length - 1];
+		};
+	MIXIN$0(Stack.prototype,proto$0);proto$0=void 0;return Stack;})(List);
+
+	var Counter = (function(super$0){"use strict";function Counter() {var this$0 = SUPER_CONSTRUCT$0(super$0, this, arguments);return this$0;}if(!PRS$0)MIXIN$0(Counter, super$0);if(super$0!==null)SP$0(Counter,super$0);Counter.prototype = OC$0(super$0!==null?super$0.prototype:null,{"constructor":{"value":Counter,"configurable":true,"writable":true}});DP$0(Counter,"prototype",{"configurable":false,"enumerable":false,"writable":false});var proto$0={};
+		proto$0.increment = function(key) {
+			this.set(key, (this.get(key) || 0) + 1);
+			return this;
+		};
+	MIXIN$0(Counter.prototype,proto$0);proto$0=void 0;return Counter;})(Map);
+
+	var list = new List(), stack = new Stack(1, 2, 3), counter = new Counter([["a", 1]]);
+	list.push(1, 2);
+	list[4] = 3;
+
+	console.log(list instanceof List, Array.isArray(list), list.length === 5, list.sum() === 6);
+	console.log(stack instanceof Stack, stack instanceof List, stack.length === 3, stack.peek() === 3, stack.isStack, stack.sum() === 6);
+	console.log(counter instanceof Counter, counter instanceof Map, counter.increment("a").increment("b").get("a") === 2, counter.size === 2);
+}
+
+{// the returns of the constructor
+	var Items = (function(super$0){"use strict";if(!PRS$0)MIXIN$0(Items, super$0);
+		function Items(item, replacement) {function CONSTRUCT_RESULT$0(r,t){return r!==null&&(typeof r==="object"||typeof r==="function")?r:t};var this$0 = this;
+			this$0 = SUPER_CONSTRUCT$0(super$0, this, []);
+			if ( item ) {
+				this$0.push(item);
+				return this$0;
+			}
+			if ( replacement ) {
+				return CONSTRUCT_RESULT$0(replacement, this$0);
+			}
+			this$0.forEach(function()  { return 1 });
+			return CONSTRUCT_RESULT$0(0, this$0);
+		;return this$0;}if(super$0!==null)SP$0(Items,super$0);Items.prototype = OC$0(super$0!==null?super$0.prototype:null,{"constructor":{"value":Items,"configurable":true,"writable":true}});DP$0(Items,"prototype",{"configurable":false,"enumerable":false,"writable":false});
+	;return Items;})(Array);
+
+	var replacement = {}, items = new Items(5), empty = new Items();
+
+	console.log(items instanceof Items, items.length === 1, items[0] === 5);
+	console.log(empty instanceof Items, empty.length === 0, new Items(0, replacement) === replacement);
+}
@@ -0,0 +1,89 @@
+{// Error subclasses
+	class HttpError extends Error {
+		constructor(message, status) {
+			super(message);
+			this.name = "HttpError";
+			this.status = status;
+			this.getStatus = () => this.status;
+
+			if ( typeof Error.captureStackTrace === "function" ) {
+				Error.captureStackTrace(this, HttpError);
+			}
+		}
+
+		toString() {
+			return this.name + " " + this.status + ": " + this.message;
+		}
+	}
+
+	class NotFound extends HttpError {
+		constructor(path) {
+			super("not found " + path, 404);
+		}
+	}
+
+	class Timeout extends HttpError {
+	}
+
+	let notFound = new NotFound("/a"), timeout = new Timeout("timeout", 504);
+
+	console.log(notFound instanceof NotFound, notFound instanceof HttpError, notFound instanceof Error, notFound.message === "not found /a");
+	console.log(notFound.status === 404, notFound.getStatus() === 404, String(notFound) === "HttpError 404: not found /a", typeof notFound.stack === "string");
+	console.log(timeout instanceof Timeout, timeout instanceof Error, timeout.message === "timeout", timeout.status === 504);
+}
+
+{// Array and Map subclasses
+	class List extends Array {
+		sum() {
+			return this.reduce((sum, value) => sum + value, 0);
+		}
+	}
+
+	class Stack extends List {
+		constructor(...values) {
+			super(...values);
+			this.isStack = true;
+		}
+
+		peek() {
+			return this[this.length - 1];
+		}
+	}
+
+	class Counter extends Map {
+		increment(key) {
+			this.set(key, (this.get(key) || 0) + 1);
+			return this;
+		}
+	}
+
+	let list = new List(), stack = new Stack(1, 2, 3), counter = new Counter([["a", 1]]);
+	list.push(1, 2);
+	list[4] = 3;
+
+	console.log(list instanceof List, Array.isArray(list), list.length === 5, list.sum() === 6);
+	console.log(stack instanceof Stack, stack instanceof List, stack.length === 3, stack.peek() === 3, stack.isStack, stack.sum() === 6);
+	console.log(counter instanceof Counter, counter instanceof Map, counter.increment("a").increment("b").get("a") === 2, counter.size === 2);
+}
+
+{// the returns of the constructor
+	class Items extends Array {
+		constructor(item, replacement) {
+			super();
+			if ( item ) {
+				this.push(item);
+				return;
+			}
+			if ( replacement ) {
+				return replacement;
+			}
+			this.forEach(() => { return 1 });
+			return 0;
+		}
+	}
+
+	let replacement = {}, items = new Items(5), empty = new Items();
+
+	console.log(items instanceof Items, items.length === 1, items[0] === 5);
+	console.log(empty instanceof Items, empty.length === 0, new Items(0, replacement) === replacement);
+}
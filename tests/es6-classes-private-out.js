@@ -0,0 +1,126 @@
+function PRIVATE_SET$0(o,m,v){if(!m.has(o))throw new TypeError('Cannot write private member to an object whose class did not declare it');m.set(o,v);return v};function PRIVATE_GET$0(o,m){if(!m.has(o))throw new TypeError('Cannot read private member from an object whose class did not declare it');return m.get(o)};var PRS$0 = (function(o,t){o["__proto__"]={"a":t};return o["a"]===t})({},{});var DP$0 = Object.defineProperty;var GOPD$0 = Object.getOwnPropertyDescriptor;var MIXIN$0 = function(t,s){for(var p in s){if(s.hasOwnProperty(p)){DP$0(t,p,GOPD$0(s,p));}}return t};var SP$0 = Object.setPrototypeOf||function(o,p){if(PRS$0){o["__proto__"]=p;}else {DP$0(o,"__proto__",{"value":p,"configurable":true,"enumerable":false,"writable":true});}return o};var OC$0 = Object.create;{// private fields
+	var Counter = (function(){"use strict";var DPS$0 = Object.defineProperties;var static$0={},proto$0={};var $private_count$0 = new WeakMap, $private_step$0 = new WeakMap, $private_label$0 = new WeakMap;
+		function $count_init$0(){$private_count$0.set(this, 0);}
+		function $step_init$0(){$private_step$0.set(this, void 0);};
+		function $label_init$0(){$private_label$0.set(this, "count: " + PRIVATE_GET$0(this, $private_count$0));}
+
+		function Counter(step) {$count_init$0.call(this);$step_init$0.call(this);$label_init$0.call(this);
+			PRIVATE_SET$0(this, $private_step$0, step);
+		}DPS$0(Counter.prototype,{label: {"get": $label_get$0, "configurable":true,"enumerable":true}});DP$0(Counter,"prototype",{"configurable":false,"enumerable":false,"writable":false});
+
+		proto$0.increment = function() {var $D$0;
+			PRIVATE_SET$0($D$0 = this, $private_count$0, PRIVATE_GET$0($D$0, $private_count$0) + (PRIVATE_GET$0(this, $private_step$0)));
+			return PRIVATE_GET$0(this, $private_count$0);
+		};
+
+		static$0.compare = function(a, b) {
+			return PRIVATE_GET$0(a, $private_count$0) - PRIVATE_GET$0(b, $private_count$0);
+		};
+
+		function $label_get$0() {
+			return PRIVATE_GET$0(this, $private_label$0);
+		}
+	MIXIN$0(Counter,static$0);MIXIN$0(Counter.prototype,proto$0);static$0=proto$0=void 0;return Counter;})();
+
+	var c1 = new Counter(1), c2 = new Counter(5);
+	c1.increment();
+	c2.increment();
+	c2.increment();
+
+	console.log(c1.increment() === 2, c2.increment() === 15, Counter.compare(c2, c1) === 13, c1.label === "count: 0");
+	console.log(Object.keys(c1).length === 0, JSON.stringify(c2) === "{}", !("#count" in c1));
+}
+
+{// update expressions and nested access
+	var Node = (function(){"use strict";var proto$0={};var $private_value$0 = new WeakMap, $private_next$0 = new WeakMap;
+		function $value_init$0(){$private_value$0.set(this, 0);}
+		function $next_init$0(){$private_next$0.set(this, null);}
+
+		function Node(next) {$value_init$0.call(this);$next_init$0.call(this);
+			PRIVATE_SET$0(this, $private_next$0, next || null);
+		}DP$0(Node,"prototype",{"configurable":false,"enumerable":false,"writable":false});
+
+		proto$0.bump = function(other) {var $D$1;var $D$2;var $D$3;var $D$4;
+			var before = ($D$2 = +PRIVATE_GET$0($D$1 = other, $private_value$0), PRIVATE_SET$0($D$1, $private_value$0, $D$2 + 1), $D$2);
+			var after = PRIVATE_SET$0($D$3 = this, $private_value$0, +PRIVATE_GET$0($D$3, $private_value$0) + 1);
+			PRIVATE_SET$0($D$4 = this, $private_value$0, PRIVATE_GET$0($D$4, $private_value$0) * (10));
+			return [before, after, PRIVATE_GET$0(this, $private_value$0), PRIVATE_GET$0(other, $private_value$0), PRIVATE_GET$0(this, $private_next$0) && PRIVATE_GET$0(PRIVATE_GET$0(this, $private_next$0), $private_value$0)];
+		};
+	MIXIN$0(Node.prototype,proto$0);proto$0=void 0;return Node;})();
+
+	var tail = new Node(), head = new Node(tail);
+
+	console.log(head.bump(tail).join("|") === "0|1|10|1|1");
+}
+
+{// private methods and arrow functions
+	var Greeter = (function(){"use strict";function PRIVATE_BRAND$0(o,s){if(!s.has(o))throw new TypeError('Receiver must be an instance of class');return o};var static$0={},proto$0={};var $private_name$0 = new WeakMap, $private_format$0 = new WeakMap, $private_brand$0 = new WeakSet;
+		function $name_init$0(){$private_name$0.set(this, void 0);}
+		function $format_init$0(){var this$0 = this;$private_format$0.set(this, function(greeting)  {return greeting + ", " + PRIVATE_GET$0(this$0, $private_name$0)});}
+
+		function Greeter(name) {$private_brand$0.add(this);$name_init$0.call(this);$format_init$0.call(this);
+			PRIVATE_SET$0(this, $private_name$0, name);
+		}DP$0(Greeter,"prototype",{"configurable":false,"enumerable":false,"writable":false});
+
+		function $private_greet$0(greeting) {var $D$5;
+			return PRIVATE_GET$0($D$5 = this, $private_format$0).call($D$5, greeting) + "!";
+		}
+
+		proto$0.hello = function() {
+			var greet = (PRIVATE_BRAND$0(this, $private_brand$0), $private_greet$0);
+			return [$private_greet$0.call(PRIVATE_BRAND$0(this, $private_brand$0), "Hello"), greet.call(this, "Hi"), $private_greet$0.call(PRIVATE_BRAND$0(this, $private_brand$0), "Hey")].join(" ");
+		};
+
+		static$0.isGreeter = function(object) {
+			try {
+				(PRIVATE_BRAND$0(object, $private_brand$0), $private_greet$0);
+				return true;
+			}
+			catch(e) {
+				return e instanceof TypeError;
+			}
+		};
+	MIXIN$0(Greeter,static$0);MIXIN$0(Greeter.prototype,proto$0);static$0=proto$0=void 0;return Greeter;})();
+
+	var greeter = new Greeter("World");
+
+	console.log(greeter.hello() === "Hello, World! Hi, World! Hey, World!", Greeter.isGreeter({}) === true);
+	console.log(Greeter.isGreeter(greeter) === true, typeof greeter.greet === "undefined");
+}
+
+{// private members of a derived class and the access to the private members of the outer class
+	var Base = (function(){"use strict";function Base() {$secret_init$0.call(this);}DP$0(Base,"prototype",{"configurable":false,"enumerable":false,"writable":false});var proto$0={};var $private_secret$0 = new WeakMap;
+		function $secret_init$0(){$private_secret$0.set(this, 1);}
+
+		proto$0.reveal = function() {
+			var Inner = (function(super$0){function Inner() {if(super$0!==null)super$0.apply(this, arguments);$extra_init$0.call(this);}if(!PRS$0)MIXIN$0(Inner, super$0);if(super$0!==null)SP$0(Inner,super$0);Inner.prototype = OC$0(super$0!==null?super$0.prototype:null,{"constructor":{"value":Inner,"configurable":true,"writable":true}});DP$0(Inner,"prototype",{"configurable":false,"enumerable":false,"writable":false});var proto$0={};var $private_extra$0 = new WeakMap;
+				function $extra_init$0(){$private_extra$0.set(this, 2);}
+
+				proto$0.sum = function(base) {
+					return PRIVATE_GET$0(base, $private_secret$0) + PRIVATE_GET$0(this, $private_extra$0) + PRIVATE_GET$0(this, $private_secret$0);
+				};
+			MIXIN$0(Inner.prototype,proto$0);proto$0=void 0;return Inner;})(Base);
+
+			return new Inner().sum(this);
+		};
+	MIXIN$0(Base.prototype,proto$0);proto$0=void 0;return Base;})();
+
+	var Derived = (function(super$0){"use strict";if(!PRS$0)MIXIN$0(Derived, super$0);var $private_own$0 = new WeakMap;
+		function $own_init$0(){$private_own$0.set(this, 10);}
+
+		function Derived() {
+			super$0.call(this);$own_init$0.call(this);
+			this.own = PRIVATE_GET$0(this, $private_own$0);
+		}if(super$0!==null)SP$0(Derived,super$0);Derived.prototype = OC$0(super$0!==null?super$0.prototype:null,{"constructor":{"value":Derived,"configurable":true,"writable":true}});DP$0(Derived,"prototype",{"configurable":false,"enumerable":false,"writable":false});
+	;return Derived;})(Base);
+
+	var error = null;
+	try {
+		Base.prototype.reveal.call({});
+	}
+	catch(e) {
+		error = e;
+	}
+
+	console.log(new Base().reveal() === 4, new Derived().own === 10, new Derived().reveal() === 4, error instanceof TypeError);
+}
@@ -0,0 +1,126 @@
+{// private fields
+	class Counter {
+		#count = 0
+		#step;
+		#label = "count: " + this.#count
+
+		constructor(step) {
+			this.#step = step;
+		}
+
+		increment() {
+			this.#count += this.#step;
+			return this.#count;
+		}
+
+		static compare(a, b) {
+			return a.#count - b.#count;
+		}
+
+		get label() {
+			return this.#label;
+		}
+	}
+
+	let c1 = new Counter(1), c2 = new Counter(5);
+	c1.increment();
+	c2.increment();
+	c2.increment();
+
+	console.log(c1.increment() === 2, c2.increment() === 15, Counter.compare(c2, c1) === 13, c1.label === "count: 0");
+	console.log(Object.keys(c1).length === 0, JSON.stringify(c2) === "{}", !("#count" in c1));
+}
+
+{// update expressions and nested access
+	class Node {
+		#value = 0
+		#next = null
+
+		constructor(next) {
+			this.#next = next || null;
+		}
+
+		bump(other) {
+			let before = other.#value++;
+			let after = ++this.#value;
+			this.#value *= 10;
+			return [before, after, this.#value, other.#value, this.#next && this.#next.#value];
+		}
+	}
+
+	let tail = new Node(), head = new Node(tail);
+
+	console.log(head.bump(tail).join("|") === "0|1|10|1|1");
+}
+
+{// private methods and arrow functions
+	class Greeter {
+		#name
+		#format = (greeting) => greeting + ", " + this.#name
+
+		constructor(name) {
+			this.#name = name;
+		}
+
+		#greet(greeting) {
+			return this.#format(greeting) + "!";
+		}
+
+		hello() {
+			let greet = this.#greet;
+			return [this.#greet("Hello"), greet.call(this, "Hi"), (this.#greet)("Hey")].join(" ");
+		}
+
+		static isGreeter(object) {
+			try {
+				object.#greet;
+				return true;
+			}
+			catch(e) {
+				return e instanceof TypeError;
+			}
+		}
+	}
+
+	let greeter = new Greeter("World");
+
+	console.log(greeter.hello() === "Hello, World! Hi, World! Hey, World!", Greeter.isGreeter({}) === true);
+	console.log(Greeter.isGreeter(greeter) === true, typeof greeter.greet === "undefined");
+}
+
+{// private members of a derived class and the access to the private members of the outer class
+	class Base {
+		#secret = 1
+
+		reveal() {
+			class Inner extends Base {
+				#extra = 2
+
+				sum(base) {
+					return base.#secret + this.#extra + this.#secret;
+				}
+			}
+
+			return new Inner().sum(this);
+		}
+	}
+
+	class Derived extends Base {
+		#own = 10
+
+		constructor() {
+			super();
+			this.own = this.#own;
+		}
+	}
+
+	let error = null;
+	try {
+		Base.prototype.reveal.call({});
+	}
+	catch(e) {
+		error = e;
+	}
+
+	console.log(new Base().reveal() === 4, new Derived().own === 10, new Derived().reveal() === 4, error instanceof TypeError);
+}
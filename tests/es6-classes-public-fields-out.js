@@ -0,0 +1,61 @@
+var PRS$0 = (function(o,t){o["__proto__"]={"a":t};return o["a"]===t})({},{});var DP$0 = Object.defineProperty;var GOPD$0 = Object.getOwnPropertyDescriptor;var MIXIN$0 = function(t,s){for(var p in s){if(s.hasOwnProperty(p)){DP$0(t,p,GOPD$0(s,p));}}return t};var SP$0 = Object.setPrototypeOf||function(o,p){if(PRS$0){o["__proto__"]=p;}else {DP$0(o,"__proto__",{"value":p,"configurable":true,"enumerable":false,"writable":true});}return o};var OC$0 = Object.create;{// instance fields of a base class
+	var counter = 0;
+
+	var Point = (function(){"use strict";var proto$0={};
+		function $x_init$0(){this.x = counter++;}
+		function $y_init$0(){this.y = this.x + 10;};
+		function $list_init$0(){this.list = [this.x];}
+		function $empty_init$0(){this.empty = void 0;}
+		Point.origin = 0;
+
+		function Point(z) {$x_init$0.call(this);$y_init$0.call(this);$list_init$0.call(this);$empty_init$0.call(this);
+			this.z = z;
+		}DP$0(Point,"prototype",{"configurable":false,"enumerable":false,"writable":false});
+
+		proto$0.sum = function() {
+			return this.x + this.y + this.z;
+		};
+	MIXIN$0(Point.prototype,proto$0);proto$0=void 0;return Point;})();
+
+	var p1 = new Point(1), p2 = new Point(2);
+
+	console.log(p1.x === 0, p1.y === 10, p2.x === 1, p2.y === 11, p1.sum() === 11);
+	console.log(p1.list !== p2.list, p1.list[0] === 0, "empty" in p1, p1.empty === void 0, Point.origin === 0, !("x" in Point.prototype));
+}
+
+{// instance fields of a derived class are initialized after super()
+	var Base = (function(){"use strict";
+		function Base(value) {
+			this.value = value;
+		}DP$0(Base,"prototype",{"configurable":false,"enumerable":false,"writable":false});
+	;return Base;})();
+
+	var Derived = (function(super$0){"use strict";if(!PRS$0)MIXIN$0(Derived, super$0);
+		function $doubled_init$0(){this.doubled = this.value * 2;}
+		function $getValue_init$0(){var this$0 = this;this.getValue = function()  {return this$0.value};}
+
+		function Derived(value) {
+			var tmp = value + 1
+			super$0.call(this, tmp);$doubled_init$0.call(this);$getValue_init$0.call(this);
+			this.tripled = this.doubled + this.value;
+		}if(super$0!==null)SP$0(Derived,super$0);Derived.prototype = OC$0(super$0!==null?super$0.prototype:null,{"constructor":{"value":Derived,"configurable":true,"writable":true}});DP$0(Derived,"prototype",{"configurable":false,"enumerable":false,"writable":false});
+	;return Derived;})(Base);
+
+	var Implicit = (function(super$0){"use strict";function Implicit() {if(super$0!==null)super$0.apply(this, arguments);$quadrupled_init$0.call(this);}if(!PRS$0)MIXIN$0(Implicit, super$0);if(super$0!==null)SP$0(Implicit,super$0);Implicit.prototype = OC$0(super$0!==null?super$0.prototype:null,{"constructor":{"value":Implicit,"configurable":true,"writable":true}});DP$0(Implicit,"prototype",{"configurable":false,"enumerable":false,"writable":false});
+		function $quadrupled_init$0(){this.quadrupled = this.doubled * 2;};
+	;return Implicit;})(Derived);
+
+	var Conditional = (function(super$0){"use strict";if(!PRS$0)MIXIN$0(Conditional, super$0);
+		function $isBig_init$0(){this.isBig = this.value > 10;};
+
+		function Conditional(value) {
+			var self = value > 0 ? (super$0.call(this, value), $isBig_init$0.call(this), this) : (super$0.call(this, 0), $isBig_init$0.call(this), this);
+			this.self = self;
+		}if(super$0!==null)SP$0(Conditional,super$0);Conditional.prototype = OC$0(super$0!==null?super$0.prototype:null,{"constructor":{"value":Conditional,"configurable":true,"writable":true}});DP$0(Conditional,"prototype",{"configurable":false,"enumerable":false,"writable":false});
+	;return Conditional;})(Base);
+
+	var d = new Derived(1), i = new Implicit(2), c = new Conditional(20);
+
+	console.log(d.value === 2, d.doubled === 4, d.tripled === 6, d.getValue.call(null) === 2);
+	console.log(i.value === 3, i.doubled === 6, i.quadrupled === 12, c.isBig === true, c.self === c, new Conditional(-1).isBig === false);
+}
@@ -0,0 +1,61 @@
+{// instance fields of a base class
+	let counter = 0;
+
+	class Point {
+		public x = counter++
+		public y = this.x + 10;
+		public list = [this.x]
+		public empty
+		static origin = 0
+
+		constructor(z) {
+			this.z = z;
+		}
+
+		sum() {
+			return this.x + this.y + this.z;
+		}
+	}
+
+	let p1 = new Point(1), p2 = new Point(2);
+
+	console.log(p1.x === 0, p1.y === 10, p2.x === 1, p2.y === 11, p1.sum() === 11);
+	console.log(p1.list !== p2.list, p1.list[0] === 0, "empty" in p1, p1.empty === void 0, Point.origin === 0, !("x" in Point.prototype));
+}
+
+{// instance fields of a derived class are initialized after super()
+	class Base {
+		constructor(value) {
+			this.value = value;
+		}
+	}
+
+	class Derived extends Base {
+		public doubled = this.value * 2
+		public getValue = () => this.value
+
+		constructor(value) {
+			let tmp = value + 1
+			super(tmp)
+			this.tripled = this.doubled + this.value;
+		}
+	}
+
+	class Implicit extends Derived {
+		public quadrupled = this.doubled * 2;
+	}
+
+	class Conditional extends Base {
+		public isBig = this.value > 10;
+
+		constructor(value) {
+			let self = value > 0 ? super(value) : super(0);
+			this.self = self;
+		}
+	}
+
+	let d = new Derived(1), i = new Implicit(2), c = new Conditional(20);
+
+	console.log(d.value === 2, d.doubled === 4, d.tripled === 6, d.getValue.call(null) === 2);
+	console.log(i.value === 3, i.doubled === 6, i.quadrupled === 12, c.isBig === true, c.self === c, new Conditional(-1).isBig === false);
+}
@@ -0,0 +1,86 @@
+var DP$0 = Object.defineProperty;var GOPD$0 = Object.getOwnPropertyDescriptor;var MIXIN_NE$0 = function(t,s){for(var p in s){if(s.hasOwnProperty(p)){var d=GOPD$0(s,p);d.enumerable=false;DP$0(t,p,d);}}return t};var PRS$0 = (function(o,t){o["__proto__"]={"a":t};return o["a"]===t})({},{});var MIXIN$0 = function(t,s){for(var p in s){if(s.hasOwnProperty(p)){DP$0(t,p,GOPD$0(s,p));}}return t};function CLASS_CHECK$0(i,c){if(!(i instanceof c))throw new TypeError("Class constructor cannot be invoked without 'new'")};var SP$0 = Object.setPrototypeOf||function(o,p){if(PRS$0){o["__proto__"]=p;}else {DP$0(o,"__proto__",{"value":p,"configurable":true,"enumerable":false,"writable":true});}return o};var OC$0 = Object.create;/*es6-transpiler classesSpec:true*/
+
+function throwsTypeError(fn) {
+	try {
+		fn();
+	}
+	catch(e) {
+		return e instanceof TypeError && e.message === "Class constructor cannot be invoked without 'new'";
+	}
+	return false;
+}
+
+function enumerableKeys(object) {
+	var keys = [];
+	for ( var key in object ) {
+		keys.push(key);
+	}
+	return keys.join("|");
+}
+
+{// the class constructor can't be called without 'new'
+	var A = (function(){"use strict";
+		function A(value) {CLASS_CHECK$0(this, A);
+			this.value = value;
+		}DP$0(A,"prototype",{"configurable":false,"enumerable":false,"writable":false});
+	;return A;})();
+
+	var B = (function(super$0){"use strict";function B() {CLASS_CHECK$0(this, B);if(super$0!==null)super$0.apply(this, arguments)}if(!PRS$0)MIXIN$0(B, super$0);if(super$0!==null)SP$0(B,super$0);B.prototype = OC$0(super$0!==null?super$0.prototype:null,{"constructor":{"value":B,"configurable":true,"writable":true}});DP$0(B,"prototype",{"configurable":false,"enumerable":false,"writable":false});
+	;return B;})(A);
+
+	var C = ((function(){"use strict";function constructor$0() {CLASS_CHECK$0(this, constructor$0);}DP$0(constructor$0,"prototype",{"configurable":false,"enumerable":false,"writable":false});
+	;return constructor$0;})());
+
+	console.log(throwsTypeError(function() { A(1) }), throwsTypeError(function() { B(1) }), throwsTypeError(function() { C() }));
+	console.log(throwsTypeError(function() { A.call(new C) }), new B(2).value === 2, new B(3) instanceof A);
+}
+
+{// methods and accessors are not enumerable
+	var computedName = "computed";
+
+	var Shape = (function(){"use strict";var DPS$0 = Object.defineProperties;var static$0={},proto$0={};
+		function Shape(name) {CLASS_CHECK$0(this, Shape);
+			this.name = name;
+		}DPS$0(Shape.prototype,{label: {"get": $label_get$0, "configurable":true,"enumerable":false}});DP$0(Shape,"prototype",{"configurable":false,"enumerable":false,"writable":false});
+
+		proto$0.area = function() {
+			return 0;
+		};
+
+		function $label_get$0() {
+			return "shape " + this.name;
+		}
+
+		proto$0[computedName] = function() {
+			return true;
+		};
+
+		DP$0(Shape.prototype,computedName + "Getter",{"get":function() {
+			return 1;
+		},"configurable":true,"enumerable":false});
+
+		static$0.create = function(name) {
+			return new this(name);
+		};
+
+		function $static_kind_get$0() {
+			return "shape";
+		};DPS$0(Shape,{kind: {"get": $static_kind_get$0, "configurable":true,"enumerable":false}});
+	MIXIN_NE$0(Shape,static$0);MIXIN_NE$0(Shape.prototype,proto$0);static$0=proto$0=void 0;return Shape;})();
+
+	var Square = (function(super$0){"use strict";function Square() {CLASS_CHECK$0(this, Square);if(super$0!==null)super$0.apply(this, arguments)}if(!PRS$0)MIXIN$0(Square, super$0);if(super$0!==null)SP$0(Square,super$0);Square.prototype = OC$0(super$0!==null?super$0.prototype:null,{"constructor":{"value":Square,"configurable":true,"writable":true}, label: {"get": $label_get$1, "configurable":true,"enumerable":false}});DP$0(Square,"prototype",{"configurable":false,"enumerable":false,"writable":false});var proto$0={};
+		proto$0.area = function() {
+			return 4;
+		};
+
+		function $label_get$1() {
+			return "square";
+		}
+	MIXIN_NE$0(Square.prototype,proto$0);proto$0=void 0;return Square;})(Shape);
+
+	var square = Square.create("sq");
+
+	console.log(enumerableKeys(square) === "name", enumerableKeys(Shape.prototype) === "", enumerableKeys(Shape) === "", enumerableKeys(Square) === "");
+	console.log(square.area() === 4, square.label === "square", square.computed() === true, square.computedGetter === 1, Square.kind === "shape");
+	console.log(Object.getOwnPropertyDescriptor(Shape.prototype, "area").writable === true, Object.getOwnPropertyDescriptor(Shape, "kind").configurable === true);
+}
@@ -0,0 +1,86 @@
+/*es6-transpiler classesSpec:true*/
+
+function throwsTypeError(fn) {
+	try {
+		fn();
+	}
+	catch(e) {
+		return e instanceof TypeError && e.message === "Class constructor cannot be invoked without 'new'";
+	}
+	return false;
+}
+
+function enumerableKeys(object) {
+	let keys = [];
+	for ( let key in object ) {
+		keys.push(key);
+	}
+	return keys.join("|");
+}
+
+{// the class constructor can't be called without 'new'
+	class A {
+		constructor(value) {
+			this.value = value;
+		}
+	}
+
+	class B extends A {
+	}
+
+	let C = class {
+	};
+
+	console.log(throwsTypeError(function() { A(1) }), throwsTypeError(function() { B(1) }), throwsTypeError(function() { C() }));
+	console.log(throwsTypeError(function() { A.call(new C) }), new B(2).value === 2, new B(3) instanceof A);
+}
+
+{// methods and accessors are not enumerable
+	let computedName = "computed";
+
+	class Shape {
+		constructor(name) {
+			this.name = name;
+		}
+
+		area() {
+			return 0;
+		}
+
+		get label() {
+			return "shape " + this.name;
+		}
+
+		[computedName]() {
+			return true;
+		}
+
+		get [computedName + "Getter"]() {
+			return 1;
+		}
+
+		static create(name) {
+			return new this(name);
+		}
+
+		static get kind() {
+			return "shape";
+		}
+	}
+
+	class Square extends Shape {
+		area() {
+			return 4;
+		}
+
+		get label() {
+			return "square";
+		}
+	}
+
+	let square = Square.create("sq");
+
+	console.log(enumerableKeys(square) === "name", enumerableKeys(Shape.prototype) === "", enumerableKeys(Shape) === "", enumerableKeys(Square) === "");
+	console.log(square.area() === 4, square.label === "square", square.computed() === true, square.computedGetter === 1, Square.kind === "shape");
+	console.log(Object.getOwnPropertyDescriptor(Shape.prototype, "area").writable === true, Object.getOwnPropertyDescriptor(Shape, "kind").configurable === true);
+}
@@ -0,0 +1,21 @@
+var PRS$0 = (function(o,t){o["__proto__"]={"a":t};return o["a"]===t})({},{});var DP$0 = Object.defineProperty;var GOPD$0 = Object.getOwnPropertyDescriptor;var MIXIN$0 = function(t,s){for(var p in s){if(s.hasOwnProperty(p)){DP$0(t,p,GOPD$0(s,p));}}return t};var A = (function(){"use strict";var DPS$0 = Object.defineProperties;function A() {}DPS$0(A.prototype,{c: {"get": $c_get$0, "configurable":true,"enumerable":true}});DP$0(A,"prototype",{"configurable":false,"enumerable":false,"writable":false});var static$0={},proto$0={};
+	proto$0.a = function(x) { return "A" + x + this.n };
+	static$0.b = function() { return "static A" };
+	function $c_get$0() { return "getter A" + this.n }
+MIXIN$0(A,static$0);MIXIN$0(A.prototype,proto$0);static$0=proto$0=void 0;return A;})();
+
+var B = (function(super$0){"use strict";var $D$0;var SP$0 = Object.setPrototypeOf||function(o,p){if(PRS$0){o["__proto__"]=p;}else {DP$0(o,"__proto__",{"value":p,"configurable":true,"enumerable":false,"writable":true});}return o};var CNAMES$0 = [];var GET_CNAMES$0 = function f(o){var r,u;for(var p in o)if((r=o[p])&&typeof r ==='object'&&(u=r["__unq"])){CNAMES$0[u]=p;delete r["__unq"];}return o;};;var OC$0 = Object.create;if(!PRS$0)MIXIN$0(B, super$0);var static$0={},proto$0={};
+	function B() {
+		super$0.call(this);
+		this.n = 1;
+	}if(super$0!==null)SP$0(B,super$0);B.prototype = OC$0(super$0!==null?super$0.prototype:null,GET_CNAMES$0({"constructor":{"value":B,"configurable":true,"writable":true}, c: {"get": $c_get$1, "configurable":true,"enumerable":true, "__unq": 1}}));$D$0=CNAMES$0[1];delete CNAMES$0[1];;DP$0(B,"prototype",{"configurable":false,"enumerable":false,"writable":false});
+	proto$0.a = function(x) {var this$0 = this; var f = function()  {return super$0.prototype.a.call(this$0, x) + "|B"}; return f() };
+	static$0.b = function() {var this$0 = this; var f = function()  {return super$0.b.call(this$0) + "|B"}; return f() };
+	function $c_get$1() {var this$0 = this; var f = function()  {return super$0.prototype.a.call(this$0, "c") + "|B"}; return f() }
+	proto$0.d = function() {var SLICE$0 = Array.prototype.slice;var args = SLICE$0.call(arguments, 0);var this$0 = this; var f = function()  {var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function ITER$0(v,f){if(v){if(Array.isArray(v))return f?v.slice():v;var i,r;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){i=f.call(v);r=[];}else if((v+'')==='[object Generator]'){i=v;r=[];};if(S_MARK$0)S_MARK$0(void 0);if(r) {while((f=i['next']()),f['done']!==true)r.push(f['value']);return r;}}throw new Error(v+' is not iterable')};return super$0.prototype.a.apply(this$0, ITER$0(args))}; return f() };
+	proto$0.e = function() {var this$0 = this; var f = function()  {return function()  {return super$0.prototype.a.call(this$0, 2)}}; return f()() };
+MIXIN$0(B,static$0);MIXIN$0(B.prototype,proto$0);static$0=proto$0=void 0;return B;})(A);
+
+var b = new B;
+
+console.log(b.a(1) === "A11|B", B.b() === "static A|B", b.c === "Ac1|B", b.d(3) === "A31", b.e() === "A21");
@@ -0,0 +1,21 @@
+class A {
+	a(x) { return "A" + x + this.n }
+	static b() { return "static A" }
+	get c() { return "getter A" + this.n }
+}
+
+class B extends A {
+	constructor() {
+		super();
+		this.n = 1;
+	}
+	a(x) { let f = () => super.a(x) + "|B"; return f() }
+	static b() { let f = () => super.b() + "|B"; return f() }
+	get c() { let f = () => super.a("c") + "|B"; return f() }
+	d(...args) { let f = () => super.a(...args); return f() }
+	e() { let f = () => () => super.a(2); return f()() }
+}
+
+let b = new B;
+
+console.log(b.a(1) === "A11|B", B.b() === "static A|B", b.c === "Ac1|B", b.d(3) === "A31", b.e() === "A21");
@@ -20,7 +20,7 @@ var class2 = (function(super$1){"use strict";if(!PRS$0)MIXIN$0(class2, super$1);
 		this.property2 = message;
 	}if(super$1!==null)SP$0(class2,super$1);class2.prototype = OC$0(super$1!==null?super$1.prototype:null,{"constructor":{"value":class2,"configurable":true,"writable":true}});DP$0(class2,"prototype",{"configurable":false,"enumerable":false,"writable":false});
 
-	proto$0.say = function() {var a = arguments[0];if(a === void 0)a = 1;var b = (arguments[1] !== void 0 ? arguments[1] : [2])[0];
+	proto$0.say = function() {var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function ITER_CLOSE$0(i,r){var f;if(i!==0&&r&&r["done"]!==true&&typeof (f=i["return"])==='function')f.call(i)};function DES_ITER$0(v,n){if(Array.isArray(v)||typeof v==='string')return v;var f,i,r,s={};if(S_MARK$0)S_MARK$0(v);if(v!=null)f=v[S_ITER$0];if(S_MARK$0)S_MARK$0(void 0);if(typeof f!=='function'){if(v!=null)return v;throw new TypeError(v+' is not iterable')}i=f.call(v);r=[];while(n===void 0||r.length<n){if((s=i["next"]())["done"])return r;r.push(s["value"])}ITER_CLOSE$0(i,s);return r};var a = arguments[0];if(a === void 0)a = 1;var b = (DES_ITER$0((arguments[1] !== void 0 ? arguments[1] : [2]), 1))[0];
 		return super$1.prototype.say.call(this) + "|class2" + ":" + this.property2 + "|" + a + "|" + b + ":" + class2.sayStatic();
 	};
 MIXIN$0(class2,static$0);MIXIN$0(class2.prototype,proto$0);static$0=proto$0=void 0;return class2;})(class1);
@@ -0,0 +1,68 @@
+var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function ITER_CLOSE$0(i,r){var f;if(i!==0&&r&&r["done"]!==true&&typeof (f=i["return"])==='function')f.call(i)};function DES_ITER$0(v,n){if(Array.isArray(v)||typeof v==='string')return v;var f,i,r,s={};if(S_MARK$0)S_MARK$0(v);if(v!=null)f=v[S_ITER$0];if(S_MARK$0)S_MARK$0(void 0);if(typeof f!=='function'){if(v!=null)return v;throw new TypeError(v+' is not iterable')}i=f.call(v);r=[];while(n===void 0||r.length<n){if((s=i["next"]())["done"])return r;r.push(s["value"])}ITER_CLOSE$0(i,s);return r};var SLICE$0 = Array.prototype.slice;var $D$5;var message = "outer";
+
+// catch parameter
+function getMessage() {
+	try {
+		throw new Error("inner");
+	}
+	catch ($D$0) {var message = $D$0.message, code = ((code = $D$0.code) === void 0 ? 5 : code), errorName = $D$0.name;
+		return message + code + errorName;
+	}
+}
+console.log(getMessage() === "inner5Error", message === "outer");
+
+try {
+	throw ["a", "b", "c"];
+}
+catch ($D$1) {var first = (others = DES_ITER$0($D$1))[0], third = ((third = others[2]) === void 0 ? "default" : third), fourth = ((fourth = others[3]) === void 0 ? "default" : fourth), others = SLICE$0.call(others, 4);
+	console.log(first === "a", third === "c", fourth === "default", others.length === 0);
+}
+
+function nested() {function OWN_COPY$0(t,s,e){if(s==null){if(e)throw new TypeError(s+" cannot be destructured");return t}s=Object(s);var k,i=0,l=Object.keys(s);if(Object.getOwnPropertySymbols)l=l.concat(Object.getOwnPropertySymbols(s).filter(function(k){return Object.prototype.propertyIsEnumerable.call(s,k)}));if(e)e=e.map(function(k){return typeof k==='number'?k+'':k});for(;i<l.length;i++)if(k=l[i],!e||e.indexOf(k)===-1)Object.defineProperty(t,k,{"value":s[k],"enumerable":true,"configurable":true,"writable":true});return t};
+	var code = 1;
+	try {
+		throw {code: 2, info: {line: 3}};
+	}
+	catch ($D$2) {var catchedCode = $D$2.code, line = ($D$2.info).line, rest = OWN_COPY$0({}, $D$2, ["code", "info"]);
+		var getCode = function()  {return catchedCode + line};
+		var x = catchedCode;
+		try {
+			throw {x: 10};
+		}
+		catch ($D$3) {var code$0 = $D$3.x;
+			x += code$0;
+		}
+		return code + getCode() + x + Object.keys(rest).length;
+	}
+}
+console.log(nested() === 18);
+
+var catchClosures = [];
+for (var i = 0; i < 3; i++) {(function(){
+	try {
+		throw {value: i};
+	}
+	catch ($D$4) {var value = $D$4.value;
+		catchClosures.push(function()  {return value});
+	}
+})();}
+console.log(catchClosures.map(function(closure)  {return closure()}).join() === "0,1,2");
+
+// for-in declaration
+var obj = {ab: 1, cd: 2};
+var keys = [];
+for (var $D$5 in obj) {var first$0 = (second = DES_ITER$0($D$5, 2))[0], second = second[1];keys.push(first$0 + second);}
+console.log(keys.join() === "ab,cd");
+
+for (var $D$5 in obj) {var length = $D$5.length, char = ((char = $D$5[0]) === void 0 ? "-" : char), missing = ((missing = $D$5[5]) === void 0 ? "?" : missing);
+	keys.push(length + char + missing);
+}
+console.log(keys.join() === "ab,cd,2a?,2c?", length === 2);
+
+var forInClosures = [];
+for (var $D$5 in obj) {var char$0 = (DES_ITER$0($D$5, 1))[0];(function(char){
+	forInClosures.push(function()  {return char});
+})(char$0);}
+for (var $D$5 in {abc: 1}) {var length$0 = $D$5.length;(function(length){forInClosures.push(function()  {return length});})(length$0);}
+console.log(forInClosures.map(function(closure)  {return closure()}).join() === "a,c,3");
+
@@ -0,0 +1,67 @@
+var message = "outer";
+
+// catch parameter
+function getMessage() {
+	try {
+		throw new Error("inner");
+	}
+	catch ({message, code = 5, name: errorName}) {
+		return message + code + errorName;
+	}
+}
+console.log(getMessage() === "inner5Error", message === "outer");
+
+try {
+	throw ["a", "b", "c"];
+}
+catch ([first, , third = "default", fourth = "default", ...others]) {
+	console.log(first === "a", third === "c", fourth === "default", others.length === 0);
+}
+
+function nested() {
+	var code = 1;
+	try {
+		throw {code: 2, info: {line: 3}};
+	}
+	catch ({code: catchedCode, info: {line}, ...rest}) {
+		var getCode = () => catchedCode + line;
+		let x = catchedCode;
+		try {
+			throw {x: 10};
+		}
+		catch ({x: code}) {
+			x += code;
+		}
+		return code + getCode() + x + Object.keys(rest).length;
+	}
+}
+console.log(nested() === 18);
+
+var catchClosures = [];
+for (var i = 0; i < 3; i++) {
+	try {
+		throw {value: i};
+	}
+	catch ({value}) {
+		catchClosures.push(() => value);
+	}
+}
+console.log(catchClosures.map((closure) => closure()).join() === "0,1,2");
+
+// for-in declaration
+var obj = {ab: 1, cd: 2};
+var keys = [];
+for (let [first, second] in obj) keys.push(first + second);
+console.log(keys.join() === "ab,cd");
+
+for (var {length, 0: char = "-", 5: missing = "?"} in obj) {
+	keys.push(length + char + missing);
+}
+console.log(keys.join() === "ab,cd,2a?,2c?", length === 2);
+
+var forInClosures = [];
+for (let [char] in obj) {
+	forInClosures.push(() => char);
+}
+for (const {length} in {abc: 1}) forInClosures.push(() => length);
+console.log(forInClosures.map((closure) => closure()).join() === "a,c,3");
@@ -1,4 +1,4 @@
-var DP$0 = Object.defineProperty;var a = 'a1', b = 'b1', c = 'c1';
+var DP$0 = Object.defineProperty;var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function ITER_CLOSE$0(i,r){var f;if(i!==0&&r&&r["done"]!==true&&typeof (f=i["return"])==='function')f.call(i)};function DES_ITER$0(v,n){if(Array.isArray(v)||typeof v==='string')return v;var f,i,r,s={};if(S_MARK$0)S_MARK$0(v);if(v!=null)f=v[S_ITER$0];if(S_MARK$0)S_MARK$0(void 0);if(typeof f!=='function'){if(v!=null)return v;throw new TypeError(v+' is not iterable')}i=f.call(v);r=[];while(n===void 0||r.length<n){if((s=i["next"]())["done"])return r;r.push(s["value"])}ITER_CLOSE$0(i,s);return r};var a = 'a1', b = 'b1', c = 'c1';
 var i0 = 0, i1 = 1, i2 = 2;
 
 {// object destructuring simple - one property
@@ -17,17 +17,17 @@ var i0 = 0, i1 = 1, i2 = 2;
 }
 
 {// array destructuring simple - one property
-	var a1$2 = (DP$0({},i0,{"value": 1,"configurable":true,"enumerable":true,"writable":true}))[0];
+	var a1$2 = (DES_ITER$0(DP$0({},i0,{"value": 1,"configurable":true,"enumerable":true,"writable":true}), 1))[0];
 	console.log(a1$2 === 1);
 }
 
 {// array destructuring simple - two properties
-	var a1$3 = (b1$1 = DP$0(DP$0({},i0,{"value": 1,"configurable":true,"enumerable":true,"writable":true}), i1,{"value": 2,"configurable":true,"enumerable":true,"writable":true}))[0], b1$1 = b1$1[1];
+	var a1$3 = (b1$1 = DES_ITER$0(DP$0(DP$0({},i0,{"value": 1,"configurable":true,"enumerable":true,"writable":true}), i1,{"value": 2,"configurable":true,"enumerable":true,"writable":true}), 2))[0], b1$1 = b1$1[1];
 	console.log(a1$3 === 1, b1$1 === 2);
 }
 
 {// array destructuring simple - three properties
-	var a1$4 = (c1$0 = DP$0(DP$0(DP$0({},i0,{"value": 1,"configurable":true,"enumerable":true,"writable":true}), i1,{"value": 2,"configurable":true,"enumerable":true,"writable":true}), i2,{"value": 3,"configurable":true,"enumerable":true,"writable":true}))[0], b1$2 = c1$0[1], c1$0 = c1$0[2];
+	var a1$4 = (c1$0 = DES_ITER$0(DP$0(DP$0(DP$0({},i0,{"value": 1,"configurable":true,"enumerable":true,"writable":true}), i1,{"value": 2,"configurable":true,"enumerable":true,"writable":true}), i2,{"value": 3,"configurable":true,"enumerable":true,"writable":true}), 3))[0], b1$2 = c1$0[1], c1$0 = c1$0[2];
 	console.log(a1$4 === 1, b1$2 === 2, c1$0 === 3);
 }
 
@@ -41,7 +41,7 @@ var i0 = 0, i1 = 1, i2 = 2;
 }
 
 {// function array destructuring - default value
-	var test$0 = function () {var a = (d = (arguments[0] !== void 0 ? arguments[0] : DP$0(DP$0(DP$0({},i0,{"value": 1,"configurable":true,"enumerable":true,"writable":true}), i1,{"value": 2,"configurable":true,"enumerable":true,"writable":true}), i2,{"value": 3,"configurable":true,"enumerable":true,"writable":true})))[0], b = d[1], c = d[2], d = ((d = d[3]) === void 0 ? 4 : d);
+	var test$0 = function () {var a = (d = DES_ITER$0((arguments[0] !== void 0 ? arguments[0] : DP$0(DP$0(DP$0({},i0,{"value": 1,"configurable":true,"enumerable":true,"writable":true}), i1,{"value": 2,"configurable":true,"enumerable":true,"writable":true}), i2,{"value": 3,"configurable":true,"enumerable":true,"writable":true})), 4))[0], b = d[1], c = d[2], d = ((d = d[3]) === void 0 ? 4 : d);
 		return [a, b, c, d];
 	}
 	console.log(test$0().join('|') === [1, 2, 3, 4].join('|'))
@@ -1,59 +1,59 @@
-var $D$8;
+var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function ITER_CLOSE$0(i,r){var f;if(i!==0&&r&&r["done"]!==true&&typeof (f=i["return"])==='function')f.call(i)};function DES_ITER$0(v,n){if(Array.isArray(v)||typeof v==='string')return v;var f,i,r,s={};if(S_MARK$0)S_MARK$0(v);if(v!=null)f=v[S_ITER$0];if(S_MARK$0)S_MARK$0(void 0);if(typeof f!=='function'){if(v!=null)return v;throw new TypeError(v+' is not iterable')}i=f.call(v);r=[];while(n===void 0||r.length<n){if((s=i["next"]())["done"])return r;r.push(s["value"])}ITER_CLOSE$0(i,s);return r};var $D$14;
 function test1() {var $D$0;$D$0;var a = arguments[1];if(a === void 0)a = 1;
 	return a;
 }
 console.log(test1() === 1);
 
-function test2() {var $D$1;$D$1;
+function test2() {var $D$1;var $D$1 = DES_ITER$0((arguments[0] !== void 0 ? arguments[0] : []), 0);
 	return 2;
 }
 console.log(test2() === 2);
 
-var $D$8;
-var $D$8, b = 2 ;
-var a = void 0, c = ((a = ($D$8 = {a: 3}).a, $D$8)).a;
+var $D$14 = DES_ITER$0([1], 0);
+var $D$14, b = 2 ;
+var a = void 0, c = ((a = ($D$14 = {a: 3}).a, $D$14)).a;
 console.log(b === 2, a === c, a === 3);
 
-function test3($D$2) {var $D$2;$D$2;
+function test3($D$2) {var $D$3;$D$3;
 	var a;
-	return ((a = ($D$2 = {a: 3}).a, $D$2)), a;
+	return ((a = ($D$3 = {a: 3}).a, $D$3)), a;
 }
 console.log(test3() === 3);
 
-function test4($D$3) {var $D$3;$D$3;
-	var a, b = ((a = ($D$3 = {a: 4}).a, $D$3)).a;$D$3 = void 0;;
+function test4($D$4) {var $D$5;var $D$5 = DES_ITER$0($D$4, 0);
+	var a, b = ((a = ($D$5 = {a: 4}).a, $D$5)).a;$D$5 = void 0;;
 	return b;
 }
 console.log(test4() === 4);
 
-function test5(){var $D$9;var a,b = (a = ($D$9 = {a:5}).a, $D$9);$D$9 = void 0;;function test6(){var $D$10;var a,b = (a = ($D$10 = {a:6}).a, $D$10);$D$10 = void 0;;return b.a}return b.a+test6()}
+function test5(){var $D$15;var a,b = (a = ($D$15 = {a:5}).a, $D$15);$D$15 = void 0;;function test6(){var $D$16;var a,b = (a = ($D$16 = {a:6}).a, $D$16);$D$16 = void 0;;return b.a}return b.a+test6()}
 console.log(test5() === 11);
 
-function test6($D$4) {var $D$4;$D$4;
+function test6($D$6) {var $D$7;var $D$7 = DES_ITER$0($D$6, 1);
 	return 6;
 }
 console.log(test6() === 6);
 
-function test7(a3) {var a3 = a3[2];
+function test7(a3) {var a3 = (a3 = DES_ITER$0(a3, 3))[2];
 	return a3;
 }
 console.log(test7([3, 6, 9]) === 9);
 
-function test8($D$5, a) {var $D$5;$D$5;
+function test8($D$8, a) {var $D$9;$D$9;
 	return a;
 }
 console.log(test8(null, 8) === 8);
 
-function test9($D$6, a) {var $D$6;$D$6;
+function test9($D$10, a) {var $D$11;var $D$11 = DES_ITER$0($D$10, 0);
 	return a;
 }
 console.log(test9(null, 9) === 9);
 
-function test10($D$7, a) {var $D$7;$D$7;
+function test10($D$12, a) {var $D$13;var $D$13 = DES_ITER$0($D$12, 1);
 	return a;
 }
 console.log(test10(null, 10) === 10);
 
 function empty() {
 
-};$D$8 = void 0;
+};$D$14 = void 0;
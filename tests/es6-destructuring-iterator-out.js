@@ -0,0 +1,77 @@
+var S_STAG$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["toStringTag"]||'@@toStringTag';var S_ITER$1 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$1 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];var Generator$0 = Function["__Generator__"];if(!Generator$0){Function["__Generator__"]=Generator$0=function Generator(){if(!(this instanceof Generator$0))throw new TypeError('incompatible'+this);this["__next__"]=arguments[0];this["__throw__"]=arguments[1];this["__return__"]=arguments[2];};Generator$0.prototype={constructor:Generator$0,"next":function(val){if(!(this instanceof Generator$0))throw new TypeError('next method called on incompatible '+this);if(this["__next__"]){try {return this["__next__"](val);}catch(e){if(this["__throw__"])return this["__throw__"](e);else throw e;}}else return {"value":void 0,"done":true};},"throw":function(e){if(!(this instanceof Generator$0))throw new TypeError('throw method called on incompatible '+this);if(this&&this["__throw__"])return this["__throw__"](e);else throw e},"return":function(v){if(!(this instanceof Generator$0))throw new TypeError('return method called on incompatible '+this);if(this["__return__"])return this["__return__"](v);this["__next__"]=this["__throw__"]=null;return {"value":v,"done":true}},"toString":function(){return '[object Generator]'}};if(S_MARK$1)S_MARK$1(Generator$0.prototype);Generator$0.prototype[S_STAG$0]='Generator';Generator$0.prototype[S_ITER$1]=function(){return this};if(S_MARK$1)S_MARK$1(void 0);};function GEN$0(b,s){var c={"label":0,"sent":function(){if(v[0]===1)throw v[1];return v[1]},"trys":[],"ops":[]},v,d,r=false,a=true,n=false;function i(o){var f;if(S_MARK$1)S_MARK$1(o);if(o!=null&&typeof (f=o[S_ITER$1])==='function'){if(S_MARK$1)S_MARK$1(void 0);return f.call(o);}if(S_MARK$1)S_MARK$1(void 0);if(o!=null&&typeof o.length==='number'){f=0;return {"next":function(){return f<o.length?{"value":o[f++],"done":false}:{"value":void 0,"done":true}}}}throw new TypeError(o+' is not iterable')}function step(o){var t,f;if(r)throw new TypeError('Generator is already running');if(!n){n=true;if(o[0])a=false;}while(a)try{r=true;if(d){f=d[o[0]===2?"return":o[0]===1?"throw":"next"];if(typeof f!=='function'){t=d;d=void 0;if(o[0]===1){if(typeof (f=t["return"])==='function')f.call(t);throw new TypeError('The iterator does not provide a \'throw\' method');}if(!o[0])throw new TypeError('The iterator does not provide a \'next\' method');}else{t=f.call(d,o[1]);if(Object(t)!==t)throw new TypeError('Iterator result '+t+' is not an object');if(!t["done"])return t;d=void 0;o=[o[0]===2?2:0,t["value"]];}}switch(o[0]){case 0:case 1:v=o;break;case 4:c["label"]++;return {"value":o[1],"done":false};case 5:c["label"]++;d=i(o[1]);o=[0];continue;case 7:o=c["ops"].pop();c["trys"].pop();continue;default:t=c["trys"];t=t.length>0&&t[t.length-1];if(!t&&(o[0]===6||o[0]===2)){a=false;continue;}if(o[0]===3&&(!t||(o[1]>t[0]&&o[1]<t[3]))){c["label"]=o[1];break;}if(o[0]===6&&t[1]&&c["label"]<t[1]){c["label"]=t[1];v=o;break;}if(t[2]&&c["label"]<t[2]){c["label"]=t[2];c["ops"].push(o);break;}if(t[2])c["ops"].pop();c["trys"].pop();continue;}o=b.call(s,c);}catch(e){o=[6,e];d=void 0;}finally{r=false;}if(o[0]===1||o[0]===6)throw o[1];return {"value":o[0]===2?o[1]:void 0,"done":true};}return new Generator$0(function(v){return step([0,v])},function(e){return step([1,e])},function(v){return step([2,v])})};var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function ITER_CLOSE$0(i,r){var f;if(i!==0&&r&&r["done"]!==true&&typeof (f=i["return"])==='function')f.call(i)};function DES_ITER$0(v,n){if(Array.isArray(v)||typeof v==='string')return v;var f,i,r,s={};if(S_MARK$0)S_MARK$0(v);if(v!=null)f=v[S_ITER$0];if(S_MARK$0)S_MARK$0(void 0);if(typeof f!=='function'){if(v!=null)return v;throw new TypeError(v+' is not iterable')}i=f.call(v);r=[];while(n===void 0||r.length<n){if((s=i["next"]())["done"])return r;r.push(s["value"])}ITER_CLOSE$0(i,s);return r};var $D$2;var SLICE$0 = Array.prototype.slice;var $D$3;function GET_ITER$0(v){if(v){if(Array.isArray(v))return 0;var f;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){if(S_MARK$0)S_MARK$0(void 0);return f.call(v);}if(S_MARK$0)S_MARK$0(void 0);if((v+'')==='[object Generator]')return v;}throw new Error(v+' is not iterable')};var $D$4;var $D$5;var log = [];
+
+function numbers(name) {return GEN$0(function($ctx$0){switch($ctx$0["label"]){case 0:
+	$ctx$0["trys"].push([0, , 4, 5]);
+		return [4, 1];case 1:$ctx$0["sent"]();
+		return [4, 2];case 2:$ctx$0["sent"]();
+		return [4, 3];case 3:$ctx$0["sent"]();return [3, 5];case 4:
+
+	{
+		log.push(name);
+	}return [7];case 5:return [2];}}, this);
+}
+
+// Set, Map and generators
+var set = new Set([1, 2, 3]);
+var a = (b = DES_ITER$0(set, 2))[0], b = b[1];
+console.log(a === 1, b === 2);
+
+var key = (value = DES_ITER$0((second = DES_ITER$0(new Map([["k1", "v1"], ["k2", "v2"]]), 2))[0], 2))[0], value = value[1], second = second[1];
+console.log(key === "k1", value === "v1", second[0] === "k2");
+
+// the iterator is closed when the pattern does not exhaust it
+var one = (DES_ITER$0(numbers("one"), 1))[0];
+console.log(one === 1, log.join() === "one");
+
+// the empty pattern closes the iterator without drawing the values
+var closedIterator = {
+	next: function() { this.nextCount++; return {done: false, value: 1} }
+	, return: function() { this.returnCount++; return {} }
+	, nextCount: 0
+	, returnCount: 0
+};
+closedIterator[Symbol.iterator] = function() { return this };
+var $D$2 = DES_ITER$0(closedIterator, 0);
+(DES_ITER$0($D$2 = closedIterator, 0), $D$2);
+(function($D$0) {var $D$1;var $D$1 = DES_ITER$0($D$0, 0);})(closedIterator);
+var $D$2 = DES_ITER$0(closedIterator, 1);
+console.log(closedIterator.returnCount === 4, closedIterator.nextCount === 1);
+
+// holes, defaults and rest
+var x = (rest = DES_ITER$0(numbers("rest")))[0], z = ((z = rest[2]) === void 0 ? 10 : z), w = ((w = rest[3]) === void 0 ? 20 : w), rest = SLICE$0.call(rest, 4);
+console.log(x === 1, z === 3, w === 20, rest.length === 0, log.join() === "one,rest");
+
+var head = (tail = DES_ITER$0(set))[0], tail = SLICE$0.call(tail, 1);
+console.log(head === 1, tail.join() === "2,3");
+
+// assignment: the result is the value of the right side
+var m, n, result;
+result = (m = ($D$3 = DES_ITER$0($D$2 = set, 2))[0], n = $D$3[1], $D$2);
+console.log(result === set, m === 1, n === 2);
+
+// literal arrays
+m = ($D$3 = [n, m])[0], n = $D$3[1], $D$3;
+console.log(m === 2, n === 1);
+
+// parameters and for-of
+function sum(v) {var u = (v = DES_ITER$0(v, 2))[0], v = ((v = v[1]) === void 0 ? 5 : v);
+	return u + v;
+}
+console.log(sum(new Set([1])) === 6, sum([1, 2]) === 3);
+
+var k=void 0, val=void 0;$D$5 = (new Map([["a", 1]]));$D$2 = GET_ITER$0($D$5);$D$4 = $D$2 === 0;$D$3 = ($D$4 ? $D$5.length : void 0);try{for ( ;$D$4 ? ($D$2 < $D$3) : !($D$3 = void 0, $D$3 = $D$2["next"]())["done"];){k = (val = DES_ITER$0(($D$4 ? $D$5[$D$2++] : $D$3["value"]), 2))[0], val = val[1];
+	console.log(k === "a", val === 1);
+};}finally{ITER_CLOSE$0($D$2, $D$3);$D$2 = $D$3 = $D$4 = $D$5 = void 0;k=void 0;val=void 0;}
+
+var s1, s2;$D$5 = ([new Set([1, 2])]);$D$2 = GET_ITER$0($D$5);$D$4 = $D$2 === 0;$D$3 = ($D$4 ? $D$5.length : void 0);try{for ( ;$D$4 ? ($D$2 < $D$3) : !($D$3 = void 0, $D$3 = $D$2["next"]())["done"];){s1 = (s2 = DES_ITER$0(($D$4 ? $D$5[$D$2++] : $D$3["value"]), 2))[0], s2 = s2[1];
+	console.log(s1 === 1, s2 === 2);
+};}finally{ITER_CLOSE$0($D$2, $D$3);$D$2 = $D$3 = $D$4 = $D$5 = void 0;}
+
+// strings and array-likes
+var c1 = (c2 = DES_ITER$0("ab", 2))[0], c2 = c2[1];
+console.log(c1 === "a", c2 === "b");
+
+(function() {
+	var first = (last = DES_ITER$0(arguments, 2))[0], last = last[1];
+	console.log(first === "first", last === "last");
+})("first", "last");;$D$2 = void 0;;$D$3 = void 0;
@@ -0,0 +1,77 @@
+var log = [];
+
+function* numbers(name) {
+	try {
+		yield 1;
+		yield 2;
+		yield 3;
+	}
+	finally {
+		log.push(name);
+	}
+}
+
+// Set, Map and generators
+var set = new Set([1, 2, 3]);
+var [a, b] = set;
+console.log(a === 1, b === 2);
+
+var [[key, value], second] = new Map([["k1", "v1"], ["k2", "v2"]]);
+console.log(key === "k1", value === "v1", second[0] === "k2");
+
+// the iterator is closed when the pattern does not exhaust it
+var [one] = numbers("one");
+console.log(one === 1, log.join() === "one");
+
+// the empty pattern closes the iterator without drawing the values
+var closedIterator = {
+	next() { this.nextCount++; return {done: false, value: 1} }
+	, return() { this.returnCount++; return {} }
+	, nextCount: 0
+	, returnCount: 0
+};
+closedIterator[Symbol.iterator] = function() { return this };
+var [] = closedIterator;
+[] = closedIterator;
+(function([]) {})(closedIterator);
+var [ , ] = closedIterator;
+console.log(closedIterator.returnCount === 4, closedIterator.nextCount === 1);
+
+// holes, defaults and rest
+let [x, , z = 10, w = 20, ...rest] = numbers("rest");
+console.log(x === 1, z === 3, w === 20, rest.length === 0, log.join() === "one,rest");
+
+let [head, ...tail] = set;
+console.log(head === 1, tail.join() === "2,3");
+
+// assignment: the result is the value of the right side
+var m, n, result;
+result = [m, n] = set;
+console.log(result === set, m === 1, n === 2);
+
+// literal arrays
+[m, n] = [n, m];
+console.log(m === 2, n === 1);
+
+// parameters and for-of
+function sum([u, v = 5]) {
+	return u + v;
+}
+console.log(sum(new Set([1])) === 6, sum([1, 2]) === 3);
+
+for (let [k, val] of new Map([["a", 1]])) {
+	console.log(k === "a", val === 1);
+}
+
+for (var [s1, s2] of [new Set([1, 2])]) {
+	console.log(s1 === 1, s2 === 2);
+}
+
+// strings and array-likes
+var [c1, c2] = "ab";
+console.log(c1 === "a", c2 === "b");
+
+(function() {
+	var [first, last] = arguments;
+	console.log(first === "first", last === "last");
+})("first", "last");
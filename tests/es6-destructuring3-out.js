@@ -1,4 +1,4 @@
-var $D$0;var test1 = void 0, test2 = void 0;
+var $D$0;var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function ITER_CLOSE$0(i,r){var f;if(i!==0&&r&&r["done"]!==true&&typeof (f=i["return"])==='function')f.call(i)};function DES_ITER$0(v,n){if(Array.isArray(v)||typeof v==='string')return v;var f,i,r,s={};if(S_MARK$0)S_MARK$0(v);if(v!=null)f=v[S_ITER$0];if(S_MARK$0)S_MARK$0(void 0);if(typeof f!=='function'){if(v!=null)return v;throw new TypeError(v+' is not iterable')}i=f.call(v);r=[];while(n===void 0||r.length<n){if((s=i["next"]())["done"])return r;r.push(s["value"])}ITER_CLOSE$0(i,s);return r};var test1 = void 0, test2 = void 0;
 
 {
 	var a = 1, b = 2, c = 3;
@@ -35,7 +35,7 @@ test2();
 	console.log(a === void 0, b === void 0, c === void 0, test === 22);
 
 	var obj = {};
-	obj["test"] = ((b = ($D$1 = {test: {test:b, a: [1, 2, [99], 4]}, b: test}).b, test = (c = $D$1.test).test, a = (c = c.a)[2][0], c = ((c = c[4]) === void 0 ? 5 : c), $D$1), test);
+	obj["test"] = ((b = ($D$1 = {test: {test:b, a: [1, 2, [99], 4]}, b: test}).b, test = (c = $D$1.test).test, a = (DES_ITER$0((c = DES_ITER$0(c.a, 5))[2], 1))[0], c = ((c = c[4]) === void 0 ? 5 : c), $D$1), test);
 
 	console.log(a === 99, test === void 0, b === 22, obj["test"] === test);
 ;$D$1 = void 0})()
@@ -52,7 +52,7 @@ test2();
 	}
 	console.log(test4({test:{a:{a:{a:1,b:2}, b1:{}}, b2:{}}}) == "1|2");
 
-	function test5(d) {var a = (b = (c = d)[0]).a, b = b.b, c = (d = c[1]).c, d = d.d;
+	function test5(d) {var a = (b = (c = DES_ITER$0(d, 2))[0]).a, b = b.b, c = (d = c[1]).c, d = d.d;
 		return a + "|" + b + "|" + c + "|" + d;
 	}
 	console.log(test5([{a: 1, b: 2}, {c: 3, d: 4}]) == "1|2|3|4");
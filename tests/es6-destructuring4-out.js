@@ -1,4 +1,4 @@
-var SLICE$0 = Array.prototype.slice;
+var SLICE$0 = Array.prototype.slice;var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function ITER_CLOSE$0(i,r){var f;if(i!==0&&r&&r["done"]!==true&&typeof (f=i["return"])==='function')f.call(i)};function DES_ITER$0(v,n){if(Array.isArray(v)||typeof v==='string')return v;var f,i,r,s={};if(S_MARK$0)S_MARK$0(v);if(v!=null)f=v[S_ITER$0];if(S_MARK$0)S_MARK$0(void 0);if(typeof f!=='function'){if(v!=null)return v;throw new TypeError(v+' is not iterable')}i=f.call(v);r=[];while(n===void 0||r.length<n){if((s=i["next"]())["done"])return r;r.push(s["value"])}ITER_CLOSE$0(i,s);return r};
 function test1() {
 
 	function test1() {
@@ -18,7 +18,7 @@ function test1() {
 		test12();
 
 		function test13(arr) {
-			var a = (arr[0]).a, b = (arr[1])[0], c = SLICE$0.call(arr, 2);
+			var a = (c = DES_ITER$0(arr))[0].a, b = (DES_ITER$0(c[1], 1))[0], c = SLICE$0.call(c, 2);
 
 			console.log(a === 9, b === 8, c.join("") === '7654321');
 		}
@@ -50,12 +50,12 @@ function test2() {
 		;$D$1 = void 0}
 		test12();
 
-		function test13(arr) {
-			var a = (c = [{},[]])[0].a, b = (c[1])[0], c = SLICE$0.call(c, 2);
-			a = (arr[0]).a, b = (arr[1])[0], c = SLICE$0.call(arr, 2), arr;
+		function test13(arr) {var $D$2;
+			var a = (c = [{},[]])[0].a, b = (DES_ITER$0(c[1], 1))[0], c = SLICE$0.call(c, 2);
+			a = ($D$2 = DES_ITER$0(arr))[0].a, b = (DES_ITER$0($D$2[1], 1))[0], c = SLICE$0.call($D$2, 2), $D$2;
 
 			console.log(a === 9, b === 8, c.join("") === '7654321');
-		}
+		;$D$2 = void 0}
 		test13([{a: 9}, [8], 7, 6, 5, 4, 3, 2, 1]);
 
 	}
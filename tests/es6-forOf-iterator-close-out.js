@@ -0,0 +1,68 @@
+var S_STAG$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["toStringTag"]||'@@toStringTag';var S_ITER$1 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$1 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];var Generator$0 = Function["__Generator__"];if(!Generator$0){Function["__Generator__"]=Generator$0=function Generator(){if(!(this instanceof Generator$0))throw new TypeError('incompatible'+this);this["__next__"]=arguments[0];this["__throw__"]=arguments[1];this["__return__"]=arguments[2];};Generator$0.prototype={constructor:Generator$0,"next":function(val){if(!(this instanceof Generator$0))throw new TypeError('next method called on incompatible '+this);if(this["__next__"]){try {return this["__next__"](val);}catch(e){if(this["__throw__"])return this["__throw__"](e);else throw e;}}else return {"value":void 0,"done":true};},"throw":function(e){if(!(this instanceof Generator$0))throw new TypeError('throw method called on incompatible '+this);if(this&&this["__throw__"])return this["__throw__"](e);else throw e},"return":function(v){if(!(this instanceof Generator$0))throw new TypeError('return method called on incompatible '+this);if(this["__return__"])return this["__return__"](v);this["__next__"]=this["__throw__"]=null;return {"value":v,"done":true}},"toString":function(){return '[object Generator]'}};if(S_MARK$1)S_MARK$1(Generator$0.prototype);Generator$0.prototype[S_STAG$0]='Generator';Generator$0.prototype[S_ITER$1]=function(){return this};if(S_MARK$1)S_MARK$1(void 0);};function GEN$0(b,s){var c={"label":0,"sent":function(){if(v[0]===1)throw v[1];return v[1]},"trys":[],"ops":[]},v,d,r=false,a=true,n=false;function i(o){var f;if(S_MARK$1)S_MARK$1(o);if(o!=null&&typeof (f=o[S_ITER$1])==='function'){if(S_MARK$1)S_MARK$1(void 0);return f.call(o);}if(S_MARK$1)S_MARK$1(void 0);if(o!=null&&typeof o.length==='number'){f=0;return {"next":function(){return f<o.length?{"value":o[f++],"done":false}:{"value":void 0,"done":true}}}}throw new TypeError(o+' is not iterable')}function step(o){var t,f;if(r)throw new TypeError('Generator is already running');if(!n){n=true;if(o[0])a=false;}while(a)try{r=true;if(d){f=d[o[0]===2?"return":o[0]===1?"throw":"next"];if(typeof f!=='function'){t=d;d=void 0;if(o[0]===1){if(typeof (f=t["return"])==='function')f.call(t);throw new TypeError('The iterator does not provide a \'throw\' method');}if(!o[0])throw new TypeError('The iterator does not provide a \'next\' method');}else{t=f.call(d,o[1]);if(Object(t)!==t)throw new TypeError('Iterator result '+t+' is not an object');if(!t["done"])return t;d=void 0;o=[o[0]===2?2:0,t["value"]];}}switch(o[0]){case 0:case 1:v=o;break;case 4:c["label"]++;return {"value":o[1],"done":false};case 5:c["label"]++;d=i(o[1]);o=[0];continue;case 7:o=c["ops"].pop();c["trys"].pop();continue;default:t=c["trys"];t=t.length>0&&t[t.length-1];if(!t&&(o[0]===6||o[0]===2)){a=false;continue;}if(o[0]===3&&(!t||(o[1]>t[0]&&o[1]<t[3]))){c["label"]=o[1];break;}if(o[0]===6&&t[1]&&c["label"]<t[1]){c["label"]=t[1];v=o;break;}if(t[2]&&c["label"]<t[2]){c["label"]=t[2];c["ops"].push(o);break;}if(t[2])c["ops"].pop();c["trys"].pop();continue;}o=b.call(s,c);}catch(e){o=[6,e];d=void 0;}finally{r=false;}if(o[0]===1||o[0]===6)throw o[1];return {"value":o[0]===2?o[1]:void 0,"done":true};}return new Generator$0(function(v){return step([0,v])},function(e){return step([1,e])},function(v){return step([2,v])})};var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function GET_ITER$0(v){if(v){if(Array.isArray(v))return 0;var f;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){if(S_MARK$0)S_MARK$0(void 0);return f.call(v);}if(S_MARK$0)S_MARK$0(void 0);if((v+'')==='[object Generator]')return v;}throw new Error(v+' is not iterable')};var $D$0;var $D$1;var $D$2;var $D$3;function ITER_CLOSE$0(i,r){var f;if(i!==0&&r&&r["done"]!==true&&typeof (f=i["return"])==='function')f.call(i)};var $D$8;var $D$9;var $D$10;var $D$11;var log = [];
+
+function numbers(name) {return GEN$0(function($ctx$0){switch($ctx$0["label"]){case 0:
+	$ctx$0["trys"].push([0, , 4, 5]);
+		return [4, 1];case 1:$ctx$0["sent"]();
+		return [4, 2];case 2:$ctx$0["sent"]();
+		return [4, 3];case 3:$ctx$0["sent"]();return [3, 5];case 4:
+
+	{
+		log.push(name);
+	}return [7];case 5:return [2];}}, this);
+}
+
+// break
+$D$3 = (numbers("break"));$D$0 = GET_ITER$0($D$3);$D$2 = $D$0 === 0;$D$1 = ($D$2 ? $D$3.length : void 0);try{for (var x ;$D$2 ? ($D$0 < $D$1) : !($D$1 = void 0, $D$1 = $D$0["next"]())["done"];){x = ($D$2 ? $D$3[$D$0++] : $D$1["value"]);
+	if (x == 2) break;
+};}finally{ITER_CLOSE$0($D$0, $D$1);$D$0 = $D$1 = $D$2 = $D$3 = void 0;}
+console.log(log.join() === "break");
+
+// return
+function findTwo() {var $D$4;var $D$5;var $D$6;var $D$7;
+	$D$7 = (numbers("return"));$D$4 = GET_ITER$0($D$7);$D$6 = $D$4 === 0;$D$5 = ($D$6 ? $D$7.length : void 0);try{for (var x ;$D$6 ? ($D$4 < $D$5) : !($D$5 = void 0, $D$5 = $D$4["next"]())["done"];){x = ($D$6 ? $D$7[$D$4++] : $D$5["value"]);
+		if (x == 2) return x;
+	};}finally{ITER_CLOSE$0($D$4, $D$5);$D$4 = $D$5 = $D$6 = $D$7 = void 0;}
+}
+console.log(findTwo() === 2, log.join() === "break,return");
+
+// throw
+try {
+	$D$3 = (numbers("throw"));$D$0 = GET_ITER$0($D$3);$D$2 = $D$0 === 0;$D$1 = ($D$2 ? $D$3.length : void 0);try{for (var x$0 ;$D$2 ? ($D$0 < $D$1) : !($D$1 = void 0, $D$1 = $D$0["next"]())["done"];){x$0 = ($D$2 ? $D$3[$D$0++] : $D$1["value"]);
+		throw new Error("error " + x$0);
+	};}finally{ITER_CLOSE$0($D$0, $D$1);$D$0 = $D$1 = $D$2 = $D$3 = void 0;}
+}
+catch (e) {
+	console.log(e.message === "error 1", log.join() === "break,return,throw");
+}
+
+// labeled continue of the outer loop
+log = [];
+var pairs = [];
+$D$3 = (numbers("outer"));$D$0 = GET_ITER$0($D$3);$D$2 = $D$0 === 0;$D$1 = ($D$2 ? $D$3.length : void 0);try{outer: for (var x$1 ;$D$2 ? ($D$0 < $D$1) : !($D$1 = void 0, $D$1 = $D$0["next"]())["done"];){x$1 = ($D$2 ? $D$3[$D$0++] : $D$1["value"]);
+	$D$11 = (numbers("inner"));$D$8 = GET_ITER$0($D$11);$D$10 = $D$8 === 0;$D$9 = ($D$10 ? $D$11.length : void 0);try{for (var y ;$D$10 ? ($D$8 < $D$9) : !($D$9 = void 0, $D$9 = $D$8["next"]())["done"];){y = ($D$10 ? $D$11[$D$8++] : $D$9["value"]);
+		pairs.push(x$1 + "" + y);
+		if (y == 2) continue outer;
+	};}finally{ITER_CLOSE$0($D$8, $D$9);$D$8 = $D$9 = $D$10 = $D$11 = void 0;}
+};}finally{ITER_CLOSE$0($D$0, $D$1);$D$0 = $D$1 = $D$2 = $D$3 = void 0;}
+console.log(pairs.join() === "11,12,21,22,31,32", log.join() === "inner,inner,inner,outer");
+
+// the iterator is done: 'return' is not called
+var returnCalls = 0;
+var iterable = {};
+iterable[typeof Symbol !== "undefined" && Symbol.iterator || "@@iterator"] = function() {
+	var i = 0;
+	return {
+		next: function() { return {value: i, done: i++ > 2} }
+		, "return": function() { returnCalls++; return {} }
+	};
+};
+var sum = 0;
+$D$0 = GET_ITER$0(iterable);$D$2 = $D$0 === 0;$D$1 = ($D$2 ? iterable.length : void 0);for (var x$2 ;$D$2 ? ($D$0 < $D$1) : !($D$1 = $D$0["next"]())["done"];){x$2 = ($D$2 ? iterable[$D$0++] : $D$1["value"]);sum += x$2;};$D$0 = $D$1 = $D$2 = void 0;
+$D$3 = GET_ITER$0(iterable);$D$9 = $D$3 === 0;$D$8 = ($D$9 ? iterable.length : void 0);try{for (var x$3 ;$D$9 ? ($D$3 < $D$8) : !($D$8 = void 0, $D$8 = $D$3["next"]())["done"];){x$3 = ($D$9 ? iterable[$D$3++] : $D$8["value"]);
+	if (x$3 > 5) {break;}
+};}finally{ITER_CLOSE$0($D$3, $D$8);$D$3 = $D$8 = $D$9 = void 0;}
+console.log(sum === 3, returnCalls === 0);
+$D$10 = GET_ITER$0(iterable);$D$0 = $D$10 === 0;$D$11 = ($D$0 ? iterable.length : void 0);try{for (var x$4 ;$D$0 ? ($D$10 < $D$11) : !($D$11 = void 0, $D$11 = $D$10["next"]())["done"];){x$4 = ($D$0 ? iterable[$D$10++] : $D$11["value"]);
+	if (x$4 > 0) break;
+};}finally{ITER_CLOSE$0($D$10, $D$11);$D$10 = $D$11 = $D$0 = void 0;}
+console.log(returnCalls === 1);
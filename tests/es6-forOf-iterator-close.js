@@ -0,0 +1,68 @@
+var log = [];
+
+function* numbers(name) {
+	try {
+		yield 1;
+		yield 2;
+		yield 3;
+	}
+	finally {
+		log.push(name);
+	}
+}
+
+// break
+for (let x of numbers("break")) {
+	if (x == 2) break;
+}
+console.log(log.join() === "break");
+
+// return
+function findTwo() {
+	for (let x of numbers("return")) {
+		if (x == 2) return x;
+	}
+}
+console.log(findTwo() === 2, log.join() === "break,return");
+
+// throw
+try {
+	for (let x of numbers("throw")) {
+		throw new Error("error " + x);
+	}
+}
+catch (e) {
+	console.log(e.message === "error 1", log.join() === "break,return,throw");
+}
+
+// labeled continue of the outer loop
+log = [];
+var pairs = [];
+outer: for (let x of numbers("outer")) {
+	for (let y of numbers("inner")) {
+		pairs.push(x + "" + y);
+		if (y == 2) continue outer;
+	}
+}
+console.log(pairs.join() === "11,12,21,22,31,32", log.join() === "inner,inner,inner,outer");
+
+// the iterator is done: 'return' is not called
+var returnCalls = 0;
+var iterable = {};
+iterable[typeof Symbol !== "undefined" && Symbol.iterator || "@@iterator"] = function() {
+	var i = 0;
+	return {
+		next: function() { return {value: i, done: i++ > 2} }
+		, "return": function() { returnCalls++; return {} }
+	};
+};
+var sum = 0;
+for (let x of iterable) sum += x;
+for (let x of iterable) {
+	if (x > 5) break;
+}
+console.log(sum === 3, returnCalls === 0);
+for (let x of iterable) {
+	if (x > 0) break;
+}
+console.log(returnCalls === 1);
@@ -0,0 +1,56 @@
+"use strict";var TDZ$0 = {};function TDZ_CHECK$0(v,n){if(v===TDZ$0)throw new ReferenceError(n+" is not defined");return v};
+
+var x = "outer", y = "outer";
+function g() { return "outer" }
+
+// the body declarations are not visible to the default values
+function test1() {var a = arguments[0];if(a === void 0)a = x;var b = arguments[1];if(b === void 0)b = g();var c = arguments[2];if(c === void 0)c = function() { return y };
+	var x$0 = "inner";
+	function g$0() { return "inner" }
+	var y$0 = "inner";
+	{ var x$1 = "block" }
+	console.log(a === "outer", b === "outer", c() === "outer", x$0 === "inner", g$0() === "inner", y$0 === "inner");
+}
+test1();
+
+var test2 = function()  {var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function ITER_CLOSE$0(i,r){var f;if(i!==0&&r&&r["done"]!==true&&typeof (f=i["return"])==='function')f.call(i)};function DES_ITER$0(v,n){if(Array.isArray(v)||typeof v==='string')return v;var f,i,r,s={};if(S_MARK$0)S_MARK$0(v);if(v!=null)f=v[S_ITER$0];if(S_MARK$0)S_MARK$0(void 0);if(typeof f!=='function'){if(v!=null)return v;throw new TypeError(v+' is not iterable')}i=f.call(v);r=[];while(n===void 0||r.length<n){if((s=i["next"]())["done"])return r;r.push(s["value"])}ITER_CLOSE$0(i,s);return r};var a = (arguments[0] !== void 0 ? arguments[0] : {a: x}).a;var b = (DES_ITER$0((arguments[1] !== void 0 ? arguments[1] : [y]), 1))[0];
+	var x$2 = 1, y$1 = ({y: 2}).y;
+	console.log(a === "outer", b === "outer", x$2 === 1, y$1 === 2);
+};
+test2();
+
+// the earlier parameters are visible
+function test3(a) {var b = arguments[1];if(b === void 0)b = a + 1;var c = arguments[2];if(c === void 0)c = function() { return a + b };
+	console.log(a === 1, b === 2, c() === 3);
+}
+test3(1);
+
+// the parameter and the next ones are uninitialized
+function test4() {var a = arguments[0];if(a === void 0)a = TDZ_CHECK$0(TDZ$0, "b");var b = arguments[1];if(b === void 0)b = 1;
+	return a;
+}
+try { test4(); console.log(false) } catch(e) { console.log(e instanceof ReferenceError) }
+console.log(test4(2) === 2);
+
+function test5() {var a = arguments[0];if(a === void 0)a = TDZ_CHECK$0(TDZ$0, "a");
+	return a;
+}
+try { test5(); console.log(false) } catch(e) { console.log(e instanceof ReferenceError) }
+console.log(test5(3) === 3);
+
+function test6() {var SLICE$0 = Array.prototype.slice;var a = arguments[0];if(a === void 0)a = TDZ_CHECK$0(TDZ$0, "b").length;var b = SLICE$0.call(arguments, 1);
+	return a;
+}
+try { test6(); console.log(false) } catch(e) { console.log(e instanceof ReferenceError) }
+
+// the closures refer to the parameters
+function test7() {var a = arguments[0];if(a === void 0)a = function() { return b };var b = arguments[1];if(b === void 0)b = 2;
+	return a();
+}
+console.log(test7() === 2);
+
+// the function expression name is visible
+var test8 = function named() {var a = arguments[0];if(a === void 0)a = named;
+	return a === named;
+};
+console.log(test8());
@@ -0,0 +1,56 @@
+"use strict";
+
+var x = "outer", y = "outer";
+function g() { return "outer" }
+
+// the body declarations are not visible to the default values
+function test1(a = x, b = g(), c = function() { return y }) {
+	var x = "inner";
+	function g() { return "inner" }
+	let y = "inner";
+	{ let x = "block" }
+	console.log(a === "outer", b === "outer", c() === "outer", x === "inner", g() === "inner", y === "inner");
+}
+test1();
+
+var test2 = ({a} = {a: x}, [b] = [y]) => {
+	var x = 1, {y} = {y: 2};
+	console.log(a === "outer", b === "outer", x === 1, y === 2);
+};
+test2();
+
+// the earlier parameters are visible
+function test3(a, b = a + 1, c = function() { return a + b }) {
+	console.log(a === 1, b === 2, c() === 3);
+}
+test3(1);
+
+// the parameter and the next ones are uninitialized
+function test4(a = b, b = 1) {
+	return a;
+}
+try { test4(); console.log(false) } catch(e) { console.log(e instanceof ReferenceError) }
+console.log(test4(2) === 2);
+
+function test5(a = a) {
+	return a;
+}
+try { test5(); console.log(false) } catch(e) { console.log(e instanceof ReferenceError) }
+console.log(test5(3) === 3);
+
+function test6(a = b.length, ...b) {
+	return a;
+}
+try { test6(); console.log(false) } catch(e) { console.log(e instanceof ReferenceError) }
+
+// the closures refer to the parameters
+function test7(a = function() { return b }, b = 2) {
+	return a();
+}
+console.log(test7() === 2);
+
+// the function expression name is visible
+var test8 = function named(a = named) {
+	return a === named;
+};
+console.log(test8());
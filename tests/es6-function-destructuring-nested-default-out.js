@@ -0,0 +1,51 @@
+var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function ITER_CLOSE$0(i,r){var f;if(i!==0&&r&&r["done"]!==true&&typeof (f=i["return"])==='function')f.call(i)};function DES_ITER$0(v,n){if(Array.isArray(v)||typeof v==='string')return v;var f,i,r,s={};if(S_MARK$0)S_MARK$0(v);if(v!=null)f=v[S_ITER$0];if(S_MARK$0)S_MARK$0(void 0);if(typeof f!=='function'){if(v!=null)return v;throw new TypeError(v+' is not iterable')}i=f.call(v);r=[];while(n===void 0||r.length<n){if((s=i["next"]())["done"])return r;r.push(s["value"])}ITER_CLOSE$0(i,s);return r};var log = [];
+
+function nested(a) {var $D$0;var a = (($D$0 = (a).b) === void 0 ? {a: 1} : $D$0).a;
+	return a;
+}
+console.log(nested({}) === 1, nested({b: {a: 2}}) === 2);
+
+function A(a){var $D$1;var a = (($D$1 = (a).b) === void 0 ? {} : $D$1).a;
+	return a;
+}
+console.log(A({}) === void 0, A({b: {a: 3}}) === 3);
+
+// the arrow functions in the default values
+var fff = function(x)  {var x = ((x = x.x) === void 0 ? (function()  {return 1})() : x);return x} ;
+console.log(fff({}) === 1, fff({x: 5}) === 5);
+
+var arrayPattern = function()  {var $D$2;var a = (b = DES_ITER$0((arguments[0] !== void 0 ? arguments[0] : []), 2))[0], b = (($D$2 = b[1]) === void 0 ? {b: 2} : $D$2).b;return [a, b].join()};
+console.log(arrayPattern() === ",2", arrayPattern([1]) === "1,2", arrayPattern([1, {b: 3}]) === "1,3");
+
+// evaluation order of the nested defaults
+function deep() {var $D$3;var $D$4;var b = (DES_ITER$0((($D$4 = (($D$3 = (DES_ITER$0((arguments[0] !== void 0 ? arguments[0] : []), 1))[0]) === void 0 ? (log.push("outer"), {}) : $D$3).a) === void 0 ? (log.push("b"), [1]) : $D$4), 1))[0];var d = ((d = (($D$4 = (arguments[1] !== void 0 ? arguments[1] : {}).c) === void 0 ? {} : $D$4).d) === void 0 ? (log.push("d"), (function()  {return 2})()) : d);
+	return b + d;
+}
+console.log(deep() === 3, log.join() === "outer,b,d");
+log = [];
+console.log(deep([{a: [5]}], {c: {d: 1}}) === 6, log.length === 0);
+
+var withPrevious = function(first)  {var x = ((x = (y = (arguments[1] !== void 0 ? arguments[1] : {})).x) === void 0 ? first * 2 : x), y = ((y = y.y) === void 0 ? (function()  {return x + 1})() : y);return x + y};
+console.log(withPrevious(1) === 5, withPrevious(1, {x: 5}) === 11);
+
+var arrowDefault = function()  {var a = arguments[0];if(a === void 0)a = (function()  {return 2})();var b = arguments[1];if(b === void 0)b = (function(c)  {return c * a})(3);return a + b};
+console.log(arrowDefault() === 8, arrowDefault(1) === 4);
+
+// the arrow functions with the concise body as the default values
+function plainArrow() {var a = arguments[0];if(a === void 0)a = function()  {return 1};
+	return a();
+}
+console.log(plainArrow() === 1, plainArrow(function()  {return 2}) === 2);
+
+var arrowWithArrowDefault = function()  {var a = arguments[0];if(a === void 0)a = function()  {return 1};var b = arguments[1];if(b === void 0)b = 2;return a() + b};
+console.log(arrowWithArrowDefault() === 3, arrowWithArrowDefault(function()  {return 3}) === 5);
+
+function withParam() {var a = arguments[0];if(a === void 0)a = function(x ) {return x*2};
+	return a(3);
+}
+console.log(withParam() === 6);
+
+function curried() {var a = arguments[0];if(a === void 0)a = function(x ) {return function()  {return x}};var b = arguments[1];if(b === void 0)b = 0 ? 1 : function()  {return (4, 5)};
+	return a(3)() + b();
+}
+console.log(curried() === 8);
@@ -0,0 +1,51 @@
+var log = [];
+
+function nested({b: {a} = {a: 1}}) {
+	return a;
+}
+console.log(nested({}) === 1, nested({b: {a: 2}}) === 2);
+
+function A({b:{a} = {}}){
+	return a;
+}
+console.log(A({}) === void 0, A({b: {a: 3}}) === 3);
+
+// the arrow functions in the default values
+var fff = ({x = (() => 1)()}) => (x);
+console.log(fff({}) === 1, fff({x: 5}) === 5);
+
+var arrayPattern = ([a, {b} = {b: 2}] = []) => [a, b].join();
+console.log(arrayPattern() === ",2", arrayPattern([1]) === "1,2", arrayPattern([1, {b: 3}]) === "1,3");
+
+// evaluation order of the nested defaults
+function deep([{a: [b] = (log.push("b"), [1])} = (log.push("outer"), {})] = [], {c: {d = (log.push("d"), (() => 2)())} = {}} = {}) {
+	return b + d;
+}
+console.log(deep() === 3, log.join() === "outer,b,d");
+log = [];
+console.log(deep([{a: [5]}], {c: {d: 1}}) === 6, log.length === 0);
+
+var withPrevious = (first, {x = first * 2, y = (() => x + 1)()} = {}) => x + y;
+console.log(withPrevious(1) === 5, withPrevious(1, {x: 5}) === 11);
+
+var arrowDefault = (a = (() => 2)(), b = ((c) => c * a)(3)) => a + b;
+console.log(arrowDefault() === 8, arrowDefault(1) === 4);
+
+// the arrow functions with the concise body as the default values
+function plainArrow(a = () => 1) {
+	return a();
+}
+console.log(plainArrow() === 1, plainArrow(() => 2) === 2);
+
+var arrowWithArrowDefault = (a = () => 1, b = 2) => a() + b;
+console.log(arrowWithArrowDefault() === 3, arrowWithArrowDefault(() => 3) === 5);
+
+function withParam(a = x => x*2) {
+	return a(3);
+}
+console.log(withParam() === 6);
+
+function curried(a = x => () => x, b = 0 ? 1 : () => (4, 5)) {
+	return a(3)() + b();
+}
+console.log(curried() === 8);
@@ -1,13 +1,13 @@
-var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function GET_ITER$0(v){if(v){if(Array.isArray(v))return 0;var f;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){if(S_MARK$0)S_MARK$0(void 0);return f.call(v);}if(S_MARK$0)S_MARK$0(void 0);if((v+'')==='[object Generator]')return v;}throw new Error(v+' is not iterable')};var $D$9;var $D$10;var $D$11;
+var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function GET_ITER$0(v){if(v){if(Array.isArray(v))return 0;var f;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){if(S_MARK$0)S_MARK$0(void 0);return f.call(v);}if(S_MARK$0)S_MARK$0(void 0);if((v+'')==='[object Generator]')return v;}throw new Error(v+' is not iterable')};var $D$9;var $D$10;var $D$11;function ITER_CLOSE$0(i,r){var f;if(i!==0&&r&&r["done"]!==true&&typeof (f=i["return"])==='function')f.call(i)};
 var arr1 = [1, 2, 3], arr2 = [{a:'a'}, {a:'b'}, {a:'c'}], arr3 = [[{b: 1, a: 2}], [{b: 3, a: 4}], [{b: 5, a: 6}]];
-var gen = (function(){var S_STAG$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["toStringTag"]||'@@toStringTag';var Generator$0 = Function["__Generator__"];if(!Generator$0){Function["__Generator__"]=Generator$0=function Generator(){if(!(this instanceof Generator$0))throw new TypeError('incompatible'+this);this["__next__"]=arguments[0];this["__throw__"]=arguments[1];};Generator$0.prototype={constructor:Generator$0,"next":function(val){if(!(this instanceof Generator$0))throw new TypeError('next method called on incompatible '+this);if(this["__next__"]){try {return this["__next__"](val);}catch(e){if(this["__throw__"])return this["__throw__"](e);else throw e;}}else return {"value":void 0,"done":true};},"throw":function(e){if(!(this instanceof Generator$0))throw new TypeError('throw method called on incompatible '+this);if(this&&this["__throw__"])return this["__throw__"](e);else throw e},"toString":function(){return '[object Generator]'}};if(S_MARK$0)S_MARK$0(Generator$0.prototype);Generator$0.prototype[S_STAG$0]='Generator';Generator$0.prototype[S_ITER$0]=function(){return this};if(S_MARK$0)S_MARK$0(void 0);};var $D$0;var $D$1;var $D$2;var $D$3;var $D$4;var $D$5;var $D$6;var $D$7;var $D$8;var x;var y;var b1, a1;var done$0=false;var init$0=false;var init$1=false;var init$2=false;var state$0=1,continue$0=false;return new Generator$0(function next$0(throw_error$0,throw$0){if(throw$0===true){done$0=true;}if(done$0===false){while(true){continue$0=false;switch(state$0){case 1:if(init$0===false){$D$0 = GET_ITER$0(arr1);$D$2 = $D$0 === 0;$D$1 = ($D$2 ? arr1.length : void 0);init$0=true;}continue$0=$D$2 ? ($D$0 < $D$1) : !($D$1 = $D$0["next"]())["done"];if(continue$0){x = ($D$2 ? arr1[$D$0++] : $D$1["value"]);state$0=2;}else {break;}case 2:if(init$1===false){y=void 0;$D$3 = GET_ITER$0(arr2);$D$5 = $D$3 === 0;$D$4 = ($D$5 ? arr2.length : void 0);init$1=true;}continue$0=$D$5 ? ($D$3 < $D$4) : !($D$4 = $D$3["next"]())["done"];if(continue$0){y = ($D$5 ? arr2[$D$3++] : $D$4["value"]).a;state$0=3;}else{state$0=1;init$1=false;;$D$3 = $D$4 = $D$5 = void 0;y=void 0;continue;};case 3:if(init$2===false){b1=void 0;a1=void 0;$D$6 = GET_ITER$0(arr3);$D$8 = $D$6 === 0;$D$7 = ($D$8 ? arr3.length : void 0);init$2=true;}continue$0=$D$8 ? ($D$6 < $D$7) : !($D$7 = $D$6["next"]())["done"];if(continue$0){b1 = (a1 = ($D$8 ? arr3[$D$6++] : $D$7["value"])[0]).b, a1 = a1.a;}else{state$0=2;init$2=false;;$D$6 = $D$7 = $D$8 = void 0;b1=void 0;a1=void 0;continue;};}if(continue$0){;if(x != 2){return {"value":{x: x, y: y, b1: b1, a1: a1},"done":false};}else {continue;}}else{x=void 0;done$0=true;break}}}if(done$0===true){;$D$0 = $D$1 = $D$2 = void 0;;$D$3 = $D$4 = $D$5 = void 0;y=void 0;;$D$6 = $D$7 = $D$8 = void 0;b1=void 0;a1=void 0;if(this&&this["__next__"]===next$0){delete this["__next__"];delete this["__throw__"];};};if(throw$0===true){throw throw_error$0;};return {"value":void 0,"done":true};},function(err){if(this&&this["__next__"]){return this["__next__"](err,true);}else {throw err}})})()
+var gen = (function(){var S_STAG$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["toStringTag"]||'@@toStringTag';var Generator$0 = Function["__Generator__"];if(!Generator$0){Function["__Generator__"]=Generator$0=function Generator(){if(!(this instanceof Generator$0))throw new TypeError('incompatible'+this);this["__next__"]=arguments[0];this["__throw__"]=arguments[1];this["__return__"]=arguments[2];};Generator$0.prototype={constructor:Generator$0,"next":function(val){if(!(this instanceof Generator$0))throw new TypeError('next method called on incompatible '+this);if(this["__next__"]){try {return this["__next__"](val);}catch(e){if(this["__throw__"])return this["__throw__"](e);else throw e;}}else return {"value":void 0,"done":true};},"throw":function(e){if(!(this instanceof Generator$0))throw new TypeError('throw method called on incompatible '+this);if(this&&this["__throw__"])return this["__throw__"](e);else throw e},"return":function(v){if(!(this instanceof Generator$0))throw new TypeError('return method called on incompatible '+this);if(this["__return__"])return this["__return__"](v);this["__next__"]=this["__throw__"]=null;return {"value":v,"done":true}},"toString":function(){return '[object Generator]'}};if(S_MARK$0)S_MARK$0(Generator$0.prototype);Generator$0.prototype[S_STAG$0]='Generator';Generator$0.prototype[S_ITER$0]=function(){return this};if(S_MARK$0)S_MARK$0(void 0);};var $D$0;var $D$1;var $D$2;var $D$3;var $D$4;var $D$5;var $D$6;var $D$7;var $D$8;function DES_ITER$0(v,n){if(Array.isArray(v)||typeof v==='string')return v;var f,i,r,s={};if(S_MARK$0)S_MARK$0(v);if(v!=null)f=v[S_ITER$0];if(S_MARK$0)S_MARK$0(void 0);if(typeof f!=='function'){if(v!=null)return v;throw new TypeError(v+' is not iterable')}i=f.call(v);r=[];while(n===void 0||r.length<n){if((s=i["next"]())["done"])return r;r.push(s["value"])}ITER_CLOSE$0(i,s);return r};var x;var y;var b1, a1;var done$0=false;var init$0=false;var init$1=false;var init$2=false;var state$0=1,continue$0=false;return new Generator$0(function next$0(throw_error$0,throw$0){if(throw$0===true){done$0=true;}if(done$0===false){while(true){continue$0=false;switch(state$0){case 1:if(init$0===false){$D$0 = GET_ITER$0(arr1);$D$2 = $D$0 === 0;$D$1 = ($D$2 ? arr1.length : void 0);init$0=true;}continue$0=$D$2 ? ($D$0 < $D$1) : !($D$1 = $D$0["next"]())["done"];if(continue$0){x = ($D$2 ? arr1[$D$0++] : $D$1["value"]);state$0=2;}else {break;}case 2:if(init$1===false){y=void 0;$D$3 = GET_ITER$0(arr2);$D$5 = $D$3 === 0;$D$4 = ($D$5 ? arr2.length : void 0);init$1=true;}continue$0=$D$5 ? ($D$3 < $D$4) : !($D$4 = $D$3["next"]())["done"];if(continue$0){y = ($D$5 ? arr2[$D$3++] : $D$4["value"]).a;state$0=3;}else{state$0=1;init$1=false;;$D$3 = $D$4 = $D$5 = void 0;y=void 0;continue;};case 3:if(init$2===false){b1=void 0;a1=void 0;$D$6 = GET_ITER$0(arr3);$D$8 = $D$6 === 0;$D$7 = ($D$8 ? arr3.length : void 0);init$2=true;}continue$0=$D$8 ? ($D$6 < $D$7) : !($D$7 = $D$6["next"]())["done"];if(continue$0){b1 = (a1 = (DES_ITER$0(($D$8 ? arr3[$D$6++] : $D$7["value"]), 1))[0]).b, a1 = a1.a;}else{state$0=2;init$2=false;;$D$6 = $D$7 = $D$8 = void 0;b1=void 0;a1=void 0;continue;};}if(continue$0){;if(x != 2){return {"value":{x: x, y: y, b1: b1, a1: a1},"done":false};}else {continue;}}else{x=void 0;done$0=true;break}}}if(done$0===true){;$D$0 = $D$1 = $D$2 = void 0;;$D$3 = $D$4 = $D$5 = void 0;y=void 0;;$D$6 = $D$7 = $D$8 = void 0;b1=void 0;a1=void 0;if(this&&this["__next__"]===next$0){delete this["__next__"];delete this["__throw__"];};};if(throw$0===true){throw throw_error$0;};return {"value":void 0,"done":true};},function(err){if(this&&this["__next__"]){return this["__next__"](err,true);}else {throw err}})})()
 
 var out = [];
 
-var x=void 0, y=void 0, b1=void 0, a1=void 0;$D$9 = GET_ITER$0(gen);$D$11 = $D$9 === 0;$D$10 = ($D$11 ? gen.length : void 0);for(  ;$D$11 ? ($D$9 < $D$10) : !($D$10 = $D$9["next"]())["done"];)
+var x=void 0, y=void 0, b1=void 0, a1=void 0;$D$9 = GET_ITER$0(gen);$D$11 = $D$9 === 0;$D$10 = ($D$11 ? gen.length : void 0);try{for(  ;$D$11 ? ($D$9 < $D$10) : !($D$10 = void 0, $D$10 = $D$9["next"]())["done"];)
 {x = (a1 = ($D$11 ? gen[$D$9++] : $D$10["value"])).x, y = a1.y, b1 = a1.b1, a1 = a1.a1;out.push(x + y + b1 + a1)
 
-};$D$9 = $D$10 = $D$11 = void 0;x=void 0;y=void 0;b1=void 0;a1=void 0;console.log(out.length == 2 * 3 * 3, out.join("|") == '1a12|1a34|1a56|1b12|1b34|1b56|1c12|1c34|1c56|3a12|3a34|3a56|3b12|3b34|3b56|3c12|3c34|3c56')/*
+};}finally{ITER_CLOSE$0($D$9, $D$10);$D$9 = $D$10 = $D$11 = void 0;x=void 0;y=void 0;b1=void 0;a1=void 0;}console.log(out.length == 2 * 3 * 3, out.join("|") == '1a12|1a34|1a56|1b12|1b34|1b56|1c12|1c34|1c56|3a12|3a34|3a56|3b12|3b34|3b56|3c12|3c34|3c56')/*
  Test note:
  ! completed test: do not edit it       !
  */
@@ -0,0 +1,155 @@
+"use strict";var S_STAG$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["toStringTag"]||'@@toStringTag';var S_ITER$1 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$1 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];var Generator$0 = Function["__Generator__"];if(!Generator$0){Function["__Generator__"]=Generator$0=function Generator(){if(!(this instanceof Generator$0))throw new TypeError('incompatible'+this);this["__next__"]=arguments[0];this["__throw__"]=arguments[1];this["__return__"]=arguments[2];};Generator$0.prototype={constructor:Generator$0,"next":function(val){if(!(this instanceof Generator$0))throw new TypeError('next method called on incompatible '+this);if(this["__next__"]){try {return this["__next__"](val);}catch(e){if(this["__throw__"])return this["__throw__"](e);else throw e;}}else return {"value":void 0,"done":true};},"throw":function(e){if(!(this instanceof Generator$0))throw new TypeError('throw method called on incompatible '+this);if(this&&this["__throw__"])return this["__throw__"](e);else throw e},"return":function(v){if(!(this instanceof Generator$0))throw new TypeError('return method called on incompatible '+this);if(this["__return__"])return this["__return__"](v);this["__next__"]=this["__throw__"]=null;return {"value":v,"done":true}},"toString":function(){return '[object Generator]'}};if(S_MARK$1)S_MARK$1(Generator$0.prototype);Generator$0.prototype[S_STAG$0]='Generator';Generator$0.prototype[S_ITER$1]=function(){return this};if(S_MARK$1)S_MARK$1(void 0);};function GEN$0(b,s){var c={"label":0,"sent":function(){if(v[0]===1)throw v[1];return v[1]},"trys":[],"ops":[]},v,d,r=false,a=true,n=false;function i(o){var f;if(S_MARK$1)S_MARK$1(o);if(o!=null&&typeof (f=o[S_ITER$1])==='function'){if(S_MARK$1)S_MARK$1(void 0);return f.call(o);}if(S_MARK$1)S_MARK$1(void 0);if(o!=null&&typeof o.length==='number'){f=0;return {"next":function(){return f<o.length?{"value":o[f++],"done":false}:{"value":void 0,"done":true}}}}throw new TypeError(o+' is not iterable')}function step(o){var t,f;if(r)throw new TypeError('Generator is already running');if(!n){n=true;if(o[0])a=false;}while(a)try{r=true;if(d){f=d[o[0]===2?"return":o[0]===1?"throw":"next"];if(typeof f!=='function'){t=d;d=void 0;if(o[0]===1){if(typeof (f=t["return"])==='function')f.call(t);throw new TypeError('The iterator does not provide a \'throw\' method');}if(!o[0])throw new TypeError('The iterator does not provide a \'next\' method');}else{t=f.call(d,o[1]);if(Object(t)!==t)throw new TypeError('Iterator result '+t+' is not an object');if(!t["done"])return t;d=void 0;o=[o[0]===2?2:0,t["value"]];}}switch(o[0]){case 0:case 1:v=o;break;case 4:c["label"]++;return {"value":o[1],"done":false};case 5:c["label"]++;d=i(o[1]);o=[0];continue;case 7:o=c["ops"].pop();c["trys"].pop();continue;default:t=c["trys"];t=t.length>0&&t[t.length-1];if(!t&&(o[0]===6||o[0]===2)){a=false;continue;}if(o[0]===3&&(!t||(o[1]>t[0]&&o[1]<t[3]))){c["label"]=o[1];break;}if(o[0]===6&&t[1]&&c["label"]<t[1]){c["label"]=t[1];v=o;break;}if(t[2]&&c["label"]<t[2]){c["label"]=t[2];c["ops"].push(o);break;}if(t[2])c["ops"].pop();c["trys"].pop();continue;}o=b.call(s,c);}catch(e){o=[6,e];d=void 0;}finally{r=false;}if(o[0]===1||o[0]===6)throw o[1];return {"value":o[0]===2?o[1]:void 0,"done":true};}return new Generator$0(function(v){return step([0,v])},function(e){return step([1,e])},function(v){return step([2,v])})};var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function ITER$0(v,f){if(v){if(Array.isArray(v))return f?v.slice():v;var i,r;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){i=f.call(v);r=[];}else if((v+'')==='[object Generator]'){i=v;r=[];};if(S_MARK$0)S_MARK$0(void 0);if(r) {while((f=i['next']()),f['done']!==true)r.push(f['value']);return r;}}throw new Error(v+' is not iterable')};
+
+var values = function(it) {
+	var result = [], step;
+	while ( !(step = it.next()).done ) result.push(step.value);
+	return result;
+};
+
+{// declarations, expressions and methods
+	function range(from, to) {var i;return GEN$0(function($ctx$0){switch($ctx$0["label"]){case 0:
+		i = from;$ctx$0["label"] = 1;case 1:if (!(i < to)) return [3, 3];return [4, i];case 2:$ctx$0["sent"]();i++;return [3, 1];case 3:return [2];}}, this);
+	}
+
+	var expr = function() {var arguments$0 = arguments;return GEN$0(function($ctx$0){switch($ctx$0["label"]){case 0:
+		return [4, arguments$0.length];case 1:$ctx$0["sent"]();
+		return [4, this.value];case 2:$ctx$0["sent"]();return [2];}}, this);
+	};
+
+	var Counter = (function(){var PRS$0 = (function(o,t){o["__proto__"]={"a":t};return o["a"]===t})({},{});var DP$0 = Object.defineProperty;var GOPD$0 = Object.getOwnPropertyDescriptor;var MIXIN$0 = function(t,s){for(var p in s){if(s.hasOwnProperty(p)){DP$0(t,p,GOPD$0(s,p));}}return t};var static$0={},proto$0={};
+		function Counter(max) {
+			this.max = max;
+		}DP$0(Counter,"prototype",{"configurable":false,"enumerable":false,"writable":false});
+
+		proto$0.count = function() {var i;return GEN$0(function($ctx$0){switch($ctx$0["label"]){case 0:
+			i = 0;$ctx$0["label"] = 1;case 1:
+			if (!(i < this.max)) return [3, 3];return [4, i++];case 2:$ctx$0["sent"]();return [3, 1];case 3:return [2];}}, this);
+		};
+
+		static$0[ "stat" + "ic" ] = function() {return GEN$0(function($ctx$0){switch($ctx$0["label"]){case 0:
+			return [4, "static"];case 1:$ctx$0["sent"]();return [2];}}, this);
+		};
+	MIXIN$0(Counter,static$0);MIXIN$0(Counter.prototype,proto$0);static$0=proto$0=void 0;return Counter;})();
+
+	var obj = {
+		gen: function(a) {var b;return GEN$0(function($ctx$0){switch($ctx$0["label"]){case 0:
+			return [4, a];case 1:b = $ctx$0["sent"]();
+			return [2, a + b];}}, this);
+		}
+	};
+	var it = obj.gen(1);
+
+	console.log(values(range(1, 4)).join("|") === "1|2|3", values(expr.call({value: "this"}, 1, 2)).join("|") === "2|this");
+	console.log(values(new Counter(3).count()).join("|") === "0|1|2", values(Counter.static()).join("|") === "static");
+	console.log(it.next().value === 1, JSON.stringify(it.next(2)) === '{"value":3,"done":true}', it.next().done === true);
+	console.log(ITER$0(range(0, 3)).join("|") === "0|1|2", String(range(0, 1)) === "[object Generator]");
+}
+
+{// loops, labels and switch
+	function loops() {var i, j, key, $t$0, $t$1, $t$2, $t$3, $t$4;return GEN$0(function($ctx$0){switch($ctx$0["label"]){case 0:
+		i = 0;$ctx$0["label"] = 1;case 1:if (!(i < 3)) return [3, 5];
+			j = 0;$ctx$0["label"] = 2;case 2:
+
+				if ( j === 1 && i === 1 ) return [3, 4];
+				if ( i === 2 ) return [3, 5];
+				return [4, i + ":" + j];case 3:$ctx$0["sent"]();
+			if (++j < 2) return [3, 2];$ctx$0["label"] = 4;case 4:i++;return [3, 1];case 5:
+
+		$t$0 = {a: 1, b: 2};$t$1 = [];for ($t$2 in $t$0) $t$1.push($t$2);$t$3 = 0;$ctx$0["label"] = 6;case 6:if (!($t$3 < $t$1.length)) return [3, 12];if (!($t$1[$t$3] in $t$0)) return [3, 11];key = $t$1[$t$3];
+			return [4, key];case 7:$t$4 = $ctx$0["sent"]();
+				if ($t$4 === ("skip")) return [3, 8];return [3, 9];case 8:
+					return [3, 11];case 9:
+
+					return [4, key + "!"];case 10:$ctx$0["sent"]();$ctx$0["label"] = 11;case 11:$t$3++;return [3, 6];case 12:
+
+		return [2];}}, this);
+	}
+
+	console.log(values(loops()).join("|") === "0:0|0:1|1:0|a|a!|b|b!");
+}
+
+{// yield inside expressions
+	function expressions(o) {var a, b, c, $t$0, $t$1, $t$2, $t$3, $t$4, $t$5, $t$6, $t$7, $t$8, $t$9, $t$10;return GEN$0(function($ctx$0){switch($ctx$0["label"]){case 0:
+		return [4, 1];case 1:$t$0 = $ctx$0["sent"]();return [4, 2];case 2:a = ($t$0 + $ctx$0["sent"]());
+		return [4, 3];case 3:if (!($ctx$0["sent"]())) return [3, 5];return [4, 4];case 4:$t$1 = $ctx$0["sent"]();return [3, 7];case 5:return [4, 5];case 6:$t$1 = $ctx$0["sent"]();$ctx$0["label"] = 7;case 7:b = $t$1;
+		$t$2 = o;$t$3 = $t$2.fn;return [4, 6];case 8:$t$4 = $ctx$0["sent"]();return [4, 7];case 9:c = $t$3.call($t$2, $t$4, $ctx$0["sent"]());
+		$t$5 = o;$t$6 = $t$5.prop;return [4, 8];case 10:($t$5.prop = $t$6 + $ctx$0["sent"]());
+		$t$7 = a;$t$8 = b;$t$9 = c;$t$10 = o.prop;return [4, 9];case 11:return [2, [$t$7, $t$8, $t$9, $t$10, ($ctx$0["sent"]() || "or")]];}}, this);
+	}
+
+	var it$0 = expressions({prop: 1, base: 100, fn: function(x, y) { return this.base + x + y }});
+	var sent = [], step = it$0.next();
+	for ( var n = 1 ; !step.done ; n++ ) {
+		sent.push(step.value);
+		step = it$0.next(n === 3 || n === 8 ? 0 : n * 10);
+	}
+
+	console.log(sent.join("|") === "1|2|3|5|6|7|8|9", step.value.join("|") === "30|40|210|71|or");
+}
+
+{// try/catch/finally, throw() and return()
+	function guarded() {var e$1;return GEN$0(function($ctx$0){switch($ctx$0["label"]){case 0:
+		$ctx$0["trys"].push([0, 3, 5, 7]);
+			return [4, 1];case 1:$ctx$0["sent"]();
+			return [4, 2];case 2:$ctx$0["sent"]();return [3, 7];case 3:
+
+		e$1 = $ctx$0["sent"]();
+			return [4, "caught " + e$1];case 4:$ctx$0["sent"]();return [3, 7];case 5:
+
+
+			return [4, "finally"];case 6:$ctx$0["sent"]();return [7];case 7:
+
+		return [4, 3];case 8:$ctx$0["sent"]();return [2];}}, this);
+	}
+
+	var it$1 = guarded();
+	console.log(it$1.next().value === 1, it$1.throw("err").value === "caught err", it$1.next().value === "finally", it$1.next().value === 3, it$1.next().done === true);
+
+	it$1 = guarded();
+	console.log(it$1.next().value === 1, it$1.return(42).value === "finally", JSON.stringify(it$1.next()) === '{"value":42,"done":true}', it$1.next().done === true);
+
+	it$1 = guarded();
+	console.log(JSON.stringify(it$1.return(7)) === '{"value":7,"done":true}', it$1.next().done === true);
+}
+
+{// yield*
+	function inner() {var x, e$0;return GEN$0(function($ctx$0){switch($ctx$0["label"]){case 0:
+		return [4, "inner"];case 1:x = $ctx$0["sent"]();$ctx$0["label"] = 2;case 2:
+		$ctx$0["trys"].push([2, 4, , 6]);
+			return [4, x];case 3:$ctx$0["sent"]();return [3, 6];case 4:
+
+		e$0 = $ctx$0["sent"]();
+			return [4, "inner caught " + e$0];case 5:$ctx$0["sent"]();return [3, 6];case 6:
+
+		return [2, "inner result"];}}, this);
+	}
+
+	function outer() {var result;return GEN$0(function($ctx$0){switch($ctx$0["label"]){case 0:
+		return [5, inner()];case 1:result = $ctx$0["sent"]();
+		return [4, result];case 2:$ctx$0["sent"]();
+		return [5, "ab"];case 3:$ctx$0["sent"]();return [2];}}, this);
+	}
+
+	var it$2 = outer();
+	console.log(it$2.next().value === "inner", it$2.next("sent").value === "sent", it$2.throw("e").value === "inner caught e", it$2.next().value === "inner result");
+	console.log(it$2.next().value === "a", it$2.next().value === "b", it$2.next().done === true);
+}
+
+{// statements without semicolons (ASI)
+	var log = [];
+
+	function withFinally() {return GEN$0(function($ctx$0){switch($ctx$0["label"]){case 0:$ctx$0["trys"].push([0, , 2, 3]);return [4, 1];case 1:$ctx$0["sent"]();log.push("a") ;return [3, 3];case 2:{ log.push("f") }return [7];case 3:return [2];}}, this); }
+	function last(c) {return GEN$0(function($ctx$0){switch($ctx$0["label"]){case 0:return [4, 0];case 1:$ctx$0["sent"]();if (c) return [2, 1];return [2];}}, this);}
+	function lastReturn() {var x;return GEN$0(function($ctx$0){switch($ctx$0["label"]){case 0:return [4, 1];case 1:x = $ctx$0["sent"]();
+		return [2, x];}}, this);}
+
+	console.log(ITER$0(withFinally()).join() === "1", log.join() === "a,f");
+
+	var it$3 = last(true);
+	it$3.next();
+	console.log(it$3.next().value === 1);
+
+	it$3 = lastReturn();
+	it$3.next();
+	console.log(it$3.next(5).value === 5);
+}
@@ -0,0 +1,155 @@
+"use strict";
+
+let values = function(it) {
+	let result = [], step;
+	while ( !(step = it.next()).done ) result.push(step.value);
+	return result;
+};
+
+{// declarations, expressions and methods
+	function* range(from, to) {
+		for ( let i = from ; i < to ; i++ ) yield i;
+	}
+
+	let expr = function*() {
+		yield arguments.length;
+		yield this.value;
+	};
+
+	class Counter {
+		constructor(max) {
+			this.max = max;
+		}
+
+		*count() {
+			let i = 0;
+			while ( i < this.max ) yield i++;
+		}
+
+		static *[ "stat" + "ic" ]() {
+			yield "static";
+		}
+	}
+
+	let obj = {
+		*gen(a) {
+			const b = yield a;
+			return a + b;
+		}
+	};
+	let it = obj.gen(1);
+
+	console.log(values(range(1, 4)).join("|") === "1|2|3", values(expr.call({value: "this"}, 1, 2)).join("|") === "2|this");
+	console.log(values(new Counter(3).count()).join("|") === "0|1|2", values(Counter.static()).join("|") === "static");
+	console.log(it.next().value === 1, JSON.stringify(it.next(2)) === '{"value":3,"done":true}', it.next().done === true);
+	console.log([...range(0, 3)].join("|") === "0|1|2", String(range(0, 1)) === "[object Generator]");
+}
+
+{// loops, labels and switch
+	function* loops() {
+		outer: for ( var i = 0 ; i < 3 ; i++ ) {
+			var j = 0;
+			do {
+				if ( j === 1 && i === 1 ) continue outer;
+				if ( i === 2 ) break outer;
+				yield i + ":" + j;
+			} while ( ++j < 2 );
+		}
+		for ( var key in {a: 1, b: 2} ) {
+			switch ( yield key ) {
+				case "skip":
+					continue;
+				default:
+					yield key + "!";
+			}
+		}
+	}
+
+	console.log(values(loops()).join("|") === "0:0|0:1|1:0|a|a!|b|b!");
+}
+
+{// yield inside expressions
+	function* expressions(o) {
+		var a = (yield 1) + (yield 2);
+		var b = (yield 3) ? yield 4 : yield 5;
+		var c = o.fn(yield 6, yield 7);
+		o.prop += yield 8;
+		return [a, b, c, o.prop, (yield 9) || "or"];
+	}
+
+	let it = expressions({prop: 1, base: 100, fn: function(x, y) { return this.base + x + y }});
+	let sent = [], step = it.next();
+	for ( let n = 1 ; !step.done ; n++ ) {
+		sent.push(step.value);
+		step = it.next(n === 3 || n === 8 ? 0 : n * 10);
+	}
+
+	console.log(sent.join("|") === "1|2|3|5|6|7|8|9", step.value.join("|") === "30|40|210|71|or");
+}
+
+{// try/catch/finally, throw() and return()
+	function* guarded() {
+		try {
+			yield 1;
+			yield 2;
+		}
+		catch ( e ) {
+			yield "caught " + e;
+		}
+		finally {
+			yield "finally";
+		}
+		yield 3;
+	}
+
+	let it = guarded();
+	console.log(it.next().value === 1, it.throw("err").value === "caught err", it.next().value === "finally", it.next().value === 3, it.next().done === true);
+
+	it = guarded();
+	console.log(it.next().value === 1, it.return(42).value === "finally", JSON.stringify(it.next()) === '{"value":42,"done":true}', it.next().done === true);
+
+	it = guarded();
+	console.log(JSON.stringify(it.return(7)) === '{"value":7,"done":true}', it.next().done === true);
+}
+
+{// yield*
+	function* inner() {
+		var x = yield "inner";
+		try {
+			yield x;
+		}
+		catch ( e ) {
+			yield "inner caught " + e;
+		}
+		return "inner result";
+	}
+
+	function* outer() {
+		var result = yield* inner();
+		yield result;
+		yield* "ab";
+	}
+
+	let it = outer();
+	console.log(it.next().value === "inner", it.next("sent").value === "sent", it.throw("e").value === "inner caught e", it.next().value === "inner result");
+	console.log(it.next().value === "a", it.next().value === "b", it.next().done === true);
+}
+
+{// statements without semicolons (ASI)
+	let log = [];
+
+	function* withFinally() { try { yield 1; log.push("a") } finally { log.push("f") } }
+	function* last(c) { yield 0; if (c) return 1}
+	function* lastReturn() { var x = yield 1
+		return x}
+
+	console.log([...withFinally()].join() === "1", log.join() === "a,f");
+
+	let it = last(true);
+	it.next();
+	console.log(it.next().value === 1);
+
+	it = lastReturn();
+	it.next();
+	console.log(it.next(5).value === 5);
+}
@@ -0,0 +1,93 @@
+var S_STAG$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["toStringTag"]||'@@toStringTag';var S_ITER$1 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$1 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];var Generator$0 = Function["__Generator__"];if(!Generator$0){Function["__Generator__"]=Generator$0=function Generator(){if(!(this instanceof Generator$0))throw new TypeError('incompatible'+this);this["__next__"]=arguments[0];this["__throw__"]=arguments[1];this["__return__"]=arguments[2];};Generator$0.prototype={constructor:Generator$0,"next":function(val){if(!(this instanceof Generator$0))throw new TypeError('next method called on incompatible '+this);if(this["__next__"]){try {return this["__next__"](val);}catch(e){if(this["__throw__"])return this["__throw__"](e);else throw e;}}else return {"value":void 0,"done":true};},"throw":function(e){if(!(this instanceof Generator$0))throw new TypeError('throw method called on incompatible '+this);if(this&&this["__throw__"])return this["__throw__"](e);else throw e},"return":function(v){if(!(this instanceof Generator$0))throw new TypeError('return method called on incompatible '+this);if(this["__return__"])return this["__return__"](v);this["__next__"]=this["__throw__"]=null;return {"value":v,"done":true}},"toString":function(){return '[object Generator]'}};if(S_MARK$1)S_MARK$1(Generator$0.prototype);Generator$0.prototype[S_STAG$0]='Generator';Generator$0.prototype[S_ITER$1]=function(){return this};if(S_MARK$1)S_MARK$1(void 0);};function GEN$0(b,s){var c={"label":0,"sent":function(){if(v[0]===1)throw v[1];return v[1]},"trys":[],"ops":[]},v,d,r=false,a=true,n=false;function i(o){var f;if(S_MARK$1)S_MARK$1(o);if(o!=null&&typeof (f=o[S_ITER$1])==='function'){if(S_MARK$1)S_MARK$1(void 0);return f.call(o);}if(S_MARK$1)S_MARK$1(void 0);if(o!=null&&typeof o.length==='number'){f=0;return {"next":function(){return f<o.length?{"value":o[f++],"done":false}:{"value":void 0,"done":true}}}}throw new TypeError(o+' is not iterable')}function step(o){var t,f;if(r)throw new TypeError('Generator is already running');if(!n){n=true;if(o[0])a=false;}while(a)try{r=true;if(d){f=d[o[0]===2?"return":o[0]===1?"throw":"next"];if(typeof f!=='function'){t=d;d=void 0;if(o[0]===1){if(typeof (f=t["return"])==='function')f.call(t);throw new TypeError('The iterator does not provide a \'throw\' method');}if(!o[0])throw new TypeError('The iterator does not provide a \'next\' method');}else{t=f.call(d,o[1]);if(Object(t)!==t)throw new TypeError('Iterator result '+t+' is not an object');if(!t["done"])return t;d=void 0;o=[o[0]===2?2:0,t["value"]];}}switch(o[0]){case 0:case 1:v=o;break;case 4:c["label"]++;return {"value":o[1],"done":false};case 5:c["label"]++;d=i(o[1]);o=[0];continue;case 7:o=c["ops"].pop();c["trys"].pop();continue;default:t=c["trys"];t=t.length>0&&t[t.length-1];if(!t&&(o[0]===6||o[0]===2)){a=false;continue;}if(o[0]===3&&(!t||(o[1]>t[0]&&o[1]<t[3]))){c["label"]=o[1];break;}if(o[0]===6&&t[1]&&c["label"]<t[1]){c["label"]=t[1];v=o;break;}if(t[2]&&c["label"]<t[2]){c["label"]=t[2];c["ops"].push(o);break;}if(t[2])c["ops"].pop();c["trys"].pop();continue;}o=b.call(s,c);}catch(e){o=[6,e];d=void 0;}finally{r=false;}if(o[0]===1||o[0]===6)throw o[1];return {"value":o[0]===2?o[1]:void 0,"done":true};}return new Generator$0(function(v){return step([0,v])},function(e){return step([1,e])},function(v){return step([2,v])})};var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function ITER$0(v,f){if(v){if(Array.isArray(v))return f?v.slice():v;var i,r;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){i=f.call(v);r=[];}else if((v+'')==='[object Generator]'){i=v;r=[];};if(S_MARK$0)S_MARK$0(void 0);if(r) {while((f=i['next']()),f['done']!==true)r.push(f['value']);return r;}}throw new Error(v+' is not iterable')};var closures = [];
+
+// labeled continue and break from the nested loop closures
+function labeledJumps() {
+	var out = [];
+	outer: for (var i = 0; i < 3; i++) {;var $c$0 = (function(i){
+		closures.push(function()  {return i});
+		for (var j = 0; j < 3; j++) {;var $c$0 = (function(j){
+			closures.push(function()  {return j});
+			out.push(i + "" + j);
+			if (j == 1) return "continue outer";
+			if (i == 2) return "break outer";
+		})(j);if($c$0!==void 0){return $c$0;}}
+		out.push("unreachable");
+	})(i);if($c$0!==void 0){if($c$0==="continue outer")continue outer;if($c$0==="break outer")break outer;}}
+	return out.join("|");
+}
+console.log(labeledJumps() === "00|01|10|11|20");
+
+// return of a value from the enclosing function
+function returnFromNested() {
+	for (var i = 0; i < 3; i++) {;var $c$0 = (function(i){
+		closures.push(function()  {return i});
+		for (var j = 0; j < 3; j++) {;var $c$0 = (function(j){
+			closures.push(function()  {return j});
+			if (i == 1 && j == 2) return {"v": {i: i, j: j}};
+		})(j);if($c$0!==void 0){return $c$0;}}
+	})(i);if($c$0!==void 0){if(typeof $c$0==="object"&&"v" in $c$0){try{throw $c$0["v"]}catch($rp$0){$c$0=void 0;return $rp$0}}}}
+	return null;
+}
+var result = returnFromNested();
+console.log(result.i === 1, result.j === 2);
+
+function returnWithoutValue() {
+	var counter = 0;
+	while (true) {;var $c$0 = (function(){
+		var a = counter++;
+		closures.push(function()  {return a});
+		if (a == 2) return {"v": void 0};
+	})();if($c$0!==void 0){if(typeof $c$0==="object"&&"v" in $c$0){try{throw $c$0["v"]}catch($rp$0){$c$0=void 0;return $rp$0}}}}
+}
+console.log(returnWithoutValue() === void 0);
+
+// the switch, inner loop and labeled block jumps stay inside the closure
+function localJumps() {
+	var out = [];
+	for (var i = 0; i < 4; i++) {(function(i){
+		closures.push(function()  {return i});
+		switch (i) { case 1: break; default: out.push(i); }
+		for (var k = 0; k < 10; k++) { if (k > 1) break; out.push("k"); }
+		inner: { if (i == 3) break inner; out.push("b"); }
+		if (i == 2) return;
+		out.push("e");
+	})(i);}
+	return out.join("");
+}
+console.log(localJumps() === "0kkbekkbe2kkb3kke");
+
+// labeled break through the do-while closure
+function labeledWhile() {
+	var count = 0;
+	lbl: while (true) {;var $c$0 = (function(){
+		var a = 1;
+		closures.push(function()  {return a});
+		do {;var $c$0 = (function(){
+			var b = 2;
+			closures.push(function()  {return b});
+			count++;
+			return "break lbl";
+		})();if($c$0!==void 0){return $c$0;}} while (false);
+	})();if($c$0!==void 0){if($c$0==="break lbl")break lbl;}}
+	return count;
+}
+console.log(labeledWhile() === 1);
+
+// yield from the loop closure
+function generator() {var i, $c$0;return GEN$0(function($ctx$0){switch($ctx$0["label"]){case 0:
+	i = 0;$ctx$0["label"] = 1;case 1:if (!(i < 3)) return [3, 4];$c$0 = (function(i){
+		closures.push(function()  {return i});
+		{return {"y": i}};
+	})(i);if (!($c$0!==void 0)) return [3, 3];if (!(typeof $c$0==="object"&&"y" in $c$0)) return [3, 3];return [4, $c$0["y"]];case 2:$ctx$0["sent"]();$ctx$0["label"] = 3;case 3:i++;return [3, 1];case 4:return [2];}}, this);
+}
+console.log(ITER$0(generator()).join() === "0,1,2");
+
+console.log(closures.map(function(closure)  {return closure()}).join("") === "0011012000121012012012312012");
+
+// the block-less loop body
+function blockless() {
+	var keys = [];
+	for (var key in {a: 1, b: 2, c: 3}) {;var $c$0 = (function(key){if (keys.push(function()  {return key}) && key === "b") return "break";})(key);if($c$0!==void 0){if($c$0==="break")break;}}
+	return keys.map(function(closure)  {return closure()}).join();
+}
+console.log(blockless() === "a,b");
@@ -0,0 +1,93 @@
+var closures = [];
+
+// labeled continue and break from the nested loop closures
+function labeledJumps() {
+	let out = [];
+	outer: for (let i = 0; i < 3; i++) {
+		closures.push(() => i);
+		for (let j = 0; j < 3; j++) {
+			closures.push(() => j);
+			out.push(i + "" + j);
+			if (j == 1) continue outer;
+			if (i == 2) break outer;
+		}
+		out.push("unreachable");
+	}
+	return out.join("|");
+}
+console.log(labeledJumps() === "00|01|10|11|20");
+
+// return of a value from the enclosing function
+function returnFromNested() {
+	for (let i = 0; i < 3; i++) {
+		closures.push(() => i);
+		for (let j = 0; j < 3; j++) {
+			closures.push(() => j);
+			if (i == 1 && j == 2) return {i, j};
+		}
+	}
+	return null;
+}
+var result = returnFromNested();
+console.log(result.i === 1, result.j === 2);
+
+function returnWithoutValue() {
+	var counter = 0;
+	while (true) {
+		let a = counter++;
+		closures.push(() => a);
+		if (a == 2) return;
+	}
+}
+console.log(returnWithoutValue() === void 0);
+
+// the switch, inner loop and labeled block jumps stay inside the closure
+function localJumps() {
+	let out = [];
+	for (let i = 0; i < 4; i++) {
+		closures.push(() => i);
+		switch (i) { case 1: break; default: out.push(i); }
+		for (let k = 0; k < 10; k++) { if (k > 1) break; out.push("k"); }
+		inner: { if (i == 3) break inner; out.push("b"); }
+		if (i == 2) continue;
+		out.push("e");
+	}
+	return out.join("");
+}
+console.log(localJumps() === "0kkbekkbe2kkb3kke");
+
+// labeled break through the do-while closure
+function labeledWhile() {
+	let count = 0;
+	lbl: while (true) {
+		let a = 1;
+		closures.push(() => a);
+		do {
+			let b = 2;
+			closures.push(() => b);
+			count++;
+			break lbl;
+		} while (false);
+	}
+	return count;
+}
+console.log(labeledWhile() === 1);
+
+// yield from the loop closure
+function* generator() {
+	for (let i = 0; i < 3; i++) {
+		closures.push(() => i);
+		yield i;
+	}
+}
+console.log([...generator()].join() === "0,1,2");
+
+console.log(closures.map((closure) => closure()).join("") === "0011012000121012012012312012");
+
+// the block-less loop body
+function blockless() {
+	let keys = [];
+	for (let key in {a: 1, b: 2, c: 3}) if (keys.push(() => key) && key === "b") break;
+	return keys.map((closure) => closure()).join();
+}
+console.log(blockless() === "a,b");
@@ -1,11 +1,11 @@
-var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function GET_ITER$0(v){if(v){if(Array.isArray(v))return 0;var f;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){if(S_MARK$0)S_MARK$0(void 0);return f.call(v);}if(S_MARK$0)S_MARK$0(void 0);if((v+'')==='[object Generator]')return v;}throw new Error(v+' is not iterable')};var $D$0;var $D$1;var $D$2;var $D$3;var e;
+var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function GET_ITER$0(v){if(v){if(Array.isArray(v))return 0;var f;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){if(S_MARK$0)S_MARK$0(void 0);return f.call(v);}if(S_MARK$0)S_MARK$0(void 0);if((v+'')==='[object Generator]')return v;}throw new Error(v+' is not iterable')};var $D$0;var $D$1;var $D$2;var $D$3;function ITER_CLOSE$0(i,r){var f;if(i!==0&&r&&r["done"]!==true&&typeof (f=i["return"])==='function')f.call(i)};function DES_ITER$0(v,n){if(Array.isArray(v)||typeof v==='string')return v;var f,i,r,s={};if(S_MARK$0)S_MARK$0(v);if(v!=null)f=v[S_ITER$0];if(S_MARK$0)S_MARK$0(void 0);if(typeof f!=='function'){if(v!=null)return v;throw new TypeError(v+' is not iterable')}i=f.call(v);r=[];while(n===void 0||r.length<n){if((s=i["next"]())["done"])return r;r.push(s["value"])}ITER_CLOSE$0(i,s);return r};var e;
 var a = 1, b = 2, c = 3;
 
 {// for-of / destructuring / loop closure / arrow function
 	e = [];
-	var a$0=void 0, b$0=void 0;$D$3 = ([{a: 1, b: 2}, {a: 11, b: 22}, {a: 111, b: 222}]);$D$0 = GET_ITER$0($D$3);$D$2 = $D$0 === 0;$D$1 = ($D$2 ? $D$3.length : void 0);for(  ;$D$2 ? ($D$0 < $D$1) : !($D$1 = $D$0["next"]())["done"];){a$0 = (b$0 = ($D$2 ? $D$3[$D$0++] : $D$1["value"])).a, b$0 = b$0.b;(function(a, b){
+	var a$0=void 0, b$0=void 0;$D$3 = ([{a: 1, b: 2}, {a: 11, b: 22}, {a: 111, b: 222}]);$D$0 = GET_ITER$0($D$3);$D$2 = $D$0 === 0;$D$1 = ($D$2 ? $D$3.length : void 0);try{for(  ;$D$2 ? ($D$0 < $D$1) : !($D$1 = void 0, $D$1 = $D$0["next"]())["done"];){a$0 = (b$0 = ($D$2 ? $D$3[$D$0++] : $D$1["value"])).a, b$0 = b$0.b;(function(a, b){
 		e.push( function()  {return a + b} )
-	})(a$0, b$0);};$D$0 = $D$1 = $D$2 = $D$3 = void 0;a$0=void 0;b$0=void 0;
+	})(a$0, b$0);};}finally{ITER_CLOSE$0($D$0, $D$1);$D$0 = $D$1 = $D$2 = $D$3 = void 0;a$0=void 0;b$0=void 0;}
 
 	console.log(e.map( function(x) {return x()} ).join("|") === "3|33|333")
 }
@@ -16,9 +16,9 @@ var a = 1, b = 2, c = 3;
 		     { childrens: [ 1         , 2] }
 		   , { childrens: [ 2         , 3] }
 		   , { childrens: [ 3         , 4] }
-	]);$D$0 = GET_ITER$0($D$3);$D$2 = $D$0 === 0;$D$1 = ($D$2 ? $D$3.length : void 0);for(  ;$D$2 ? ($D$0 < $D$1) : !($D$1 = $D$0["next"]())["done"];){firstChild = ($D$2 ? $D$3[$D$0++] : $D$1["value"]).childrens[0];(function(firstChild){
+	]);$D$0 = GET_ITER$0($D$3);$D$2 = $D$0 === 0;$D$1 = ($D$2 ? $D$3.length : void 0);try{for(  ;$D$2 ? ($D$0 < $D$1) : !($D$1 = void 0, $D$1 = $D$0["next"]())["done"];){firstChild = (DES_ITER$0(($D$2 ? $D$3[$D$0++] : $D$1["value"]).childrens, 1))[0];(function(firstChild){
 		e.push( function()  {return firstChild} )
-	})(firstChild);};$D$0 = $D$1 = $D$2 = $D$3 = void 0;firstChild=void 0;
+	})(firstChild);};}finally{ITER_CLOSE$0($D$0, $D$1);$D$0 = $D$1 = $D$2 = $D$3 = void 0;firstChild=void 0;}
 
 	console.log(e.map( function(x) {return x()} ).join("|") === "1|2|3")
 }
@@ -36,7 +36,7 @@ var a = 1, b = 2, c = 3;
 {
 	var someArray = [{b:0}, {b:1}, {b:2}];
 	var str1 = "";
-	$D$0 = GET_ITER$0(someArray);$D$2 = $D$0 === 0;$D$1 = ($D$2 ? someArray.length : void 0);for( var a$2 ;$D$2 ? ($D$0 < $D$1) : !($D$1 = $D$0["next"]())["done"];){a$2 = ($D$2 ? someArray[$D$0++] : $D$1["value"]);(function(){
+	$D$0 = GET_ITER$0(someArray);$D$2 = $D$0 === 0;$D$1 = ($D$2 ? someArray.length : void 0);try{for( var a$2 ;$D$2 ? ($D$0 < $D$1) : !($D$1 = void 0, $D$1 = $D$0["next"]())["done"];){a$2 = ($D$2 ? someArray[$D$0++] : $D$1["value"]);(function(){
 		var b = a$2.b, c = a$2.c;
 
 		function test2() {
@@ -44,6 +44,6 @@ var a = 1, b = 2, c = 3;
 		}
 
 		test2();
-	})();};$D$0 = $D$1 = $D$2 = void 0;
+	})();};}finally{ITER_CLOSE$0($D$0, $D$1);$D$0 = $D$1 = $D$2 = void 0;}
 	console.log(str1 === "012");
 }
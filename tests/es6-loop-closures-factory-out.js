@@ -0,0 +1,51 @@
+var closures = [];
+
+// the loop body function is created once per loop execution
+function simple() {
+	var result = [];
+	for (var i = 0; i < 3; i++) {;var $loop$0;($loop$0||($loop$0=function(i){
+		result.push(function()  {return i});
+	}))(i);}
+	return result.map(function(closure)  {return closure()}).join();
+}
+console.log(simple() === "0,1,2", simple() === "0,1,2");
+
+// the nested loop body function captures the variables of the current outer iteration
+function nested() {
+	var result = [];
+	for (var i = 0; i < 2; i++) {;var $loop$1;($loop$1||($loop$1=function(i){
+		for (var j = 0; j < 2; j++) {;var $loop$2;($loop$2||($loop$2=function(j){
+			result.push(function()  {return i + "" + j});
+		}))(j);}
+	}))(i);}
+	return result.map(function(closure)  {return closure()}).join();
+}
+console.log(nested() === "00,01,10,11");
+
+// the loop header variable changed inside the loop body
+function mutated() {
+	var result = [];
+	for (var i = 0; i < 6; i++) {;var $copy_i$0;var $loop$3;($loop$3||($loop$3=function(i){try{
+		result.push(function()  {return i});
+		i++;
+	}finally{$copy_i$0=i}}))(i);i=$copy_i$0;}
+	return result.map(function(closure)  {return closure()}).join();
+}
+console.log(mutated() === "1,3,5");
+
+// control flow, 'this' and 'arguments' inside the loop body
+function controlFlow(limit) {;var $args$0=arguments;;var $that$0=this;
+	for (var i = 0; ; i++) {;var $loop$4;var $c$0 = ($loop$4||($loop$4=function(i){
+		closures.push(function()  {return i});
+		if (i < $args$0[0]) return;
+		return {"v": $that$0.prefix + i};
+	}))(i);if($c$0!==void 0){if(typeof $c$0==="object"&&"v" in $c$0){try{throw $c$0["v"]}catch($rp$0){$c$0=void 0;return $rp$0}}}}
+}
+console.log(controlFlow.call({prefix: "i"}, 3) === "i3");
+
+// block-less loop body
+function blockless() {
+	for (var key in {a: 1, b: 2, c: 3}) {;var $loop$5;var $c$0 = ($loop$5||($loop$5=function(key){if (closures.push(function()  {return key}) && key === "b") return "break";}))(key);if($c$0!==void 0){if($c$0==="break")break;}}
+	return closures[closures.length - 1]();
+}
+console.log(blockless() === "b");
@@ -0,0 +1,51 @@
+var closures = [];
+
+// the loop body function is created once per loop execution
+function simple() {
+	let result = [];
+	for (let i = 0; i < 3; i++) {
+		result.push(() => i);
+	}
+	return result.map((closure) => closure()).join();
+}
+console.log(simple() === "0,1,2", simple() === "0,1,2");
+
+// the nested loop body function captures the variables of the current outer iteration
+function nested() {
+	let result = [];
+	for (let i = 0; i < 2; i++) {
+		for (let j = 0; j < 2; j++) {
+			result.push(() => i + "" + j);
+		}
+	}
+	return result.map((closure) => closure()).join();
+}
+console.log(nested() === "00,01,10,11");
+
+// the loop header variable changed inside the loop body
+function mutated() {
+	let result = [];
+	for (let i = 0; i < 6; i++) {
+		result.push(() => i);
+		i++;
+	}
+	return result.map((closure) => closure()).join();
+}
+console.log(mutated() === "1,3,5");
+
+// control flow, 'this' and 'arguments' inside the loop body
+function controlFlow(limit) {
+	for (let i = 0; ; i++) {
+		closures.push(() => i);
+		if (i < arguments[0]) continue;
+		return this.prefix + i;
+	}
+}
+console.log(controlFlow.call({prefix: "i"}, 3) === "i3");
+
+// block-less loop body
+function blockless() {
+	for (let key in {a: 1, b: 2, c: 3}) if (closures.push(() => key) && key === "b") break;
+	return closures[closures.length - 1]();
+}
+console.log(blockless() === "b");
@@ -0,0 +1,78 @@
+var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function GET_ITER$0(v){if(v){if(Array.isArray(v))return 0;var f;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){if(S_MARK$0)S_MARK$0(void 0);return f.call(v);}if(S_MARK$0)S_MARK$0(void 0);if((v+'')==='[object Generator]')return v;}throw new Error(v+' is not iterable')};var $D$0;var $D$1;var $D$2;var $D$3;function ITER_CLOSE$0(i,r){var f;if(i!==0&&r&&r["done"]!==true&&typeof (f=i["return"])==='function')f.call(i)};var call = function(callback) { return callback() };
+var arr = void 0;
+
+// every iteration gets its own copy of the loop header variable
+arr = [];
+for ( var i = 0 ; i < 3 ; i++ ) {(function(i){
+	arr.push(function()  {return i});
+})(i);}
+console.log(arr.map(call).join("|") === "0|1|2");
+
+// the update expression runs on the copy changed by the loop body
+arr = [];
+for ( var i$0 = 0 ; i$0 < 6 ; i$0++ ) {;var $copy_i$0;(function(i){try{
+	i++;
+	arr.push(function() { return i });
+}finally{$copy_i$0=i}})(i$0);i$0=$copy_i$0;}
+console.log(arr.map(call).join("|") === "1|3|5");
+
+// the loop body closure changes the copy
+arr = [];
+for ( var i$1 = 0 ; i$1 < 3 ; i$1++ ) {;var $copy_i$0;(function(i){try{
+	var increment = function()  {return i += 10};
+	arr.push(function()  {return i});
+	increment();
+}finally{$copy_i$0=i}})(i$1);i$1=$copy_i$0;}
+console.log(arr.map(call).join("|") === "10");
+
+// several variables in the loop header and continue
+arr = [];
+for ( var i$2 = 0, j = 10 ; i$2 < 3 ; i$2++, j-- ) {(function(i, j){
+	var k = i * 2;
+	arr.push(function()  {return i + j + k});
+	if ( i === 1 ) return;
+})(i$2, j);}
+console.log(arr.map(call).join("|") === "10|12|14");
+
+// return from the loop body
+arr = [];
+function returnFromLoop() {
+	for ( var i = 0 ; i < 5 ; i++ ) {;var $c$0 = (function(i){
+		arr.push(function()  {return i});
+		if ( i === 2 ) {return {"v": i};}
+	})(i);if($c$0!==void 0){if(typeof $c$0==="object"&&"v" in $c$0){try{throw $c$0["v"]}catch($rp$0){$c$0=void 0;return $rp$0}}}}
+}
+console.log(returnFromLoop() === 2, arr.map(call).join("|") === "0|1|2");
+
+// const in the for-in and for-of headers
+arr = [];
+$D$3 = ([1, 2]);$D$0 = GET_ITER$0($D$3);$D$2 = $D$0 === 0;$D$1 = ($D$2 ? $D$3.length : void 0);try{for ( var value ;$D$2 ? ($D$0 < $D$1) : !($D$1 = void 0, $D$1 = $D$0["next"]())["done"];){value = ($D$2 ? $D$3[$D$0++] : $D$1["value"]);(function(value){arr.push(function()  {return value});})(value);};}finally{ITER_CLOSE$0($D$0, $D$1);$D$0 = $D$1 = $D$2 = $D$3 = void 0;}
+for ( var key in {a: 1, b: 2} ) (function(key){arr.push(function()  {return key});})(key);
+console.log(arr.map(call).join("|") === "1|2|a|b");
+
+// the closures in the test and update expressions get the copy of the iteration they run in
+arr = [];
+for ( var i$3 = 0, $first$0 = true;;) {;var $copy_i$0;var $c$0 = (function(i){try{for(;;$first$0=true){if($first$0){if(!(i < 3))return "break";break}arr.push(function()  {return i}), i++}$first$0=false;{}}finally{$copy_i$0=i}})(i$3);i$3=$copy_i$0;if($c$0!==void 0){if($c$0==="break")break;}}
+console.log(arr.map(call).join("|") === "1|2|3");
+
+arr = [];
+for ( var i$4 = 0, $first$1 = true;;) {;var $copy_i$0;var $c$0 = (function(i){try{for(;;$first$1=true){if($first$1){if(!(arr.push(function()  {return i}) < 4))return "break";break}i++}$first$1=false;{
+	i++;
+}}finally{$copy_i$0=i}})(i$4);i$4=$copy_i$0;if($c$0!==void 0){if($c$0==="break")break;}}
+console.log(arr.map(call).join("|") === "1|3|5|6");
+
+arr = [];
+for ( var i$5 = 0, $first$2 = true;;) {;var $copy_i$0;var $c$0 = (function(i){try{if(!$first$2){arr.push(function()  {return i}), i++}$first$2=false;{
+	if ( i === 1 ) return;
+	if ( i > 2 ) return "break";
+}}finally{$copy_i$0=i}})(i$5);i$5=$copy_i$0;if($c$0!==void 0){if($c$0==="break")break;}}
+console.log(arr.map(call).join("|") === "1|2|3");
+
+// the nested loops with the closures in the update expressions
+arr = [];
+outer: for ( var i$6 = 0, $first$3 = true;;) {;var $copy_i$0;var $c$0 = (function(i){try{for(;;$first$3=true){if($first$3){if(!(i < 2))return "break";break}arr.push(function()  {return "i" + i}), i++}$first$3=false;{
+	for ( var j = 0, $first$4 = true;;) {;var $copy_j$0;var $c$0 = (function(j){try{for(;;$first$4=true){if($first$4){if(!(j < 3))return "break";break}arr.push(function()  {return "j" + j}), j++}$first$4=false;{
+		if ( j == 1 ) return "continue outer";
+	}}finally{$copy_j$0=j}})(j);j=$copy_j$0;if($c$0!==void 0){if($c$0==="break")break;return $c$0;}}
+}}finally{$copy_i$0=i}})(i$6);i$6=$copy_i$0;if($c$0!==void 0){if($c$0==="break")break;if($c$0==="continue outer")continue outer;}}
+console.log(arr.map(call).join("|") === "j1|i1|j1|i2");
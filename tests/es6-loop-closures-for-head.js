@@ -0,0 +1,78 @@
+let call = function(callback) { return callback() };
+let arr;
+
+// every iteration gets its own copy of the loop header variable
+arr = [];
+for ( let i = 0 ; i < 3 ; i++ ) {
+	arr.push(() => i);
+}
+console.log(arr.map(call).join("|") === "0|1|2");
+
+// the update expression runs on the copy changed by the loop body
+arr = [];
+for ( let i = 0 ; i < 6 ; i++ ) {
+	i++;
+	arr.push(function() { return i });
+}
+console.log(arr.map(call).join("|") === "1|3|5");
+
+// the loop body closure changes the copy
+arr = [];
+for ( let i = 0 ; i < 3 ; i++ ) {
+	let increment = () => i += 10;
+	arr.push(() => i);
+	increment();
+}
+console.log(arr.map(call).join("|") === "10");
+
+// several variables in the loop header and continue
+arr = [];
+for ( let i = 0, j = 10 ; i < 3 ; i++, j-- ) {
+	let k = i * 2;
+	arr.push(() => i + j + k);
+	if ( i === 1 ) continue;
+}
+console.log(arr.map(call).join("|") === "10|12|14");
+
+// return from the loop body
+arr = [];
+function returnFromLoop() {
+	for ( let i = 0 ; i < 5 ; i++ ) {
+		arr.push(() => i);
+		if ( i === 2 ) return i;
+	}
+}
+console.log(returnFromLoop() === 2, arr.map(call).join("|") === "0|1|2");
+
+// const in the for-in and for-of headers
+arr = [];
+for ( const value of [1, 2] ) arr.push(() => value);
+for ( const key in {a: 1, b: 2} ) arr.push(() => key);
+console.log(arr.map(call).join("|") === "1|2|a|b");
+
+// the closures in the test and update expressions get the copy of the iteration they run in
+arr = [];
+for ( let i = 0 ; i < 3 ; arr.push(() => i), i++ ) {}
+console.log(arr.map(call).join("|") === "1|2|3");
+
+arr = [];
+for ( let i = 0 ; arr.push(() => i) < 4 ; i++ ) {
+	i++;
+}
+console.log(arr.map(call).join("|") === "1|3|5|6");
+
+arr = [];
+for ( let i = 0 ; ; arr.push(() => i), i++ ) {
+	if ( i === 1 ) continue;
+	if ( i > 2 ) break;
+}
+console.log(arr.map(call).join("|") === "1|2|3");
+
+// the nested loops with the closures in the update expressions
+arr = [];
+outer: for ( let i = 0 ; i < 2 ; arr.push(() => "i" + i), i++ ) {
+	for ( let j = 0 ; j < 3 ; arr.push(() => "j" + j), j++ ) {
+		if ( j == 1 ) continue outer;
+	}
+}
+console.log(arr.map(call).join("|") === "j1|i1|j1|i2");
@@ -27,7 +27,7 @@ console.log(arr.map(call).join("|") == [1,1,1].join("|"));
 arr = [];
 for (var x$2 = 0; x$2 < 3; x$2++) {(function(){
     var y = 1;
-        var z = x$2;
+	var z = x$2;
     arr.push(function() { return y + z; });
 })();}
 console.log(arr.map(call).join("|") == [1,2,3].join("|"));
@@ -65,7 +65,7 @@ while (true) {
         })();}
     };
     f();
-        break;
+	break;
 }
 console.log(arr.map(call).join("|") == [0,1,2,3].join("|"));
 
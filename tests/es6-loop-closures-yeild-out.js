@@ -1,28 +1,28 @@
-"use strict";var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function ITER$0(v,f){if(v){if(Array.isArray(v))return f?v.slice():v;var i,r;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){i=f.call(v);r=[];}else if((v+'')==='[object Generator]'){i=v;r=[];};if(S_MARK$0)S_MARK$0(void 0);if(r) {while((f=i['next']()),f['done']!==true)r.push(f['value']);return r;}}throw new Error(v+' is not iterable')};
+"use strict";var S_STAG$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["toStringTag"]||'@@toStringTag';var S_ITER$1 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$1 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];var Generator$0 = Function["__Generator__"];if(!Generator$0){Function["__Generator__"]=Generator$0=function Generator(){if(!(this instanceof Generator$0))throw new TypeError('incompatible'+this);this["__next__"]=arguments[0];this["__throw__"]=arguments[1];this["__return__"]=arguments[2];};Generator$0.prototype={constructor:Generator$0,"next":function(val){if(!(this instanceof Generator$0))throw new TypeError('next method called on incompatible '+this);if(this["__next__"]){try {return this["__next__"](val);}catch(e){if(this["__throw__"])return this["__throw__"](e);else throw e;}}else return {"value":void 0,"done":true};},"throw":function(e){if(!(this instanceof Generator$0))throw new TypeError('throw method called on incompatible '+this);if(this&&this["__throw__"])return this["__throw__"](e);else throw e},"return":function(v){if(!(this instanceof Generator$0))throw new TypeError('return method called on incompatible '+this);if(this["__return__"])return this["__return__"](v);this["__next__"]=this["__throw__"]=null;return {"value":v,"done":true}},"toString":function(){return '[object Generator]'}};if(S_MARK$1)S_MARK$1(Generator$0.prototype);Generator$0.prototype[S_STAG$0]='Generator';Generator$0.prototype[S_ITER$1]=function(){return this};if(S_MARK$1)S_MARK$1(void 0);};function GEN$0(b,s){var c={"label":0,"sent":function(){if(v[0]===1)throw v[1];return v[1]},"trys":[],"ops":[]},v,d,r=false,a=true,n=false;function i(o){var f;if(S_MARK$1)S_MARK$1(o);if(o!=null&&typeof (f=o[S_ITER$1])==='function'){if(S_MARK$1)S_MARK$1(void 0);return f.call(o);}if(S_MARK$1)S_MARK$1(void 0);if(o!=null&&typeof o.length==='number'){f=0;return {"next":function(){return f<o.length?{"value":o[f++],"done":false}:{"value":void 0,"done":true}}}}throw new TypeError(o+' is not iterable')}function step(o){var t,f;if(r)throw new TypeError('Generator is already running');if(!n){n=true;if(o[0])a=false;}while(a)try{r=true;if(d){f=d[o[0]===2?"return":o[0]===1?"throw":"next"];if(typeof f!=='function'){t=d;d=void 0;if(o[0]===1){if(typeof (f=t["return"])==='function')f.call(t);throw new TypeError('The iterator does not provide a \'throw\' method');}if(!o[0])throw new TypeError('The iterator does not provide a \'next\' method');}else{t=f.call(d,o[1]);if(Object(t)!==t)throw new TypeError('Iterator result '+t+' is not an object');if(!t["done"])return t;d=void 0;o=[o[0]===2?2:0,t["value"]];}}switch(o[0]){case 0:case 1:v=o;break;case 4:c["label"]++;return {"value":o[1],"done":false};case 5:c["label"]++;d=i(o[1]);o=[0];continue;case 7:o=c["ops"].pop();c["trys"].pop();continue;default:t=c["trys"];t=t.length>0&&t[t.length-1];if(!t&&(o[0]===6||o[0]===2)){a=false;continue;}if(o[0]===3&&(!t||(o[1]>t[0]&&o[1]<t[3]))){c["label"]=o[1];break;}if(o[0]===6&&t[1]&&c["label"]<t[1]){c["label"]=t[1];v=o;break;}if(t[2]&&c["label"]<t[2]){c["label"]=t[2];c["ops"].push(o);break;}if(t[2])c["ops"].pop();c["trys"].pop();continue;}o=b.call(s,c);}catch(e){o=[6,e];d=void 0;}finally{r=false;}if(o[0]===1||o[0]===6)throw o[1];return {"value":o[0]===2?o[1]:void 0,"done":true};}return new Generator$0(function(v){return step([0,v])},function(e){return step([1,e])},function(v){return step([2,v])})};var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function ITER$0(v,f){if(v){if(Array.isArray(v))return f?v.slice():v;var i,r;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){i=f.call(v);r=[];}else if((v+'')==='[object Generator]'){i=v;r=[];};if(S_MARK$0)S_MARK$0(void 0);if(r) {while((f=i['next']()),f['done']!==true)r.push(f['value']);return r;}}throw new Error(v+' is not iterable')};
 var arr, res, loop, call = function(callback){ return callback()};
 
 /*es6-transpiler generators:false*/
 // yield support
 arr = [];
-function *gen() {;var $args$0=arguments;
-	for (var x = 0; x < 9; x++) {;var $yieldVal$0;var $value$0 = (function(){
+function gen() {var $args$0, x, $c$0, arguments$1 = arguments;return GEN$0(function($ctx$0){switch($ctx$0["label"]){case 0:$args$0=arguments$1;
+	x = 0;$ctx$0["label"] = 1;case 1:if (!(x < 9)) return [3, 4];$c$0 = (function(){
 		var y = x, z = $args$0[x];
 		arr.push(function() { return y; });
 
-		{$yieldVal$0 = true;return z + 1};
-	})();if($yieldVal$0===true){try{throw $value$0 }catch($rp$0){$value$0=$yieldVal$0=void 0;yield $rp$0}}}
+		{return {"y": z + 1}};
+	})();if (!($c$0!==void 0)) return [3, 3];if (!(typeof $c$0==="object"&&"y" in $c$0)) return [3, 3];return [4, $c$0["y"]];case 2:$ctx$0["sent"]();$ctx$0["label"] = 3;case 3:x++;return [3, 1];case 4:return [2];}}, this);
 }
 res = ITER$0(gen(9, 8, 7, 6, 5, 4, 3, 2, 1) );
 console.log(arr.map(call).join("|") == [0, 1, 2, 3, 4, 5, 6, 7, 8].join("|"), res.join("|") == [10, 9, 8, 7, 6, 5, 4, 3, 2].join("|"));
 
 arr = [];
-function *gen_primitive() {;var $args$0=arguments;
-	for (var x = 0; x < 9; x++) {;var $yieldPrim$0;var $value$0 = (function(){
+function gen_primitive() {var $args$0, x, $c$0, arguments$0 = arguments;return GEN$0(function($ctx$0){switch($ctx$0["label"]){case 0:$args$0=arguments$0;
+	x = 0;$ctx$0["label"] = 1;case 1:if (!(x < 9)) return [3, 4];$c$0 = (function(){
 		var y = x, z = $args$0[x];
 		arr.push(function() { return y; });
 
-		{$yieldPrim$0 = true;return 1};
-	})();if($yieldPrim$0===true){$yieldPrim$0=void 0;yield $value$0}}
+		{return {"y": 1}};
+	})();if (!($c$0!==void 0)) return [3, 3];if (!(typeof $c$0==="object"&&"y" in $c$0)) return [3, 3];return [4, $c$0["y"]];case 2:$ctx$0["sent"]();$ctx$0["label"] = 3;case 3:x++;return [3, 1];case 4:return [2];}}, this);
 }
 res = ITER$0(gen_primitive(9, 8, 7, 6, 5, 4, 3, 2, 1) );
 console.log(arr.map(call).join("|") == [0, 1, 2, 3, 4, 5, 6, 7, 8].join("|"), res.join("|") == [1, 1, 1, 1, 1, 1, 1, 1, 1].join("|"));
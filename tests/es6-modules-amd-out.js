@@ -0,0 +1,8 @@
+define(["exports","jquery","lodash/collection"], function(exports, jquery$0, collection$0){var IMPORT_DEFAULT$0 = function(m){return m&&m["__esModule"]?m:{"default":m}};var DPS$0 = Object.defineProperties;DPS$0(exports, {"__esModule": {"value": true}, "render": {"get": function(){return render}, "enumerable": true}});var jquery$1 = IMPORT_DEFAULT$0(jquery$0);
+
+
+function render(items) {
+	return (0, jquery$1["default"])("<ul>").append((0, collection$0.map)(items, function(item)  {return (0, jquery$1["default"])("<li>").text(item)}));
+}
+
+});
@@ -0,0 +1,6 @@
+import $ from "jquery";
+import {map as mapItems} from "lodash/collection";
+
+export function render(items) {
+	return $("<ul>").append(mapItems(items, (item) => $("<li>").text(item)));
+}
@@ -0,0 +1,23 @@
+var IMPORT_DEFAULT$0 = function(m){return m&&m["__esModule"]?m:{"default":m}};var IMPORT_ALL$0 = function(m){if(m&&m["__esModule"])return m;var n={};if(m!=null)for(var p in m)if(Object.prototype.hasOwnProperty.call(m,p))n[p]=m[p];n["default"]=m;return n};var DPS$0 = Object.defineProperties;var DP$0 = Object.defineProperty;var EXPORT_ALL$0 = function(e,m){Object.keys(m).forEach(function(p){if(p!=="default"&&p!=="__esModule"&&!Object.prototype.hasOwnProperty.call(e,p))DP$0(e,p,{"get":function(){return m[p]},"enumerable":true});});return e};DPS$0(exports, {"__esModule": {"value": true}, "counter": {"get": function(){return counter}, "enumerable": true}, "inc": {"get": function(){return inc}, "enumerable": true}, "separatorChar": {"get": function(){return separatorChar}, "enumerable": true}, "Point": {"get": function(){return Point}, "enumerable": true}, "obj": {"get": function(){return obj}, "enumerable": true}, "separator": {"get": function(){return path$0.sep}, "enumerable": true}, "EventEmitter": {"get": function(){return events$0.EventEmitter}, "enumerable": true}, "default": {"get": function(){return main}, "enumerable": true}});var path$0 = require("path");var path$1 = IMPORT_DEFAULT$0(path$0);var util = IMPORT_ALL$0(require("util"));require("assert");var events$0 = require("events");var os$0 = require("os");EXPORT_ALL$0(exports, os$0);
+
+
+
+var counter = 1;
+function inc() { counter++; return (0, path$0.join)("a", "b"); }
+var separatorChar = path$0.sep;
+var Point = (function(){"use strict";var PRS$0 = (function(o,t){o["__proto__"]={"a":t};return o["a"]===t})({},{});var GOPD$0 = Object.getOwnPropertyDescriptor;var MIXIN$0 = function(t,s){for(var p in s){if(s.hasOwnProperty(p)){DP$0(t,p,GOPD$0(s,p));}}return t}; function Point(x) { this.x = x }DP$0(Point,"prototype",{"configurable":false,"enumerable":false,"writable":false}); ;return Point;})();
+var obj = {sep: path$0.sep, util: util};
+
+
+
+function main() { return typeof path$1["default"].resolve }
+
+console.log(exports.__esModule === true)
+console.log(exports.counter === 1, inc() === ["a", "b"].join(path$0.sep), exports.counter === 2)
+console.log(exports.separator === path$0.sep && exports.separatorChar === path$0.sep && obj.sep === path$0.sep)
+console.log(new exports.Point(1).x === 1)
+console.log(typeof exports.EventEmitter === "function" && exports.EventEmitter === require("events").EventEmitter)
+console.log(typeof exports.platform === "function" && exports.platform === require("os").platform)
+console.log(exports["default"] === main && main() === "function")
+console.log(typeof util.inspect === "function" && util["default"] === require("util"))
+console.log(Object.keys(exports).indexOf("__esModule") === -1)
@@ -0,0 +1,12 @@
+(function(root,factory){if(typeof define==="function"&&define["amd"])define(["exports","path","util"],factory);else if(typeof exports==="object"&&typeof module!=="undefined")factory(exports,require("path"),require("util"));else factory(root["modulesUMD"]={},root["path"],root["util"]);})(this, function(exports, path$0, util$0){var IMPORT_ALL$0 = function(m){if(m&&m["__esModule"])return m;var n={};if(m!=null)for(var p in m)if(Object.prototype.hasOwnProperty.call(m,p))n[p]=m[p];n["default"]=m;return n};var DPS$0 = Object.defineProperties;DPS$0(exports, {"__esModule": {"value": true}, "counter": {"get": function(){return counter}, "enumerable": true}, "inc": {"get": function(){return inc}, "enumerable": true}});var util = IMPORT_ALL$0(util$0);
+
+
+var counter = 0;
+function inc() { return ++counter }
+exports["default"] = (0, path$0.join)("a", "b");
+
+inc();
+console.log(exports.__esModule === true, exports.counter === 1, exports["default"] === (0, path$0.join)("a", "b"))
+console.log(typeof util.inspect === "function")
+
+});
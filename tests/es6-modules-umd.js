@@ -0,0 +1,10 @@
+import {join} from "path";
+import * as util from "util";
+
+export let counter = 0;
+export function inc() { return ++counter }
+export default join("a", "b");
+
+inc();
+console.log(exports.__esModule === true, exports.counter === 1, exports["default"] === join("a", "b"))
+console.log(typeof util.inspect === "function")
@@ -0,0 +1,23 @@
+import path, {join as pathJoin, sep} from "path";
+import * as util from "util";
+import "assert";
+
+export let counter = 1;
+export function inc() { counter++; return pathJoin("a", "b"); }
+export const separatorChar = sep;
+export class Point { constructor(x) { this.x = x } }
+let obj = {sep, util};
+export {obj, sep as separator};
+export {EventEmitter} from "events";
+export * from "os";
+export default function main() { return typeof path.resolve }
+
+console.log(exports.__esModule === true)
+console.log(exports.counter === 1, inc() === ["a", "b"].join(sep), exports.counter === 2)
+console.log(exports.separator === sep && exports.separatorChar === sep && obj.sep === sep)
+console.log(new exports.Point(1).x === 1)
+console.log(typeof exports.EventEmitter === "function" && exports.EventEmitter === require("events").EventEmitter)
+console.log(typeof exports.platform === "function" && exports.platform === require("os").platform)
+console.log(exports["default"] === main && main() === "function")
+console.log(typeof util.inspect === "function" && util["default"] === require("util"))
+console.log(Object.keys(exports).indexOf("__esModule") === -1)
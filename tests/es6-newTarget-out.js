@@ -0,0 +1,43 @@
+"use strict";var PRS$0 = (function(o,t){o["__proto__"]={"a":t};return o["a"]===t})({},{});var DP$0 = Object.defineProperty;var GOPD$0 = Object.getOwnPropertyDescriptor;var MIXIN$0 = function(t,s){for(var p in s){if(s.hasOwnProperty(p)){DP$0(t,p,GOPD$0(s,p));}}return t};
+
+function Test1() {
+	if ( !(this instanceof Test1 ? this.constructor : void 0) ) {
+		return "call";
+	}
+	this.target = (this instanceof Test1 ? this.constructor : void 0);
+}
+console.log(new Test1().target === Test1, Test1() === "call");
+
+var Test2 = function fn$0() {var newTarget$0 = (this instanceof fn$0 ? this.constructor : void 0);
+	this.target = (this instanceof fn$0 ? this.constructor : void 0);
+	this.getTarget = function()  {return function()  {return newTarget$0}};
+};
+var test2 = new Test2();
+console.log(test2.target === Test2, test2.getTarget()() === Test2, Test2.call({}) === void 0);
+
+var A = (function(){var proto$0={};
+	function A() {var newTarget$0 = (this instanceof A ? this.constructor : void 0);
+		this.target = (this instanceof A ? this.constructor : void 0);
+		this.getTarget = function()  {return newTarget$0};
+	}DP$0(A,"prototype",{"configurable":false,"enumerable":false,"writable":false});
+
+	proto$0.method = function() {
+		return void 0;
+	};
+MIXIN$0(A.prototype,proto$0);proto$0=void 0;return A;})();
+var B = (function(super$0){var SP$0 = Object.setPrototypeOf||function(o,p){if(PRS$0){o["__proto__"]=p;}else {DP$0(o,"__proto__",{"value":p,"configurable":true,"enumerable":false,"writable":true});}return o};var OC$0 = Object.create;if(!PRS$0)MIXIN$0(B, super$0);
+	function B() {
+		super$0.call(this);
+		this.ownTarget = (this instanceof B ? this.constructor : void 0);
+	}if(super$0!==null)SP$0(B,super$0);B.prototype = OC$0(super$0!==null?super$0.prototype:null,{"constructor":{"value":B,"configurable":true,"writable":true}});DP$0(B,"prototype",{"configurable":false,"enumerable":false,"writable":false});
+;return B;})(A);
+var a = new A(), b = new B();
+console.log(a.target === A, a.getTarget() === A, a.method() === void 0);
+console.log(b.target === B, b.getTarget() === B, b.ownTarget === B);
+
+var obj = {
+	method: function() {
+		return void 0;
+	}
+};
+console.log(obj.method() === void 0);
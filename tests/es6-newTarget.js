@@ -0,0 +1,43 @@
+"use strict";
+
+function Test1() {
+	if ( !new.target ) {
+		return "call";
+	}
+	this.target = new.target;
+}
+console.log(new Test1().target === Test1, Test1() === "call");
+
+var Test2 = function() {
+	this.target = new.target;
+	this.getTarget = () => () => new.target;
+};
+var test2 = new Test2();
+console.log(test2.target === Test2, test2.getTarget()() === Test2, Test2.call({}) === void 0);
+
+class A {
+	constructor() {
+		this.target = new.target;
+		this.getTarget = () => new.target;
+	}
+
+	method() {
+		return new.target;
+	}
+}
+class B extends A {
+	constructor() {
+		super();
+		this.ownTarget = new.target;
+	}
+}
+var a = new A(), b = new B();
+console.log(a.target === A, a.getTarget() === A, a.method() === void 0);
+console.log(b.target === B, b.getTarget() === B, b.ownTarget === B);
+
+var obj = {
+	method() {
+		return new.target;
+	}
+};
+console.log(obj.method() === void 0);
@@ -0,0 +1,70 @@
+function OWN_COPY$0(t,s,e){if(s==null){if(e)throw new TypeError(s+" cannot be destructured");return t}s=Object(s);var k,i=0,l=Object.keys(s);if(Object.getOwnPropertySymbols)l=l.concat(Object.getOwnPropertySymbols(s).filter(function(k){return Object.prototype.propertyIsEnumerable.call(s,k)}));if(e)e=e.map(function(k){return typeof k==='number'?k+'':k});for(;i<l.length;i++)if(k=l[i],!e||e.indexOf(k)===-1)Object.defineProperty(t,k,{"value":s[k],"enumerable":true,"configurable":true,"writable":true});return t};var DPS$0 = Object.defineProperties;var GOPDS_P$0 = function(o){var d=Object.create(null);for(var p in o)if(o.hasOwnProperty(p)){d[p]={"value":o[p],"enumerable":true,"configurable":true,"writable":true};}return d;};var DP$0 = Object.defineProperty;var GOPDS_A$0 = function(o){var d=Object.create(null);for(var p in o)if(o.hasOwnProperty(p)){d[p]=o[p];}return d;};var $D$0;var obj = {a: 1, b: 2, c: 3, 4: 4};
+var key = "k";
+
+function keys(object) {
+	return JSON.stringify(object);
+}
+
+// object rest
+var a = obj.a, rest = OWN_COPY$0({}, obj, ["a"]);
+console.log(a === 1, keys(rest) === '{"4":4,"b":2,"c":3}');
+
+var b = obj.b, c = obj[("c")], d = obj[4], others = OWN_COPY$0({}, obj, ["b", "c", 4]);
+console.log(b === 2, c === 3, d === 4, keys(others) === '{"a":1}');
+
+var counter = 0;
+var k0 = (withoutK0 = {k0: 0, k1: 1})[($D$0 = key + counter++)], withoutK0 = OWN_COPY$0({}, withoutK0, [$D$0]);
+console.log(k0 === 0, counter === 1, keys(withoutK0) === '{"k1":1}');
+
+var q = (inner = (outer = {p: {q: 1, w: 2}, t: 3}).p).q, inner = OWN_COPY$0({}, inner, ["q"]), outer = OWN_COPY$0({}, outer, ["p"]);
+console.log(q === 1, keys(inner) === '{"w":2}', keys(outer) === '{"t":3}');
+
+var x, y, target = {};
+var result = (x = obj.a, y = OWN_COPY$0({}, obj, ["a"]), obj);
+(x = obj.b, target.rest = OWN_COPY$0({}, obj, ["b"]), obj);
+console.log(result === obj, x === 2, keys(y) === '{"4":4,"b":2,"c":3}', keys(target.rest) === '{"4":4,"a":1,"c":3}');
+
+// the rest object is a copy of the own enumerable properties
+var proto = {inherited: 1};
+var source = Object.create(proto, {hidden: {value: 1, enumerable: false}, visible: {value: 2, enumerable: true}});
+var copy = OWN_COPY$0({}, source, []);
+console.log(keys(copy) === '{"visible":2}', Object.getPrototypeOf(copy) === Object.prototype);
+
+function params(first, last) {var a = last.a, last = OWN_COPY$0({}, last, ["a"]);
+	return first + keys(last);
+}
+console.log(params(1, obj) === '1{"4":4,"b":2,"c":3}');
+
+var arrow = function(others)  {var a = others.a, others = OWN_COPY$0({}, others, ["a"]);return others.b};
+console.log(arrow(obj) === 2);
+
+var closures = [];
+for (var i = 0; i < 2; i++) {(function(){
+	var copy = OWN_COPY$0({}, ({i: i}), []);
+	closures.push(function()  {return copy.i});
+})();}
+console.log(closures[0]() === 0, closures[1]() === 1);
+
+{
+	var a$0 = (rest$0 = {a: 5, e: 6}).a, rest$0 = OWN_COPY$0({}, rest$0, ["a"]);
+	console.log(keys(rest$0) === '{"e":6}');
+}
+console.log(keys(rest) === '{"4":4,"b":2,"c":3}');
+
+// the rest of null or undefined throws, as the destructuring does
+var restErrors = [null, void 0].map(function(value) {
+	try { var r = OWN_COPY$0({}, value, []); return "ok" } catch(e) { return e instanceof TypeError }
+});
+console.log(restErrors.join() === "true,true");
+
+// object spread
+console.log(keys(OWN_COPY$0({},obj)) === '{"4":4,"a":1,"b":2,"c":3}');
+console.log(keys(OWN_COPY$0(OWN_COPY$0(OWN_COPY$0(DPS$0(OWN_COPY$0({x: 0}, obj), GOPDS_P$0({c: 5})), null), undefined), {d: 6})) === '{"4":4,"x":0,"a":1,"b":2,"c":5,"d":6}');
+console.log(keys(OWN_COPY$0({a: 0}, obj)) === keys(obj), keys(DPS$0(OWN_COPY$0({},obj), GOPDS_P$0({a: 0}))) === '{"4":4,"a":0,"b":2,"c":3}');
+console.log(keys(DPS$0(DP$0(OWN_COPY$0(DP$0({x: 0}, key,{"value": 1,"configurable":true,"enumerable":true,"writable":true}), {y: 2}), key + 2,{"value": 3,"configurable":true,"enumerable":true,"writable":true}), GOPDS_P$0({z: 4}))) === '{"x":0,"k":1,"y":2,"k2":3,"z":4}');
+console.log(keys(OWN_COPY$0(DPS$0({x: 0}, GOPDS_A$0({g:{"get":function() { return 1 },"configurable":true,"enumerable":true}})), {y: 2})) === '{"x":0,"g":1,"y":2}');
+console.log(keys(OWN_COPY$0(OWN_COPY$0({},"ab"), [3])) === '{"0":3,"1":"b"}');
+
+var spreadGetter = OWN_COPY$0({},{get g() { return 1 }});
+console.log(Object.getOwnPropertyDescriptor(spreadGetter, "g").value === 1);;$D$0 = void 0;
+
@@ -0,0 +1,69 @@
+var obj = {a: 1, b: 2, c: 3, 4: 4};
+var key = "k";
+
+function keys(object) {
+	return JSON.stringify(object);
+}
+
+// object rest
+var {a, ...rest} = obj;
+console.log(a === 1, keys(rest) === '{"4":4,"b":2,"c":3}');
+
+let {b, [("c")]: c, 4: d, ...others} = obj;
+console.log(b === 2, c === 3, d === 4, keys(others) === '{"a":1}');
+
+var counter = 0;
+var {[key + counter++]: k0, ...withoutK0} = {k0: 0, k1: 1};
+console.log(k0 === 0, counter === 1, keys(withoutK0) === '{"k1":1}');
+
+var {p: {q, ...inner}, ...outer} = {p: {q: 1, w: 2}, t: 3};
+console.log(q === 1, keys(inner) === '{"w":2}', keys(outer) === '{"t":3}');
+
+var x, y, target = {};
+var result = ({a: x, ...y} = obj);
+({b: x, ...target.rest} = obj);
+console.log(result === obj, x === 2, keys(y) === '{"4":4,"b":2,"c":3}', keys(target.rest) === '{"4":4,"a":1,"c":3}');
+
+// the rest object is a copy of the own enumerable properties
+var proto = {inherited: 1};
+var source = Object.create(proto, {hidden: {value: 1, enumerable: false}, visible: {value: 2, enumerable: true}});
+var {...copy} = source;
+console.log(keys(copy) === '{"visible":2}', Object.getPrototypeOf(copy) === Object.prototype);
+
+function params(first, {a, ...last}) {
+	return first + keys(last);
+}
+console.log(params(1, obj) === '1{"4":4,"b":2,"c":3}');
+
+var arrow = ({a, ...others}) => others.b;
+console.log(arrow(obj) === 2);
+
+var closures = [];
+for (let i = 0; i < 2; i++) {
+	let {...copy} = {i};
+	closures.push(() => copy.i);
+}
+console.log(closures[0]() === 0, closures[1]() === 1);
+
+{
+	let {a, ...rest} = {a: 5, e: 6};
+	console.log(keys(rest) === '{"e":6}');
+}
+console.log(keys(rest) === '{"4":4,"b":2,"c":3}');
+
+// the rest of null or undefined throws, as the destructuring does
+var restErrors = [null, void 0].map(function(value) {
+	try { let {...r} = value; return "ok" } catch(e) { return e instanceof TypeError }
+});
+console.log(restErrors.join() === "true,true");
+
+// object spread
+console.log(keys({...obj}) === '{"4":4,"a":1,"b":2,"c":3}');
+console.log(keys({x: 0, ...obj, c: 5, ...null, ...undefined, ...{d: 6}}) === '{"4":4,"x":0,"a":1,"b":2,"c":5,"d":6}');
+console.log(keys({a: 0, ...obj}) === keys(obj), keys({...obj, a: 0}) === '{"4":4,"a":0,"b":2,"c":3}');
+console.log(keys({x: 0, [key]: 1, ...{y: 2}, [key + 2]: 3, z: 4}) === '{"x":0,"k":1,"y":2,"k2":3,"z":4}');
+console.log(keys({x: 0, get g() { return 1 }, ...{y: 2}}) === '{"x":0,"g":1,"y":2}');
+console.log(keys({..."ab", ...[3]}) === '{"0":3,"1":"b"}');
+
+var spreadGetter = {...{get g() { return 1 }}};
+console.log(Object.getOwnPropertyDescriptor(spreadGetter, "g").value === 1);
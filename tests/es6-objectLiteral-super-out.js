@@ -0,0 +1,43 @@
+var GPO$0 = Object.getPrototypeOf;var DPS$0 = Object.defineProperties;var GOPDS_A$0 = function(o){var d=Object.create(null);for(var p in o)if(o.hasOwnProperty(p)){d[p]=o[p];}return d;};var PRLS$0 = (function(o){return o["a"]===o["__proto__"]["a"]})({"__proto__":{"a":{}}});var DP$0 = Object.defineProperty;var PRS$0 = (function(o,t){o["__proto__"]={"a":t};return o["a"]===t})({},{});var SP$0 = Object.setPrototypeOf||function(o,p){if(PRS$0){o["__proto__"]=p;}else {DP$0(o,"__proto__",{"value":p,"configurable":true,"enumerable":false,"writable":true});}return o};var FIX_PROTO$0 = function(o,f){if((f||!PRLS$0)&&o.hasOwnProperty("__proto__")){var p=o["__proto__"];delete o["__proto__"];SP$0(o,p);}return o};var base = {
+	a: function(x) { return "base" + x }
+	, get b() { return "base" + this.n }
+	, n: 0
+};
+
+var obj = (function(){var $home$0;return $home$0 = FIX_PROTO$0(DPS$0({
+	'__proto__': base
+	, n: 1
+	, a: function(x) { return GPO$0($home$0).a.call(this, x) + "|obj" }
+	, c: function() {var SLICE$0 = Array.prototype.slice;var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function ITER$0(v,f){if(v){if(Array.isArray(v))return f?v.slice():v;var i,r;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){i=f.call(v);r=[];}else if((v+'')==='[object Generator]'){i=v;r=[];};if(S_MARK$0)S_MARK$0(void 0);if(r) {while((f=i['next']()),f['done']!==true)r.push(f['value']);return r;}}throw new Error(v+' is not iterable')};var args = SLICE$0.call(arguments, 0); return GPO$0($home$0).a.apply(this, ITER$0(args)) }
+	, d: function() {var this$0 = this; return function()  {return GPO$0($home$0).a.call(this$0, 2)} }
+	, e: function() { return GPO$0($home$0).b }}
+	, GOPDS_A$0({f:{"get":function() { return GPO$0($home$0).a.call(this, "f") },"configurable":true,"enumerable":true}
+})), true)}).call(this);
+
+console.log(obj.a(1) === "base1|obj", obj.c(3) === "base3", obj.d()() === "base2", obj.e() === "base0", obj.f === "basef");
+
+{
+	var obj$0 = (function(){var $home$1;return $home$1 = {a: function() { return GPO$0($home$1).hasOwnProperty === Object.prototype.hasOwnProperty }}}).call(this);
+	console.log(obj$0.a());
+}
+
+{// the home object does not depend on 'this'
+	var child = (function(){var $home$2;return $home$2 = FIX_PROTO$0({'__proto__': obj, a: function(x) { return GPO$0($home$2).a.call(this, x) + "|child" }})}).call(this);
+	console.log(child.a(1) === "base1|obj|child");
+}
+
+{// the home object of the each object created in a loop
+	var objects = [];
+	for ( var i = 0 ; i < 3 ; i++ ) {(function(i){
+		objects.push((function(){var $home$3;return $home$3 = FIX_PROTO$0({'__proto__': {name: function()  {return "proto" + i}}, name: function() { return GPO$0($home$3).name.call(this) + "|" + i }})}).call(this));
+	})(i);}
+	console.log(objects.map(function(object) { return object.name() }).join() === "proto0|0,proto1|1,proto2|2");
+}
+
+{// 'this' and 'arguments' in the property values
+	var create = function() {
+		return (function(){var $home$4;return $home$4 = FIX_PROTO$0({'__proto__': base, self: this, count: arguments.length, a: function(x) { return GPO$0($home$4).a.call(this, x) }})}).apply(this, arguments);
+	};
+	var context = {}, created = create.call(context, 1, 2);
+	console.log(created.self === context, created.count === 2, created.a(5) === "base5");
+}
@@ -0,0 +1,43 @@
+let base = {
+	a(x) { return "base" + x }
+	, get b() { return "base" + this.n }
+	, n: 0
+};
+
+let obj = {
+	__proto__: base
+	, n: 1
+	, a(x) { return super.a(x) + "|obj" }
+	, c(...args) { return super.a(...args) }
+	, d() { return () => super.a(2) }
+	, e() { return super.b }
+	, get f() { return super.a("f") }
+};
+
+console.log(obj.a(1) === "base1|obj", obj.c(3) === "base3", obj.d()() === "base2", obj.e() === "base0", obj.f === "basef");
+
+{
+	let obj = {a() { return super.hasOwnProperty === Object.prototype.hasOwnProperty }};
+	console.log(obj.a());
+}
+
+{// the home object does not depend on 'this'
+	let child = {__proto__: obj, a(x) { return super.a(x) + "|child" }};
+	console.log(child.a(1) === "base1|obj|child");
+}
+
+{// the home object of the each object created in a loop
+	let objects = [];
+	for ( let i = 0 ; i < 3 ; i++ ) {
+		objects.push({__proto__: {name: () => "proto" + i}, name() { return super.name() + "|" + i }});
+	}
+	console.log(objects.map(function(object) { return object.name() }).join() === "proto0|0,proto1|1,proto2|2");
+}
+
+{// 'this' and 'arguments' in the property values
+	let create = function() {
+		return {__proto__: base, self: this, count: arguments.length, a(x) { return super.a(x) }};
+	};
+	let context = {}, created = create.call(context, 1, 2);
+	console.log(created.self === context, created.count === 2, created.a(5) === "base5");
+}
@@ -0,0 +1,896 @@
+;applyPolyfills$0();/*es6-transpiler includePolyfills:true */
+
+// only the polyfills of the used built-ins are included
+{// Map and Set
+	var map = new Map([[1, "one"], [NaN, "nan"]]), set = new Set([1, 2, 2]);
+
+	console.log(map.size === 2, map.get(NaN) === "nan", set.size === 2, set.has(2));
+}
+
+{// Array.from, Array.of, Array.prototype.find / findIndex / fill
+	var _Array = Array;
+
+	console.log(_Array.from("abc").join() === "a,b,c", Array["of"](1, 2).join() === "1,2");
+	console.log([1, 2, 3].find(function(x)  {return x > 1}) === 2, [1, 2, 3].findIndex(function(x)  {return x > 2}) === 2, [1, 2, 3].fill(0, 1).join() === "1,0,0");
+}
+
+{// Object.assign and Object.is
+	var assign = Object.assign;
+
+	console.log(assign({a: 1}, {b: 2}).b === 2, Object.is(NaN, NaN), !Object.is(0, -0));
+}
+
+{// String.prototype methods
+	var startsWith = (String.prototype).startsWith;
+
+	console.log(startsWith.call("abc", "ab"), "abc".endsWith("bc"), "abc".includes("b"), "ab".repeat(2) === "abab", "😀".codePointAt(0) === 0x1F600);
+}
+
+{// Number and Math additions
+	console.log(Number.isInteger(5), !Number.isSafeInteger(Math.pow(2, 53)), Number.EPSILON > 0);
+	console.log(Math.trunc(-4.7) === -4, Math.sign(-3) === -1, Math.log2(8) === 3);
+}/* <[tests es6-transpiler test file EOF ]> */
+function applyPolyfills$0(){"use strict";
+(function(){/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Map polyfill: the keys and the values are kept in the lists of the Map instance, the keys are compared by SameValueZero.
+//  The deleted entries are left as holes, so the live iterators see the entries added during the iteration.
+//  The iterators are available by the "@@iterator" key (the key the transpiled code uses without Symbol) and by Symbol.iterator.
+
+if ( typeof (new Function("return this"))()["Map"] !== "function" ) {
+	var global = (new Function("return this"))()
+		, _Object = global["Object"]
+		, defineProperty = _Object.defineProperty
+		, HOLE = {}
+		, symbolIterator = typeof global["Symbol"] === "function" && global["Symbol"]["iterator"] || "@@iterator"
+		, defineValue = function(object, key, value) {
+			defineProperty(object, key, {value: value, configurable: true, enumerable: false, writable: true});
+		}
+		, mapRecord = function(map) {
+			var record = map instanceof Map && map["__map__"];
+			if ( !record ) {
+				throw new TypeError(map + " is not a Map");
+			}
+			return record;
+		}
+		, indexOfKey = function(record, key) {
+			var keys = record.keys;
+			if ( key !== key ) {// NaN
+				for ( var i = 0, len = keys.length ; i < len ; i++ ) {
+					if ( keys[i] !== keys[i] ) {
+						return i;
+					}
+				}
+				return -1;
+			}
+			return keys.indexOf(key === 0 ? 0 : key);// -0 => +0
+		}
+		, forEachOfIterable = function(iterable, callback) {
+			var iteratorMethod = iterable["@@iterator"] || iterable[symbolIterator];
+
+			if ( typeof iteratorMethod === "function" ) {
+				var iterator = iteratorMethod.call(iterable), step;
+				while ( !(step = iterator.next()).done ) {
+					callback(step.value);
+				}
+			}
+			else {
+				iterable = _Object(iterable);
+				for ( var i = 0, len = iterable.length ; i < len ; i++ ) {
+					callback(iterable[i]);
+				}
+			}
+		}
+		, createIterator = function(record, kind) {
+			var index = 0, iterator = {
+				"next": function() {
+					while ( record !== void 0 ) {
+						var keys = record.keys;
+						if ( index >= keys.length ) {
+							record = void 0;
+							break;
+						}
+
+						var i = index++, key = keys[i];
+						if ( key !== HOLE ) {
+							return {
+								value: kind === "keys" ? key : kind === "values" ? record.values[i] : [key, record.values[i]]
+								, done: false
+							};
+						}
+					}
+					return {value: void 0, done: true};
+				}
+			};
+			defineValue(iterator, "@@iterator", function() { return this });
+			if ( symbolIterator !== "@@iterator" ) {
+				defineValue(iterator, symbolIterator, function() { return this });
+			}
+			return iterator;
+		}
+	;
+
+	var Map = function Map(iterable) {var this$0 = this;
+		if ( !(this instanceof Map) ) {
+			throw new TypeError("Constructor Map requires 'new'");
+		}
+
+		defineValue(this, "__map__", {keys: [], values: [], size: 0});
+
+		if ( iterable !== void 0 && iterable !== null ) {
+			forEachOfIterable(iterable, function(entry)  {
+				if ( entry === null || (typeof entry !== "object" && typeof entry !== "function") ) {
+					throw new TypeError("Iterator value " + entry + " is not an entry object");
+				}
+				this$0.set(entry[0], entry[1]);
+			});
+		}
+	};
+
+	defineValue(Map.prototype, "get", function(key) {
+		var record = mapRecord(this), index = indexOfKey(record, key);
+		return index === -1 ? void 0 : record.values[index];
+	});
+	defineValue(Map.prototype, "set", function(key, value) {
+		var record = mapRecord(this), index = indexOfKey(record, key);
+		if ( index === -1 ) {
+			index = record.keys.push(key === 0 ? 0 : key) - 1;
+			record.size++;
+		}
+		record.values[index] = value;
+		return this;
+	});
+	defineValue(Map.prototype, "has", function(key) {
+		return indexOfKey(mapRecord(this), key) !== -1;
+	});
+	defineValue(Map.prototype, "delete", function(key) {
+		var record = mapRecord(this), index = indexOfKey(record, key);
+		if ( index === -1 ) {
+			return false;
+		}
+		record.keys[index] = HOLE;
+		record.values[index] = void 0;
+		record.size--;
+		return true;
+	});
+	defineValue(Map.prototype, "clear", function() {
+		var record = mapRecord(this), keys = record.keys;
+		for ( var i = 0, len = keys.length ; i < len ; i++ ) {
+			keys[i] = HOLE;
+			record.values[i] = void 0;
+		}
+		record.size = 0;
+	});
+	defineValue(Map.prototype, "forEach", function(callback, thisArg) {
+		var record = mapRecord(this), keys = record.keys;
+		for ( var i = 0 ; i < keys.length ; i++ ) {
+			if ( keys[i] !== HOLE ) {
+				callback.call(thisArg, record.values[i], keys[i], this);
+			}
+		}
+	});
+	defineValue(Map.prototype, "keys", function() {
+		return createIterator(mapRecord(this), "keys");
+	});
+	defineValue(Map.prototype, "values", function() {
+		return createIterator(mapRecord(this), "values");
+	});
+	defineValue(Map.prototype, "entries", function() {
+		return createIterator(mapRecord(this), "entries");
+	});
+	defineValue(Map.prototype, "@@iterator", Map.prototype["entries"]);
+	if ( symbolIterator !== "@@iterator" ) {
+		defineValue(Map.prototype, symbolIterator, Map.prototype["entries"]);
+	}
+	defineProperty(Map.prototype, "size", {
+		get: function() {
+			return mapRecord(this).size;
+		}
+		, configurable: true
+		, enumerable: false
+	});
+
+	global["Map"] = Map;
+}
+
+})();
+(function(){/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Set polyfill: the values are kept in the list of the Set instance, the values are compared by SameValueZero.
+//  The deleted values are left as holes, so the live iterators see the values added during the iteration.
+//  The iterators are available by the "@@iterator" key (the key the transpiled code uses without Symbol) and by Symbol.iterator.
+
+if ( typeof (new Function("return this"))()["Set"] !== "function" ) {
+	var global = (new Function("return this"))()
+		, _Object = global["Object"]
+		, defineProperty = _Object.defineProperty
+		, HOLE = {}
+		, symbolIterator = typeof global["Symbol"] === "function" && global["Symbol"]["iterator"] || "@@iterator"
+		, defineValue = function(object, key, value) {
+			defineProperty(object, key, {value: value, configurable: true, enumerable: false, writable: true});
+		}
+		, setRecord = function(set) {
+			var record = set instanceof Set && set["__set__"];
+			if ( !record ) {
+				throw new TypeError(set + " is not a Set");
+			}
+			return record;
+		}
+		, indexOfValue = function(record, value) {
+			var values = record.values;
+			if ( value !== value ) {// NaN
+				for ( var i = 0, len = values.length ; i < len ; i++ ) {
+					if ( values[i] !== values[i] ) {
+						return i;
+					}
+				}
+				return -1;
+			}
+			return values.indexOf(value === 0 ? 0 : value);// -0 => +0
+		}
+		, forEachOfIterable = function(iterable, callback) {
+			var iteratorMethod = iterable["@@iterator"] || iterable[symbolIterator];
+
+			if ( typeof iteratorMethod === "function" ) {
+				var iterator = iteratorMethod.call(iterable), step;
+				while ( !(step = iterator.next()).done ) {
+					callback(step.value);
+				}
+			}
+			else {
+				iterable = _Object(iterable);
+				for ( var i = 0, len = iterable.length ; i < len ; i++ ) {
+					callback(iterable[i]);
+				}
+			}
+		}
+		, createIterator = function(record, kind) {
+			var index = 0, iterator = {
+				"next": function() {
+					while ( record !== void 0 ) {
+						var values = record.values;
+						if ( index >= values.length ) {
+							record = void 0;
+							break;
+						}
+
+						var value = values[index++];
+						if ( value !== HOLE ) {
+							return {value: kind === "entries" ? [value, value] : value, done: false};
+						}
+					}
+					return {value: void 0, done: true};
+				}
+			};
+			defineValue(iterator, "@@iterator", function() { return this });
+			if ( symbolIterator !== "@@iterator" ) {
+				defineValue(iterator, symbolIterator, function() { return this });
+			}
+			return iterator;
+		}
+	;
+
+	var Set = function Set(iterable) {var this$0 = this;
+		if ( !(this instanceof Set) ) {
+			throw new TypeError("Constructor Set requires 'new'");
+		}
+
+		defineValue(this, "__set__", {values: [], size: 0});
+
+		if ( iterable !== void 0 && iterable !== null ) {
+			forEachOfIterable(iterable, function(value)  {return this$0.add(value)});
+		}
+	};
+
+	defineValue(Set.prototype, "add", function(value) {
+		var record = setRecord(this);
+		if ( indexOfValue(record, value) === -1 ) {
+			record.values.push(value === 0 ? 0 : value);
+			record.size++;
+		}
+		return this;
+	});
+	defineValue(Set.prototype, "has", function(value) {
+		return indexOfValue(setRecord(this), value) !== -1;
+	});
+	defineValue(Set.prototype, "delete", function(value) {
+		var record = setRecord(this), index = indexOfValue(record, value);
+		if ( index === -1 ) {
+			return false;
+		}
+		record.values[index] = HOLE;
+		record.size--;
+		return true;
+	});
+	defineValue(Set.prototype, "clear", function() {
+		var record = setRecord(this), values = record.values;
+		for ( var i = 0, len = values.length ; i < len ; i++ ) {
+			values[i] = HOLE;
+		}
+		record.size = 0;
+	});
+	defineValue(Set.prototype, "forEach", function(callback, thisArg) {
+		var values = setRecord(this).values;
+		for ( var i = 0 ; i < values.length ; i++ ) {
+			if ( values[i] !== HOLE ) {
+				callback.call(thisArg, values[i], values[i], this);
+			}
+		}
+	});
+	defineValue(Set.prototype, "values", function() {
+		return createIterator(setRecord(this), "values");
+	});
+	defineValue(Set.prototype, "keys", Set.prototype["values"]);
+	defineValue(Set.prototype, "entries", function() {
+		return createIterator(setRecord(this), "entries");
+	});
+	defineValue(Set.prototype, "@@iterator", Set.prototype["values"]);
+	if ( symbolIterator !== "@@iterator" ) {
+		defineValue(Set.prototype, symbolIterator, Set.prototype["values"]);
+	}
+	defineProperty(Set.prototype, "size", {
+		get: function() {
+			return setRecord(this).size;
+		}
+		, configurable: true
+		, enumerable: false
+	});
+
+	global["Set"] = Set;
+}
+
+})();
+(function(){/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Array.from polyfill: Array.from(iterable | arrayLike, mapFn, thisArg)
+//  The iterator of the iterable is taken by the "@@iterator" key (the key the transpiled code uses without Symbol) or by Symbol.iterator.
+
+if ( typeof (new Function("return this"))()["Array"]["from"] !== "function" ) {
+	var global = (new Function("return this"))()
+		, _Array = global["Array"]
+		, _Object = global["Object"]
+		, symbolIterator = typeof global["Symbol"] === "function" && global["Symbol"]["iterator"] || "@@iterator"
+	;
+
+	_Array["from"] = function from(items, mapFn, thisArg) {
+		if ( items == null ) {
+			throw new TypeError("Cannot convert undefined or null to object");
+		}
+		if ( mapFn !== void 0 && typeof mapFn !== "function" ) {
+			throw new TypeError(mapFn + " is not a function");
+		}
+
+		var Constructor = typeof this === "function" ? this : _Array
+			, iteratorMethod = items["@@iterator"] || items[symbolIterator]
+			, result
+			, length = 0
+		;
+
+		if ( typeof iteratorMethod === "function" ) {
+			var iterator = iteratorMethod.call(items), step;
+
+			result = new Constructor();
+			while ( !(step = iterator.next()).done ) {
+				result[length] = mapFn ? mapFn.call(thisArg, step.value, length) : step.value;
+				length++;
+			}
+		}
+		else {
+			var arrayLike = _Object(items);
+
+			length = Math.max(Math.floor(Number(arrayLike.length)) || 0, 0);
+			result = new Constructor(length);
+			for ( var index = 0 ; index < length ; index++ ) {
+				result[index] = mapFn ? mapFn.call(thisArg, arrayLike[index], index) : arrayLike[index];
+			}
+		}
+
+		result.length = length;
+		return result;
+	};
+}
+
+})();
+(function(){/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Array.of polyfill: Array.of(...items)
+
+if ( typeof (new Function("return this"))()["Array"]["of"] !== "function" ) {
+	var _Array = (new Function("return this"))()["Array"];
+
+	_Array["of"] = function of() {
+		var length = arguments.length
+			, result = typeof this === "function" ? new this(length) : new _Array(length)
+		;
+
+		for ( var index = 0 ; index < length ; index++ ) {
+			result[index] = arguments[index];
+		}
+
+		result.length = length;
+		return result;
+	};
+}
+
+})();
+(function(){/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Array.prototype.find polyfill: [].find(predicate, thisArg)
+
+if ( typeof (new Function("return this"))()["Array"].prototype["find"] !== "function" ) {
+	var global = (new Function("return this"))();
+
+	global["Object"].defineProperty(global["Array"].prototype, "find", {
+		value: function find(predicate, thisArg) {
+			if ( this == null ) {
+				throw new TypeError("Array.prototype.find called on null or undefined");
+			}
+			if ( typeof predicate !== "function" ) {
+				throw new TypeError(predicate + " is not a function");
+			}
+
+			var list = global["Object"](this), length = Math.max(Math.floor(Number(list.length)) || 0, 0);
+			for ( var index = 0 ; index < length ; index++ ) {
+				var value = list[index];
+				if ( predicate.call(thisArg, value, index, list) ) {
+					return value;
+				}
+			}
+			return void 0;
+		}
+		, configurable: true
+		, enumerable: false
+		, writable: true
+	});
+}
+
+})();
+(function(){/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Array.prototype.findIndex polyfill: [].findIndex(predicate, thisArg)
+
+if ( typeof (new Function("return this"))()["Array"].prototype["findIndex"] !== "function" ) {
+	var global = (new Function("return this"))();
+
+	global["Object"].defineProperty(global["Array"].prototype, "findIndex", {
+		value: function findIndex(predicate, thisArg) {
+			if ( this == null ) {
+				throw new TypeError("Array.prototype.findIndex called on null or undefined");
+			}
+			if ( typeof predicate !== "function" ) {
+				throw new TypeError(predicate + " is not a function");
+			}
+
+			var list = global["Object"](this), length = Math.max(Math.floor(Number(list.length)) || 0, 0);
+			for ( var index = 0 ; index < length ; index++ ) {
+				if ( predicate.call(thisArg, list[index], index, list) ) {
+					return index;
+				}
+			}
+			return -1;
+		}
+		, configurable: true
+		, enumerable: false
+		, writable: true
+	});
+}
+
+})();
+(function(){/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Array.prototype.fill polyfill: [].fill(value, start, end)
+
+if ( typeof (new Function("return this"))()["Array"].prototype["fill"] !== "function" ) {
+	var global = (new Function("return this"))()
+		, toRelativeIndex = function(value, length, defaultValue) {
+			var index = value === void 0 ? defaultValue : (Number(value) || 0);
+			index = index < 0 ? Math.ceil(index) : Math.floor(index);
+			return index < 0 ? Math.max(length + index, 0) : Math.min(index, length);
+		}
+	;
+
+	global["Object"].defineProperty(global["Array"].prototype, "fill", {
+		value: function fill(value, start, end) {
+			if ( this == null ) {
+				throw new TypeError("Array.prototype.fill called on null or undefined");
+			}
+
+			var list = global["Object"](this), length = Math.max(Math.floor(Number(list.length)) || 0, 0);
+			for ( var index = toRelativeIndex(start, length, 0), last = toRelativeIndex(end, length, length) ; index < last ; index++ ) {
+				list[index] = value;
+			}
+			return list;
+		}
+		, configurable: true
+		, enumerable: false
+		, writable: true
+	});
+}
+
+})();
+(function(){/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Object.assign polyfill: Object.assign(target, ...sources)
+
+if ( typeof (new Function("return this"))()["Object"]["assign"] !== "function" ) {
+	var _Object = (new Function("return this"))()["Object"]
+		, propertyIsEnumerable = _Object.prototype.propertyIsEnumerable
+		, getOwnPropertySymbols = _Object["getOwnPropertySymbols"]
+	;
+
+	_Object["assign"] = function assign(target) {;var $args$0=arguments;
+		if ( target == null ) {
+			throw new TypeError("Cannot convert undefined or null to object");
+		}
+
+		var to = _Object(target);
+		for ( var index = 1, len = arguments.length ; index < len ; index++ ) {(function(){
+			var source = $args$0[index];
+			if ( source == null ) {
+				return;
+			}
+
+			var from = _Object(source)
+				, keys = _Object.keys(from)
+			;
+
+			if ( typeof getOwnPropertySymbols === "function" ) {
+				keys = keys.concat(getOwnPropertySymbols(from).filter(function(symbol) { return propertyIsEnumerable.call(from, symbol) }));
+			}
+
+			for ( var i = 0, keysLength = keys.length ; i < keysLength ; i++ ) {
+				to[keys[i]] = from[keys[i]];
+			}
+		})();}
+		return to;
+	};
+}
+
+})();
+(function(){/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Object.is polyfill: SameValue comparison, Object.is(NaN, NaN) === true, Object.is(0, -0) === false
+
+if ( typeof (new Function("return this"))()["Object"]["is"] !== "function" ) {
+	var _Object = (new Function("return this"))()["Object"];
+
+	_Object["is"] = function is(a, b) {
+		if ( a === b ) {
+			return a !== 0 || 1 / a === 1 / b;
+		}
+		return a !== a && b !== b;
+	};
+}
+
+})();
+(function(){/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// String.prototype.startsWith polyfill: "".startsWith(searchString, position)
+
+if ( typeof (new Function("return this"))()["String"].prototype["startsWith"] !== "function" ) {
+	var global = (new Function("return this"))();
+
+	global["Object"].defineProperty(global["String"].prototype, "startsWith", {
+		value: function startsWith(searchString, position) {
+			if ( this == null ) {
+				throw new TypeError("String.prototype.startsWith called on null or undefined");
+			}
+			if ( global["Object"].prototype.toString.call(searchString) === "[object RegExp]" ) {
+				throw new TypeError("First argument to String.prototype.startsWith must not be a regular expression");
+			}
+
+			var string = String(this), search = String(searchString)
+				, start = Math.min(Math.max(Math.floor(Number(position)) || 0, 0), string.length)
+			;
+			return string.substr(start, search.length) === search;
+		}
+		, configurable: true
+		, enumerable: false
+		, writable: true
+	});
+}
+
+})();
+(function(){/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// String.prototype.endsWith polyfill: "".endsWith(searchString, endPosition)
+
+if ( typeof (new Function("return this"))()["String"].prototype["endsWith"] !== "function" ) {
+	var global = (new Function("return this"))();
+
+	global["Object"].defineProperty(global["String"].prototype, "endsWith", {
+		value: function endsWith(searchString, endPosition) {
+			if ( this == null ) {
+				throw new TypeError("String.prototype.endsWith called on null or undefined");
+			}
+			if ( global["Object"].prototype.toString.call(searchString) === "[object RegExp]" ) {
+				throw new TypeError("First argument to String.prototype.endsWith must not be a regular expression");
+			}
+
+			var string = String(this), search = String(searchString)
+				, end = endPosition === void 0 ? string.length : Math.min(Math.max(Math.floor(Number(endPosition)) || 0, 0), string.length)
+				, start = end - search.length
+			;
+			return start >= 0 && string.substr(start, search.length) === search;
+		}
+		, configurable: true
+		, enumerable: false
+		, writable: true
+	});
+}
+
+})();
+(function(){/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// String.prototype.includes polyfill: "".includes(searchString, position)
+
+if ( typeof (new Function("return this"))()["String"].prototype["includes"] !== "function" ) {
+	var global = (new Function("return this"))();
+
+	global["Object"].defineProperty(global["String"].prototype, "includes", {
+		value: function includes(searchString, position) {
+			if ( this == null ) {
+				throw new TypeError("String.prototype.includes called on null or undefined");
+			}
+			if ( global["Object"].prototype.toString.call(searchString) === "[object RegExp]" ) {
+				throw new TypeError("First argument to String.prototype.includes must not be a regular expression");
+			}
+
+			return String(this).indexOf(String(searchString), position) !== -1;
+		}
+		, configurable: true
+		, enumerable: false
+		, writable: true
+	});
+}
+
+})();
+(function(){/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// String.prototype.repeat polyfill: "".repeat(count)
+
+if ( typeof (new Function("return this"))()["String"].prototype["repeat"] !== "function" ) {
+	var global = (new Function("return this"))();
+
+	global["Object"].defineProperty(global["String"].prototype, "repeat", {
+		value: function repeat(count) {
+			if ( this == null ) {
+				throw new TypeError("String.prototype.repeat called on null or undefined");
+			}
+
+			var string = String(this), times = Math.floor(Number(count)) || 0, result = "";
+			if ( times < 0 || times === Infinity ) {
+				throw new RangeError("Invalid count value");
+			}
+
+			// exponentiation by squaring
+			while ( times > 0 ) {
+				if ( times & 1 ) {
+					result += string;
+				}
+				times >>>= 1;
+				string += string;
+			}
+			return result;
+		}
+		, configurable: true
+		, enumerable: false
+		, writable: true
+	});
+}
+
+})();
+(function(){/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// String.prototype.codePointAt polyfill: "".codePointAt(position)
+
+if ( typeof (new Function("return this"))()["String"].prototype["codePointAt"] !== "function" ) {
+	var global = (new Function("return this"))();
+
+	global["Object"].defineProperty(global["String"].prototype, "codePointAt", {
+		value: function codePointAt(position) {
+			if ( this == null ) {
+				throw new TypeError("String.prototype.codePointAt called on null or undefined");
+			}
+
+			var string = String(this), index = Math.floor(Number(position)) || 0;
+			if ( index < 0 || index >= string.length ) {
+				return void 0;
+			}
+
+			var first = string.charCodeAt(index);
+			if ( first >= 0xD800 && first <= 0xDBFF && index + 1 < string.length ) {
+				var second = string.charCodeAt(index + 1);
+				if ( second >= 0xDC00 && second <= 0xDFFF ) {
+					return (first - 0xD800) * 0x400 + second - 0xDC00 + 0x10000;
+				}
+			}
+			return first;
+		}
+		, configurable: true
+		, enumerable: false
+		, writable: true
+	});
+}
+
+})();
+(function(){/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Number polyfill: the ES6 static members of Number which are not defined yet
+//  (Number.isFinite, Number.isInteger, Number.isNaN, Number.isSafeInteger, Number.parseFloat, Number.parseInt,
+//  Number.EPSILON, Number.MAX_SAFE_INTEGER, Number.MIN_SAFE_INTEGER)
+
+{
+	var global = (new Function("return this"))()
+		, _Number = global["Number"]
+		, defineProperty = global["Object"].defineProperty
+		, defineMethod = function(name, method) {
+			if ( typeof _Number[name] !== "function" ) {
+				defineProperty(_Number, name, {value: method, configurable: true, enumerable: false, writable: true});
+			}
+		}
+		, defineConstant = function(name, value) {
+			if ( typeof _Number[name] !== "number" ) {
+				defineProperty(_Number, name, {value: value, configurable: false, enumerable: false, writable: false});
+			}
+		}
+		, isFinite = function isFinite(value) {
+			return typeof value === "number" && global["isFinite"](value);
+		}
+		, isInteger = function isInteger(value) {
+			return isFinite(value) && Math.floor(value) === value;
+		}
+	;
+
+	defineConstant("EPSILON", Math.pow(2, -52));
+	defineConstant("MAX_SAFE_INTEGER", 9007199254740991);
+	defineConstant("MIN_SAFE_INTEGER", -9007199254740991);
+
+	defineMethod("isFinite", isFinite);
+	defineMethod("isInteger", isInteger);
+	defineMethod("isNaN", function isNaN(value) {
+		return value !== value;
+	});
+	defineMethod("isSafeInteger", function isSafeInteger(value) {
+		return isInteger(value) && Math.abs(value) <= 9007199254740991;
+	});
+	defineMethod("parseFloat", global["parseFloat"]);
+	defineMethod("parseInt", global["parseInt"]);
+}
+
+})();
+(function(){/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Math polyfill: the ES6 methods of Math which are not defined yet
+//  (Math.acosh, Math.asinh, Math.atanh, Math.cbrt, Math.clz32, Math.cosh, Math.expm1, Math.fround, Math.hypot, Math.imul,
+//  Math.log1p, Math.log10, Math.log2, Math.sign, Math.sinh, Math.tanh, Math.trunc)
+
+{
+	var global = (new Function("return this"))()
+		, _Math = global["Math"]
+		, defineProperty = global["Object"].defineProperty
+		, defineMethod = function(name, method) {
+			if ( typeof _Math[name] !== "function" ) {
+				defineProperty(_Math, name, {value: method, configurable: true, enumerable: false, writable: true});
+			}
+		}
+		, exp = _Math.exp
+		, log = _Math.log
+		, sqrt = _Math.sqrt
+		, abs = _Math.abs
+		, logBase = function(x, logE, power) {
+			var result = log(x) * logE, rounded = _Math.round(result);
+			// the exact powers of the base have the exact logarithms: log2(8) === 3, log10(1000) === 3
+			return rounded !== result && power(rounded) === x ? rounded : result;
+		}
+	;
+
+	defineMethod("sign", function sign(x) {
+		x = Number(x);
+		return x === 0 || x !== x ? x : x < 0 ? -1 : 1;
+	});
+	defineMethod("trunc", function trunc(x) {
+		x = Number(x);
+		return x === 0 || x !== x || x === Infinity || x === -Infinity ? x : x < 0 ? _Math.ceil(x) : _Math.floor(x);
+	});
+	defineMethod("cbrt", function cbrt(x) {
+		x = Number(x);
+		if ( x === 0 || x !== x || x === Infinity || x === -Infinity ) {
+			return x;
+		}
+		var result = _Math.pow(abs(x), 1 / 3);
+		// correct the rounding error for the exact cubes
+		result = result - (result * result * result - abs(x)) / (3 * result * result);
+		return x < 0 ? -result : result;
+	});
+	defineMethod("expm1", function expm1(x) {
+		x = Number(x);
+		if ( x === 0 ) {
+			return x;// +0 or -0
+		}
+		return abs(x) < 1e-5 ? x + x * x / 2 + x * x * x / 6 : exp(x) - 1;
+	});
+	defineMethod("log1p", function log1p(x) {
+		x = Number(x);
+		if ( x === 0 ) {
+			return x;// +0 or -0
+		}
+		return abs(x) < 1e-5 ? x - x * x / 2 + x * x * x / 3 : log(1 + x);
+	});
+	defineMethod("log10", function log10(x) {
+		return logBase(Number(x), _Math.LOG10E, function(n)  {return Number("1e" + n)});
+	});
+	defineMethod("log2", function log2(x) {
+		return logBase(Number(x), _Math.LOG2E, function(n)  {return _Math.pow(2, n)});
+	});
+	defineMethod("sinh", function sinh(x) {
+		x = Number(x);
+		return x === 0 ? x : abs(x) < 1 ? (_Math["expm1"](x) - _Math["expm1"](-x)) / 2 : (exp(x) - exp(-x)) / 2;
+	});
+	defineMethod("cosh", function cosh(x) {
+		x = exp(Number(x));
+		return (x + 1 / x) / 2;
+	});
+	defineMethod("tanh", function tanh(x) {
+		x = Number(x);
+		if ( x === 0 ) {
+			return x;
+		}
+		if ( x === Infinity || x > 20 ) {
+			return 1;
+		}
+		if ( x === -Infinity || x < -20 ) {
+			return -1;
+		}
+		var a = _Math["expm1"](x), b = _Math["expm1"](-x);
+		return (a - b) / (exp(x) + exp(-x));
+	});
+	defineMethod("acosh", function acosh(x) {
+		x = Number(x);
+		return x > 1e8 ? log(x) + _Math.LN2 : log(x + sqrt(x * x - 1));
+	});
+	defineMethod("asinh", function asinh(x) {
+		x = Number(x);
+		if ( x === 0 || x === Infinity || x === -Infinity ) {
+			return x;
+		}
+		var a = abs(x)
+			, result = a > 1e8 ? log(a) + _Math.LN2 : _Math["log1p"](a + a * a / (1 + sqrt(a * a + 1)))
+		;
+		return x < 0 ? -result : result;
+	});
+	defineMethod("atanh", function atanh(x) {
+		x = Number(x);
+		return x === 0 ? x : _Math["log1p"](2 * x / (1 - x)) / 2;
+	});
+	defineMethod("hypot", function hypot() {
+		var max = 0, sum = 0, hasNaN = false;
+		for ( var i = 0, len = arguments.length ; i < len ; i++ ) {
+			var value = abs(Number(arguments[i]));
+			if ( value === Infinity ) {
+				return Infinity;
+			}
+			if ( value !== value ) {
+				hasNaN = true;
+			}
+			else if ( value > max ) {
+				sum = sum * (max / value) * (max / value) + 1;
+				max = value;
+			}
+			else if ( value > 0 ) {
+				sum += (value / max) * (value / max);
+			}
+		}
+		return hasNaN ? NaN : max * sqrt(sum);
+	});
+	defineMethod("clz32", function clz32(x) {
+		x = Number(x) >>> 0;
+		return x === 0 ? 32 : 31 - _Math.floor(log(x + 0.5) * _Math.LOG2E);
+	});
+	defineMethod("imul", function imul(a, b) {
+		a = Number(a) | 0;
+		b = Number(b) | 0;
+		var aLow = a & 0xFFFF, bLow = b & 0xFFFF;
+		return (aLow * bLow + (((a >>> 16) * bLow + aLow * (b >>> 16)) << 16 >>> 0)) | 0;
+	});
+	defineMethod("fround", typeof global["Float32Array"] === "function"
+		? (function(array) {
+			return function fround(x) {
+				array[0] = x;
+				return array[0];
+			};
+		})(new global["Float32Array"](1))
+		: function fround(x) {
+			return Number(x);// no Float32Array: the precision of the double is kept
+		}
+	);
+}
+
+})();
+
+}
+
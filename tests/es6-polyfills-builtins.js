@@ -0,0 +1,33 @@
+/*es6-transpiler includePolyfills:true */
+
+// only the polyfills of the used built-ins are included
+{// Map and Set
+	let map = new Map([[1, "one"], [NaN, "nan"]]), set = new Set([1, 2, 2]);
+
+	console.log(map.size === 2, map.get(NaN) === "nan", set.size === 2, set.has(2));
+}
+
+{// Array.from, Array.of, Array.prototype.find / findIndex / fill
+	let _Array = Array;
+
+	console.log(_Array.from("abc").join() === "a,b,c", Array["of"](1, 2).join() === "1,2");
+	console.log([1, 2, 3].find((x) => x > 1) === 2, [1, 2, 3].findIndex((x) => x > 2) === 2, [1, 2, 3].fill(0, 1).join() === "1,0,0");
+}
+
+{// Object.assign and Object.is
+	let {assign} = Object;
+
+	console.log(assign({a: 1}, {b: 2}).b === 2, Object.is(NaN, NaN), !Object.is(0, -0));
+}
+
+{// String.prototype methods
+	let {startsWith} = String.prototype;
+
+	console.log(startsWith.call("abc", "ab"), "abc".endsWith("bc"), "abc".includes("b"), "ab".repeat(2) === "abab", "😀".codePointAt(0) === 0x1F600);
+}
+
+{// Number and Math additions
+	console.log(Number.isInteger(5), !Number.isSafeInteger(Math.pow(2, 53)), Number.EPSILON > 0);
+	console.log(Math.trunc(-4.7) === -4, Math.sign(-3) === -1, Math.log2(8) === 3);
+}
+
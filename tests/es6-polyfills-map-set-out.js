@@ -0,0 +1,326 @@
+;applyPolyfills$0();var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function GET_ITER$0(v){if(v){if(Array.isArray(v))return 0;var f;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){if(S_MARK$0)S_MARK$0(void 0);return f.call(v);}if(S_MARK$0)S_MARK$0(void 0);if((v+'')==='[object Generator]')return v;}throw new Error(v+' is not iterable')};var $D$0;var $D$1;var $D$2;var $D$3;function ITER_CLOSE$0(i,r){var f;if(i!==0&&r&&r["done"]!==true&&typeof (f=i["return"])==='function')f.call(i)};function DES_ITER$0(v,n){if(Array.isArray(v)||typeof v==='string')return v;var f,i,r,s={};if(S_MARK$0)S_MARK$0(v);if(v!=null)f=v[S_ITER$0];if(S_MARK$0)S_MARK$0(void 0);if(typeof f!=='function'){if(v!=null)return v;throw new TypeError(v+' is not iterable')}i=f.call(v);r=[];while(n===void 0||r.length<n){if((s=i["next"]())["done"])return r;r.push(s["value"])}ITER_CLOSE$0(i,s);return r};/*es6-transpiler includePolyfills:true */
+
+// the Map and Set polyfills are included together: each of them has its own helpers
+//  (to check the polyfills, run the output with the native Map and Set removed:
+//  node -e "delete global.Map; delete global.Set; require('./tests/es6-polyfills-map-set-out.js')")
+{
+	var map = new Map([[1, "a"]]), set = new Set(["b"]);
+
+	console.log(map.keys().next().value === 1, map.values().next().value === "a", set.values().next().value === "b");
+
+	var entries = [];
+	var k=void 0, v=void 0;$D$3 = (new Map([[1, 2]]));$D$0 = GET_ITER$0($D$3);$D$2 = $D$0 === 0;$D$1 = ($D$2 ? $D$3.length : void 0);try{for (  ;$D$2 ? ($D$0 < $D$1) : !($D$1 = void 0, $D$1 = $D$0["next"]())["done"];){k = (v = DES_ITER$0(($D$2 ? $D$3[$D$0++] : $D$1["value"]), 2))[0], v = v[1];
+		entries.push(k + ":" + v);
+	};}finally{ITER_CLOSE$0($D$0, $D$1);$D$0 = $D$1 = $D$2 = $D$3 = void 0;k=void 0;v=void 0;}
+	console.log(entries.join() === "1:2");
+}/* <[tests es6-transpiler test file EOF ]> */
+function applyPolyfills$0(){"use strict";
+(function(){/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Map polyfill: the keys and the values are kept in the lists of the Map instance, the keys are compared by SameValueZero.
+//  The deleted entries are left as holes, so the live iterators see the entries added during the iteration.
+//  The iterators are available by the "@@iterator" key (the key the transpiled code uses without Symbol) and by Symbol.iterator.
+
+if ( typeof (new Function("return this"))()["Map"] !== "function" ) {
+	var global = (new Function("return this"))()
+		, _Object = global["Object"]
+		, defineProperty = _Object.defineProperty
+		, HOLE = {}
+		, symbolIterator = typeof global["Symbol"] === "function" && global["Symbol"]["iterator"] || "@@iterator"
+		, defineValue = function(object, key, value) {
+			defineProperty(object, key, {value: value, configurable: true, enumerable: false, writable: true});
+		}
+		, mapRecord = function(map) {
+			var record = map instanceof Map && map["__map__"];
+			if ( !record ) {
+				throw new TypeError(map + " is not a Map");
+			}
+			return record;
+		}
+		, indexOfKey = function(record, key) {
+			var keys = record.keys;
+			if ( key !== key ) {// NaN
+				for ( var i = 0, len = keys.length ; i < len ; i++ ) {
+					if ( keys[i] !== keys[i] ) {
+						return i;
+					}
+				}
+				return -1;
+			}
+			return keys.indexOf(key === 0 ? 0 : key);// -0 => +0
+		}
+		, forEachOfIterable = function(iterable, callback) {
+			var iteratorMethod = iterable["@@iterator"] || iterable[symbolIterator];
+
+			if ( typeof iteratorMethod === "function" ) {
+				var iterator = iteratorMethod.call(iterable), step;
+				while ( !(step = iterator.next()).done ) {
+					callback(step.value);
+				}
+			}
+			else {
+				iterable = _Object(iterable);
+				for ( var i = 0, len = iterable.length ; i < len ; i++ ) {
+					callback(iterable[i]);
+				}
+			}
+		}
+		, createIterator = function(record, kind) {
+			var index = 0, iterator = {
+				"next": function() {
+					while ( record !== void 0 ) {
+						var keys = record.keys;
+						if ( index >= keys.length ) {
+							record = void 0;
+							break;
+						}
+
+						var i = index++, key = keys[i];
+						if ( key !== HOLE ) {
+							return {
+								value: kind === "keys" ? key : kind === "values" ? record.values[i] : [key, record.values[i]]
+								, done: false
+							};
+						}
+					}
+					return {value: void 0, done: true};
+				}
+			};
+			defineValue(iterator, "@@iterator", function() { return this });
+			if ( symbolIterator !== "@@iterator" ) {
+				defineValue(iterator, symbolIterator, function() { return this });
+			}
+			return iterator;
+		}
+	;
+
+	var Map = function Map(iterable) {var this$0 = this;
+		if ( !(this instanceof Map) ) {
+			throw new TypeError("Constructor Map requires 'new'");
+		}
+
+		defineValue(this, "__map__", {keys: [], values: [], size: 0});
+
+		if ( iterable !== void 0 && iterable !== null ) {
+			forEachOfIterable(iterable, function(entry)  {
+				if ( entry === null || (typeof entry !== "object" && typeof entry !== "function") ) {
+					throw new TypeError("Iterator value " + entry + " is not an entry object");
+				}
+				this$0.set(entry[0], entry[1]);
+			});
+		}
+	};
+
+	defineValue(Map.prototype, "get", function(key) {
+		var record = mapRecord(this), index = indexOfKey(record, key);
+		return index === -1 ? void 0 : record.values[index];
+	});
+	defineValue(Map.prototype, "set", function(key, value) {
+		var record = mapRecord(this), index = indexOfKey(record, key);
+		if ( index === -1 ) {
+			index = record.keys.push(key === 0 ? 0 : key) - 1;
+			record.size++;
+		}
+		record.values[index] = value;
+		return this;
+	});
+	defineValue(Map.prototype, "has", function(key) {
+		return indexOfKey(mapRecord(this), key) !== -1;
+	});
+	defineValue(Map.prototype, "delete", function(key) {
+		var record = mapRecord(this), index = indexOfKey(record, key);
+		if ( index === -1 ) {
+			return false;
+		}
+		record.keys[index] = HOLE;
+		record.values[index] = void 0;
+		record.size--;
+		return true;
+	});
+	defineValue(Map.prototype, "clear", function() {
+		var record = mapRecord(this), keys = record.keys;
+		for ( var i = 0, len = keys.length ; i < len ; i++ ) {
+			keys[i] = HOLE;
+			record.values[i] = void 0;
+		}
+		record.size = 0;
+	});
+	defineValue(Map.prototype, "forEach", function(callback, thisArg) {
+		var record = mapRecord(this), keys = record.keys;
+		for ( var i = 0 ; i < keys.length ; i++ ) {
+			if ( keys[i] !== HOLE ) {
+				callback.call(thisArg, record.values[i], keys[i], this);
+			}
+		}
+	});
+	defineValue(Map.prototype, "keys", function() {
+		return createIterator(mapRecord(this), "keys");
+	});
+	defineValue(Map.prototype, "values", function() {
+		return createIterator(mapRecord(this), "values");
+	});
+	defineValue(Map.prototype, "entries", function() {
+		return createIterator(mapRecord(this), "entries");
+	});
+	defineValue(Map.prototype, "@@iterator", Map.prototype["entries"]);
+	if ( symbolIterator !== "@@iterator" ) {
+		defineValue(Map.prototype, symbolIterator, Map.prototype["entries"]);
+	}
+	defineProperty(Map.prototype, "size", {
+		get: function() {
+			return mapRecord(this).size;
+		}
+		, configurable: true
+		, enumerable: false
+	});
+
+	global["Map"] = Map;
+}
+
+})();
+(function(){/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Set polyfill: the values are kept in the list of the Set instance, the values are compared by SameValueZero.
+//  The deleted values are left as holes, so the live iterators see the values added during the iteration.
+//  The iterators are available by the "@@iterator" key (the key the transpiled code uses without Symbol) and by Symbol.iterator.
+
+if ( typeof (new Function("return this"))()["Set"] !== "function" ) {
+	var global = (new Function("return this"))()
+		, _Object = global["Object"]
+		, defineProperty = _Object.defineProperty
+		, HOLE = {}
+		, symbolIterator = typeof global["Symbol"] === "function" && global["Symbol"]["iterator"] || "@@iterator"
+		, defineValue = function(object, key, value) {
+			defineProperty(object, key, {value: value, configurable: true, enumerable: false, writable: true});
+		}
+		, setRecord = function(set) {
+			var record = set instanceof Set && set["__set__"];
+			if ( !record ) {
+				throw new TypeError(set + " is not a Set");
+			}
+			return record;
+		}
+		, indexOfValue = function(record, value) {
+			var values = record.values;
+			if ( value !== value ) {// NaN
+				for ( var i = 0, len = values.length ; i < len ; i++ ) {
+					if ( values[i] !== values[i] ) {
+						return i;
+					}
+				}
+				return -1;
+			}
+			return values.indexOf(value === 0 ? 0 : value);// -0 => +0
+		}
+		, forEachOfIterable = function(iterable, callback) {
+			var iteratorMethod = iterable["@@iterator"] || iterable[symbolIterator];
+
+			if ( typeof iteratorMethod === "function" ) {
+				var iterator = iteratorMethod.call(iterable), step;
+				while ( !(step = iterator.next()).done ) {
+					callback(step.value);
+				}
+			}
+			else {
+				iterable = _Object(iterable);
+				for ( var i = 0, len = iterable.length ; i < len ; i++ ) {
+					callback(iterable[i]);
+				}
+			}
+		}
+		, createIterator = function(record, kind) {
+			var index = 0, iterator = {
+				"next": function() {
+					while ( record !== void 0 ) {
+						var values = record.values;
+						if ( index >= values.length ) {
+							record = void 0;
+							break;
+						}
+
+						var value = values[index++];
+						if ( value !== HOLE ) {
+							return {value: kind === "entries" ? [value, value] : value, done: false};
+						}
+					}
+					return {value: void 0, done: true};
+				}
+			};
+			defineValue(iterator, "@@iterator", function() { return this });
+			if ( symbolIterator !== "@@iterator" ) {
+				defineValue(iterator, symbolIterator, function() { return this });
+			}
+			return iterator;
+		}
+	;
+
+	var Set = function Set(iterable) {var this$0 = this;
+		if ( !(this instanceof Set) ) {
+			throw new TypeError("Constructor Set requires 'new'");
+		}
+
+		defineValue(this, "__set__", {values: [], size: 0});
+
+		if ( iterable !== void 0 && iterable !== null ) {
+			forEachOfIterable(iterable, function(value)  {return this$0.add(value)});
+		}
+	};
+
+	defineValue(Set.prototype, "add", function(value) {
+		var record = setRecord(this);
+		if ( indexOfValue(record, value) === -1 ) {
+			record.values.push(value === 0 ? 0 : value);
+			record.size++;
+		}
+		return this;
+	});
+	defineValue(Set.prototype, "has", function(value) {
+		return indexOfValue(setRecord(this), value) !== -1;
+	});
+	defineValue(Set.prototype, "delete", function(value) {
+		var record = setRecord(this), index = indexOfValue(record, value);
+		if ( index === -1 ) {
+			return false;
+		}
+		record.values[index] = HOLE;
+		record.size--;
+		return true;
+	});
+	defineValue(Set.prototype, "clear", function() {
+		var record = setRecord(this), values = record.values;
+		for ( var i = 0, len = values.length ; i < len ; i++ ) {
+			values[i] = HOLE;
+		}
+		record.size = 0;
+	});
+	defineValue(Set.prototype, "forEach", function(callback, thisArg) {
+		var values = setRecord(this).values;
+		for ( var i = 0 ; i < values.length ; i++ ) {
+			if ( values[i] !== HOLE ) {
+				callback.call(thisArg, values[i], values[i], this);
+			}
+		}
+	});
+	defineValue(Set.prototype, "values", function() {
+		return createIterator(setRecord(this), "values");
+	});
+	defineValue(Set.prototype, "keys", Set.prototype["values"]);
+	defineValue(Set.prototype, "entries", function() {
+		return createIterator(setRecord(this), "entries");
+	});
+	defineValue(Set.prototype, "@@iterator", Set.prototype["values"]);
+	if ( symbolIterator !== "@@iterator" ) {
+		defineValue(Set.prototype, symbolIterator, Set.prototype["values"]);
+	}
+	defineProperty(Set.prototype, "size", {
+		get: function() {
+			return setRecord(this).size;
+		}
+		, configurable: true
+		, enumerable: false
+	});
+
+	global["Set"] = Set;
+}
+
+})();
+
+}
@@ -0,0 +1,16 @@
+/*es6-transpiler includePolyfills:true */
+
+// the Map and Set polyfills are included together: each of them has its own helpers
+//  (to check the polyfills, run the output with the native Map and Set removed:
+//  node -e "delete global.Map; delete global.Set; require('./tests/es6-polyfills-map-set-out.js')")
+{
+	let map = new Map([[1, "a"]]), set = new Set(["b"]);
+
+	console.log(map.keys().next().value === 1, map.values().next().value === "a", set.values().next().value === "b");
+
+	let entries = [];
+	for ( let [k, v] of new Map([[1, 2]]) ) {
+		entries.push(k + ":" + v);
+	}
+	console.log(entries.join() === "1:2");
+}
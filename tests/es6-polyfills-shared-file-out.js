@@ -0,0 +1,4 @@
+/* polyfills: "polyfills.js" */// the polyfills are collected for the shared file: the output has only the reference comment
+var map = new Map([["key", "value"]]);
+
+console.log(map.get("key") === "value", "value".startsWith("val"), Array.from(map.keys()).join() === "key");
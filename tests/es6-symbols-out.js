@@ -0,0 +1,180 @@
+/*es6-transpiler includePolyfills:true */
+/*global notDefinedVariable:false*/
+"use strict";;applyPolyfills$0();var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function ITER$0(v,f){if(v){if(Array.isArray(v))return f?v.slice():v;var i,r;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){i=f.call(v);r=[];}else if((v+'')==='[object Generator]'){i=v;r=[];};if(S_MARK$0)S_MARK$0(void 0);if(r) {while((f=i['next']()),f['done']!==true)r.push(f['value']);return r;}}throw new Error(v+' is not iterable')};function GET_ITER$0(v){if(v){if(Array.isArray(v))return 0;var f;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){if(S_MARK$0)S_MARK$0(void 0);return f.call(v);}if(S_MARK$0)S_MARK$0(void 0);if((v+'')==='[object Generator]')return v;}throw new Error(v+' is not iterable')};var $D$0;var $D$1;var $D$2;function ITER_CLOSE$0(i,r){var f;if(i!==0&&r&&r["done"]!==true&&typeof (f=i["return"])==='function')f.call(i)};function TYPEOF$0(v){var t=typeof v;return t==='object'&&v!==null&&S_MARK$0&&v instanceof Symbol?'symbol':t};
+
+{// typeof
+	var symbol = Symbol("description"), object = {};
+
+	console.log(TYPEOF$0(symbol) === "symbol", TYPEOF$0(Symbol.iterator) === "symbol", TYPEOF$0(symbol) !== "object");
+	console.log(TYPEOF$0(object) === "object", TYPEOF$0(null) === "object", typeof "" === "string", TYPEOF$0((symbol)) + "" === "symbol");
+	console.log((typeof notDefinedVariable==="object"?TYPEOF$0(notDefinedVariable):typeof notDefinedVariable) + "" === "undefined", typeof Symbol === "function");
+}
+
+{// symbol-keyed properties
+	var symbol$0 = Symbol("description"), key = Symbol.for("key"), object$0 = {property: 1};
+	object$0[symbol$0] = 2;
+
+	console.log(object$0[symbol$0] === 2, Object.keys(object$0).join("|") === "property", Object.getOwnPropertySymbols(object$0)[0] === symbol$0);
+	console.log(Symbol.for("key") === key, Symbol.keyFor(key) === "key", Symbol.keyFor(symbol$0) === void 0, symbol$0 !== Symbol("description"));
+}
+
+{// well-known symbols
+	var iterable = {};
+	iterable[Symbol.iterator] = function() {
+		var index = 0;
+		return {next: function() { return {value: index, done: index++ > 2} }};
+	};
+
+	var values = [];
+	$D$0 = GET_ITER$0(iterable);$D$2 = $D$0 === 0;$D$1 = ($D$2 ? iterable.length : void 0);try{for ( var value ;$D$2 ? ($D$0 < $D$1) : !($D$1 = void 0, $D$1 = $D$0["next"]())["done"];){value = ($D$2 ? iterable[$D$0++] : $D$1["value"]);values.push(value);};}finally{ITER_CLOSE$0($D$0, $D$1);$D$0 = $D$1 = $D$2 = void 0;}
+
+	console.log(values.join("|") === "0|1|2", ITER$0(iterable).join("|") === "0|1|2");
+}/* <[tests es6-transpiler test file EOF ]> */
+function applyPolyfills$0(){"use strict";
+(function(){/*es6-transpiler symbols:false, has-iterators:false, has-generators: false*/
+// Symbol polyfill: a symbol is a frozen object which string value is the unique property key of the symbol.
+//  The keys of the well-known symbols are the keys the transpiled code uses without Symbol ("@@iterator", "@@toStringTag").
+//  The transpiled code calls Symbol["__setObjectSetter__"](object) before it reads a symbol-keyed property of the object
+//   and Symbol["__setObjectSetter__"](void 0) after that: Symbol.iterator of the marked array-like object (arguments, DOM collections)
+//   is the Array iterator.
+
+if ( typeof (new Function("return this"))()["Symbol"] !== "function" ) {
+	var global = (new Function("return this"))()
+		, _Object = global["Object"]
+		, defineProperty = _Object.defineProperty
+		, getOwnPropertyNames = _Object.getOwnPropertyNames
+		, symbolsByKey = _Object.create(null)
+		, registry = _Object.create(null)
+		, uid = 0
+		, markedObject = void 0
+		, WELL_KNOWN_SYMBOLS = ["hasInstance", "isConcatSpreadable", "iterator", "match", "replace", "search", "species", "split", "toPrimitive", "toStringTag", "unscopables"]
+		, isSymbolKey = function(key) {
+			return _Object.prototype.hasOwnProperty.call(symbolsByKey, key);
+		}
+		, defineValue = function(object, key, value) {
+			defineProperty(object, key, {value: value, configurable: true, enumerable: false, writable: true});
+		}
+		, createArrayIterator = function(arrayLike) {
+			var index = 0, iterator = {
+				"next": function() {
+					return arrayLike !== void 0 && index < arrayLike.length
+						? {value: arrayLike[index++], done: false}
+						: (arrayLike = void 0, {value: void 0, done: true})
+					;
+				}
+			};
+			defineValue(iterator, "@@iterator", function() { return this });
+			return iterator;
+		}
+		, arrayValues = function() {
+			return createArrayIterator(_Object(this));
+		}
+		, stringValues = function() {
+			var string = String(this), index = 0, iterator = {
+				"next": function() {
+					if ( index >= string.length ) {
+						return {value: void 0, done: true};
+					}
+
+					var first = string.charCodeAt(index), size = 1;
+					if ( first >= 0xD800 && first <= 0xDBFF && index + 1 < string.length ) {
+						var second = string.charCodeAt(index + 1);
+						if ( second >= 0xDC00 && second <= 0xDFFF ) {
+							size = 2;
+						}
+					}
+					index += size;
+					return {value: string.substr(index - size, size), done: false};
+				}
+			};
+			defineValue(iterator, "@@iterator", function() { return this });
+			return iterator;
+		}
+		// symbol-keyed properties are not enumerable: the setter of the key is inherited from Object.prototype
+		, defineKeyAccessor = function(key) {
+			defineProperty(_Object.prototype, key, {
+				get: function() {
+					if ( key === "@@iterator" && this === markedObject && this !== null && typeof this.length === "number" ) {
+						return arrayValues;
+					}
+					return void 0;
+				}
+				, set: function(value) {
+					defineValue(this, key, value);
+				}
+				, configurable: true
+				, enumerable: false
+			});
+		}
+	;
+
+	var Symbol = function Symbol(description) {
+		if ( this instanceof Symbol ) {
+			throw new TypeError("Symbol is not a constructor");
+		}
+		description = description === void 0 ? "" : String(description);
+		return createSymbol(description, "@@Symbol(" + description + "):" + uid++);
+	};
+
+	var createSymbol = function(description, key) {
+		var symbol = _Object.create(Symbol.prototype);
+		defineProperty(symbol, "__description__", {value: description});
+		defineProperty(symbol, "__key__", {value: key});
+
+		symbolsByKey[key] = symbol;
+		defineKeyAccessor(key);
+
+		return _Object.freeze(symbol);
+	};
+
+	defineValue(Symbol.prototype, "toString", function() {
+		// the property key of the symbol
+		return this["__key__"];
+	});
+	defineValue(Symbol.prototype, "valueOf", function() {
+		return this;
+	});
+
+	defineValue(Symbol, "for", function(key) {
+		key = String(key);
+		return registry[key] || (registry[key] = Symbol(key));
+	});
+	defineValue(Symbol, "keyFor", function(symbol) {
+		if ( !(symbol instanceof Symbol) ) {
+			throw new TypeError(symbol + " is not a symbol");
+		}
+		var description = symbol["__description__"];
+		return registry[description] === symbol ? description : void 0;
+	});
+	defineValue(Symbol, "__setObjectSetter__", function(object) {
+		markedObject = object;
+	});
+
+	WELL_KNOWN_SYMBOLS.forEach(function(name) {
+		defineProperty(Symbol, name, {value: createSymbol("Symbol." + name, "@@" + name)});
+	});
+
+	defineValue(_Object, "getOwnPropertySymbols", function(object) {
+		return getOwnPropertyNames(object).filter(isSymbolKey).map(function(key) {
+			return symbolsByKey[key];
+		});
+	});
+	defineValue(_Object, "getOwnPropertyNames", function(object) {
+		return getOwnPropertyNames(object).filter(function(key) {
+			return !isSymbolKey(key);
+		});
+	});
+
+	if ( !_Object.prototype.hasOwnProperty.call(Array.prototype, "@@iterator") ) {
+		defineValue(Array.prototype, "@@iterator", arrayValues);
+	}
+	if ( !_Object.prototype.hasOwnProperty.call(String.prototype, "@@iterator") ) {
+		defineValue(String.prototype, "@@iterator", stringValues);
+	}
+
+	global["Symbol"] = Symbol;
+}
+
+})();
+
+}
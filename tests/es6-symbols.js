@@ -0,0 +1,32 @@
+/*es6-transpiler includePolyfills:true */
+/*global notDefinedVariable:false*/
+"use strict";
+
+{// typeof
+	let symbol = Symbol("description"), object = {};
+
+	console.log(typeof symbol === "symbol", typeof Symbol.iterator === "symbol", typeof symbol !== "object");
+	console.log(typeof object === "object", typeof null === "object", typeof "" === "string", typeof (symbol) + "" === "symbol");
+	console.log(typeof notDefinedVariable + "" === "undefined", typeof Symbol === "function");
+}
+
+{// symbol-keyed properties
+	let symbol = Symbol("description"), key = Symbol.for("key"), object = {property: 1};
+	object[symbol] = 2;
+
+	console.log(object[symbol] === 2, Object.keys(object).join("|") === "property", Object.getOwnPropertySymbols(object)[0] === symbol);
+	console.log(Symbol.for("key") === key, Symbol.keyFor(key) === "key", Symbol.keyFor(symbol) === void 0, symbol !== Symbol("description"));
+}
+
+{// well-known symbols
+	let iterable = {};
+	iterable[Symbol.iterator] = function() {
+		let index = 0;
+		return {next: function() { return {value: index, done: index++ > 2} }};
+	};
+
+	let values = [];
+	for ( let value of iterable ) values.push(value);
+
+	console.log(values.join("|") === "0|1|2", [...iterable].join("|") === "0|1|2");
+}
@@ -1,4 +1,4 @@
-var SLICE$0 = Array.prototype.slice;var obj = {
+var SLICE$0 = Array.prototype.slice;var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function ITER_CLOSE$0(i,r){var f;if(i!==0&&r&&r["done"]!==true&&typeof (f=i["return"])==='function')f.call(i)};function DES_ITER$0(v,n){if(Array.isArray(v)||typeof v==='string')return v;var f,i,r,s={};if(S_MARK$0)S_MARK$0(v);if(v!=null)f=v[S_ITER$0];if(S_MARK$0)S_MARK$0(void 0);if(typeof f!=='function'){if(v!=null)return v;throw new TypeError(v+' is not iterable')}i=f.call(v);r=[];while(n===void 0||r.length<n){if((s=i["next"]())["done"])return r;r.push(s["value"])}ITER_CLOSE$0(i,s);return r};var obj = {
 	arrowTest: function(a, b, c)  {var rest = SLICE$0.call(arguments, 3);
 		return (a + "" + b + "" + c + rest.join(""))
 	}
@@ -32,9 +32,9 @@ var y1 = function()    {var a = arguments[0];if(a === void 0)a = 1;return (a + 1
 var y2 = function(a)  {var a = a.a;return a} 
 var y3 = function(a)  {var a = a.a;return [a]}
 var y31 = function()  {var a = (arguments[0] !== void 0 ? arguments[0] : {}).a;return [a]}
-var y4 = function(a)  {var a = a[0];return a}
-var y5 = function(a)  {var a = a[0];a}
-var y6 = function(a)  {var a = a[0];return a} 
-var y61 = function()  {var a = (arguments[0] !== void 0 ? arguments[0] : [])[0];return a} 
-var y7 = function(a)  {var a = ((a = a[0]) === void 0 ? 1 : a);return a} 
+var y4 = function(a)  {var a = (DES_ITER$0(a, 1))[0];return a}
+var y5 = function(a)  {var a = (DES_ITER$0(a, 1))[0];a}
+var y6 = function(a)  {var a = (DES_ITER$0(a, 1))[0];return a} 
+var y61 = function()  {var a = (DES_ITER$0((arguments[0] !== void 0 ? arguments[0] : []), 1))[0];return a} 
+var y7 = function(a)  {var a = ((a = (DES_ITER$0(a, 1))[0]) === void 0 ? 1 : a);return a} 
 var y8 = function(a)  {var a = ((a = a.a) === void 0 ? 1 : a);return [a]}
@@ -0,0 +1,11 @@
+import {x} from "m";
+import y, * as ns from "n";
+
+x = 2;
+x++;
+y += 1;
+ns = null;
+
+function f(x) {
+    x = 1;
+}
@@ -0,0 +1,64 @@
+var TDZ$0 = {};function TDZ_CHECK$0(v,n){if(v===TDZ$0)throw new ReferenceError(n+" is not defined");return v};var DP$0 = Object.defineProperty;function TDZ_ASSIGN$0(v,n){return DP$0({},"v",{"set":function(){if(v===TDZ$0)throw new ReferenceError(n+" is not defined")}})};x = TDZ$0;function printx() { return TDZ_CHECK$0(x, "x"); }
+
+var error = null;
+try { printx(); } catch(e) { error = e; }
+var x = 1;
+
+console.log(error instanceof ReferenceError, error && error.message === "x is not defined", printx() === 1);
+
+{a = TDZ$0;b = TDZ$0;// referenced before the declaration through the arrow function
+	var sum = function()  {return TDZ_CHECK$0(a, "a") + TDZ_CHECK$0(b, "b")};
+	var errorMessage = "";
+	try { sum(); } catch(e) { errorMessage = e.message; }
+	var a = 2, b = void 0;
+	console.log(errorMessage === "a is not defined", isNaN(sum()));
+}
+
+{y = TDZ$0;// hoisted function declaration
+	var called = false;
+	try { getY(); } catch(e) { called = e instanceof ReferenceError; }
+	var y = 3;
+	function getY() { return TDZ_CHECK$0(y, "y") }
+	console.log(called, getY() === 3);
+}
+
+for ( var i = 0 ; i < 2 ; i++ ) {(function(){z = TDZ$0;// per iteration
+	var getZ = function()  {return TDZ_CHECK$0(z, "z")};
+	var thrown = false;
+	try { getZ(); } catch(e) { thrown = true; }
+	var z = i;
+	console.log(thrown, getZ() === i);
+})();}
+
+function noChecks() {
+	/*es6-transpiler tdz:false*/
+	var getW = function()  {return w};
+	var value = getW();
+	var w = 4;
+	return value === void 0 && getW() === 4;
+}
+console.log(noChecks());
+
+var safe = 5;
+var getSafe = function()  {return safe};
+console.log(getSafe() === 5);
+
+{v = TDZ$0;// assigned and updated before the declaration
+	var log = [];
+	var setV = function()  {return v = TDZ_ASSIGN$0(v, "v").v = (log.push("value"), 1)};
+	var incV = function()  {return (TDZ_CHECK$0(v, "v"), v++)};
+	var addV = function()  {return (TDZ_CHECK$0(v, "v"), v += 2)};
+	var errors = [setV, incV, addV].map(function(fn)  { try { fn(); return "ok" } catch(e) { return e instanceof ReferenceError && e.message } });
+	var v = 0;
+	console.log(errors.join() === "v is not defined,v is not defined,v is not defined", log.join() === "value");
+	setV(); incV(); addV();
+	console.log(v === 4);
+}
+
+{h = TDZ$0;// the closure called in the initializer of its own variable
+	var errors$0 = [];
+	try {f = TDZ$0; var f = (function() { return TDZ_CHECK$0(f, "f") })(); } catch(e) { errors$0.push(e.message); }
+	try {g = TDZ$0; var g = (function()  {return TDZ_CHECK$0(g, "g")})(); } catch(e) { errors$0.push(e.message); }
+	var h = function()  {return TDZ_CHECK$0(h, "h")};
+	console.log(errors$0.join() === "f is not defined,g is not defined", h() === h);
+}
@@ -0,0 +1,64 @@
+function printx() { return x; }
+
+let error = null;
+try { printx(); } catch(e) { error = e; }
+let x = 1;
+
+console.log(error instanceof ReferenceError, error && error.message === "x is not defined", printx() === 1);
+
+{// referenced before the declaration through the arrow function
+	let sum = () => a + b;
+	let errorMessage = "";
+	try { sum(); } catch(e) { errorMessage = e.message; }
+	let a = 2, b;
+	console.log(errorMessage === "a is not defined", isNaN(sum()));
+}
+
+{// hoisted function declaration
+	let called = false;
+	try { getY(); } catch(e) { called = e instanceof ReferenceError; }
+	const y = 3;
+	function getY() { return y }
+	console.log(called, getY() === 3);
+}
+
+for ( let i = 0 ; i < 2 ; i++ ) {// per iteration
+	let getZ = () => z;
+	let thrown = false;
+	try { getZ(); } catch(e) { thrown = true; }
+	const z = i;
+	console.log(thrown, getZ() === i);
+}
+
+function noChecks() {
+	/*es6-transpiler tdz:false*/
+	let getW = () => w;
+	let value = getW();
+	let w = 4;
+	return value === void 0 && getW() === 4;
+}
+console.log(noChecks());
+
+let safe = 5;
+let getSafe = () => safe;
+console.log(getSafe() === 5);
+
+{// assigned and updated before the declaration
+	let log = [];
+	let setV = () => v = (log.push("value"), 1);
+	let incV = () => v++;
+	let addV = () => v += 2;
+	let errors = [setV, incV, addV].map((fn) => { try { fn(); return "ok" } catch(e) { return e instanceof ReferenceError && e.message } });
+	let v = 0;
+	console.log(errors.join() === "v is not defined,v is not defined,v is not defined", log.join() === "value");
+	setV(); incV(); addV();
+	console.log(v === 4);
+}
+
+{// the closure called in the initializer of its own variable
+	let errors = [];
+	try { let f = (function() { return f })(); } catch(e) { errors.push(e.message); }
+	try { let g = (() => g)(); } catch(e) { errors.push(e.message); }
+	let h = () => h;
+	console.log(errors.join() === "f is not defined,g is not defined", h() === h);
+}
@@ -27,7 +27,7 @@ function test() {
 	{ var z$7; { var z$8; { var z$9; }}}
 }
 
-function test2() {var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function GET_ITER$0(v){if(v){if(Array.isArray(v))return 0;var f;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){if(S_MARK$0)S_MARK$0(void 0);return f.call(v);}if(S_MARK$0)S_MARK$0(void 0);if((v+'')==='[object Generator]')return v;}throw new Error(v+' is not iterable')};var $D$0;var $D$1;var $D$2;var $D$3;
+function test2() {var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function GET_ITER$0(v){if(v){if(Array.isArray(v))return 0;var f;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){if(S_MARK$0)S_MARK$0(void 0);return f.call(v);}if(S_MARK$0)S_MARK$0(void 0);if((v+'')==='[object Generator]')return v;}throw new Error(v+' is not iterable')};var $D$0;var $D$1;var $D$2;var $D$3;function ITER_CLOSE$0(i,r){var f;if(i!==0&&r&&r["done"]!==true&&typeof (f=i["return"])==='function')f.call(i)};
 	var a = 0;
 	
 	while ( ++a < 10 ) {
@@ -112,7 +112,7 @@ function test2() {var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.ite
 	};
 	
 	_x = void 0;
-	$D$3 = ([void 0, 1]);$D$0 = GET_ITER$0($D$3);$D$2 = $D$0 === 0;$D$1 = ($D$2 ? $D$3.length : void 0);for( var x$13 ;$D$2 ? ($D$0 < $D$1) : !($D$1 = $D$0["next"]())["done"];){x$13 = ($D$2 ? $D$3[$D$0++] : $D$1["value"]);
+	$D$3 = ([void 0, 1]);$D$0 = GET_ITER$0($D$3);$D$2 = $D$0 === 0;$D$1 = ($D$2 ? $D$3.length : void 0);try{for( var x$13 ;$D$2 ? ($D$0 < $D$1) : !($D$1 = void 0, $D$1 = $D$0["next"]())["done"];){x$13 = ($D$2 ? $D$3[$D$0++] : $D$1["value"]);
 		x$13 = x$13 || _x;
 		console.log(x$13 === void 0 || x$13 == 1);
 		if ( x$13 == void 0 ) x$13 = 0;
@@ -120,10 +120,10 @@ function test2() {var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.ite
 		if ( ++x$13 > 1 ) {break;}
 		_x = x$13;
 		x$13 = 9;
-	};$D$0 = $D$1 = $D$2 = $D$3 = void 0;;
+	};}finally{ITER_CLOSE$0($D$0, $D$1);$D$0 = $D$1 = $D$2 = $D$3 = void 0;};
 	
 	_x = void 0;
-	$D$3 = ([ null, null ]);$D$0 = GET_ITER$0($D$3);$D$2 = $D$0 === 0;$D$1 = ($D$2 ? $D$3.length : void 0);for( var y ;$D$2 ? ($D$0 < $D$1) : !($D$1 = $D$0["next"]())["done"];){y = ($D$2 ? $D$3[$D$0++] : $D$1["value"]);var x$14 = void 0;
+	$D$3 = ([ null, null ]);$D$0 = GET_ITER$0($D$3);$D$2 = $D$0 === 0;$D$1 = ($D$2 ? $D$3.length : void 0);try{for( var y ;$D$2 ? ($D$0 < $D$1) : !($D$1 = void 0, $D$1 = $D$0["next"]())["done"];){y = ($D$2 ? $D$3[$D$0++] : $D$1["value"]);var x$14 = void 0;
 		x$14 = x$14 || _x;
 		console.log(x$14 === void 0 || x$14 == 1);
 		if ( x$14 == void 0 ) x$14 = 0;
@@ -131,7 +131,7 @@ function test2() {var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.ite
 		if ( ++x$14 > 1 ) break;
 		_x = x$14;
 		x$14 = 9;
-	};$D$0 = $D$1 = $D$2 = $D$3 = void 0;;
+	};}finally{ITER_CLOSE$0($D$0, $D$1);$D$0 = $D$1 = $D$2 = $D$3 = void 0;};
 	
 	_x = void 0;
 	for( var x$15 in {0: 0, 1: 1} ) {if ( x$15 == '0' )x$15 = void 0;
@@ -0,0 +1,3 @@
+for ( let i = 0, f = () => i ; i < 3 ; i++ ) {
+	f();
+}
@@ -1,4 +1,4 @@
-var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function GET_ITER$0(v){if(v){if(Array.isArray(v))return 0;var f;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){if(S_MARK$0)S_MARK$0(void 0);return f.call(v);}if(S_MARK$0)S_MARK$0(void 0);if((v+'')==='[object Generator]')return v;}throw new Error(v+' is not iterable')};var $D$0;var $D$4;var $D$5;
+var S_ITER$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator';var S_MARK$0 = typeof Symbol!=='undefined'&&Symbol&&Symbol["__setObjectSetter__"];function GET_ITER$0(v){if(v){if(Array.isArray(v))return 0;var f;if(S_MARK$0)S_MARK$0(v);if(typeof v==='object'&&typeof (f=v[S_ITER$0])==='function'){if(S_MARK$0)S_MARK$0(void 0);return f.call(v);}if(S_MARK$0)S_MARK$0(void 0);if((v+'')==='[object Generator]')return v;}throw new Error(v+' is not iterable')};var $D$0;var $D$4;var $D$5;function ITER_CLOSE$0(i,r){var f;if(i!==0&&r&&r["done"]!==true&&typeof (f=i["return"])==='function')f.call(i)};
 /*es6-transpiler resetUnCaptured:true*/
 function test0(){}
 
@@ -31,7 +31,7 @@ test1()}
 
 var someArray = [{b:0}, {b:1}, {b:2}];
 var str1 = "";
-$D$0 = GET_ITER$0(someArray);$D$5 = $D$0 === 0;$D$4 = ($D$5 ? someArray.length : void 0);for( var a$3 ;$D$5 ? ($D$0 < $D$4) : !($D$4 = $D$0["next"]())["done"];){a$3 = ($D$5 ? someArray[$D$0++] : $D$4["value"]);(function(){
+$D$0 = GET_ITER$0(someArray);$D$5 = $D$0 === 0;$D$4 = ($D$5 ? someArray.length : void 0);try{for( var a$3 ;$D$5 ? ($D$0 < $D$4) : !($D$4 = void 0, $D$4 = $D$0["next"]())["done"];){a$3 = ($D$5 ? someArray[$D$0++] : $D$4["value"]);(function(){
 	var b = a$3.b, c = a$3.c;
 
 	function test2() {
@@ -39,7 +39,7 @@ $D$0 = GET_ITER$0(someArray);$D$5 = $D$0 === 0;$D$4 = ($D$5 ? someArray.length :
 	}
 
 	test2();
-})();};$D$0 = $D$4 = $D$5 = void 0;
+})();};}finally{ITER_CLOSE$0($D$0, $D$4);$D$0 = $D$4 = $D$5 = void 0;}
 console.log(str1 === "012");
 
 var str2 = "";
@@ -27,6 +27,11 @@ function getRange(node) {
 	return node.groupRange || node.range;
 }
 
+// the constructors which return a new object instead of initializing 'this' (or throw without 'new')
+const BUILTIN_CONSTRUCTORS = ["Array", "Boolean", "Date", "Error", "EvalError", "Map", "Number", "Promise", "RangeError"
+	, "ReferenceError", "RegExp", "Set", "String", "SyntaxError", "TypeError", "URIError", "WeakMap", "WeakSet"
+];
+
 const classesTranspiler = {
 	reset: function() {
 		this.__statistic = {
@@ -40,6 +45,8 @@ const classesTranspiler = {
 			, accessors: {}
 			, staticAccessors: {}
 			, firstStaticAccessors: null
+			, extendsBuiltin: false
+			, thisName: 'this'
 		};
 	}
 
@@ -58,11 +65,44 @@ const classesTranspiler = {
 		core.registerVar('getCNames', {name: 'GET_CNAMES', template: GET_CNAMES, deps: ['getCNames_names']});
 
 		this.alter = alter;
+		this.options = options;
+	}
+
+	/**
+	 * classesSpec: the class constructor throws if it is called without 'new', methods and accessors are not enumerable
+	 */
+	, isSpecMode: function(node) {
+		return this.options.classesSpec === true || core.getScopeOptions(node.$scope, node)['classesSpec'] === true;
+	}
+
+	/**
+	 * 'class A extends Error' or 'class B extends A': the instance is the result of the built-in constructor
+	 */
+	, isBuiltinSuperClass: function(superClass) {
+		if ( !core.is.isIdentifier(superClass) ) {
+			return false;
+		}
+
+		const scope = superClass.$refToScope;
+		const declaration = scope && scope.get(superClass.name);
+
+		if ( !declaration || declaration.isGlobal === true ) {
+			return BUILTIN_CONSTRUCTORS.indexOf(superClass.name) !== -1;
+		}
+
+		// the class declared in this file which extends the built-in
+		const declarationNode = declaration.node;
+		const classNode = declaration.kind === "class" && declarationNode && declarationNode.$parentNode;
+
+		return !!classNode && core.is.isClass(classNode) && classNode.id === declarationNode
+			&& this.isBuiltinSuperClass(classNode.superClass)
+		;
 	}
 
 	, accessorsDefinition: function(node, accessors) {
 		let accessorsKeys = Object.keys(accessors);
 		let accessorsFlexibleName = false;
+		let enumerableString = this.isSpecMode(node) ? "false" : "true";
 
 		let result = {
 			objectWrapper: ''
@@ -94,7 +134,7 @@ const classesTranspiler = {
 
 
 				return (raw || key)
-					+ ": {" + (getter ? "\"get\": " + getter + ", " : "") + (setter ? "\"set\": " + setter + ", " : "") + "\"configurable\":true,\"enumerable\":true"
+					+ ": {" + (getter ? "\"get\": " + getter + ", " : "") + (setter ? "\"set\": " + setter + ", " : "") + "\"configurable\":true,\"enumerable\":" + enumerableString
 					+ (isFlexibleName ? ', "__unq": ' + uniqueId : '')
 					+ "}"
 			}, this).join(", ");
@@ -164,6 +204,120 @@ const classesTranspiler = {
 		;
 	}
 
+	/**
+	 * classesExtras.publicProperty: 'public a = <value>' => 'function $a_init$0(){this.a = <value>;}'.
+	 * Returns the list of the initializers calls for the constructor: ['$a_init$0.call(this)']
+	 */
+	, createInstanceFieldsList: function(classNode, astQuery, thisName) {
+		// the private methods brand (see the private members extension) should be added before the fields initialization
+		let instanceInitializers = classNode.$privateBrand ? [classNode.$privateBrand + ".add(" + thisName + ")"] : [];
+
+		return instanceInitializers.concat(classNode.body.body.filter(function(node) {
+			return node.type === "XPublicProperty" || node.type === "XPrivateProperty";
+		}).map(function(node) {
+			let nodeKey = node.key;
+			let initializerName = core.unique("$" + nodeKey.name + "_init", true);
+			let thisDeclaration = '';
+
+			if ( node.value && this.hasArrowFunctionThis(node.value, astQuery) ) {
+				// 'this' of an arrow function in the initializer is the instance
+				let thisUniqueName = core.uniqueByToken('this', 'this', true);
+				thisDeclaration = "var " + thisUniqueName + " = this;";
+			}
+
+			if ( node.type === "XPrivateProperty" ) {
+				// '#a = <value>' has been replaced with '$private_a$0.set(this, <value>)' by the private members extension
+				// text change '$private_a$0.set(this, <value>)' => 'function $a_init$0(){$private_a$0.set(this, <value>);}'
+				this.alter.insertBefore(node.range[0], "function " + initializerName + "(){" + thisDeclaration);
+			}
+			else {
+				// text change 'public a = <value>' => 'function $a_init$0(){this.a = <value>;}'
+				this.alter.replace(node.range[0], nodeKey.range[0], "function " + initializerName + "(){" + thisDeclaration + "this.");
+				if ( node.value == null ) {
+					this.alter.insert(nodeKey.range[1], " = void 0");
+				}
+			}
+			this.alter.insertAfter(node.range[1], ";}");
+
+			return initializerName + ".call(" + thisName + ")";
+		}, this));
+	}
+
+	, hasArrowFunctionThis: function(valueNode, astQuery) {
+		let result = false;
+
+		astQuery.traverse(valueNode, function(child) {
+			if( core.is.isFunction(child) && child.type !== 'ArrowFunctionExpression' ) {
+				return false;
+			}
+
+			if( child.type === 'ThisExpression' ) {
+				for( let parent = child ; parent !== valueNode ; ) {
+					parent = parent.$parentNode;
+
+					if( parent.type === 'ArrowFunctionExpression' ) {
+						result = true;
+					}
+				}
+			}
+		});
+
+		return result;
+	}
+
+	/**
+	 * The instance fields of a derived class are initialized right after the super() call
+	 */
+	, insertInstanceFieldsAfterSuperCalls: function(constructorBody, instanceFieldsList, astQuery, thisName) {
+		astQuery.traverse(constructorBody, function(node) {
+			let callee = node.callee;
+
+			// callee.name of the super() call has already been replaced by unwrapSuperCall
+			if ( node.type === "CallExpression" && core.is.isIdentifier(callee) && (callee.$originalName || callee.name) === 'super' ) {
+				let parent = node.$parentNode;
+
+				if ( parent.type === "ExpressionStatement" && parent.expression === node ) {
+					// text change 'super(<some>);' => 'super(<some>);$a_init$0.call(this);'
+					let hasSemicolon = this.alter.getRange(parent.range[0], parent.range[1]).trim().endsWith(";");
+					this.alter.insertAfter(hasSemicolon ? parent.range[1] : node.range[1], (hasSemicolon ? "" : ";") + instanceFieldsList.join(";") + ";");
+				}
+				else {
+					// text change 'super(<some>)' => '(super(<some>), $a_init$0.call(this), this)'
+					this.alter.insertBefore(node.range[0], "(");
+					this.alter.insertAfter(node.range[1], ", " + instanceFieldsList.join(", ") + ", " + thisName + ")");
+				}
+				return false;
+			}
+			else if( core.is.isClass(node) || (core.is.isFunction(node) && node.type !== 'ArrowFunctionExpression' ) ) {
+				return false;
+			}
+		}.bind(this));
+	}
+
+	/**
+	 * The built-in subclass constructor returns the instance created by the super() call instead of 'this'
+	 */
+	, replaceBuiltinConstructorReturns: function(constructorBody, astQuery, thisName) {
+		astQuery.traverse(constructorBody, function(node) {
+			if ( node.type === "ReturnStatement" ) {
+				let argument = node.argument;
+
+				if ( !argument ) {
+					// text change 'return;' => 'return this$0;'
+					this.alter.insertAfter(node.range[0] + "return".length, " " + thisName);
+				}
+				else {
+					// text change 'return <value>' => 'return CONSTRUCT_RESULT$0(<value>, this$0)'
+					this.alter.insertBefore(argument.range[0], core.createVars(node, "constructResult") + "(");
+					this.alter.insertAfter(argument.range[1], ", " + thisName + ")");
+				}
+			}
+			else if( core.is.isClass(node) || core.is.isFunction(node) ) {
+				return false;
+			}
+		}.bind(this));
+	}
+
 	, ':: ClassDeclaration, ClassExpression': function replaceClassBody(node, astQuery) {
 		{
 			const isClassExpression = node.type === 'ClassExpression'
@@ -191,12 +345,22 @@ const classesTranspiler = {
 
 			let currentClassName;
 
+			const isSpecMode = this.isSpecMode(node);
+			// in the spec mode the methods are mixed in as not enumerable properties
+			const mixinName = isSpecMode ? core.createVars(node, "mixinNonEnumerable") : null;
+
 			let names = core.createVars(node, {"super": !!superClass, "constructor": !nodeId, __proto__support: !!superClass, MIXIN: true});
 
 			currentClassName = nodeId ? nodeId.name : names.constructor;
 			node["$ClassName"] = currentClassName;
 			this.__current.name = currentClassName;
 
+			// 'this' of the constructor of the built-in subclass is the variable with the result of the super() call
+			const extendsBuiltin = this.isBuiltinSuperClass(superClass);
+			const thisName = extendsBuiltin ? core.uniqueByToken('this', 'this', true) : 'this';
+			this.__current.extendsBuiltin = extendsBuiltin;
+			this.__current.thisName = thisName;
+
 			let classStr = (isClassExpression ? "(" : "var " + currentClassName + " = ")
 				+ "(function("
 			;
@@ -239,16 +403,58 @@ const classesTranspiler = {
 
 			extendedClassConstructorPostfix = this.createPrototypeString(node, currentClassName, superClass && names.super, this.__current.accessors);
 			let staticAccessorsDefinitionString = this.createAccessorsDefinitionString(node, currentClassName, this.__current.staticAccessors);
+			let instanceFieldsList = this.createInstanceFieldsList(node, astQuery, thisName);
+			let classCallCheckString = isSpecMode ? core.createVars(node, "classCallCheck") + "(this, " + currentClassName + ");" : "";
 
 			if( classConstructor ) {
 				this.alter.replace(classConstructor.key.range[0], classConstructor.key.range[1], "function " + currentClassName);
 				if( extendedClassConstructorPostfix ) {
 					this.alter.insert(classConstructor.range[1], extendedClassConstructorPostfix);
 				}
+
+				if ( classCallCheckString ) {
+					// text change 'constructor(<params>) {' => 'function A(<params>) {CLASS_CHECK$0(this, A);'
+					this.alter.insert(classConstructor.value.body.range[0] + 1, classCallCheckString);
+				}
+
+				if ( extendsBuiltin ) {
+					let constructorBody = classConstructor.value.body;
+					let constructorScope = classConstructor.value.$scope;
+
+					if ( !constructorScope.hasOwn(thisName) ) {
+						// the arrow functions in the constructor use the same variable (see the functions transpiler)
+						constructorScope.add(thisName, "var");
+					}
+
+					// text change 'constructor(<params>) {<body>}' => 'function A(<params>) {var this$0 = this;<body>;return this$0;}'
+					this.alter.insert(constructorBody.range[0] + 1, "var " + thisName + " = this;");
+					this.alter.insert(constructorBody.range[1] - 1, ";return " + thisName + ";");
+					this.replaceBuiltinConstructorReturns(constructorBody, astQuery, thisName);
+				}
+
+				if ( instanceFieldsList.length ) {
+					if ( superClass ) {
+						this.insertInstanceFieldsAfterSuperCalls(classConstructor.value.body, instanceFieldsList, astQuery, thisName);
+					}
+					else {
+						this.alter.insert(classConstructor.value.body.range[0] + 1, instanceFieldsList.join(";") + ";");
+					}
+				}
 			}
 			else {
+				let superCallString = "";
+				if ( extendsBuiltin ) {
+					superCallString = "var " + thisName + " = " + core.createVars(node, "superConstruct") + "(" + names.super + ", this, arguments)";
+				}
+				else if ( superClass ) {
+					superCallString = 'if(' + names.super + '!==null)' + names.super + ".apply(this, arguments)";
+				}
+
 				insertAfterBodyBegin_string =  "function " + currentClassName + "() {"
-					+ (superClass ? 'if(' + names.super + '!==null)' + names.super + ".apply(this, arguments)" : "")
+					+ classCallCheckString
+					+ superCallString
+					+ (instanceFieldsList.length ? (superClass ? ";" : "") + instanceFieldsList.join(";") + ";" : "")
+					+ (extendsBuiltin ? (instanceFieldsList.length ? "" : ";") + "return " + thisName + ";" : "")
 					+ "}" + (insertAfterBodyBegin_string || "") + (extendedClassConstructorPostfix || "");
 			}
 
@@ -256,14 +462,14 @@ const classesTranspiler = {
 			if ( this.__statistic.staticCount ) {
 				let staticName = core.createVars(node, "static");
 
-				theEndString += (names.MIXIN + '(' + currentClassName + ',' + staticName + ');')
+				theEndString += ((mixinName || names.MIXIN) + '(' + currentClassName + ',' + staticName + ');')
 
 				tmpVars.push(staticName);
 			}
 			if ( this.__statistic.protoCount ) {
 				let protoName = core.createVars(node, "proto");
 
-				theEndString += (names.MIXIN + '(' + currentClassName + '.prototype,' + protoName + ');')
+				theEndString += ((mixinName || names.MIXIN) + '(' + currentClassName + '.prototype,' + protoName + ');')
 
 				tmpVars.push(protoName);
 			}
@@ -402,15 +608,44 @@ const classesTranspiler = {
 		calleeNode.$originalName = calleeNode.name;
 		calleeNode.name = superName;
 
+		if ( isConstructor && this.__current.extendsBuiltin ) {
+			let thisName = this.__current.thisName;
+			let superConstructName = core.createVars(node, "superConstruct");
+
+			if ( hasSpreadElement ) {
+				// text change 'super(...<some>)' => 'this$0 = (function(){return SUPER_CONSTRUCT$0(super$0, this, arguments)})(...<some>)'
+				//  and the spread transpiler makes '.apply(this, <some>)' call from it
+				this.alter.replace(calleeNode.range[0], calleeNode.range[1]
+					, thisName + " = (function(){return " + superConstructName + "(" + superName + ", this, arguments)})"
+				);
+				return;
+			}
+
+			// text change 'super(<some>)' => 'this$0 = SUPER_CONSTRUCT$0(super$0, this, [<some>])'
+			let constructString = thisName + " = " + superConstructName + "(" + superName + ", this, [";
+
+			if ( callArguments.length ) {
+				this.alter.replace(calleeNode.range[0], getRange(callArguments[0])[0], constructString);
+				this.alter.replace(getRange(callArguments[callArguments.length - 1])[1], node.range[1], "])");
+			}
+			else {
+				this.alter.replace(calleeNode.range[0], node.range[1], constructString + "])");
+			}
+			return;
+		}
+
+		// 'this' of the arrow function is replaced by the functions transpiler
+		let thisString = this.isInsideArrowFunction(node) ? core.uniqueByToken('this', 'this', true) : "this";
+
 		let changesEnd;
 		if( !hasSpreadElement ) {
 
 			if( !callArguments.length ) {
-				changeStr += ".call(this)";
+				changeStr += ".call(" + thisString + ")";
 				changesEnd = node.range[1];
 			}
 			else {
-				changeStr += ".call(this, ";
+				changeStr += ".call(" + thisString + ", ";
 				changesEnd = callArguments[0].range[0];
 			}
 
@@ -430,7 +665,8 @@ const classesTranspiler = {
 			let isStatic = node.static;
 			let isConstructor = !isStatic && (isLiteral ? nodeKey.value : nodeKey.name) === "constructor";
 
-			if ( !isConstructor ) {
+			// the private methods are replaced by the private members extension
+			if ( !isConstructor && nodeKey.type !== "PrivateName" ) {
 
 				let methodName = core.PropertyToString(nodeKey, true);
 				let isComputed = node.computed;
@@ -489,7 +725,7 @@ const classesTranspiler = {
 						this.alter.replace(nodeKey.range[1], nodeKey.bracketsRange[1], ',{"' + node.kind + '":function');
 
 						let nodeValue = node.value;
-						this.alter.insertAfter(nodeValue.range[1], ',"configurable":true,"enumerable":true});');
+						this.alter.insertAfter(nodeValue.range[1], ',"configurable":true,"enumerable":' + (this.isSpecMode(node) ? 'false' : 'true') + '});');
 					}
 					else {
 						if ( isStatic && !this.__current.firstStaticAccessors ) {
@@ -551,9 +787,11 @@ const classesTranspiler = {
 						let beforeName = isLiteral && !isComputed ? '[' : (isComputed ? '' : '.');
 						let afterName = isLiteral && !isComputed ? ']' : '';
 
-						if ( isStatic ) {
+						if ( isStatic || node.value.generator || node.value.async ) {
 							// text change 'static method(<something>)' => '$static$0.method(<something>)'
 							// text change 'static [method](<something>)' => '$static$0[method](<something>)'
+							// text change '*method(<something>)' => '$proto$0.method(<something>)'
+							// text change 'async method(<something>)' => '$proto$0.method(<something>)'
 							this.alter.replace(node.range[0], keyRange[0], targetName + beforeName);
 						}
 						else {
@@ -567,7 +805,7 @@ const classesTranspiler = {
 					}
 
 					// text change 'method(<something>)' => 'method = function(<something>)', '[method](<something>)' => '[method] = function(<something>)'
-					this.alter.insert(keyRange[1], " = function");
+					this.alter.insert(keyRange[1], " = " + (node.value.async ? "async " : "") + (node.value.generator ? "function*" : "function"));
 
 					this.alter.insertBefore(node.range[1], ';', {extend: true});/*LINK<LAST ';'>*/
 				}
@@ -580,7 +818,20 @@ const classesTranspiler = {
 		}
 	}
 	
+	, isInsideArrowFunction: function(node) {
+		let parent = node.$parentNode;
+		while ( parent && !core.is.isFunction(parent) ) {
+			parent = parent.$parentNode;
+		}
+		return !!parent && parent.type === "ArrowFunctionExpression";
+	}
+
 	, replaceClassMethodSuper: function replaceClassMethodSuper(node, isConstructor) {
+		if ( core.is.isObjectLiteralMethod(node) ) {
+			// 'super' of the object literal method is replaced by the objectLiteral transpiler
+			return false;
+		}
+
 		if( node.type === "CallExpression" ) {
 			let calleeNode = node.callee;
 
@@ -604,6 +855,12 @@ const classesTranspiler = {
 				this.unwrapSuperCall(node, calleeNode, this.__current.method, isConstructor);
 			}
 		}
+		else if ( node.type === "ThisExpression" ) {
+			if ( isConstructor && this.__current.extendsBuiltin && !this.isInsideArrowFunction(node) ) {
+				// the arrow functions 'this' is replaced by the functions transpiler with the same name
+				this.alter.replace(node.range[0], node.range[1], this.__current.thisName);
+			}
+		}
 		else if ( core.is.isIdentifier(node, 'super') ) {
 			if ( !node.$originalName ) {
 				let range = getRange(node);
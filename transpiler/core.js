@@ -40,6 +40,8 @@ let core = module.exports = extend({}, require('./core/is.js'), require('./core/
 		this.bubbledVariables = {};
 		this.commentOptionsCount = 0;
 		this.astTopScope = null;
+		this.hasGenerators = false;
+		this.__nameByToken = null;
 	}
 
 	, setup: function(alter, ast, options, src) {
@@ -142,7 +144,7 @@ let core = module.exports = extend({}, require('./core/is.js'), require('./core/
 			}
 			else {
 				let referableFromPos;
-				if( is.someof(kind, ["var", "const", "let"]) ) {
+				if( is.someof(kind, ["var", "const", "let", "class"]) ) {
 					referableFromPos = variable.range[1];
 				}
 				(scope || node.$scope).add(variable.name, kind, variable, referableFromPos, void 0, originalDeclarator);
@@ -183,7 +185,7 @@ let core = module.exports = extend({}, require('./core/is.js'), require('./core/
 			let nodeId = node.id;
 
 			if ( node.type !== "ClassExpression" || nodeId ) {
-				addVariableToScope(nodeId, "let"/*TODO::"class"*/, nodeId, node.$parent.$scope, node);
+				addVariableToScope(nodeId, "class", nodeId, node.$parent.$scope, node);
 			}
 
 			if( node.superClass ) {
@@ -192,7 +194,8 @@ let core = module.exports = extend({}, require('./core/is.js'), require('./core/
 
 			node.body.body.forEach(function(method) {
 				// TODO:: refactor/redesign this function
-				if( method.computed ) {
+				if( method.computed || method.key.type === "PrivateName" ) {
+					// private names are not the class scope variables
 					return;
 				}
 
@@ -240,20 +243,33 @@ let core = module.exports = extend({}, require('./core/is.js'), require('./core/
 				}
 			}
 
+			if ( this.is.isObjectLiteralMethod(node) ) {
+				// 'super' of the object literal method is transpiled by the objectLiteral transpiler
+				node.$scope.add("super", "var");
+			}
+
 			node.params.forEach(addParamToScope);
 			if( node.rest ) {
 				addParamToScope(node.rest)
 			}
 
+			if ( node.generator || node.async ) {
+				// generator and async functions are compiled to state machines in the separate pass
+				this.hasGenerators = true;
+			}
+
 		} else if (node.type === "ImportDeclaration") {
-			// Variable declarations names in import's
-			assert( node.kind === "default" || node.kind === "named" );
-			node.specifiers.forEach(function(declarator) {
-				assert(declarator.type === "ImportSpecifier");
+			// Imported bindings are read-only and hoisted to the top of the module
+			node.specifiers.forEach(function(specifier) {
+				assert(is.someof(specifier.type, ["ImportSpecifier", "ImportDefaultSpecifier", "ImportNamespaceSpecifier"]));
 
-				addVariableToScope(declarator.id, "var"/*, node.kind*/, declarator, void 0, declarator);
+				addVariableToScope(specifier.name || specifier.id, "import", specifier);
 			}, this);
 
+		} else if (node.type === "ModuleDeclaration") {
+			// module ns from "m" is the same as import * as ns from "m"
+			addVariableToScope(node.id, "import", node);
+
 		} else if (node.type === "VariableDeclaration") {
 			// Variable declarations names goes in current scope
 			assert(this.is.isVarConstLet(node));
@@ -303,9 +319,13 @@ let core = module.exports = extend({}, require('./core/is.js'), require('./core/
 			// we want to make sure that catch(e){let e} is never transformed to
 			// catch(e){var e} (but rather var e$0). For that reason we taint the use of e
 			// in the closest hoist-scope, i.e. where var e$0 belongs.
-			node.$scope.closestHoistScope().markPropagates(identifier.name);
+			// The variables of catch({message}) are declared by 'var' in the catch block and renamed like let's
+			if ( this.is.isIdentifier(identifier) ) {
+				node.$scope.closestHoistScope().markPropagates(identifier.name);
+			}
 		}
-		else if ( node.type === "ThisExpression" ) {
+		else if ( node.type === "ThisExpression" || node.type === "Identifier" && node.name === "super" ) {
+			// 'super.method()' is transpiled to the call with 'this'
 			let thisFunctionScope = node.$scope.closestHoistScope()
 				, functionNode = thisFunctionScope.node
 			;
@@ -325,9 +345,18 @@ let core = module.exports = extend({}, require('./core/is.js'), require('./core/
 			}
 		}
 		else if ( node.type === "Identifier" && node.name === "arguments" ) {
-			let thisFunctionScope = node.$scope.closestHoistScope();
+			let thisFunctionScope = node.$scope.closestHoistScope()
+				, functionNode = thisFunctionScope.node
+			;
 
 			thisFunctionScope.markArgumentsUsing();
+
+			while( functionNode.type === "ArrowFunctionExpression" && (functionNode = functionNode.$parent) ) {
+				// ArrowFunction uses the 'arguments' of the closest non-arrow function
+				thisFunctionScope = functionNode.$scope.closestHoistScope();
+				thisFunctionScope.markArgumentsUsing();
+				functionNode = thisFunctionScope.node;
+			}
 		}
 		else if ( node.type === "ComprehensionExpression" ) {
 			// TODO:: when I write this, I am not looking to spec
@@ -455,7 +484,15 @@ let core = module.exports = extend({}, require('./core/is.js'), require('./core/
 		if (this.is.isReference(node)) {
 			this.allIdentifiers.add(node.name);
 
-			const scope = node.$scope.lookup(node.name);
+			let scope = node.$scope.lookup(node.name);
+			if ( scope && this.isHiddenFromParameters(node, scope) ) {
+				// 'function f(a = x) { var x }': the default value refers to the outer 'x', the body 'x' is renamed by the letConst transpiler
+				const functionNode = scope.node;
+
+				(functionNode.$hiddenFromParameters || (functionNode.$hiddenFromParameters = stringset())).add(node.name);
+				scope.markPropagates(node.name);
+				scope = scope.parent.lookup(node.name);
+			}
 			if (!scope && this.options.disallowUnknownReferences) {
 				error(getline(node), "reference to unknown global variable {0}", node.name);
 			}
@@ -487,6 +524,32 @@ let core = module.exports = extend({}, require('./core/is.js'), require('./core/
 						//  line the file and this variable will be available after this line
 						error(getline(node), "{0} is referenced before its declaration", node.name);
 					}
+					else if ( !this.is.isDeclaration(node) ) {
+						// the function could be called before the initialization: function printx() { console.log(x) }; printx(); let x = 1;
+						node.$tdzUnsafe = decl.node.$hasTDZUnsafeReferences = true;
+					}
+				}
+				else if ( !decl.isGlobal && !this.is.isDeclaration(node) ) {
+					let isInsideFunction = false;
+
+					for ( let child = node, parent = node.$parentNode ; parent && parent !== scope.node ; child = parent, parent = parent.$parentNode ) {
+						if ( parent.type === "FunctionDeclaration" ) {
+							// the function declaration is hoisted: printx(); let x = 1; function printx() { console.log(x) }
+							node.$tdzUnsafe = decl.node.$hasTDZUnsafeReferences = true;
+							break;
+						}
+
+						if ( this.is.isFunction(parent) ) {
+							isInsideFunction = true;
+						}
+						else if ( isInsideFunction && parent.type === "VariableDeclarator" && parent.init === child
+							&& this.hasNodeBetween(decl.node, parent, parent.id)
+						) {
+							// the closure could be called in the initializer of its own variable: let x = (function() { return x })();
+							node.$tdzUnsafe = decl.node.$hasTDZUnsafeReferences = true;
+							break;
+						}
+					}
 				}
 			}
 
@@ -506,12 +569,54 @@ let core = module.exports = extend({}, require('./core/is.js'), require('./core/
 		}
 	}
 
+	/**
+	 * The parameters list has its own scope, so the variables and functions declared in the function body
+	 *  are not visible to the default values: 'function f(a = x) { var x }'
+	 */
+	, isHiddenFromParameters: function(node, scope) {
+		const functionNode = scope.node;
+
+		if ( !this.is.isFunction(functionNode) ) {
+			return false;
+		}
+
+		const decl = scope.get(node.name);
+		if ( !decl || !decl.node || decl.node === functionNode.id ) {
+			// 'super', 'rest' or the name of the function expression
+			return false;
+		}
+
+		let child = node;
+		while ( child.$parentNode !== functionNode ) {
+			child = child.$parentNode;
+		}
+
+		if ( functionNode.defaults.indexOf(child) === -1 && functionNode.params.indexOf(child) === -1 ) {
+			return false;
+		}
+
+		return this.getNodeVariableNames(functionNode).indexOf(node.name) === -1;
+	}
+
 	, detectConstAssignment: function detectConstAssignment(node) {
 		if (this.is.isLvalue(node)) {
 			const scope = node.$scope.lookup(node.name);
-			if (scope && scope.getKind(node.name) === "const") {
+			const kind = scope && scope.getKind(node.name);
+			if (kind === "const") {
 				error(getline(node), "can't assign to const variable {0}", node.name);
 			}
+			else if (kind === "import") {
+				error(getline(node), "can't assign to imported binding {0}", node.name);
+			}
+			else if (kind === "class") {
+				// the class name binding is immutable inside the class body
+				const classNode = scope.getNode(node.name).$parentNode;
+				const classBodyRange = classNode.body.range;
+
+				if (node.range[0] > classBodyRange[0] && node.range[1] < classBodyRange[1]) {
+					error(getline(node), "can't assign to class name {0} inside the class body", node.name);
+				}
+			}
 		}
 	}
 
@@ -533,6 +638,9 @@ let core = module.exports = extend({}, require('./core/is.js'), require('./core/
 			else if( _this.is.isArrayPattern(param) ) {
 				param.elements.forEach(addParam);
 			}
+			else if( param.type === "SpreadElement" ) {//from objectPattern or arrayPattern
+				vars.push(param.argument.name);
+			}
 			else {
 				vars.push(param.name);
 			}
@@ -706,7 +814,7 @@ let core = module.exports = extend({}, require('./core/is.js'), require('./core/
 
 			// TODO:: tests
 			result += (
-				"((" + variableName + " = " + valueString + ") === void 0 ? " + this.alter.get(destructuringDefaultNode.range[0], destructuringDefaultNode.range[1]) + " : " + variableName + ")"
+				"((" + variableName + " = " + valueString + ") === void 0 ? " + this.alter.get(getRange(destructuringDefaultNode)[0], getRange(destructuringDefaultNode)[1]) + " : " + variableName + ")"
 				);
 		}
 		else {
@@ -1129,16 +1237,16 @@ let core = module.exports = extend({}, require('./core/is.js'), require('./core/
 		let elementsList = isObjectPattern ? definitionNode.properties : definitionNode.elements;
 
 		for( let k = 0, len = elementsList.length ; k < len ; k++ ) {
-			let element = elementsList[k], elementId = isObjectPattern ? element.value : element;
+			let element = elementsList[k], elementId = isObjectPattern && element.type !== "SpreadElement" ? element.value : element;
 			if (element) {
 				if( this.is.isObjectPattern(elementId) || this.is.isArrayPattern(elementId) ) {
 					this.traverseDestructuringVariables(
-						isObjectPattern ? element.value : element
+						elementId
 						, traverse
 					);
 				}
 				else {
-					element = isObjectPattern ? element.value : element;
+					element = elementId;
 
 					const isSpreadElement = element.type === "SpreadElement";
 
@@ -1222,11 +1330,11 @@ let core = module.exports = extend({}, require('./core/is.js'), require('./core/
 		while( true ) {
 			parent = parent.$parent;
 
-			if( parent.type === 'VariableDeclarator' ) {
+			if( parent.type === 'VariableDeclarator' || parent.type === 'CatchClause' ) {
 				return parent;
 			}
 
-			if( parent.type === 'Property' ) {
+			if( parent.type === 'Property' || parent.type === 'SpreadElement' ) {
 
 			}
 			else if( this.is.isObjectPattern(parent) || this.is.isArrayPattern(parent) ) {
@@ -1238,26 +1346,35 @@ let core = module.exports = extend({}, require('./core/is.js'), require('./core/
 		}
 	}
 
-	, getNearestIIFENode: function(node) {
-		let closestHoistScope = node.$scope.closestHoistScope();
-		let scopeNode = closestHoistScope.node;
-
-		while( scopeNode ) {
-			let parent = scopeNode.$parent;
+	/**
+	 * The closest node which body runs only once: the IIFE outside of the other functions and loops or the Program
+	 */
+	, getRunOnceNode: function(node) {
+		let runOnceNode = null;
 
-			if( !parent )break;
+		for( let parent = node.$parentNode ; parent ; parent = parent.$parentNode ) {
+			if( this.is.isProgram(parent) ) {
+				return runOnceNode || parent;
+			}
 
-			if( scopeNode.type === "FunctionExpression" ) {
+			if( this.is.isFunction(parent) ) {
+				let isIIFE = parent.type === "FunctionExpression" && !parent.generator && !parent.async
+					&& parent.$parentNode.type === "CallExpression" && parent.$parentNode.callee === parent
+				;
 
-				if( parent && parent.type === "CallExpression" && parent.callee === scopeNode ) {
-					return scopeNode;
+				if( !isIIFE ) {
+					runOnceNode = null;
+				}
+				else if( !runOnceNode ) {
+					runOnceNode = parent;
 				}
 			}
-
-			scopeNode = parent.$scope.closestHoistScope().node;
+			else if( this.is.isLoop(parent) ) {
+				runOnceNode = null;
+			}
 		}
 
-		return null;
+		return runOnceNode;
 	}
 
 	, getKeyName: function(keyNode) {
@@ -6,7 +6,7 @@ module.exports = {
 		isConstLet: function(node) {
 			let kind;
 			return node && (kind = node.kind)
-				&& (kind === "const" || kind === "let");
+				&& (kind === "const" || kind === "let" || kind === "class");
 		}
 
 		, isVarConstLet: function(node) {
@@ -68,6 +68,16 @@ module.exports = {
 				&& (type === "Property");
 		}
 
+		/**
+		 * '{ method() {} }', '{ get name() {} }' or '{ set name(value) {} }'
+		 */
+		, isObjectLiteralMethod: function(node) {
+			let property = node && node.$parent;
+			return this.isProperty(property) && property.value === node
+				&& (property.method === true || property.kind === "get" || property.kind === "set")
+				&& property.$parent.type === "ObjectExpression";
+		}
+
 		, isSpreadElement: function(node) {
 			return node && node.type === 'SpreadElement';
 		}
@@ -172,6 +182,9 @@ module.exports = {
 					&& !(parentType === "CatchClause" && parent.param === node) // catch($)
 					&& !(this.isFunction(parent) && parent.id === node) // function $(..
 					&& !(this.isFunction(parent) && parent.params.indexOf(node) !== -1) // function f($)..
+					&& !(parentType === "ImportSpecifier" || parentType === "ImportDefaultSpecifier" || parentType === "ImportNamespaceSpecifier") // import $, {$ as $}, * as $ from ..
+					&& !(parentType === "ModuleDeclaration" && parent.id === node) // module $ from ..
+					&& !(parentType === "ExportSpecifier" && (parent.name === node || parent.$parentNode.source)) // export {a as $}, export {$} from ..
 					&& node.$parentProp !== 'label'// for 'break label', 'continue label', etc cases
 					&& true
 			;
@@ -8,6 +8,7 @@ const $defineProperty = "Object.defineProperty";
 const $defineProperties = "Object.defineProperties";
 const $create = "Object.create";
 const $getOwnPropertyDescriptor = "Object.getOwnPropertyDescriptor";
+const $getPrototypeOf = "Object.getPrototypeOf";
 const objectMixinBody =	"function(t,s){"
 	+ "for(var p in s){"
 		+ "if(s.hasOwnProperty(p)){"
@@ -16,6 +17,17 @@ const objectMixinBody =	"function(t,s){"
 	+ "}"
 + "return t}"
 ;
+// the same as objectMixinBody, but the properties are not enumerable
+const objectMixinNonEnumerableBody = "function(t,s){"
+	+ "for(var p in s){"
+		+ "if(s.hasOwnProperty(p)){"
+			+ "var d=${getOwnPropertyDescriptor}(s,p);"
+			+ "d.enumerable=false;"
+			+ "${defineProperty}(t,p,d);"
+		+ "}"
+	+ "}"
++ "return t}"
+;
 //const $setPrototypeOf = '(function($,o){' +
 //	'if($){' +
 //		'var p=false;' +//polyfilled
@@ -57,6 +69,8 @@ const $fix__proto__ = 'function(o,f){' +
 const $SymbolIteratorBody = "typeof Symbol!=='undefined'&&Symbol&&Symbol.iterator||'@@iterator'";
 const $SymbolToStringTagBody = "typeof Symbol!=='undefined'&&Symbol&&Symbol[\"toStringTag\"]||'@@toStringTag'";
 const $SymbolPolyfillMarkBody = "typeof Symbol!=='undefined'&&Symbol&&Symbol[\"__setObjectSetter__\"]";
+// the symbols of the Symbol polyfill are objects
+const $typeofBody = "(v){var t=typeof v;return t==='object'&&v!==null&&${Symbol_mark}&&v instanceof Symbol?'symbol':t};";
 const $getIteratorBody =
 	"(v){" +
 		"if(v){" +
@@ -70,6 +84,48 @@ const $getIteratorBody =
 		"throw new Error(v+' is not iterable')"+
 	"};"
 ;
+// object rest and spread: copies the own enumerable properties of s to t, except the keys in e
+//  (e is passed by the rest only: the rest of null or undefined throws as the destructuring does, the spread skips it)
+const $ownPropertiesCopyBody =
+	"(t,s,e){" +
+		"if(s==null){if(e)throw new TypeError(s+\" cannot be destructured\");return t}" +
+		"s=Object(s);" +
+		"var k,i=0,l=Object.keys(s);" +
+		"if(Object.getOwnPropertySymbols)l=l.concat(Object.getOwnPropertySymbols(s).filter(function(k){return Object.prototype.propertyIsEnumerable.call(s,k)}));" +
+		"if(e)e=e.map(function(k){return typeof k==='number'?k+'':k});" +
+		"for(;i<l.length;i++)if(k=l[i],!e||e.indexOf(k)===-1)Object.defineProperty(t,k,{\"value\":s[k],\"enumerable\":true,\"configurable\":true,\"writable\":true});" +
+		"return t" +
+	"};"
+;
+// IteratorClose: the iterator (not the array, see GET_ITER) with unfinished iteration result
+const $iteratorCloseBody =
+	"(i,r){" +
+		"var f;" +
+		"if(i!==0&&r&&r[\"done\"]!==true&&typeof (f=i[\"return\"])==='function')f.call(i)" +
+	"};"
+;
+// array destructuring: the first n values (all values if n is undefined) of the iterable, arrays and not iterable objects as is,
+//  s - the last result of the iterator (the iterator of the empty pattern is closed without the next() call)
+const $destructuringIteratorBody =
+	"(v,n){" +
+		"if(Array.isArray(v)||typeof v==='string')return v;" +
+		"var f,i,r,s={};" +
+		"if(${Symbol_mark})${Symbol_mark}(v);" +
+		"if(v!=null)f=v[${Symbol_iterator}];" +
+		"if(${Symbol_mark})${Symbol_mark}(void 0);" +
+		"if(typeof f!=='function'){" +
+			"if(v!=null)return v;" +
+			"throw new TypeError(v+' is not iterable')" +
+		"}" +
+		"i=f.call(v);r=[];" +
+		"while(n===void 0||r.length<n){" +
+			"if((s=i[\"next\"]())[\"done\"])return r;" +
+			"r.push(s[\"value\"])" +
+		"}" +
+		"${iteratorClose}(i,s);" +
+		"return r" +
+	"};"
+;
 const $callIteratorBody =
 	"(v,f){" +
 		"if(v){" +
@@ -97,6 +153,7 @@ const $generatorConstructor =
 		"if(!(this instanceof ${__self__}))throw new TypeError('incompatible'+this);" +
 		"this[\"__next__\"]=arguments[0];" +
 		"this[\"__throw__\"]=arguments[1];" +
+		"this[\"__return__\"]=arguments[2];" +
 	"};" +
 	"${__self__}.prototype={" +
 		"constructor:${__self__}," +
@@ -115,6 +172,12 @@ const $generatorConstructor =
 			"if(!(this instanceof ${__self__}))throw new TypeError('throw method called on incompatible '+this);" +
 			"if(this&&this[\"__throw__\"])return this[\"__throw__\"](e);else throw e" +
 		"}," +
+		"\"return\":function(v){" +
+			"if(!(this instanceof ${__self__}))throw new TypeError('return method called on incompatible '+this);" +
+			"if(this[\"__return__\"])return this[\"__return__\"](v);" +
+			"this[\"__next__\"]=this[\"__throw__\"]=null;" +
+			"return {\"value\":v,\"done\":true}" +
+		"}," +
 		"\"toString\":function(){return '[object Generator]'}" +
 	"};" +
 	"if(${Symbol_mark})${Symbol_mark}(${__self__}.prototype);" +
@@ -122,6 +185,115 @@ const $generatorConstructor =
 	"${__self__}.prototype[${Symbol_iterator}]=function(){return this};" +
 	"if(${Symbol_mark})${Symbol_mark}(void 0);}"
 ;
+// generator state machine runner, the body returns an instruction [op, value]:
+// 0 - next, 1 - throw, 2 - return, 3 - jump to label, 4 - yield, 5 - yield*, 6 - exception, 7 - end of finally block
+const $generatorBody =
+	"(b,s){" +
+		"var c={\"label\":0,\"sent\":function(){if(v[0]===1)throw v[1];return v[1]},\"trys\":[],\"ops\":[]},v,d,r=false,a=true,n=false;" +
+		"function i(o){" +
+			"var f;" +
+			"if(${Symbol_mark})${Symbol_mark}(o);" +
+			"if(o!=null&&typeof (f=o[${Symbol_iterator}])==='function'){if(${Symbol_mark})${Symbol_mark}(void 0);return f.call(o);}" +
+			"if(${Symbol_mark})${Symbol_mark}(void 0);" +
+			"if(o!=null&&typeof o.length==='number'){f=0;return {\"next\":function(){return f<o.length?{\"value\":o[f++],\"done\":false}:{\"value\":void 0,\"done\":true}}}}" +
+			"throw new TypeError(o+' is not iterable')" +
+		"}" +
+		"function step(o){" +
+			"var t,f;" +
+			"if(r)throw new TypeError('Generator is already running');" +
+			"if(!n){n=true;if(o[0])a=false;}" +
+			"while(a)try{" +
+				"r=true;" +
+				"if(d){" +
+					"f=d[o[0]===2?\"return\":o[0]===1?\"throw\":\"next\"];" +
+					"if(typeof f!=='function'){" +
+						"t=d;d=void 0;" +
+						"if(o[0]===1){" +
+							"if(typeof (f=t[\"return\"])==='function')f.call(t);" +
+							"throw new TypeError('The iterator does not provide a \\'throw\\' method');" +
+						"}" +
+						"if(!o[0])throw new TypeError('The iterator does not provide a \\'next\\' method');" +
+					"}" +
+					"else{" +
+						"t=f.call(d,o[1]);" +
+						"if(Object(t)!==t)throw new TypeError('Iterator result '+t+' is not an object');" +
+						"if(!t[\"done\"])return t;" +
+						"d=void 0;o=[o[0]===2?2:0,t[\"value\"]];" +
+					"}" +
+				"}" +
+				"switch(o[0]){" +
+					"case 0:case 1:v=o;break;" +
+					"case 4:c[\"label\"]++;return {\"value\":o[1],\"done\":false};" +
+					"case 5:c[\"label\"]++;d=i(o[1]);o=[0];continue;" +
+					"case 7:o=c[\"ops\"].pop();c[\"trys\"].pop();continue;" +
+					"default:" +
+						"t=c[\"trys\"];t=t.length>0&&t[t.length-1];" +
+						"if(!t&&(o[0]===6||o[0]===2)){a=false;continue;}" +
+						"if(o[0]===3&&(!t||(o[1]>t[0]&&o[1]<t[3]))){c[\"label\"]=o[1];break;}" +
+						"if(o[0]===6&&t[1]&&c[\"label\"]<t[1]){c[\"label\"]=t[1];v=o;break;}" +
+						"if(t[2]&&c[\"label\"]<t[2]){c[\"label\"]=t[2];c[\"ops\"].push(o);break;}" +
+						"if(t[2])c[\"ops\"].pop();" +
+						"c[\"trys\"].pop();continue;" +
+				"}" +
+				"o=b.call(s,c);" +
+			"}catch(e){o=[6,e];d=void 0;}finally{r=false;}" +
+			"if(o[0]===1||o[0]===6)throw o[1];" +
+			"return {\"value\":o[0]===2?o[1]:void 0,\"done\":true};" +
+		"}" +
+		"return new ${GeneratorConstructor}(function(v){return step([0,v])},function(e){return step([1,e])},function(v){return step([2,v])})" +
+	"};"
+;
+// async function runner: the state machine of the async function is driven by the settled awaited values
+const $asyncBody =
+	"(b,s){" +
+		"var g=${generator}(b,s);" +
+		"return new Promise(function(resolve,reject){" +
+			"function step(m,v){" +
+				"var r;" +
+				"try{r=g[m](v)}catch(e){reject(e);return}" +
+				"if(r[\"done\"])resolve(r[\"value\"]);" +
+				"else Promise.resolve(r[\"value\"]).then(function(v){step(\"next\",v)},function(e){step(\"throw\",e)})" +
+			"}" +
+			"step(\"next\")" +
+		"})" +
+	"};"
+;
+// private class members: o - the object, m - the WeakMap of the private field, s - the WeakSet of the class with the private methods
+const $privateGetBody = "(o,m){if(!m.has(o))throw new TypeError('Cannot read private member from an object whose class did not declare it');return m.get(o)};";
+const $privateSetBody = "(o,m,v){if(!m.has(o))throw new TypeError('Cannot write private member to an object whose class did not declare it');m.set(o,v);return v};";
+const $privateBrandBody = "(o,s){if(!s.has(o))throw new TypeError('Receiver must be an instance of class');return o};";
+// the built-in constructor (s) is called with 'new' and the result gets the prototype of the subclass instance (t), a - the arguments
+const $superConstructBody = "(s,t,a){var r=new(Function.prototype.bind.apply(s,[null].concat(Array.prototype.slice.call(a))));${setPrototypeOf}(r,Object.getPrototypeOf(t));return r};";
+// the result of the built-in subclass constructor: the returned object (r) or the instance (t) if the returned value is not an object
+const $constructResultBody = "(r,t){return r!==null&&(typeof r===\"object\"||typeof r===\"function\")?r:t};";
+// i - the instance, c - the class constructor
+const $classCallCheckBody = "(i,c){if(!(i instanceof c))throw new TypeError(\"Class constructor cannot be invoked without 'new'\")};";
+// the value of the let/const variable before its initialization (TDZ), v - the value of the variable, n - the name of the variable
+const $tdzCheckBody = "(v,n){if(v===${tdz})throw new ReferenceError(n+\" is not defined\");return v};";
+// the assignment to the let/const variable before its initialization: 'x = TDZ_ASSIGN$0(x, "x").v = value',
+//  the setter checks the variable after the assigned value is evaluated, v - the value of the variable, n - the name of the variable
+const $tdzAssignBody = "(v,n){return ${defineProperty}({},\"v\",{\"set\":function(){if(v===${tdz})throw new ReferenceError(n+\" is not defined\")}})};";
+// the frozen call site object of the tagged template, c - the cooked strings, r - the raw strings (the same as cooked if omitted)
+const $templateObjectBody = "(c,r){var f=Object.freeze||function(o){return o};return f(${defineProperty}(c,\"raw\",{\"value\":f(r||c.slice())}))};";
+const $importDefault = "function(m){return m&&m[\"__esModule\"]?m:{\"default\":m}}";
+const $importAll =
+	"function(m){" +
+		"if(m&&m[\"__esModule\"])return m;" +
+		"var n={};" +
+		"if(m!=null)for(var p in m)if(Object.prototype.hasOwnProperty.call(m,p))n[p]=m[p];" +
+		"n[\"default\"]=m;" +
+		"return n" +
+	"}"
+;
+const $exportAll =
+	"function(e,m){" +
+		"Object.keys(m).forEach(function(p){" +
+			"if(p!==\"default\"&&p!==\"__esModule\"&&!Object.prototype.hasOwnProperty.call(e,p))" +
+				"${defineProperty}(e,p,{\"get\":function(){return m[p]},\"enumerable\":true});" +
+		"});" +
+		"return e" +
+	"}"
+;
 
 var standardVars = {
 	"slice": {template: 'Array.prototype.slice', name: "SLICE"}
@@ -134,10 +306,16 @@ var standardVars = {
 		, name: "SP"
 	}
 	, "getOwnPropertyDescriptor": {template: $getOwnPropertyDescriptor, name: "GOPD"}
+	, "getPrototypeOf": {template: $getPrototypeOf, name: "GPO"}
 	, "MIXIN": {
 		template: objectMixinBody
 		, deps: ["defineProperty", "getOwnPropertyDescriptor"]
 	}
+	, "mixinNonEnumerable": {
+		template: objectMixinNonEnumerableBody
+		, deps: ["defineProperty", "getOwnPropertyDescriptor"]
+		, name: "MIXIN_NE"
+	}
 	, "__proto__support": {template: $__proto__support, name: "PRS"}
 	, "__proto__literal_support": {template: $__proto__literal_support, name: "PRLS"}
 	, "fix__proto__": {
@@ -148,12 +326,34 @@ var standardVars = {
 	, "Symbol_toStringTag": {template: $SymbolToStringTagBody, name: "S_STAG"}
 	, "Symbol_iterator": {template: $SymbolIteratorBody, name: "S_ITER"}
 	, "Symbol_mark": {template: $SymbolPolyfillMarkBody, name: "S_MARK"}
+	, "typeof": {
+		template: $typeofBody
+		, deps: ["Symbol_mark"]
+		, name: "TYPEOF"
+		, isFunction: true
+	}
 	, "getIterator": {
 		template: $getIteratorBody
 		, deps: ["Symbol_iterator", "Symbol_mark"]
 		, name: "GET_ITER"
 		, isFunction: true
 	}
+	, "ownPropertiesCopy": {
+		template: $ownPropertiesCopyBody
+		, name: "OWN_COPY"
+		, isFunction: true
+	}
+	, "iteratorClose": {
+		template: $iteratorCloseBody
+		, name: "ITER_CLOSE"
+		, isFunction: true
+	}
+	, "destructuringIterator": {
+		template: $destructuringIteratorBody
+		, deps: ["Symbol_iterator", "Symbol_mark", "iteratorClose"]
+		, name: "DES_ITER"
+		, isFunction: true
+	}
 	, "callIterator": {
 		template: $callIteratorBody
 		, deps: ["Symbol_iterator", "Symbol_mark"]
@@ -166,6 +366,55 @@ var standardVars = {
 		, deps: ["Symbol_toStringTag", "Symbol_iterator", "Symbol_mark"]
 		, name: "Generator"
 	}
+	, "generator": {
+		template: $generatorBody
+		, deps: ["GeneratorConstructor", "Symbol_iterator", "Symbol_mark"]
+		, name: "GEN"
+		, isFunction: true
+	}
+	, "async": {
+		template: $asyncBody
+		, deps: ["generator"]
+		, name: "ASYNC"
+		, isFunction: true
+	}
+	, "privateGet": {template: $privateGetBody, name: "PRIVATE_GET", isFunction: true}
+	, "privateSet": {template: $privateSetBody, name: "PRIVATE_SET", isFunction: true}
+	, "privateBrand": {template: $privateBrandBody, name: "PRIVATE_BRAND", isFunction: true}
+	, "superConstruct": {
+		template: $superConstructBody
+		, deps: ["setPrototypeOf"]
+		, name: "SUPER_CONSTRUCT"
+		, isFunction: true
+	}
+	, "constructResult": {template: $constructResultBody, name: "CONSTRUCT_RESULT", isFunction: true}
+	, "classCallCheck": {template: $classCallCheckBody, name: "CLASS_CHECK", isFunction: true}
+	, "templateObject": {
+		template: $templateObjectBody
+		, deps: ["defineProperty"]
+		, name: "TEMPLATE"
+		, isFunction: true
+	}
+	, "tdz": {template: "{}", name: "TDZ"}
+	, "tdzCheck": {
+		template: $tdzCheckBody
+		, deps: ["tdz"]
+		, name: "TDZ_CHECK"
+		, isFunction: true
+	}
+	, "tdzAssign": {
+		template: $tdzAssignBody
+		, deps: ["tdz", "defineProperty"]
+		, name: "TDZ_ASSIGN"
+		, isFunction: true
+	}
+	, "importDefault": {template: $importDefault, name: "IMPORT_DEFAULT"}
+	, "importAll": {template: $importAll, name: "IMPORT_ALL"}
+	, "exportAll": {
+		template: $exportAll
+		, deps: ["defineProperty"]
+		, name: "EXPORT_ALL"
+	}
 };
 standardVars.__proto__ = null;
 
@@ -8,6 +8,10 @@ function getline(node) {
 	return node.loc.start.line;
 }
 
+function getRange(node) {
+	return node.groupRange || node.range;
+}
+
 function isEmptyDestructuring(node) {
 	if ( core.is.isObjectPattern(node) ) {
 		return node.properties.length === 0;
@@ -44,7 +48,10 @@ var plugin = module.exports = {
 			if( parentNode.type === "VariableDeclarator" ) {
 				declarationNode = parentNode.$parent;
 				if ( core.is.isForInOf(declarationNode.$parent) ) {
-					//TODO::
+					// the for-of head is unwrapped by the forOf transpiler
+					if ( declarationNode.$parent.type === "ForInStatement" ) {
+						this.__replaceForInDeclaration(declarationNode.$parent, parentNode, node);
+					}
 				}
 				else if ( core.is.isVarConstLet(declarationNode) ) {
 					this.__replaceDeclaration(parentNode, node);
@@ -53,6 +60,9 @@ var plugin = module.exports = {
 			else if( parentNode.type === "AssignmentExpression" ) {
 				this.__replaceAssignment(parentNode, node);
 			}
+			else if( core.is.isCatch(parentNode) ) {
+				this.__replaceCatchParam(parentNode, node);
+			}
 		}
 	}
 
@@ -76,6 +86,41 @@ var plugin = module.exports = {
 		);
 	}
 
+	, __replaceForInDeclaration: function(loopNode, declarator, declaratorId) {
+		const hoistScope = loopNode.$scope.closestHoistScope();
+		const keyName = core.getScopeTempVar(loopNode, hoistScope);
+
+		let declarationString = this.unwrapDestructuring("var", declaratorId, {type: "Identifier", name: keyName});
+
+		// text change 'for(var [a, b] in obj)<body>' => 'for(var $D$0 in obj){var a = $D$0[0], b = $D$0[1];<body>}'
+		this.alter.replace(declarator.range[0], declarator.range[1], keyName);
+		this.__insertIntoBlockBegin(loopNode.body, declarationString + ";");
+
+		core.setScopeTempVar(keyName, loopNode, hoistScope);
+	}
+
+	, __replaceCatchParam: function(catchClause, param) {
+		const hoistScope = catchClause.$scope.closestHoistScope();
+		const errorName = core.unique("$D", true);
+
+		let declarationString = this.unwrapDestructuring("var", param, {type: "Identifier", name: errorName});
+
+		// text change 'catch({message, code})<body>' => 'catch($D$0){var message = $D$0.message, code = $D$0.code;<body>}'
+		this.alter.replace(param.range[0], param.range[1], errorName);
+		this.__insertIntoBlockBegin(catchClause.body, declarationString + ";");
+	}
+
+	, __insertIntoBlockBegin: function(bodyNode, string) {
+		// before the loop closure function: '{var a = $D$0.a;(function(a){<body>})(a);}'
+		if( core.is.isBlock(bodyNode) ) {
+			this.alter.insertBefore(bodyNode.range[0] + 1, string);
+		}
+		else {
+			this.alter.insertBefore(bodyNode.range[0], "{" + string);
+			this.alter.insert(bodyNode.range[1], "}");
+		}
+	}
+
 	, __replaceAssignment: function(assignment, assignmentLeft) {
 		let assignmentRight = assignment.right;
 
@@ -112,7 +157,30 @@ var plugin = module.exports = {
 			};
 			newDefinitions.push(newDefinition);
 
-			return placeholderVarName;
+			if( isObjectPattern ) {
+				return placeholderVarName;
+			}
+
+			// the iterator of the empty array pattern is drawn and closed as well:
+			//  'var [] = <iterable>' => 'var $D$0 = DES_ITER$0(<iterable>, 0)', '[] = <iterable>' => '(DES_ITER$0($D$0 = <iterable>, 0), $D$0)'
+			let valueString;
+			if( typeof valueNode["$raw"] === "string" ) {
+				valueString = valueNode["$raw"];
+			}
+			else if( valueNode.type === "Identifier" ) {
+				valueString = valueNode.name;
+			}
+			else {
+				let isSequenceExpression = valueNode.type === "SequenceExpression";
+				valueString = (isSequenceExpression ? "(" : "") + this.alter.get(valueNode.range[0], valueNode.range[1]) + (isSequenceExpression ? ")" : "");
+			}
+
+			let destructuringIteratorName = core.createVars(definitionNode, "destructuringIterator");
+
+			if( kind === "var" ) {
+				return "var " + placeholderVarName + " = " + destructuringIteratorName + "(" + valueString + ", " + definitionNode.elements.length + ")";
+			}
+			return "(" + destructuringIteratorName + "(" + placeholderVarName + " = " + valueString + ", " + definitionNode.elements.length + "), " + placeholderVarName + ")";
 		}
 
 		this.__unwrapDestructuring(kind === "var" ? 1 : 0, definitionNode, valueNode, newVariables, newDefinitions);
@@ -210,6 +278,32 @@ var plugin = module.exports = {
 
 		}
 
+		let resultVariableName;
+		// the array literal is taken as is only if it is the destructured value itself:
+		//  the node with "$raw" is the source of the value, e.g. the iterable of the for-of statement
+		if( !isObjectPattern && (typeof valueNode["$raw"] === "string" || !core.is.isArrayExpression(valueNode)) ) {
+			// the values of the array pattern are drawn through the iterator protocol: [a, b] = <iterable> => a = ($D$0 = DES_ITER$0(<iterable>, 2))[0], b = $D$0[1]
+			if( !isTemporaryVariable ) {
+				isTemporaryVariable = true;
+				valueIdentifierDefinition = valueIdentifierName;
+			}
+
+			if( type === 0 && !core.is.isExpressionStatement(valueNode.$parentNode && valueNode.$parentNode.$parentNode) ) {
+				// the result of the assignment expression is the iterable, not the array of values
+				if( !hoistScope ) {
+					hoistScope = definitionNode.$scope.closestHoistScope();
+				}
+				resultVariableName = core.getScopeTempVar(definitionNode, hoistScope);
+				valueIdentifierDefinition = resultVariableName + " = " + valueIdentifierDefinition;
+			}
+
+			let hasRestElement = elementsList.some(function(element) { return element && element.type === "SpreadElement" });
+
+			valueIdentifierDefinition = core.createVars(definitionNode, "destructuringIterator")
+				+ "(" + valueIdentifierDefinition + (hasRestElement ? "" : ", " + elementsList.length) + ")"
+			;
+		}
+
 		if( isTemporaryVariable ) {
 			if( valueNode.type === "Identifier" || isLocalFreeVariable ) {
 				if( elementsList.length < 2 ) {
@@ -252,10 +346,38 @@ var plugin = module.exports = {
 			isTemporaryValueAssignment = true;
 		}
 
+		// {a, [b]: c, ...rest} = obj => the keys of the picked properties are excluded from the rest object
+		const hasObjectRest = isObjectPattern && elementsList[elementsList.length - 1].type === "SpreadElement";
+		const excludedKeys = [], computedKeysTempVars = [];
+
 		let lastElement;
 		for( let k = 0, len = elementsList.length, lineBreaksFrom = definitionNode.range[0] ; k < len ; k++ ) {
 			const element = elementsList[k], elementId = isObjectPattern ? element.value : element;
 
+			let elementKey = isObjectPattern ? element.key : null;
+			if( hasObjectRest && element.type !== "SpreadElement" ) {
+				if( element.computed && !core.is.isLiteral(elementKey) ) {
+					// the computed key is evaluated once: {[key()]: a, ...rest} = obj => a = obj[($D$1 = key())], rest = OWN_COPY$0({}, obj, [$D$1])
+					if( !hoistScope ) {
+						hoistScope = definitionNode.$scope.closestHoistScope();
+					}
+					let keyTempVar = core.getScopeTempVar(definitionNode, hoistScope);
+					computedKeysTempVars.push(keyTempVar);
+					excludedKeys.push(keyTempVar);
+
+					elementKey = {
+						"type": "Literal"
+						, "raw": "(" + keyTempVar + " = " + this.alter.get(elementKey.range[0], elementKey.range[1]) + ")"
+					};
+				}
+				else if( core.is.isLiteral(elementKey) ) {
+					excludedKeys.push(elementKey.raw);
+				}
+				else {
+					excludedKeys.push("\"" + elementKey.name + "\"");
+				}
+			}
+
 			let lineBreaks = "";
 			if ( element ) {
 				lineBreaks = (this.alter.getRange(lineBreaksFrom, element.range[0]).match(/[\r\n]/g) || []).join("");
@@ -267,19 +389,57 @@ var plugin = module.exports = {
 			}
 
 			if ( element ) {
-				if ( core.is.isObjectPattern(elementId) || core.is.isArrayPattern(elementId) ) {
+				if ( isObjectPattern && element.type === "SpreadElement" ) {
+					const restArgument = element.argument;
+
+					let renamingOptions = restArgument.$renamingOptions;
+					if( renamingOptions ) {// turn off changes were made by 'letConst' transpiler
+						renamingOptions.inactive = true;
+					}
+
+					// text change '...rest' => 'rest = OWN_COPY$0({}, <value>, [<picked keys>])'
+					newDefinitions.push({
+						"type": "VariableDeclarator"
+						, "id": restArgument
+						, "$raw": (restArgument.type === "Identifier" ? restArgument.name : this.alter.get(restArgument.range[0], restArgument.range[1]))
+							+ " = " + core.createVars(definitionNode, "ownPropertiesCopy")
+							+ "({}, " + valueIdentifierName + ", [" + excludedKeys.join(", ") + "])"
+						, "$lineBreaks": lineBreaks
+					});
+				}
+				else if ( core.is.isObjectPattern(elementId) || core.is.isArrayPattern(elementId) ) {
+					let elementValueName = valueIdentifierName + (isObjectPattern ? core.PropertyToString(elementKey) : ("[" + k + "]"));
+					let defaultTempVar;
+
+					if( elementId.default ) {
+						// {a: {b} = <default>} = obj => b = (($D$1 = obj.a) === void 0 ? <default> : $D$1).b
+						if( !hoistScope ) {
+							hoistScope = definitionNode.$scope.closestHoistScope();
+						}
+						defaultTempVar = core.getScopeTempVar(definitionNode, hoistScope);
+
+						elementValueName = "((" + defaultTempVar + " = " + elementValueName + ") === void 0 ? "
+							+ this.alter.get(getRange(elementId.default)[0], getRange(elementId.default)[1])
+							+ " : " + defaultTempVar + ")"
+						;
+					}
+
 					this.__unwrapDestructuring(
 						1
-						, isObjectPattern ? element.value : element
+						, elementId
 						, {
 							type: "Identifier"
-							, name: valueIdentifierName + (isObjectPattern ? core.PropertyToString(element.key) : ("[" + k + "]"))
+							, name: elementValueName
 							, "$lineBreaks": lineBreaks
 						}
 						, newVariables
 						, newDefinitions
 						, hoistScope
 					);
+
+					if( defaultTempVar ) {
+						core.setScopeTempVar(defaultTempVar, valueNode.range ? valueNode : definitionNode, hoistScope);
+					}
 				}
 				else {
 					let renamingOptions = elementId.$renamingOptions;
@@ -302,7 +462,7 @@ var plugin = module.exports = {
 					newDefinition.$scope = definitionNode.$scope;
 
 					if( isObjectPattern ) {
-						newDefinition["init"]["property"] = element.key;
+						newDefinition["init"]["property"] = elementKey;
 					}
 					else {
 						newDefinition["computed"] = true;
@@ -370,7 +530,7 @@ var plugin = module.exports = {
 		if( type === 0 ) {//AssignmentExpression
 			newDefinitions.push({
 				"type": "VariableDeclarator"
-				, "$raw": temporaryVariableIndexOrName || valueIdentifierName
+				, "$raw": resultVariableName || temporaryVariableIndexOrName || valueIdentifierName
 				, "$assignmentExpressionResult": true
 				, "$lineBreaks": lastLineBreaks + (valueNode["$lineBreaks"] || "")
 			});
@@ -385,6 +545,12 @@ var plugin = module.exports = {
 		if( !isLocalFreeVariable && isTemporaryVariable && temporaryVariableIndexOrName != void 0 ) {
 			core.setScopeTempVar(temporaryVariableIndexOrName, valueNode, hoistScope, true);
 		}
+		if( resultVariableName ) {
+			core.setScopeTempVar(resultVariableName, valueNode, hoistScope, true);
+		}
+		computedKeysTempVars.forEach(function(keyTempVar) {
+			core.setScopeTempVar(keyTempVar, valueNode.range ? valueNode : definitionNode, hoistScope, true);
+		});
 	}
 };
 
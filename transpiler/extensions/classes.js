@@ -20,11 +20,14 @@ const classesExtendedTranspiler = {
 		this.__currentClassName = node["$ClassName"];
 	}
 
-	, ':: XStaticProperty, XPublicProperty': function replaceClassBody(node, astQuery) {
-		var nextNode = node.$nextElementSibling;
-		var hasSemicolonNext = nextNode && this.alter.getRange(node.range[1], nextNode.range[0]).trim().startsWith(";");
-
-		this.alter.replace(node.range[0], node.key.range[0], this.__currentClassName + (node.type == "XPublicProperty" ? ".prototype" : "") + ".");
+	// XPublicProperty is transpiled to the instance field initializer by the classes transpiler
+	, ':: XStaticProperty': function replaceClassBody(node, astQuery) {
+		var classBodyNodes = node.$parentNode.body;
+		var nextNode = classBodyNodes[classBodyNodes.indexOf(node) + 1];
+		var nextNodeBegin = nextNode ? nextNode.range[0] : node.$parentNode.range[1] - 1;
+		var hasSemicolonNext = this.alter.getRange(node.range[1], nextNodeBegin).trim().startsWith(";");
+
+		this.alter.replace(node.range[0], node.key.range[0], this.__currentClassName + ".");
 		this.alter.insertAfter(node.range[1], (node.value == null ? " = void 0" : "") + (hasSemicolonNext ? "" : ";"));
 	}
 };
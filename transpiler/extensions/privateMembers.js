@@ -0,0 +1,277 @@
+"use strict";
+
+const assert = require("assert");
+const error = require("./../../lib/error");
+const core = require("./../core");
+
+function getline(node) {
+	return node.loc.start.line;
+}
+
+function getRange(node) {
+	return node.groupRange || node.range;
+}
+
+// class A { #a = 1; #m() { return this.#a } }
+//  =>
+// var A = (function(){var $private_a$0 = new WeakMap, $private_brand$0 = new WeakSet;
+//  function $a_init$0(){$private_a$0.set(this, 1);}
+//  function $private_m$0() { return PRIVATE_GET$0(this, $private_a$0) }
+//  function A() {$private_brand$0.add(this);$a_init$0.call(this);}
+// ...
+const privateMembersTranspiler = {
+	reset: function() {
+
+	}
+
+	, setup: function(alter, ast, options) {
+		if( !this.__isInit ) {
+			this.reset();
+			this.__isInit = true;
+		}
+
+		this.alter = alter;
+	}
+
+	/**
+	 * @returns {Object} private name -> {isMethod: boolean, storage: string, brand: string}
+	 */
+	, getPrivateMembers: function(classNode) {
+		if ( classNode.$privateMembers ) {
+			return classNode.$privateMembers;
+		}
+
+		let privateMembers = classNode.$privateMembers = Object.create(null);
+		let brand = '';
+
+		classNode.body.body.forEach(function(member) {
+			let key = member.key;
+
+			if ( !key || key.type !== "PrivateName" ) {
+				return;
+			}
+
+			let isMethod = member.type === "MethodDefinition";
+
+			if ( isMethod && !brand ) {
+				brand = core.unique("$private_brand", true);
+			}
+
+			privateMembers[key.name] = {
+				isMethod: isMethod
+				, storage: core.unique("$private_" + key.name, true)
+				, brand: isMethod ? brand : ''
+			};
+		});
+
+		return privateMembers;
+	}
+
+	, ':: ClassDeclaration, ClassExpression': function(node) {
+		const privateMembers = this.getPrivateMembers(node);
+		const declarations = [];
+		let brand = '';
+
+		node.body.body.forEach(function(member) {
+			let key = member.key;
+
+			if ( !key || key.type !== "PrivateName" ) {
+				return;
+			}
+
+			let privateMember = privateMembers[key.name];
+
+			if ( member.static ) {
+				return error(getline(member), "static private members are not supported");
+			}
+
+			if ( member.type === "XPrivateProperty" ) {
+				declarations.push(privateMember.storage + " = new WeakMap");
+
+				// text change '#a = <value>' => '$private_a$0.set(this, <value>)'
+				if ( member.value ) {
+					this.alter.replace(key.range[0], getRange(member.value)[0], privateMember.storage + ".set(this, ");
+					this.alter.insertAfter(getRange(member.value)[1], ")");
+				}
+				else {
+					this.alter.replace(key.range[0], key.range[1], privateMember.storage + ".set(this, void 0)");
+				}
+			}
+			else {
+				if ( member.kind === "get" || member.kind === "set" ) {
+					return error(getline(member), "private accessors are not supported");
+				}
+
+				if ( !brand ) {
+					brand = privateMember.brand;
+					declarations.push(brand + " = new WeakSet");
+				}
+
+				let fn = member.value;
+
+				// text change '#m(<params>) {' => 'function $private_m$0(<params>) {'
+				this.alter.replace(member.range[0], key.range[1]
+					, (fn.async ? "async " : "") + "function" + (fn.generator ? "*" : "") + " " + privateMember.storage
+				);
+			}
+		}, this);
+
+		if ( declarations.length ) {
+			this.alter.insert(node.body.range[0] + 1, "var " + declarations.join(", ") + ";");
+		}
+
+		if ( brand ) {
+			// the classes transpiler adds the instances to the brand in the constructor
+			node.$privateBrand = brand;
+		}
+	}
+
+	, ':: MemberExpression': function(node) {
+		const property = node.property;
+
+		if ( node.computed || property.type !== "PrivateName" ) {
+			return;
+		}
+
+		let privateMember;
+		for ( let parent = node.$parentNode ; parent && !privateMember ; parent = parent.$parentNode ) {
+			if ( core.is.isClass(parent) ) {
+				privateMember = this.getPrivateMembers(parent)[property.name];
+			}
+		}
+
+		if ( !privateMember ) {
+			return error(getline(node), "Private field '#{0}' must be declared in an enclosing class", property.name);
+		}
+
+		const parent = node.$parentNode;
+
+		if ( parent.type === "AssignmentExpression" && parent.left === node ) {
+			if ( privateMember.isMethod ) {
+				return error(getline(node), "Private method '#{0}' is not writable", property.name);
+			}
+			this.replaceAssignment(node, parent, privateMember);
+		}
+		else if ( parent.type === "UpdateExpression" ) {
+			if ( privateMember.isMethod ) {
+				return error(getline(node), "Private method '#{0}' is not writable", property.name);
+			}
+			this.replaceUpdate(node, parent, privateMember);
+		}
+		else if ( parent.type === "CallExpression" && parent.callee === node ) {
+			if ( parent.arguments.some(function(argument) { return argument.type === "SpreadElement" }) ) {
+				return error(getline(node), "spread arguments in the private member call are not supported");
+			}
+			this.replaceCall(node, parent, privateMember);
+		}
+		else if ( parent.type === "UnaryExpression" && parent.operator === "delete" ) {
+			return error(getline(node), "Private fields can not be deleted");
+		}
+		else if ( core.is.isObjectPattern(parent) || core.is.isArrayPattern(parent) || core.is.isProperty(parent) && parent.value === node
+			|| (parent.type === "ForInStatement" || parent.type === "ForOfStatement") && parent.left === node
+		) {
+			return error(getline(node), "private member '#{0}' as a destructuring or for-in/of target is not supported", property.name);
+		}
+		else {
+			this.replaceRead(node, privateMember);
+		}
+	}
+
+	, replaceRead: function(node, privateMember) {
+		const objectEnd = getRange(node.object)[1];
+
+		if ( privateMember.isMethod ) {
+			// text change '<object>.#m' => '(PRIVATE_BRAND$0(<object>, $private_brand$0), $private_m$0)'
+			this.alter.insert(node.range[0], "(" + core.createVars(node, "privateBrand") + "(");
+			this.alter.replace(objectEnd, node.range[1], ", " + privateMember.brand + "), " + privateMember.storage + ")");
+		}
+		else {
+			// text change '<object>.#a' => 'PRIVATE_GET$0(<object>, $private_a$0)'
+			this.alter.insert(node.range[0], core.createVars(node, "privateGet") + "(");
+			this.alter.replace(objectEnd, node.range[1], ", " + privateMember.storage + ")");
+		}
+	}
+
+	, replaceCall: function(node, callNode, privateMember) {
+		const objectEnd = getRange(node.object)[1];
+		const callArguments = callNode.arguments;
+		const argumentsStart = callArguments.length ? getRange(callArguments[0])[0] : callNode.range[1];
+		const afterThisArgument = callArguments.length ? ", " : ")";
+
+		if ( node.groupRange ) {
+			// '(<object>.#m)(<args>)' has the same 'this' value as '<object>.#m(<args>)'
+			this.alter.remove(node.groupRange[0], node.range[0]);
+		}
+
+		if ( privateMember.isMethod ) {
+			// text change '<object>.#m(<args>)' => '$private_m$0.call(PRIVATE_BRAND$0(<object>, $private_brand$0), <args>)'
+			this.alter.insert(node.range[0], privateMember.storage + ".call(" + core.createVars(node, "privateBrand") + "(");
+			this.alter.replace(objectEnd, argumentsStart, ", " + privateMember.brand + ")" + afterThisArgument);
+		}
+		else {
+			const tempVar = core.getScopeTempVar(node, node.$scope);
+
+			// text change '<object>.#a(<args>)' => 'PRIVATE_GET$0($D$0 = <object>, $private_a$0).call($D$0, <args>)'
+			this.alter.insert(node.range[0], core.createVars(node, "privateGet") + "(" + tempVar + " = ");
+			this.alter.replace(objectEnd, argumentsStart, ", " + privateMember.storage + ").call(" + tempVar + afterThisArgument);
+		}
+	}
+
+	, replaceAssignment: function(node, assignmentNode, privateMember) {
+		const objectEnd = getRange(node.object)[1];
+		const rightRange = getRange(assignmentNode.right);
+		const setName = core.createVars(node, "privateSet");
+		const operator = assignmentNode.operator;
+
+		if ( operator === "=" ) {
+			// text change '<object>.#a = <value>' => 'PRIVATE_SET$0(<object>, $private_a$0, <value>)'
+			this.alter.insert(node.range[0], setName + "(");
+			this.alter.replace(objectEnd, rightRange[0], ", " + privateMember.storage + ", ");
+			this.alter.insertAfter(rightRange[1], ")");
+		}
+		else {
+			const tempVar = core.getScopeTempVar(node, node.$scope);
+
+			// text change '<object>.#a += <value>' => 'PRIVATE_SET$0($D$0 = <object>, $private_a$0, PRIVATE_GET$0($D$0, $private_a$0) + (<value>))'
+			this.alter.insert(node.range[0], setName + "(" + tempVar + " = ");
+			this.alter.replace(objectEnd, rightRange[0]
+				, ", " + privateMember.storage + ", " + core.createVars(node, "privateGet") + "(" + tempVar + ", " + privateMember.storage + ") " + operator.slice(0, -1) + " ("
+			);
+			this.alter.insertAfter(rightRange[1], "))");
+		}
+	}
+
+	, replaceUpdate: function(node, updateNode, privateMember) {
+		const objectEnd = getRange(node.object)[1];
+		const storage = privateMember.storage;
+		const getName = core.createVars(node, "privateGet");
+		const setName = core.createVars(node, "privateSet");
+		const tempVar = core.getScopeTempVar(node, node.$scope);
+		const operator = updateNode.operator.charAt(0);
+
+		if ( updateNode.prefix ) {
+			// text change '++<object>.#a' => 'PRIVATE_SET$0($D$0 = <object>, $private_a$0, +PRIVATE_GET$0($D$0, $private_a$0) + 1)'
+			this.alter.replace(updateNode.range[0], node.range[0], setName + "(" + tempVar + " = ");
+			this.alter.replace(objectEnd, updateNode.range[1]
+				, ", " + storage + ", +" + getName + "(" + tempVar + ", " + storage + ") " + operator + " 1)"
+			);
+		}
+		else {
+			const valueVar = core.getScopeTempVar(node, node.$scope);
+
+			assert(valueVar !== tempVar);
+
+			// text change '<object>.#a++' => '($D$1 = +PRIVATE_GET$0($D$0 = <object>, $private_a$0), PRIVATE_SET$0($D$0, $private_a$0, $D$1 + 1), $D$1)'
+			this.alter.insert(node.range[0], "(" + valueVar + " = +" + getName + "(" + tempVar + " = ");
+			this.alter.replace(objectEnd, updateNode.range[1]
+				, ", " + storage + "), " + setName + "(" + tempVar + ", " + storage + ", " + valueVar + " " + operator + " 1), " + valueVar + ")"
+			);
+		}
+	}
+};
+
+for(let i in privateMembersTranspiler) if( privateMembersTranspiler.hasOwnProperty(i) && typeof privateMembersTranspiler[i] === "function" ) {
+	privateMembersTranspiler[i] = privateMembersTranspiler[i].bind(privateMembersTranspiler);
+}
+
+module.exports = privateMembersTranspiler;
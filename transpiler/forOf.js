@@ -20,11 +20,17 @@ var plugin = module.exports = {
 		this.options = options;
 	}
 
-	, ':: ForOfStatement': function replaceForOf(node) {
+	, ':: ForOfStatement': function replaceForOf(node, astQuery) {
 		if ( node.$translated ) {
 			return;
 		}
 
+		// 'label: for(<left> of <right>)': the iterator initialization goes before the label
+		let statementNode = node;
+		while ( statementNode.$parentNode.type === "LabeledStatement" ) {
+			statementNode = statementNode.$parentNode;
+		}
+
 		const hasBlock = (node.body.type === "BlockStatement");
 
 		const nodeStartsFrom = node.body.range[0];
@@ -34,35 +40,13 @@ var plugin = module.exports = {
 			: nodeStartsFrom)	// just before existing expression
 		;
 
-		const replacementObj = this.createForOfReplacement(node, node.body, {cleanup: true});
-
-		let previousBlockNode = node, parent = node.$parentNode;
-		while ( (previousBlockNode = previousBlockNode.$previousElementSibling) && previousBlockNode != parent ) {
-			if ( core.is.isFunction(previousBlockNode) || core.is.isLoop(previousBlockNode) || core.is.isIf(previousBlockNode) ) {
-				break;
-			}
-		}
-		if ( core.is.isFunction(previousBlockNode) || core.is.isLoop(previousBlockNode) ) {
-			previousBlockNode = previousBlockNode.body;
-		}
-		else if ( core.is.isIf(previousBlockNode) ) {
-			previousBlockNode = previousBlockNode.consequent;
-		}
-		else {
-			previousBlockNode = void 0;
-		}
-
-		if ( previousBlockNode && !core.is.isBlock(previousBlockNode) && !previousBlockNode.$isBlock ) {
-			previousBlockNode.$isBlock = true;
-			this.alter.insertBefore(previousBlockNode.range[0], '{');
-			this.alter.insert(previousBlockNode.range[1], '}');
-		}
+		const replacementObj = this.createForOfReplacement(node, node.body, {cleanup: true, iteratorClose: this.hasEarlyExit(node, astQuery)});
 
 		if ( !hasBlock ) {
 			node.body.$isBlock = true;
 		}
 		this.alter.insert(//before for of
-			node.range[0]
+			statementNode.range[0]
 			, replacementObj.before
 			, {applyChanges: true, "__newTransitionalSubLogic":true}
 		);
@@ -86,10 +70,42 @@ var plugin = module.exports = {
 			insertHeadPosition
 			, (hasBlock ? "" : "{") + replacementObj.inner
 		);
-		this.alter.insert(//after for of
-			node.body.range[1]
-			, (hasBlock ? "" : "}") + replacementObj.after
-		);
+		const parentNode = statementNode.$parentNode;
+		if ( parentNode.type === "ForOfStatement" && parentNode.body === statementNode ) {
+			// 'for(<left> of <right>) for(<left> of <right>) <statement>': the end of the inner loop goes before the end of the outer
+			this.alter.insertBefore(//after for of
+				node.body.range[1]
+				, (hasBlock ? "" : "}") + replacementObj.after
+			);
+		}
+		else {
+			this.alter.insert(//after for of
+				node.body.range[1]
+				, (hasBlock ? "" : "}") + replacementObj.after
+			);
+		}
+
+		let previousBlockNode = statementNode, parent = statementNode.$parentNode;
+		while ( (previousBlockNode = previousBlockNode.$previousElementSibling) && previousBlockNode != parent ) {
+			if ( core.is.isFunction(previousBlockNode) || core.is.isLoop(previousBlockNode) || core.is.isIf(previousBlockNode) ) {
+				break;
+			}
+		}
+		if ( core.is.isFunction(previousBlockNode) || core.is.isLoop(previousBlockNode) ) {
+			previousBlockNode = previousBlockNode.body;
+		}
+		else if ( core.is.isIf(previousBlockNode) ) {
+			previousBlockNode = previousBlockNode.consequent;
+		}
+		else {
+			previousBlockNode = void 0;
+		}
+
+		if ( previousBlockNode && !core.is.isBlock(previousBlockNode) && !previousBlockNode.$isBlock ) {
+			previousBlockNode.$isBlock = true;
+			this.alter.insertBefore(previousBlockNode.range[0], '{');
+			this.alter.insert(previousBlockNode.range[1], '}');
+		}
 
 		// TODO:: StringAlter has a bug with {applyChanges: true, "__newTransitionalSubLogic":true}: the remove below does affect the result of alter.get
 		this.alter.setState("replaceForOf");//TODO:: remove setState
@@ -103,6 +119,67 @@ var plugin = module.exports = {
 		this.alter.restoreState();//TODO:: remove restoreState
 	}
 
+	/**
+	 * The loop could be left before the iterator is done: break, return, throw or any call in the loop body
+	 */
+	, hasEarlyExit: function(node, astQuery) {
+		let result = core.is.isObjectPattern(node.left) || core.is.isArrayPattern(node.left)
+			|| node.left.type === "VariableDeclaration" && !core.is.isIdentifier(node.left.declarations[0].id)
+		;
+
+		!result && astQuery.traverse(node.body, function(child) {
+			let type = child.type;
+
+			if ( result ) {
+				return false;
+			}
+
+			if ( type === "ReturnStatement" || type === "ThrowStatement" || type === "YieldExpression" || type === "AwaitExpression"
+				|| type === "CallExpression" || type === "NewExpression" || type === "TaggedTemplateExpression"
+			) {
+				result = true;
+			}
+			else if ( type === "BreakStatement" || type === "ContinueStatement" ) {
+				let target = this.getJumpTarget(child);
+
+				result = !target || !this.isInsideNode(target, node.body) && !(type === "ContinueStatement" && target === node);
+			}
+			else if ( core.is.isFunction(child) || core.is.isClass(child) ) {
+				return false;
+			}
+		}.bind(this));
+
+		return result;
+	}
+
+	/**
+	 * @returns {Object|null} the statement which is the target of the break or continue statement
+	 */
+	, getJumpTarget: function(jumpNode) {
+		const labelName = jumpNode.label && jumpNode.label.name;
+
+		for ( let parent = jumpNode.$parentNode ; parent && !core.is.isFunction(parent) ; parent = parent.$parentNode ) {
+			if ( labelName ) {
+				if ( parent.type === "LabeledStatement" && parent.label.name === labelName ) {
+					return parent.body;
+				}
+			}
+			else if ( core.is.isLoop(parent) || jumpNode.type === "BreakStatement" && parent.type === "SwitchStatement" ) {
+				return parent;
+			}
+		}
+		return null;
+	}
+
+	, isInsideNode: function(node, parentNode) {
+		for ( ; node ; node = node.$parentNode ) {
+			if ( node === parentNode ) {
+				return true;
+			}
+		}
+		return false;
+	}
+
 	, createForOfReplacement: function(node, bodyNode, options) {
 		node.$translated = true;
 
@@ -112,6 +189,7 @@ var plugin = module.exports = {
 		const needIteratorSupport = scopeOptions['has-iterators'] !== false || scopeOptions['has-generators'] !== false;
 		let needTemporaryVariableCleaning = options.cleanup;
 		let implicitDeclaration = options.implicitDeclaration;
+		let iteratorClose = options.iteratorClose && needIteratorSupport;
 
 		let getIteratorFunctionName;
 		if ( needIteratorSupport ) {
@@ -189,7 +267,10 @@ var plugin = module.exports = {
 			;
 
 			forOfString =
-				tempVars[2] + " ? (" + tempVars[0] + " < " + tempVars[1] + ") : !(" + tempVars[1] + " = " + tempVars[0] + "[\"next\"]())[\"done\"]";
+				tempVars[2] + " ? (" + tempVars[0] + " < " + tempVars[1] + ") : !("
+					// the iterator is not closed if the 'next' method throws
+					+ (iteratorClose ? tempVars[1] + " = void 0, " : "")
+					+ tempVars[1] + " = " + tempVars[0] + "[\"next\"]())[\"done\"]";
 
 			initString =
 				"(" + tempVars[2] + " ? " + variableInitString + "[" + tempVars[0] + "++] : " + tempVars[1] + "[\"value\"])";
@@ -240,6 +321,15 @@ var plugin = module.exports = {
 			innerString = variableId.name + " = " + initString + ";";
 		}
 
+		if ( iteratorClose ) {
+			// IteratorClose on the early exit: 'try{for(<of>){<body>}}finally{ITER_CLOSE$0(<iterator>, <iteration result>)}'
+			beforeBeginString += "try{";
+			afterString = ";}finally{" + core.createVars(node, 'iteratorClose') + "(" + tempVars[0] + ", " + tempVars[1] + ");" + afterString + "}";
+		}
+		else if ( afterString ) {
+			afterString = ';' + afterString;
+		}
+
 		while(tempVars.length) {
 			core.setScopeTempVar(tempVars.shift(), bodyNode, node.$scope);
 		}
@@ -248,7 +338,7 @@ var plugin = module.exports = {
 			before: beforeBeginString
 			, check: forOfString
 			, inner: innerString// + ',' + (core.is.isEmptyBody(node) ? 'null' : '')
-			, after: afterString ? ';' + afterString : ''
+			, after: afterString
 			, remove: variableIdIsDestructuring ? variableBlock.range : void 0
 			, declarations: varsDeclaration
 		}
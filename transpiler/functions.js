@@ -9,6 +9,10 @@ function getline(node) {
 	return node.loc.start.line;
 }
 
+function getRange(node) {
+	return node.groupRange || node.range;
+}
+
 var plugin = module.exports = {
 	reset: function() {
 		this._thisUniqueName = null;
@@ -29,6 +33,8 @@ var plugin = module.exports = {
 			const functionBody = node.body;
 
 			const isArrowFunction = node.type === "ArrowFunctionExpression";
+			// 'async' keyword of the async arrow function stays before the params list
+			const arrowFunctionBegin = isArrowFunction && node.async ? node.parenthesesRange[0] : node.range[0];
 			const isNakedFunction = node.expression === true;//isArrowFunction && functionBody.type !== "BlockStatement";
 			const fnBodyIsNotABlockStatement = isNakedFunction && functionBody.type !== "BlockStatement";
 			const fnBodyIsSequenceExpression = fnBodyIsNotABlockStatement && functionBody.type === "SequenceExpression";
@@ -78,14 +84,14 @@ var plugin = module.exports = {
 					let lastDefinition = rest || (lastDflt || lastParam);
 
 					if( lastDefinition ) {
-						left = lastDefinition.range[1];
+						left = getRange(lastDefinition)[1];
 					}
 					else {// function without params
 						if( node.id ) {
 							left = node.id.range[1]
 						}
 						else {
-							left = node.range[0] + (
+							left = arrowFunctionBegin + (
 								isArrowFunction ? 1//pass first '('
 									: 8 //pass 'function' + [' '<name>]
 								)
@@ -99,7 +105,7 @@ var plugin = module.exports = {
 						isArrowFunction
 						&& !fnHasNoParams
 						&& !rest
-						&& (node.range[0] === params[0].range[0])
+						&& (arrowFunctionBegin === params[0].range[0])
 					;
 
 					if( isArrowFunction ) {
@@ -107,9 +113,13 @@ var plugin = module.exports = {
 							this.replaceThisInArrowFunction(node, astQuery);
 						}
 
+						if( node.$scope.doesArgumentsUsing() ) {
+							this.replaceArgumentsInArrowFunction(node, astQuery);
+						}
+
 						// add "function" word before arrow function params list
 						this.alter.insert(
-							node.range[0]
+							arrowFunctionBegin
 							, "function" + (arrowFunctionParamsHasNoBrackets ? "(" : "")
 						);
 					}
@@ -151,7 +161,11 @@ var plugin = module.exports = {
 					// add { and }
 					this.alter.insertBefore(fnBodyStart, "{", {extend: true});
 //					this.alter.insertBefore(fnBodyEnd, "}", {extend: true});
-					this.alter.insert(fnBodyEnd, "}");
+					// the body of the async arrow function is compiled to the state machine in the second pass:
+					//  'async x => x + 1' -> 'async function(x) {return x + 1;}', the return statement should end by ';'
+					if( !node.$bodyIsClosedByDefault ) {
+						this.alter.insert(fnBodyEnd, node.async ? ";}" : "}");
+					}
 
 					if( fnBodyHasHiddenBrackets ) {
 						// => (1)   ->   {return 1}
@@ -189,12 +203,11 @@ var plugin = module.exports = {
 							, elementsLength = elements.length
 							, element = elements[elementsLength - 1]
 						;
+						// the empty destructuring and the hole at the end have no variable to be the new parameter name: '[]', '[a, ,]'
 						let functionParamReplacer =
-							doesArgumentsInsideFunction
+							doesArgumentsInsideFunction || !element
 								? {type: "Identifier", name: core.unique("$D", true)}
-								: element
-									? (isObjectPattern ? element.value : element)
-									: {$raw: '', name: ''}// empty destructuring
+								: (isObjectPattern ? (element.type === "SpreadElement" ? element.argument : element.value) : element)
 						;
 
 						let newDeclarations = [];
@@ -216,7 +229,7 @@ var plugin = module.exports = {
 						// add
 						insertIntoBodyBegin += paramStr;
 
-						let paramReplacerName = (isObjectPattern || isArrayPattern) && !doesArgumentsInsideFunction
+						let paramReplacerName = (isObjectPattern || isArrayPattern) && !doesArgumentsInsideFunction && element
 							//assuming that in this case the last destructuring parameter would be the new parameter name
 							? newDeclarations[newDeclarations.length - 1].id.name
 							: functionParamReplacer.name
@@ -233,16 +246,19 @@ var plugin = module.exports = {
 			}
 
 			if( defaultsCount ) {
+				let defaultsRemoveFrom;
 				for(let i = 0 ; i < defaultsCount ; i++) {
 					const paramIndex = initialParamsCount - defaultsCount + i;
 					const param = params[paramIndex];
-					const prevDflt = defaults[i - 1];
 					const prevParam = params[paramIndex - 1];
 					const dflt = defaults[i];
 
-					if (dflt.type === "Identifier" && dflt.name === param.name) {
-						error(getline(node), "function parameter '{0}' defined with default value refered to scope variable with the same name '{0}'", param.name);
-					}
+					// the parameter and the next ones are not initialized yet: 'function f(a = b, b) {}'
+					this.replaceUninitializedParameters(node, dflt, params.slice(paramIndex).concat(rest || []), astQuery);
+
+					// the parentheses are the part of the default value: 'a = (1, 2)'
+					const dfltRange = getRange(dflt);
+					const dfltValue = this.alter.get(dfltRange[0], dfltRange[1]) + this.closeConciseArrowsAtEnd(dflt, dfltRange[1]);
 
 					let defaultStr;
 					if ( core.is.isObjectPattern(param) || core.is.isArrayPattern(param) ) {
@@ -250,13 +266,13 @@ var plugin = module.exports = {
 							destructuring.unwrapDestructuring(
 								"var"
 								, param
-								, {type: "Identifier", name: "(arguments[" + paramIndex + "] !== void 0 ? arguments[" + paramIndex + "] : " + this.alter.get(dflt.range[0], dflt.range[1]) + ")"}
+								, {type: "Identifier", name: "(arguments[" + paramIndex + "] !== void 0 ? arguments[" + paramIndex + "] : " + dfltValue + ")"}
 							) + ";"
 						;
 					}
 					else {
 						defaultStr = "var "
-							+ core.definitionWithDefaultString(param, "arguments[" + paramIndex + "]", this.alter.get(dflt.range[0], dflt.range[1]))
+							+ core.definitionWithDefaultString(param, "arguments[" + paramIndex + "]", dfltValue)
 							+ ";"
 					}
 
@@ -265,15 +281,16 @@ var plugin = module.exports = {
 					// add default set
 					insertIntoBodyBegin += defaultStr;
 
-					// cleanup default definition
-					// text change 'param = value' into ''
-//					this.alter.setState('default_remove');
-					this.alter.remove(
-						((prevDflt || prevParam) ? ((prevDflt || prevParam).range[1] + 1) : param.range[0]) - (prevParam ? 1 : 0)
-						, dflt.range[1]
-					);
-//					this.alter.restoreState();
+					if ( i === 0 ) {
+						defaultsRemoveFrom = prevParam ? getRange(prevParam)[1] : param.range[0];
+					}
 				}
+
+				// cleanup default definitions
+				// text change 'param1 = value1, param2 = value2' into ''
+				//  All the defaults are removed at once: the removes of the adjacent defaults with the arrow functions break the result
+				//  of the later changes: 'function f(a = () => {}, b = () => {}) {} [...c]'
+				this.alter.remove(defaultsRemoveFrom, getRange(lastDflt)[1]);
 			}
 
 			if( rest ) {
@@ -283,7 +300,7 @@ var plugin = module.exports = {
 				// cleanup rest definition
 //				this.alter.setState('default_remove');
 				this.alter.remove(
-					((lastDflt || lastParam) ? ((lastDflt || lastParam).range[1] + 1) : rest.range[0]) - (lastParam ? 1 : 3)
+					((lastDflt || lastParam) ? (getRange(lastDflt || lastParam)[1] + 1) : rest.range[0]) - (lastParam ? 1 : 3)
 					, rest.range[1]
 				);
 //				this.alter.restoreState();
@@ -312,7 +329,9 @@ var plugin = module.exports = {
 			}
 
 			if( insertIntoBodyBegin ) {
-				this.alter.insert(fnBodyStart, insertIntoBodyBegin, {__newTransitionalSubLogic: true});
+				// the "return " of the naked function body goes before the inserts of the earlier transpilers at the body start: '()=>this.#a',
+				//  but after the variable declarations (inserted with "before" option)
+				this.alter.insert(fnBodyStart, insertIntoBodyBegin, {__newTransitionalSubLogic: true, reverse: isNakedFunction});
 			}
 
 			if( insertIntoBodyEnd ) {
@@ -321,6 +340,217 @@ var plugin = module.exports = {
 		}
 	}
 
+	/**
+	 * 'new.target': the constructor called with 'new' or undefined
+	 */
+	, ':: MetaProperty': function(node) {
+		let functionNode = node.$parentNode, isInsideArrowFunction = false;
+
+		while( functionNode && (!core.is.isFunction(functionNode) || functionNode.type === "ArrowFunctionExpression") ) {
+			if( functionNode.type === "ArrowFunctionExpression" ) {
+				isInsideArrowFunction = true;
+			}
+			functionNode = functionNode.$parentNode;
+		}
+
+		if( !functionNode ) {
+			error(getline(node), "new.target expression is not allowed outside functions");
+			return;
+		}
+
+		let newTargetString = this.getNewTargetString(functionNode);
+
+		if( isInsideArrowFunction ) {
+			// the arrow functions use the variable with the 'new.target' value of the enclosing function
+			const hoistScope = functionNode.$scope;
+			const newTargetName = core.uniqueByToken('newTarget', 'newTarget', true);
+
+			if( !hoistScope.hasOwn(newTargetName) ) {
+				hoistScope.add(newTargetName, "var");
+
+				this.alter.insert(core.__getNodeBegin(functionNode), "var " + newTargetName + " = " + newTargetString + ";");
+			}
+
+			newTargetString = newTargetName;
+		}
+
+		// text change 'new.target' => '(this instanceof A ? this.constructor : void 0)'
+		this.alter.replace(node.range[0], node.range[1], newTargetString);
+	}
+
+	, getNewTargetString: function(functionNode) {
+		const parent = functionNode.$parentNode;
+		let functionName;
+
+		if( core.is.isMethodDefinition(parent) ) {
+			if( parent.kind || parent.static || parent.key.name !== "constructor" && parent.key.value !== "constructor" ) {
+				// the class methods can not be called with 'new'
+				return "void 0";
+			}
+			// the class constructor is the function with the class name (see the classes transpiler)
+			functionName = parent.$parentNode.$parentNode.$ClassName;
+		}
+		else if( core.is.isObjectLiteralMethod(functionNode) ) {
+			return "void 0";
+		}
+		else if( functionNode.id ) {
+			functionName = functionNode.id.name;
+		}
+		else {
+			// text change 'function(' => 'function fn$0('
+			functionName = functionNode.$newTargetName || (functionNode.$newTargetName = core.unique("fn", true));
+			if( !functionNode.$scope.hasOwn(functionName) ) {
+				functionNode.$scope.add(functionName, "fun");
+				this.alter.insert(functionNode.parenthesesRange[0], " " + functionName);
+			}
+		}
+
+		return "(this instanceof " + functionName + " ? this.constructor : void 0)";
+	}
+
+	/**
+	 * The default value which refers to the uninitialized parameter throws the ReferenceError
+	 */
+	, replaceUninitializedParameters: function(node, dflt, uninitializedParams, astQuery) {
+		const names = core.getNodeVariableNames({type: "ArrayPattern", elements: uninitializedParams});
+		const alter = this.alter;
+
+		astQuery.traverse(dflt, function(childNode) {
+			if ( core.is.isFunction(childNode) ) {
+				return false;
+			}
+
+			if ( childNode.type === "Identifier" && childNode.$refToScope === node.$scope && names.indexOf(childNode.name) !== -1 ) {
+				let parent = childNode.$parentNode;
+
+				if ( core.is.isLvalue(childNode) || core.is.isProperty(parent) && parent.shorthand === true ) {
+					return;
+				}
+
+				// text change 'b' => 'TDZ_CHECK$0(TDZ$0, "b")'
+				alter.replace(
+					childNode.range[0]
+					, childNode.range[1]
+					, core.createVars(childNode, "tdzCheck") + "(" + core.createVars(childNode, "tdz") + ", \"" + childNode.name + "\")"
+				);
+			}
+		});
+	}
+
+	/**
+	 * The '}' of the concise body of the arrow function which ends the default value is inserted at the end of the default value
+	 *  and would not be removed with the default value: 'function f(a = () => 1){}'.
+	 * The arrow functions are marked to not insert the '}' and the '}' is added to the moved default value instead.
+	 */
+	, closeConciseArrowsAtEnd: function(expression, end) {
+		let closing = "";
+
+		while ( expression && expression.range[1] === end ) {
+			if ( expression.type === "ArrowFunctionExpression" && expression.expression === true ) {
+				const body = expression.body;
+
+				// '() => (1)': the '}' is inserted before the last ')'
+				if ( body.type !== "SequenceExpression" && body.range[1] !== end ) {
+					break;
+				}
+
+				expression.$bodyIsClosedByDefault = true;
+				closing = (expression.async ? ";}" : "}") + closing;
+				expression = body;
+			}
+			else if ( expression.type === "ConditionalExpression" ) {
+				expression = expression.alternate;
+			}
+			else if ( expression.type === "AssignmentExpression" ) {
+				expression = expression.right;
+			}
+			else {
+				break;
+			}
+		}
+
+		return closing;
+	}
+
+	, isDeclaredInside: function(scope, node) {
+		for( ; scope ; scope = scope.parent ) {
+			if( scope === node.$scope ) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	, replaceArgumentsInArrowFunction: function(node, astQuery) {
+		assert(node.type === "ArrowFunctionExpression");
+
+		let hoistScope = node.$scope.closestHoistScope();
+
+		while( hoistScope.node.type === "ArrowFunctionExpression" ) {
+			hoistScope = hoistScope.parent.closestHoistScope();
+		}
+
+		if( !core.is.isFunction(hoistScope.node) ) {
+			// the 'arguments' outside the functions is the usual variable
+			return;
+		}
+
+		const argumentsNodes = [];
+
+		astQuery.traverse(node, function(childNode) {
+			if( core.is.isFunction(childNode) && childNode !== node ) {
+				return false;
+			}
+
+			if( core.is.isIdentifier(childNode, "arguments") && core.is.isReference(childNode) ) {
+				if( this.isDeclaredInside(childNode.$refToScope, node) ) {
+					// the own variable of the arrow function: '(arguments) => arguments', '() => { var arguments = 5; return arguments }'
+					return;
+				}
+
+				if( !childNode.$loopClosureName ) {
+					// the 'arguments' of the loop body wrapped in the IIFE is replaced by the loop closures transpiler
+					argumentsNodes.push(childNode);
+				}
+			}
+		}.bind(this));
+
+		if( !argumentsNodes.length ) {
+			// only the own 'arguments' variable or the 'arguments' replaced by the loop closures transpiler
+			return;
+		}
+
+		const argumentsUniqueName = core.uniqueByToken('arguments', 'arguments', true);
+
+		if( !hoistScope.hasOwn(argumentsUniqueName) ) {
+			hoistScope.add(argumentsUniqueName, "var");
+
+			this.alter.insert(core.__getNodeBegin(hoistScope.node), "var " + argumentsUniqueName + " = arguments;");
+		}
+
+		argumentsNodes.forEach(function(childNode) {
+			childNode.$originalName = childNode.name;
+			childNode.name = argumentsUniqueName;
+
+			this.alter.replace(childNode.range[0], childNode.range[1], argumentsUniqueName);
+		}, this);
+	}
+
+	/**
+	 * classesExtras.publicProperty: 'class A { public a = () => this }', privateMembers: 'class A { #a = () => this }'
+	 */
+	, isInstanceFieldInitializer: function(node) {
+		for( let parent = node.$parentNode ; parent ; parent = parent.$parentNode ) {
+			if( parent.type === "XPublicProperty" || parent.type === "XPrivateProperty" ) {
+				return true;
+			}
+			if( core.is.isFunction(parent) && parent.type !== "ArrowFunctionExpression" || core.is.isClass(parent) ) {
+				return false;
+			}
+		}
+		return false;
+	}
+
 	, replaceThisInArrowFunction: function(node, astQuery) {
 		assert(node.type === "ArrowFunctionExpression");
 
@@ -329,7 +559,34 @@ var plugin = module.exports = {
 
 		if( !thisUniqueName ) {
 			// We need only one unique 'this' name for the entire file
-			thisUniqueName = this._thisUniqueName = core.unique('this', true);
+			thisUniqueName = this._thisUniqueName = core.uniqueByToken('this', 'this', true);
+		}
+
+		const thisNodes = [];
+		let hasLoopClosureThis = false, hasSuper = false;
+
+		astQuery.traverse(node, function(childNode) {
+			if ( core.is.isFunction(childNode) && childNode !== node ) {
+				return false;
+			}
+
+			if( childNode.type === 'ThisExpression' ) {
+				if( childNode.$loopClosureName ) {
+					// the 'this' of the loop body wrapped in the IIFE is replaced by the loop closures transpiler
+					hasLoopClosureThis = true;
+				}
+				else {
+					thisNodes.push(childNode);
+				}
+			}
+			else if( core.is.isIdentifier(childNode, "super") ) {
+				// 'super.method()' is transpiled to the call with 'this'
+				hasSuper = true;
+			}
+		});
+
+		if( hasLoopClosureThis && !thisNodes.length && !hasSuper ) {
+			return;
 		}
 
 		let hoistScope = node.$scope.closestHoistScope();
@@ -338,23 +595,20 @@ var plugin = module.exports = {
 			hoistScope = hoistScope.parent.closestHoistScope();//TODO: caching closestArrowThisScope ?
 		}
 
-		if( !hoistScope.hasOwn(thisUniqueName) ) {
+		if( this.isInstanceFieldInitializer(node) ) {
+			// 'var this$0 = this' is inserted into the constructor by the classes transpiler
+		}
+		else if( !hoistScope.hasOwn(thisUniqueName) ) {
 			hoistScope.add(thisUniqueName, "var");
 
 			self.alter.insert(core.__getNodeBegin(hoistScope.node), "var " + thisUniqueName + " = this;");
 		}
 
-		astQuery.traverse(node, function(childNode) {
-			if ( core.is.isFunction(childNode) && childNode !== node ) {
-				return false;
-			}
+		thisNodes.forEach(function(childNode) {
+			childNode.$originalName = childNode.name;
+			childNode.name = thisUniqueName;
 
-			if( childNode.type === 'ThisExpression' ) {
-				childNode.$originalName = childNode.name;
-				childNode.name = thisUniqueName;
-
-				self.alter.replace(childNode.range[0], childNode.range[1], childNode.name);
-			}
+			self.alter.replace(childNode.range[0], childNode.range[1], childNode.name);
 		});
 	}
 };
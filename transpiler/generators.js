@@ -0,0 +1,917 @@
+"use strict";
+
+const assert = require("assert");
+const error = require("./../lib/error");
+const core = require("./core");
+
+function getline(node) {
+	return node.loc.start.line;
+}
+
+function getRange(node) {
+	return node.groupRange || node.range;
+}
+
+// break and continue statements in the compiled code are always the jumps to the other cases
+const ABRUPT_STATEMENTS = ["ReturnStatement", "ThrowStatement", "BreakStatement", "ContinueStatement"];
+
+function isConstantExpression(node) {
+	return node.type === "Literal" || node.type === "ThisExpression";
+}
+
+/**
+ * Generator body compiler: every statement which contains a yield (or an await) is split into the cases of the switch
+ *  statement, the resulting function returns an instruction [op, value] for the GEN runtime helper.
+ *  Statements without any yield are emitted as is.
+ * @param {Object} plugin
+ * @param {Object} node function* or async function node
+ * @constructor
+ */
+function GeneratorBody(plugin, node) {
+	this.plugin = plugin;
+	this.alter = plugin.alter;
+	this.node = node;
+	this.ctx = plugin.getContextName();
+	this.keyword = node.async ? "await" : "yield";
+
+	// instructions list: strings and labels (labels are resolved to the case numbers at the end)
+	this.parts = [];
+	this.labelsCount = 0;
+	this.lastAbrupt = true;
+	this.lastLabel = null;
+	this.line = 0;
+
+	this.varNames = [];
+	this.tempsCount = 0;
+	this.hoistedFunctions = [];
+	// the ends of the 'return x' statements without ';' (see emitSource)
+	this.returnEnds = [];
+
+	this.breakLabels = new Map();
+	this.continueLabels = new Map();
+	this.catchNames = new Map();
+	this.jumps = [];
+}
+
+GeneratorBody.prototype.newLabel = function() {
+	return {num: -1};
+};
+
+GeneratorBody.prototype.getBreakLabel = function(node) {
+	let label = this.breakLabels.get(node);
+	if ( !label ) {
+		this.breakLabels.set(node, label = this.newLabel());
+	}
+	return label;
+};
+
+GeneratorBody.prototype.getContinueLabel = function(node) {
+	let label = this.continueLabels.get(node);
+	if ( !label ) {
+		this.continueLabels.set(node, label = this.newLabel());
+	}
+	return label;
+};
+
+GeneratorBody.prototype.markLabel = function(label) {
+	if ( !label ) {
+		return;
+	}
+	assert(label.num === -1);
+
+	if ( this.lastLabel ) {
+		// there is no code between the labels
+		label.num = this.lastLabel.num;
+		return;
+	}
+
+	if ( !this.lastAbrupt ) {
+		// fall through to the next case
+		this.parts.push(this.ctx + "[\"label\"] = ", label, ";");
+	}
+
+	label.num = this.labelsCount++;
+	this.parts.push("case ", label, ":");
+	this.lastAbrupt = false;
+	this.lastLabel = label;
+};
+
+GeneratorBody.prototype.temp = function() {
+	let name = this.plugin.getTempName(this.tempsCount++);
+
+	this.addVarName(name);
+
+	return name;
+};
+
+GeneratorBody.prototype.addVarName = function(name) {
+	if ( this.varNames.indexOf(name) === -1 ) {
+		this.varNames.push(name);
+	}
+};
+
+GeneratorBody.prototype.source = function(node) {
+	const range = getRange(node);
+
+	return String(this.alter.get(range[0], range[1]));
+};
+
+GeneratorBody.prototype.moveToLine = function(line) {
+	if ( line > this.line ) {
+		this.parts.push(new Array(line - this.line + 1).join("\n") + this.plugin.getLineIndent(line));
+		this.line = line;
+	}
+};
+
+GeneratorBody.prototype.emit = function(node, parts, isAbrupt) {
+	if ( node ) {
+		this.moveToLine(getline(node));
+	}
+
+	this.parts.push.apply(this.parts, Array.isArray(parts) ? parts : [parts]);
+	this.lastAbrupt = !!isAbrupt;
+	this.lastLabel = null;
+};
+
+GeneratorBody.prototype.emitSource = function(node) {
+	let source = this.source(node);
+
+	if ( this.returnEnds.indexOf(node.range[1]) !== -1 ) {
+		// 'if (x) return 1}': the ']' inserted at the end of the statement is not the part of its source
+		source += "]";
+	}
+	if ( !/[;}]/.test(this.plugin.src.charAt(node.range[1] - 1)) ) {
+		// the statement relies on ASI: 'log.push(1) }', the next emitted code follows it
+		source += ";";
+	}
+
+	this.moveToLine(getline(node));
+	this.parts.push(source);
+	this.line = node.loc.end.line;
+	this.lastAbrupt = ABRUPT_STATEMENTS.indexOf(node.type) !== -1;
+	this.lastLabel = null;
+};
+
+GeneratorBody.prototype.emitJump = function(node, label) {
+	this.emit(node, ["return [3, ", label, "];"], true);
+};
+
+/**
+ * Collect the variables, returns, jumps and the yield expressions of the generator function
+ */
+GeneratorBody.prototype.prepare = function(astQuery) {
+	const generatorNode = this.node;
+	const declarations = [], returns = [], jumps = [], catches = [], argumentsRefs = [];
+
+	astQuery.traverse(generatorNode.body, function(node) {
+		if ( core.is.isFunction(node) ) {
+			return false;
+		}
+
+		switch ( node.type ) {
+			case "YieldExpression":
+			case "AwaitExpression":
+				for ( let parent = node ; parent && parent !== generatorNode ; parent = parent.$parentNode ) {
+					parent.$hasYield = true;
+				}
+				break;
+			case "VariableDeclaration":
+				declarations.push(node);
+				break;
+			case "ReturnStatement":
+				returns.push(node);
+				break;
+			case "BreakStatement":
+			case "ContinueStatement":
+				jumps.push(node);
+				break;
+			case "CatchClause":
+				catches.push(node);
+				break;
+			case "Identifier":
+				if ( node.name === "arguments" && core.is.isReference(node) ) {
+					argumentsRefs.push(node);
+				}
+				break;
+		}
+	});
+
+	// variables are hoisted to the generator function
+	declarations.forEach(this.prepareDeclaration, this);
+
+	// return x; -> return [2, x];
+	returns.forEach(function(node) {
+		if ( node.$hasYield ) {
+			return;
+		}
+
+		const argument = node.argument;
+
+		if ( argument ) {
+			const argumentEnd = getRange(argument)[1];
+
+			this.alter.replace(node.range[0], getRange(argument)[0], "return [2, ");
+			this.alter.insert(argumentEnd, "]");
+
+			if ( argumentEnd === node.range[1] ) {
+				this.returnEnds.push(argumentEnd);
+			}
+		}
+		else {
+			this.alter.replace(node.range[0], node.range[0] + 6, "return [2]");
+		}
+	}, this);
+
+	// break and continue to the compiled statements are replaced after the case numbers have been resolved
+	jumps.forEach(function(node) {
+		const target = this.findJumpTarget(node);
+
+		if ( target && target.$hasYield ) {
+			this.jumps.push({
+				node: node
+				, label: node.type === "BreakStatement" ? this.getBreakLabel(target) : this.getContinueLabel(target)
+			});
+		}
+	}, this);
+
+	// the catch parameter of the compiled try statement becomes a variable of the generator function
+	catches.forEach(function(node) {
+		if ( !node.$parentNode.$hasYield ) {
+			return;
+		}
+
+		const param = node.param;
+		const newName = core.unique(param.name, true);
+
+		(node.$scope.getRefs(param.name) || []).forEach(function(refNode) {
+			this.alter.replace(refNode.range[0], refNode.range[1], newName);
+		}, this);
+
+		this.catchNames.set(node, newName);
+		this.addVarName(newName);
+	}, this);
+
+	if ( argumentsRefs.length ) {
+		const argumentsName = core.unique("arguments", true);
+
+		argumentsRefs.forEach(function(refNode) {
+			this.alter.replace(refNode.range[0], refNode.range[1], argumentsName);
+		}, this);
+
+		this.addVarName(argumentsName + " = arguments");
+	}
+};
+
+GeneratorBody.prototype.prepareDeclaration = function(node) {
+	const declarators = node.declarations;
+	const parent = node.$parentNode;
+
+	declarators.forEach(function(declarator) {
+		this.addVarName(declarator.id.name);
+	}, this);
+
+	if ( node.$hasYield ) {
+		// will be compiled
+		return;
+	}
+
+	if ( parent.type === "ForStatement" || parent.type === "ForInStatement" ) {
+		// for(var i = 0;;) -> for(i = 0;;)
+		this.alter.remove(node.range[0], declarators[0].range[0]);
+		return;
+	}
+
+	const initialized = declarators.filter(function(declarator) {
+		return !!declarator.init;
+	});
+
+	if ( !initialized.length ) {
+		// var a, b; -> <nothing>
+		const isStatementListItem = Array.isArray(parent.body) || parent.type === "SwitchCase";
+
+		this.plugin.replaceKeepingLineBreaks(node.range[0], node.range[1], isStatementListItem ? "" : ";");
+		return;
+	}
+
+	// var a = 1, b, c = 2; -> a = 1, c = 2;
+	this.alter.remove(node.range[0], declarators[0].range[0]);
+
+	declarators.forEach(function(declarator, index) {
+		if ( declarator.init ) {
+			return;
+		}
+
+		const next = declarators[index + 1];
+
+		if ( next ) {
+			this.alter.remove(declarator.range[0], next.range[0]);
+		}
+		else {
+			this.alter.remove(declarators[index - 1].range[1], declarator.range[1]);
+		}
+	}, this);
+};
+
+GeneratorBody.prototype.findJumpTarget = function(node) {
+	const labelName = node.label && node.label.name;
+	const isBreak = node.type === "BreakStatement";
+
+	for ( let parent = node.$parentNode ; parent && parent !== this.node ; parent = parent.$parentNode ) {
+		if ( labelName ) {
+			if ( parent.type === "LabeledStatement" && parent.label.name === labelName ) {
+				if ( isBreak ) {
+					return parent;
+				}
+
+				let loop = parent.body;
+				while ( loop.type === "LabeledStatement" ) {
+					loop = loop.body;
+				}
+				return loop;
+			}
+		}
+		else if ( core.is.isLoop(parent) || isBreak && parent.type === "SwitchStatement" ) {
+			return parent;
+		}
+	}
+
+	return null;
+};
+
+GeneratorBody.prototype.compile = function(statements, line) {
+	this.line = line;
+
+	this.markLabel(this.newLabel());
+
+	statements.forEach(this.statement, this);
+
+	if ( statements.length ) {
+		this.moveToLine(statements[statements.length - 1].loc.end.line);
+	}
+
+	if ( !this.lastAbrupt ) {
+		this.parts.push("return [2];");
+	}
+
+	// break and continue statements in the not compiled code
+	this.jumps.forEach(function(jump) {
+		const node = jump.node;
+
+		assert(jump.label.num !== -1);
+		this.alter.replace(node.range[0], node.range[1], "return [3, " + jump.label.num + "];");
+	}, this);
+
+	return this.parts.map(function(part) {
+		if ( typeof part === "string" ) {
+			return part;
+		}
+
+		assert(part.num !== -1, "unresolved label");
+		return part.num;
+	}).join("");
+};
+
+GeneratorBody.prototype.statement = function(node) {
+	const type = node.type;
+
+	if ( type === "FunctionDeclaration" ) {
+		// function declarations are hoisted out of the state machine
+		this.hoistedFunctions.push(this.source(node));
+		return;
+	}
+
+	if ( !node.$hasYield ) {
+		if ( type !== "EmptyStatement" ) {
+			this.emitSource(node);
+		}
+		return;
+	}
+
+	switch ( type ) {
+		case "ExpressionStatement":
+			this.emit(node, this.expression(node.expression) + ";");
+			break;
+
+		case "VariableDeclaration":
+			this.declarations(node);
+			break;
+
+		case "BlockStatement":
+			node.body.forEach(this.statement, this);
+			break;
+
+		case "IfStatement": {
+			const elseLabel = this.newLabel();
+			const endLabel = node.alternate ? this.newLabel() : elseLabel;
+
+			this.emit(node, ["if (!(", this.expression(node.test), ")) return [3, ", elseLabel, "];"]);
+			this.statement(node.consequent);
+
+			if ( node.alternate ) {
+				this.emitJump(null, endLabel);
+				this.markLabel(elseLabel);
+				this.statement(node.alternate);
+			}
+
+			this.markLabel(endLabel);
+			break;
+		}
+
+		case "WhileStatement": {
+			const headLabel = this.getContinueLabel(node);
+			const endLabel = this.getBreakLabel(node);
+
+			this.markLabel(headLabel);
+			this.emit(node, ["if (!(", this.expression(node.test), ")) return [3, ", endLabel, "];"]);
+			this.statement(node.body);
+			this.emitJump(null, headLabel);
+			this.markLabel(endLabel);
+			break;
+		}
+
+		case "DoWhileStatement": {
+			const bodyLabel = this.newLabel();
+			const endLabel = this.getBreakLabel(node);
+
+			this.markLabel(bodyLabel);
+			this.statement(node.body);
+			this.markLabel(this.continueLabels.get(node));
+			this.emit(node.test, ["if (", this.expression(node.test), ") return [3, ", bodyLabel, "];"]);
+			this.markLabel(endLabel);
+			break;
+		}
+
+		case "ForStatement": {
+			const headLabel = this.newLabel();
+			const endLabel = this.getBreakLabel(node);
+			const init = node.init;
+
+			if ( init ) {
+				if ( init.type === "VariableDeclaration" ) {
+					this.declarations(init);
+				}
+				else {
+					this.emit(init, this.expression(init) + ";");
+				}
+			}
+
+			this.markLabel(headLabel);
+			if ( node.test ) {
+				this.emit(node.test, ["if (!(", this.expression(node.test), ")) return [3, ", endLabel, "];"]);
+			}
+			this.statement(node.body);
+			this.markLabel(this.continueLabels.get(node));
+			if ( node.update ) {
+				this.emit(node.update, this.expression(node.update) + ";");
+			}
+			this.emitJump(null, headLabel);
+			this.markLabel(endLabel);
+			break;
+		}
+
+		case "ForInStatement": {
+			// the keys are collected before the loop, the deleted keys are skipped
+			const headLabel = this.newLabel();
+			const continueLabel = this.getContinueLabel(node);
+			const endLabel = this.getBreakLabel(node);
+			const object = this.temp(), keys = this.temp(), key = this.temp(), index = this.temp();
+			const left = node.left;
+			const target = left.type === "VariableDeclaration" ? this.source(left.declarations[0].id) : this.source(left);
+
+			this.emit(node, object + " = " + this.expression(node.right) + ";");
+			this.emit(null, keys + " = [];for (" + key + " in " + object + ") " + keys + ".push(" + key + ");" + index + " = 0;");
+			this.markLabel(headLabel);
+			this.emit(null, ["if (!(" + index + " < " + keys + ".length)) return [3, ", endLabel, "];"]);
+			this.emit(null, ["if (!(" + keys + "[" + index + "] in " + object + ")) return [3, ", continueLabel, "];"]);
+			this.emit(null, target + " = " + keys + "[" + index + "];");
+			this.statement(node.body);
+			this.markLabel(continueLabel);
+			this.emit(null, index + "++;");
+			this.emitJump(null, headLabel);
+			this.markLabel(endLabel);
+			break;
+		}
+
+		case "LabeledStatement":
+			this.statement(node.body);
+			this.markLabel(this.breakLabels.get(node));
+			break;
+
+		case "ReturnStatement":
+			this.emit(node, "return [2, " + this.expression(node.argument) + "];", true);
+			break;
+
+		case "ThrowStatement":
+			this.emit(node, "throw " + this.expression(node.argument) + ";", true);
+			break;
+
+		case "SwitchStatement": {
+			const discriminant = this.temp();
+			const endLabel = this.getBreakLabel(node);
+			let defaultLabel = endLabel;
+
+			this.emit(node, discriminant + " = " + this.expression(node.discriminant) + ";");
+
+			const caseLabels = node.cases.map(function(switchCase) {
+				const label = this.newLabel();
+
+				if ( switchCase.test ) {
+					this.emit(switchCase, ["if (" + discriminant + " === (" + this.expression(switchCase.test) + ")) return [3, ", label, "];"]);
+				}
+				else {
+					defaultLabel = label;
+				}
+
+				return label;
+			}, this);
+
+			this.emitJump(null, defaultLabel);
+
+			node.cases.forEach(function(switchCase, index) {
+				this.markLabel(caseLabels[index]);
+				switchCase.consequent.forEach(this.statement, this);
+			}, this);
+
+			this.markLabel(endLabel);
+			break;
+		}
+
+		case "TryStatement": {
+			const handler = node.handlers && node.handlers[0] || node.handler;
+			const finalizer = node.finalizer;
+			const tryLabel = this.newLabel();
+			const catchLabel = handler ? this.newLabel() : null;
+			const finallyLabel = finalizer ? this.newLabel() : null;
+			const endLabel = this.newLabel();
+
+			this.markLabel(tryLabel);
+			this.emit(node, [this.ctx + "[\"trys\"].push([", tryLabel, ", ", catchLabel || "", ", ", finallyLabel || "", ", ", endLabel, "]);"]);
+			this.statement(node.block);
+			this.emitJump(null, endLabel);
+
+			if ( handler ) {
+				this.markLabel(catchLabel);
+				this.emit(handler, this.catchNames.get(handler) + " = " + this.ctx + "[\"sent\"]();");
+				this.statement(handler.body);
+				this.emitJump(null, endLabel);
+			}
+
+			if ( finalizer ) {
+				this.markLabel(finallyLabel);
+				this.statement(finalizer);
+				this.emit(null, "return [7];", true);
+			}
+
+			this.markLabel(endLabel);
+			break;
+		}
+
+		default:
+			error(getline(node), "{0} inside the {1} is not supported", this.keyword, type);
+	}
+};
+
+GeneratorBody.prototype.declarations = function(node) {
+	node.declarations.forEach(function(declarator) {
+		if ( !declarator.init ) {
+			return;
+		}
+
+		if ( declarator.$hasYield ) {
+			this.emit(declarator, this.source(declarator.id) + " = " + this.expression(declarator.init) + ";");
+		}
+		else {
+			this.emit(declarator, this.source(declarator) + ";");
+		}
+	}, this);
+};
+
+/**
+ * Compile the assignment target or the object of the member expression. When the value should be kept until
+ *  the next yield, the object and the property are stored in the temporary variables.
+ * @returns {string}
+ */
+GeneratorBody.prototype.memberTarget = function(node, keepValues) {
+	const values = this.expressions([node.object, node.computed ? node.property : null]).map(function(value, index) {
+		const valueNode = index ? node.property : node.object;
+
+		if ( keepValues && value && !isConstantExpression(valueNode) && !this.plugin.isTempName(value) ) {
+			const temp = this.temp();
+
+			this.emit(valueNode, temp + " = " + value + ";");
+			return temp;
+		}
+
+		return value;
+	}, this);
+
+	return values[0] + (node.computed ? "[" + values[1] + "]" : "." + node.property.name);
+};
+
+/**
+ * Compile a list of expressions which are evaluated in order. The values which are evaluated before a yield are
+ *  stored in the temporary variables.
+ * @returns {Array.<string>}
+ */
+GeneratorBody.prototype.expressions = function(nodes) {
+	let lastYieldIndex = -1;
+
+	nodes.forEach(function(node, index) {
+		if ( node && node.$hasYield ) {
+			lastYieldIndex = index;
+		}
+	});
+
+	return nodes.map(function(node, index) {
+		if ( !node ) {
+			return "";
+		}
+
+		let result = this.expression(node);
+
+		if ( index < lastYieldIndex && !isConstantExpression(node) ) {
+			const temp = this.temp();
+
+			this.emit(node, temp + " = " + result + ";");
+			result = temp;
+		}
+
+		return result;
+	}, this);
+};
+
+GeneratorBody.prototype.expression = function(node) {
+	if ( !node.$hasYield ) {
+		return this.source(node);
+	}
+
+	switch ( node.type ) {
+		case "YieldExpression":
+		case "AwaitExpression": {
+			// await is a yield of the awaited value: the ASYNC runtime helper resumes the state machine when it is settled
+			const argument = node.argument ? this.expression(node.argument) : null;
+
+			this.emit(node, "return [" + (node.delegate ? 5 : 4) + (argument === null ? "" : ", " + argument) + "];", true);
+			this.markLabel(this.newLabel());
+
+			return this.ctx + "[\"sent\"]()";
+		}
+
+		case "SequenceExpression": {
+			const expressions = node.expressions;
+
+			expressions.slice(0, -1).forEach(function(expression) {
+				const value = this.expression(expression);
+
+				this.emit(expression, (expression.type === "ObjectExpression" || expression.type === "FunctionExpression" ? "(" + value + ")" : value) + ";");
+			}, this);
+
+			return this.expression(expressions[expressions.length - 1]);
+		}
+
+		case "BinaryExpression": {
+			const values = this.expressions([node.left, node.right]);
+
+			return "(" + values[0] + " " + node.operator + " " + values[1] + ")";
+		}
+
+		case "LogicalExpression": {
+			if ( !node.right.$hasYield ) {
+				return "(" + this.expression(node.left) + " " + node.operator + " " + this.source(node.right) + ")";
+			}
+
+			// a && (yield b) -> $t = a; if (!$t) jump end; $t = yield b; end:
+			const result = this.temp();
+			const endLabel = this.newLabel();
+
+			this.emit(node, result + " = " + this.expression(node.left) + ";");
+			this.emit(node, ["if (" + (node.operator === "&&" ? "!" : "") + result + ") return [3, ", endLabel, "];"]);
+			this.emit(node.right, result + " = " + this.expression(node.right) + ";");
+			this.markLabel(endLabel);
+
+			return result;
+		}
+
+		case "ConditionalExpression": {
+			if ( !node.consequent.$hasYield && !node.alternate.$hasYield ) {
+				return "(" + this.expression(node.test) + " ? " + this.source(node.consequent) + " : " + this.source(node.alternate) + ")";
+			}
+
+			const result = this.temp();
+			const elseLabel = this.newLabel();
+			const endLabel = this.newLabel();
+
+			this.emit(node, ["if (!(", this.expression(node.test), ")) return [3, ", elseLabel, "];"]);
+			this.emit(node.consequent, result + " = " + this.expression(node.consequent) + ";");
+			this.emitJump(null, endLabel);
+			this.markLabel(elseLabel);
+			this.emit(node.alternate, result + " = " + this.expression(node.alternate) + ";");
+			this.markLabel(endLabel);
+
+			return result;
+		}
+
+		case "AssignmentExpression": {
+			const left = node.left;
+			const operator = node.operator;
+			const rightHasYield = !!node.right.$hasYield;
+			const target = left.type === "MemberExpression" ? this.memberTarget(left, rightHasYield) : this.source(left);
+
+			if ( operator === "=" ) {
+				return "(" + target + " = " + this.expression(node.right) + ")";
+			}
+			if ( !rightHasYield ) {
+				return "(" + target + " " + operator + " " + this.source(node.right) + ")";
+			}
+
+			// a += yield b -> $t = a; a = $t + (yield b)
+			const value = this.temp();
+
+			this.emit(left, value + " = " + target + ";");
+			return "(" + target + " = " + value + " " + operator.slice(0, -1) + " " + this.expression(node.right) + ")";
+		}
+
+		case "UnaryExpression":
+		case "UpdateExpression": {
+			const argument = node.argument;
+			const value = argument.type === "MemberExpression" && (node.type === "UpdateExpression" || node.operator === "delete")
+				? this.memberTarget(argument, false)
+				: this.expression(argument)
+			;
+
+			if ( node.type === "UpdateExpression" && !node.prefix ) {
+				return "(" + value + node.operator + ")";
+			}
+			return "(" + node.operator + (/^[a-z]/.test(node.operator) ? " " : "") + value + ")";
+		}
+
+		case "MemberExpression":
+			return this.memberTarget(node, false);
+
+		case "CallExpression":
+		case "NewExpression": {
+			const callee = node.callee;
+			const args = node.arguments;
+			const argumentsHasYield = args.some(function(arg) {
+				return arg.$hasYield;
+			});
+
+			if ( node.type === "CallExpression" && callee.type === "MemberExpression" && argumentsHasYield ) {
+				// o.m(yield a) -> $t = o; $t2 = $t.m; $t2.call($t, yield a)
+				const values = this.expressions([callee.object, callee.computed ? callee.property : null]);
+				const object = isConstantExpression(callee.object) ? values[0] : this.temp();
+				const method = this.temp();
+
+				if ( object !== values[0] ) {
+					this.emit(callee, object + " = " + values[0] + ";");
+				}
+				this.emit(callee, method + " = " + object + (callee.computed ? "[" + values[1] + "]" : "." + callee.property.name) + ";");
+
+				return method + ".call(" + [object].concat(this.expressions(args)).join(", ") + ")";
+			}
+
+			const values = this.expressions([callee].concat(args));
+
+			if ( node.type === "NewExpression" ) {
+				return "new " + (callee.$hasYield ? "(" + values[0] + ")" : values[0]) + "(" + values.slice(1).join(", ") + ")";
+			}
+			return values[0] + "(" + values.slice(1).join(", ") + ")";
+		}
+
+		case "ArrayExpression":
+			return "[" + this.expressions(node.elements).join(", ") + "]";
+
+		case "ObjectExpression": {
+			const properties = node.properties;
+			const values = this.expressions(properties.map(function(property) {
+				return property.kind === "init" ? property.value : null;
+			}));
+
+			return "({" + properties.map(function(property, index) {
+				return property.kind === "init" ? this.source(property.key) + ": " + values[index] : this.source(property);
+			}, this).join(", ") + "})";
+		}
+
+		default:
+			error(getline(node), "{0} inside the {1} is not supported", this.keyword, node.type);
+			return this.source(node);
+	}
+};
+
+var plugin = module.exports = {
+	reset: function() {
+		this.generators = [];
+		this.tempNames = [];
+		this.contextName = null;
+		this.srcLines = null;
+	}
+
+	, setup: function(alter, ast, options, src) {
+		if( !this.__isInit ) {
+			this.reset();
+			this.__isInit = true;
+		}
+
+		this.alter = alter;
+		this.options = options;
+		this.src = src;
+	}
+
+	, ':: FunctionDeclaration,FunctionExpression': function(node, astQuery) {
+		if ( node.generator && node.async ) {
+			error(getline(node), "async generator functions are not supported");
+		}
+		else if ( node.generator || node.async ) {
+			this.astQuery = astQuery;
+			this.generators.push(node);
+		}
+	}
+
+	, after: function(ast) {
+		// inner generators first
+		this.generators.slice().reverse().forEach(function(node) {
+			this.transpileGenerator(node, ast);
+		}, this);
+	}
+
+	, getContextName: function() {
+		if ( !this.contextName ) {
+			this.contextName = core.unique("$ctx", true);
+		}
+		return this.contextName;
+	}
+
+	, getTempName: function(index) {
+		while ( this.tempNames.length <= index ) {
+			this.tempNames.push(core.unique("$t", true));
+		}
+		return this.tempNames[index];
+	}
+
+	, isTempName: function(name) {
+		return this.tempNames.indexOf(name) !== -1;
+	}
+
+	, getLineIndent: function(line) {
+		if ( !this.srcLines ) {
+			this.srcLines = this.src.split(/\r\n|\n|\r/);
+		}
+		return /^[ \t]*/.exec(this.srcLines[line - 1] || "")[0];
+	}
+
+	, replaceKeepingLineBreaks: function(from, to, replacement) {
+		const lineBreaks = this.src.substring(from, to).match(/\r\n|\n|\r/g);
+
+		this.alter.replace(from, to, replacement + (lineBreaks ? lineBreaks.join("") : ""));
+	}
+
+	, transpileGenerator: function(node, ast) {
+		const body = new GeneratorBody(this, node);
+
+		if ( node.async ) {
+			// async function f() -> function f()
+			const functionPosition = this.src.indexOf("function", node.range[0]);
+			assert(functionPosition !== -1 && functionPosition < node.body.range[0]);
+			this.alter.remove(node.range[0], functionPosition);
+		}
+		else {
+			// function* g() -> function g()
+			const starPosition = this.src.indexOf("*", node.range[0]);
+			assert(starPosition !== -1 && starPosition < node.body.range[0]);
+			const separator = /\s/.test(this.src.charAt(starPosition - 1)) || !/[\w$]/.test(this.src.charAt(starPosition + 1)) ? "" : " ";
+			this.alter.replace(starPosition, starPosition + 1, separator);
+		}
+
+		body.prepare(this.astQuery);
+
+		const begin = core.__getNodeBegin(node);
+		const statements = node.body.body.filter(function(statement) {
+			return statement.range[0] >= begin;
+		});
+		const end = statements.length ? statements[statements.length - 1].range[1] : begin;
+
+		const cases = body.compile(statements, this.src.substring(0, begin).split(/\r\n|\n|\r/).length);
+
+		const result = (body.varNames.length ? "var " + body.varNames.join(", ") + ";" : "")
+			+ "return " + core.createVars(ast, node.async ? "async" : "generator") + "(function(" + body.ctx + "){switch(" + body.ctx + "[\"label\"]){"
+			+ cases
+			+ "}}, this);"
+			+ body.hoistedFunctions.join("")
+		;
+
+		if ( begin === end ) {
+			this.alter.insert(begin, result);
+		}
+		else if ( body.returnEnds.indexOf(end) !== -1 ) {
+			// 'return x}': the ']' inserted at the end of the last statement is moved with the statement into the result
+			this.alter.replace(begin, end + 1, result + this.src.charAt(end));
+		}
+		else {
+			this.alter.replace(begin, end, result);
+		}
+	}
+};
+
+for(let i in plugin) if( plugin.hasOwnProperty(i) && typeof plugin[i] === "function" ) {
+	plugin[i] = plugin[i].bind(plugin);
+}
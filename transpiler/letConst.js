@@ -9,6 +9,10 @@ function getline(node) {
 	return node.loc.start.line;
 }
 
+function getRange(node) {
+	return node.groupRange || node.range;
+}
+
 let plugin = module.exports = {
 	reset: function() {
 
@@ -42,11 +46,96 @@ let plugin = module.exports = {
 		}
 	}
 
+	, ':: CatchClause': function(node) {
+		const param = node.param;
+
+		if ( core.is.isObjectPattern(param) || core.is.isArrayPattern(param) ) {
+			// the variables of 'catch({message})' are declared by 'var' in the catch block, renamed if needed
+			this.renameCatchParams(node);
+		}
+	}
+
+	, ':: FunctionDeclaration,FunctionExpression,ArrowFunctionExpression': function(node, astQuery) {
+		if ( node.$hiddenFromParameters ) {
+			// the body declarations are renamed to let the default values refer to the outer variables
+			this.renameHiddenFromParameters(node, astQuery);
+		}
+	}
+
 	, ':: Identifier': function(node) {
 		// varify modifies the scopes and AST accordingly
 		if( node.$refToScope ) {
 			this.renameReferences(node);
 		}
+
+		if( node.$tdzUnsafe === true && this.isTDZMode(node.$declaration) ) {
+			this.replaceTDZReference(node);
+		}
+	}
+
+	/**
+	 * tdzChecks: the let/const variable which could be referenced through the closures before its initialization
+	 *  has the TDZ$0 value from the scope begin and the closures references are checked by TDZ_CHECK$0
+	 */
+	, isTDZMode: function(declaratorId) {
+		let scopeOptions = core.getScopeOptions(declaratorId.$scope, declaratorId);
+
+		return scopeOptions['let-const'] !== false
+			&& (scopeOptions['tdz'] === true || this.options.tdzChecks === true && scopeOptions['tdz'] !== false)
+		;
+	}
+
+	, replaceTDZReference: function(node) {
+		let parent = node.$parentNode;
+		let name = "\"" + (node.$originalName || node.name) + "\"";
+		// the helpers are declared in the scope of the variable: the reference could be in the naked arrow function body
+		let declaration = node.$declaration;
+
+		if ( core.is.isProperty(parent) && parent.shorthand === true || this.isDestructuringOrForInTarget(node) ) {
+			return;
+		}
+
+		if ( core.is.isLvalue(node) ) {
+			if ( parent.type === "AssignmentExpression" && parent.operator === "=" ) {
+				// the variable is checked by the setter after the evaluation of the assigned value
+				// text change 'x = value' => 'x = TDZ_ASSIGN$0(x, "x").v = value'
+				this.alter.insert(getRange(parent.right)[0], core.createVars(declaration, "tdzAssign") + "(" + node.name + ", " + name + ").v = ");
+			}
+			else {
+				// the value of the variable is read first
+				// text change 'x++' => '(TDZ_CHECK$0(x, "x"), x++)', 'x += 1' => '(TDZ_CHECK$0(x, "x"), x += 1)'
+				this.alter.insert(parent.range[0], "(" + core.createVars(declaration, "tdzCheck") + "(" + node.name + ", " + name + "), ");
+				this.alter.insert(parent.range[1], ")");
+			}
+			return;
+		}
+
+		// text change 'x' => 'TDZ_CHECK$0(x, "x")'
+		this.alter.insert(node.range[0], core.createVars(declaration, "tdzCheck") + "(");
+		this.alter.insert(node.range[1], ", " + name + ")");
+	}
+
+	/**
+	 * The assignment targets which are not checked: '[x] = arr', '({a: x} = obj)', 'for (x in obj)'
+	 */
+	, isDestructuringOrForInTarget: function(node) {
+		let parent = node.$parentNode;
+
+		if ( (parent.type === "ForInStatement" || parent.type === "ForOfStatement") && parent.left === node ) {
+			return true;
+		}
+
+		// the default value of the pattern element: '[x = 1] = arr'
+		if ( parent.type === "AssignmentExpression" && parent.left === node ) {
+			node = parent;
+			parent = parent.$parentNode;
+		}
+
+		if ( parent.type === "SpreadElement" || core.is.isProperty(parent) && parent.value === node ) {
+			parent = parent.$parentNode;
+		}
+
+		return core.is.isObjectPattern(parent) || core.is.isArrayPattern(parent);
 	}
 
 	, after: function(ast) {
@@ -112,8 +201,14 @@ let plugin = module.exports = {
 
 			if (declarator.$parentType === "ObjectPattern") {
 				declaratorId = declarator;
-				name = declarator.value.name;
-				prefix = declarator.key.name + " :";
+
+				if (declarator.type === "SpreadElement" ) {
+					name = declarator.argument.name;
+				}
+				else {
+					name = declarator.value.name;
+					prefix = declarator.key.name + " :";
+				}
 
 				needSrcChanges = false;//src text-replace in replaceDestructuringVariableDeclaration function
 			}
@@ -166,8 +261,14 @@ let plugin = module.exports = {
 				declaratorId.originalName = name;//TODO:: in other parts of this file replace it to ObjectPattern/ArrayPattern check
 
 				if (declarator.$parentType === "ObjectPattern") {
-					declarator.value.name = newName;
-					declarator.value.originalName = name;
+					if (declarator.type === "SpreadElement" ) {
+						declarator.argument.name = newName;
+						declarator.argument.originalName = name;
+					}
+					else {
+						declarator.value.name = newName;
+						declarator.value.originalName = name;
+					}
 				}
 				else if (declarator.$parentType === "ArrayPattern") {
 					declarator.name = newName;
@@ -187,6 +288,17 @@ let plugin = module.exports = {
 				}
 			}
 
+			let tdzMode = needSrcChanges && declaratorId.$hasTDZUnsafeReferences === true && !core.is.isLoop(origScope.node) && this.isTDZMode(declaratorId);
+
+			if( tdzMode ) {
+				// text change '{<body>' => '{x = TDZ$0;<body>'
+				// after the beginning of the loop closure function: '{(function(){x = TDZ$0;<body>'
+				this.alter.insert(
+					core.__getNodeBegin(origScope.node)
+					, newName + " = " + core.createVars(node, "tdz") + ";"
+				);
+			}
+
 			if( needSrcChanges ) {
 				if( declarator.init == null ) {
 					let scopeNode = node.$scope.node;
@@ -199,7 +311,7 @@ let plugin = module.exports = {
 						;
 
 					}
-					if( needToReset ) {
+					if( needToReset || tdzMode ) {
 						/*
 						ES6:       for( var i = 0 ; i < 3 ; i++ ) { let x; if( x === void 0 ) x = Math.random(); console.log(x); }
 						ES5 WRONG: for( var i = 0 ; i < 3 ; i++ ) { var x; if( x === void 0 ) x = Math.random(); console.log(x); }
@@ -226,6 +338,112 @@ let plugin = module.exports = {
 		}, this);
 	}
 
+	, renameCatchParams: function(node) {
+		const origScope = node.$scope;
+		const hoistScope = origScope.closestHoistScope();
+		const stats = this.options.stats;
+
+		core.traverseDestructuringVariables(node.param, function(identifier) {
+			const name = identifier.name;
+
+			const rename = this.isMarkedForRenaming(identifier)
+				|| hoistScope.hasOwn(name) || hoistScope.doesPropagate(name)
+			;
+
+			const newName = (rename ? core.unique(name) : name);
+
+			origScope.remove(name);
+			hoistScope.add(newName, "var", identifier, identifier.range[1]);
+
+			origScope.moves = origScope.moves || stringmap();
+			origScope.moves.set(name, {
+				name: newName,
+				scope: hoistScope,
+				originalKind: "caught"
+			});
+
+			core.allIdentifiers.add(newName);
+
+			if ( newName !== name ) {
+				stats.rename(name, newName, getline(identifier));
+
+				identifier.originalName = name;
+				identifier.name = newName;
+			}
+		}.bind(this));
+	}
+
+	/**
+	 * 'function f(a = x) { var x; function g() {} }' => 'function f(a = x) { var x$0; function g$0() {} }'
+	 */
+	, renameHiddenFromParameters: function(node, astQuery) {
+		const scope = node.$scope;
+		const stats = this.options.stats;
+		const alter = this.alter;
+		const moves = scope.moves = scope.moves || stringmap();
+
+		node.$hiddenFromParameters.items().forEach(function(name) {
+			const decl = scope.get(name);
+			const newName = core.unique(name);
+
+			scope.remove(name);
+			scope.add(newName, decl.kind, decl.node);
+
+			moves.set(name, {
+				name: newName,
+				scope: scope,
+				originalKind: decl.kind
+			});
+
+			core.allIdentifiers.add(newName);
+			stats.rename(name, newName, getline(decl.node));
+		});
+
+		function renameDeclaration(identifier, needSrcChanges) {
+			const move = moves.get(identifier.name);
+
+			if ( move && identifier.originalName === void 0 ) {
+				identifier.originalName = identifier.name;
+				identifier.name = move.name;
+
+				if ( needSrcChanges ) {
+					// text change 'var x' => 'var x$0'
+					alter.replace(identifier.range[0], identifier.range[1], move.name);
+				}
+			}
+		}
+
+		astQuery.traverse(node.body, function(childNode) {
+			const type = childNode.type;
+
+			if ( type === "VariableDeclaration" ) {
+				// 'var' declarations of the function and its top-level 'let' and 'const' declarations
+				if ( childNode.kind === "var" ? childNode.$scope.closestHoistScope() === scope : childNode.$scope === scope ) {
+					childNode.declarations.forEach(function(declarator) {
+						const id = declarator.id;
+
+						if ( core.is.isObjectPattern(id) || core.is.isArrayPattern(id) ) {
+							// src text-replace in the destructuring transpiler
+							core.traverseDestructuringVariables(id, function(identifier) {
+								renameDeclaration(identifier, false);
+							});
+						}
+						else {
+							renameDeclaration(id, true);
+						}
+					});
+				}
+			}
+			else if ( type === "FunctionDeclaration" && childNode.$parentNode.$scope.closestHoistScope() === scope ) {
+				renameDeclaration(childNode.id, true);
+			}
+
+			if ( core.is.isFunction(childNode) ) {
+				return false;
+			}
+		});
+	}
+
 	, renameReferences: function renameReferences(node) {
 		const move = node.$refToScope.moves && node.$refToScope.moves.get(node.name);
 		if( !move ) {
@@ -11,6 +11,10 @@ function getline(node) {
 	return node.loc.start.line;
 }
 
+function getRange(node) {
+	return node.groupRange || node.range;
+}
+
 let transformLoop_fragmentOption_functionHeadAndTail = {
 	applyChanges: true
 	, extend: true
@@ -53,10 +57,60 @@ let transformLoop_fragmentOption_functionHeadAndTail = {
 			fragmentOption.secondTime = true;
 		}
 
-		this.data = isHead
-			? beforeHead + "(function(" + (forVariableNode_oldName || "") + "){"
-			: "})(" + (forVariableNode_newName ? "" + forVariableNode_newName : "") + ");" + afterTail
+		let perIterationVariables = fragmentOption.perIterationVariables
+			, copyBefore = ""
+			, copyAfter = ""
 		;
+
+		if( perIterationVariables ) {
+			// text change 'for (let i = 0 ; i < n ; i++) {<body>}' => 'for (var i = 0 ; i < n ; i++) {(function(i){<body>})(i);}'
+			//  if the loop body changes i: '{(function(i){try{<body>}finally{$copy_i$0=i}})(i);i=$copy_i$0;}'
+			forVariableNode_oldName = perIterationVariables.map(function(variable) {
+				return variable.node.originalName || variable.node.name;
+			}).join(", ");
+			forVariableNode_newName = perIterationVariables.map(function(variable) {
+				return variable.node.name;
+			}).join(", ");
+
+			let mutatedVariables = perIterationVariables.filter(function(variable) {
+				return !!variable.copyName;
+			});
+
+			if( mutatedVariables.length ) {
+				copyBefore = "try{";
+				copyAfter = "}finally{" + mutatedVariables.map(function(variable) {
+					return variable.copyName + "=" + (variable.node.originalName || variable.node.name);
+				}).join(";") + "}";
+				afterTail = mutatedVariables.map(function(variable) {
+					return variable.node.name + "=" + variable.copyName + ";";
+				}).join("") + afterTail;
+			}
+		}
+
+		let factoryName = fragmentOption.factoryName;
+
+		if( factoryName ) {
+			// text change '{<body>}' => '{;var $loop$0;($loop$0||($loop$0=function(i){<body>}))(i);}'
+			this.data = isHead
+				? beforeHead + "(" + factoryName + "||(" + factoryName + "=function(" + (forVariableNode_oldName || "") + "){" + copyBefore
+				: copyAfter + "}))(" + (forVariableNode_newName ? "" + forVariableNode_newName : "") + ");" + afterTail
+			;
+		}
+		else {
+			this.data = isHead
+				? beforeHead + "(function(" + (forVariableNode_oldName || "") + "){" + copyBefore
+				: copyAfter + "})(" + (forVariableNode_newName ? "" + forVariableNode_newName : "") + ");" + afterTail
+			;
+		}
+
+		if( fragmentOption.headerHead !== void 0 ) {
+			// the block of the loop is opened in the loop header, the test and update expressions follow the head (see transformLoopHeader)
+			this.data = isHead ? this.data + fragmentOption.headerHead : this.data + "}";
+		}
+		else if( !fragmentOption.hasBlock && (beforeHead || afterTail) ) {
+			// text change 'for(<head>) <statement>' => 'for(<head>) {;var $c$0 = (function(){<statement>})();<afterTail>}'
+			this.data = isHead ? "{" + this.data : this.data + "}";
+		}
 	}
 };
 
@@ -76,6 +130,10 @@ var plugin = module.exports = {
 		this.esprima = options.esprima;
 	}
 
+	, before: function() {
+		this.__iifeLoops = [];
+	}
+
 	, ':: Identifier': function detectLoopClosures(node, astQuery) {
 		// forbidden pattern:
 		// <any>* <loop> <non-fn>* <constlet-def> <any>* <fn> <any>* <constlet-ref>
@@ -83,7 +141,7 @@ var plugin = module.exports = {
 		if( core.is.isReference(node)
 			&& node.$refToScope
 			&& node.$refToScope !== node.$scope
-			&& core.is.isConstLet({kind: node.$refToScope.getKind(node.name)})
+			&& this.isBlockScopedVariable(node.$refToScope, node.name)
 		) {
 			// traverse nodes up towards root from constlet-def
 			// if we hit a function (before a loop) - ok!
@@ -124,15 +182,29 @@ var plugin = module.exports = {
 
 					const variableDeclarationNode = defScope.getNode(node.name);
 
-					// here be dragons
-					// for (let x = ..; .. ; ..) { (function(){x})() } is forbidden because of current
-					// spec and VM status
-					if (loopNode.type === "ForStatement" && defScope.node === loopNode) {
-						return error(getline(variableDeclarationNode), "Not yet specced ES6 feature. {0} is declared in for-loop header and then captured in loop closure", variableDeclarationNode.name);
+					// for (let x = (function(){x})() ; .. ; ..) {}: the closure in the loop initializer captures the copy of x
+					//  made before the first iteration, there is no per-iteration body to be wrapped in (see "Not supported" in README.md)
+					if (loopNode.type === "ForStatement" && defScope.node === loopNode && core.hasNodeBetween(node, loopNode, loopNode.init)) {
+						return error(getline(node), "can't transform closure. {0} is captured in the for-loop initializer", node.name);
 					}
 
 					let special = this.detectIifyBodyBlockers(loopNode.body, node, astQuery);
 
+					if (this.hasHeaderClosures(loopNode)) {
+						// for (let x = ..; <closure over x> ; <closure over x>) {}: the test and update expressions are moved to the IIFE
+						[loopNode.test, loopNode.update].forEach(function(expression) {
+							if (expression) {
+								special = special.concat(this.detectIifyBodyBlockers(expression, node, astQuery));
+							}
+						}, this);
+
+						if (special.some(function(n) { return n.type === "YieldExpression" && !core.hasNodeBetween(n, loopNode, loopNode.body) })) {
+							return error(getline(node), "can't transform closure. {0} is captured in the for-loop header with yield", node.name);
+						}
+
+						loopNode.$iifyHeader = true;
+					}
+
 					// mark loop for IIFE-insertion
 					loopNode.$iify = true;
 					this.transformLoop(loopNode, node, variableDeclarationNode, special);
@@ -142,10 +214,55 @@ var plugin = module.exports = {
 		}
 	}
 
+	/**
+	 * for (let i = 0 ; <test> ; <update>) {}: the closure over i in the test or the update expression
+	 */
+	, hasHeaderClosures: function(loopNode) {
+		if( loopNode.type !== "ForStatement" || !core.is.isForWithConstLet(loopNode) ) {
+			return false;
+		}
+
+		return core.getVariableDeclarationNodes(loopNode.init).some(function(variableNode) {
+			return (loopNode.$scope.getRefs(variableNode.name) || []).some(function(ref) {
+				return [loopNode.test, loopNode.update].some(function(expression) {
+					return expression
+						&& core.hasNodeBetween(ref, loopNode, expression)
+						&& core.hasNodeBetween(ref, expression, 'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression')
+					;
+				});
+			});
+		});
+	}
+
+	/**
+	 * const, let, class and the variables of the destructuring catch parameter: 'catch({message})' is transpiled to the 'var' declaration
+	 */
+	, isBlockScopedVariable: function(scope, name) {
+		const kind = scope.getKind(name);
+
+		return core.is.isConstLet({kind: kind})
+			|| kind === "caught" && !core.is.isCatch(scope.getNode(name).$parentNode)
+		;
+	}
+
 	, detectIifyBodyBlockers: function detectIifyBodyBlockers(body, n, astQuery) {
 		var result = [];
 
 		astQuery.traverse(body, function(n) {
+			// the arrow functions of the loop body use 'this' and 'arguments' of the loop body
+			if (n.type === "ArrowFunctionExpression") {
+				astQuery.traverse(n, function(n) {
+					if (core.is.isFunction(n) && n.type !== "ArrowFunctionExpression") {
+						return false;
+					}
+
+					if (n.type === "Identifier" && n.name === "arguments" || n.type === "ThisExpression") {
+						result.push(n);
+					}
+				});
+				return false;
+			}
+
 			// if we hit an inner function of the loop body, don't traverse further
 			if (core.is.isFunction(n)) {
 				return false;
@@ -174,11 +291,11 @@ var plugin = module.exports = {
 	, transformLoop: function transformLoop(loopNode, variableNode, variableDeclarationNode, special) {
 		const hasBlock = (loopNode.body.type === "BlockStatement");
 
-		const insertHeadPosition = (hasBlock
+		let insertHeadPosition = (hasBlock
 			? loopNode.body.range[0] + 1// just after body {
 			: loopNode.body.range[0])	// just before existing expression
 		;
-		const insertTailPosition = (hasBlock
+		let insertTailPosition = (hasBlock
 			? loopNode.body.range[1] - 1// just before body }
 			: loopNode.body.range[1])	// just after existing expression
 		;
@@ -186,6 +303,7 @@ var plugin = module.exports = {
 		let variableDeclarator = core.getVariableDeclaratorForIdentifier(variableDeclarationNode);
 
 		let fragmentOption = Object.create(transformLoop_fragmentOption_functionHeadAndTail);
+		fragmentOption.hasBlock = hasBlock;
 		fragmentOption.variableDeclarationNode =
 			core.is.isForInOfWithConstLet(loopNode)
 			&& variableNode
@@ -193,158 +311,374 @@ var plugin = module.exports = {
 			&& variableDeclarationNode
 		;
 
-		let afterTail = "";
+		// for (let i = 0 ; ; i++) { <closure over i> }: every iteration gets its own copy of i (CreatePerIterationEnvironment)
+		fragmentOption.perIterationVariables = this.getPerIterationVariables(loopNode);
+
+		if ( this.isFactoryMode(loopNode) ) {
+			fragmentOption.factoryName = core.unique("$loop", true);
+		}
+
+		// the control flow of the loop body is transformed after all the loops for IIFE-insertion are known
+		loopNode.$iifeFragmentOption = fragmentOption;
+		loopNode.$iifeSpecial = special;
+		loopNode.$iifeCompletions = [];
+		this.__iifeLoops.push(loopNode);
+
+		if ( loopNode.$iifyHeader ) {
+			insertHeadPosition = this.transformLoopHeader(loopNode, fragmentOption);
+			insertTailPosition = loopNode.body.range[1];
+		}
+
+		this.alter.insert(insertHeadPosition, "--head--", fragmentOption);
+		this.alter.insert(insertTailPosition, "--tail--", fragmentOption);
+
+		this.transformLoopScope(loopNode, variableDeclarationNode, variableDeclarator, hasBlock, fragmentOption.perIterationVariables);
+	}
+
+	/**
+	 * The update expression runs on the per-iteration copy of the next iteration (CreatePerIterationEnvironment),
+	 *  so the test and update expressions with the closures are moved to the IIFE of the loop body:
+	 *  'for (let i = 0 ; <test> ; <update>) <body>' =>
+	 *  'for (var i = 0, $first$0 = true ;;) {(function(i){for(;;$first$0=true){if($first$0){if(!(<test>))return "break";break}<update>}$first$0=false;<body>})(i);}'
+	 * @returns {number} the position of the IIFE head
+	 */
+	, transformLoopHeader: function(loopNode, fragmentOption) {
+		const testRange = loopNode.test && getRange(loopNode.test)
+			, updateRange = loopNode.update && getRange(loopNode.update)
+			, bodyBegin = loopNode.body.range[0]
+			, headerBegin = (testRange || updateRange)[0]
+			, firstName = updateRange ? core.unique("$first", true) : ""
+		;
+
+		let afterTest = "", afterUpdate = "";
+
+		if ( testRange && updateRange ) {
+			fragmentOption.headerHead = "for(;;" + firstName + "=true){if(" + firstName + "){if(!(";
+			afterTest = "))return \"break\";break}";
+			afterUpdate = "}" + firstName + "=false;";
+		}
+		else if ( testRange ) {
+			fragmentOption.headerHead = "if(!(";
+			afterTest = "))return \"break\";";
+		}
+		else {
+			fragmentOption.headerHead = "if(!" + firstName + "){";
+			afterUpdate = "}" + firstName + "=false;";
+		}
+
+		// text change ' ; ' => ', $first$0 = true;;) {'
+		this.replaceKeepingLineBreaks(getRange(loopNode.init)[1], headerBegin, (firstName ? ", " + firstName + " = true" : "") + ";;) {");
+
+		if ( testRange ) {
+			this.replaceKeepingLineBreaks(testRange[1], updateRange ? updateRange[0] : bodyBegin, afterTest);
+		}
+		if ( updateRange ) {
+			this.replaceKeepingLineBreaks(updateRange[1], bodyBegin, afterUpdate);
+		}
+
+		this.addCompletion(loopNode, {statement: "break", target: loopNode});
+
+		return headerBegin;
+	}
+
+	, replaceKeepingLineBreaks: function(from, to, data) {
+		const lineBreaks = this.alter.getRange(from, to).match(/\n/g);
+
+		this.alter.replace(from, to, data + (lineBreaks ? lineBreaks.join("") : ""));
+	}
+
+	/**
+	 * loopClosuresFactory: the function for the loop body is created once and called on every iteration
+	 */
+	, isFactoryMode: function(loopNode) {
+		const scopeOptions = core.getScopeOptions(loopNode.$scope, loopNode);
+
+		return scopeOptions['loopClosuresFactory'] === true
+			|| this.options.loopClosuresFactory === true && scopeOptions['loopClosuresFactory'] !== false
+		;
+	}
+
+	, after: function() {
+		const iifeLoops = this.__iifeLoops;
+
+		iifeLoops.forEach(this.transformLoopBody, this);
+
+		// the completions of the nested IIFE's which leave the outer IIFE are passed to the outer loop
+		iifeLoops.map(function(loopNode) {
+			let depth = 0;
+			for ( let outerLoop = loopNode ; outerLoop = this.getIifeLoop(outerLoop) ; ) {
+				depth++;
+			}
+			return {loopNode: loopNode, depth: depth};
+		}, this).sort(function(a, b) {
+			return b.depth - a.depth;
+		}).forEach(function(record) {
+			this.createCompletionsDispatch(record.loopNode);
+		}, this);
+	}
+
+	/**
+	 * @param {boolean=} throughArrowFunctions 'this' and 'arguments' of the arrow function are the ones of the loop body
+	 * @returns {Object|null} the loop which body will be wrapped in the IIFE with the node inside it
+	 */
+	, getIifeLoop: function(node, throughArrowFunctions) {
+		for ( let child = node, parent = node.$parent ; parent ; child = parent, parent = parent.$parent ) {
+			if ( core.is.isFunction(parent) && !(throughArrowFunctions && parent.type === "ArrowFunctionExpression") ) {
+				return null;
+			}
+			if ( parent.$iify === true && core.is.isLoop(parent)
+				&& (parent.body === child || parent.$iifyHeader === true && (parent.test === child || parent.update === child))
+			) {
+				return parent;
+			}
+		}
+		return null;
+	}
+
+	, isInsideNode: function(node, parentNode) {
+		for ( ; node ; node = node.$parent ) {
+			if ( node === parentNode ) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * @returns {Object|null} the statement which is the target of the break or continue statement
+	 */
+	, getJumpTarget: function(jumpNode) {
+		const labelName = jumpNode.label && jumpNode.label.name;
+
+		for ( let parent = jumpNode.$parent ; parent && !core.is.isFunction(parent) ; parent = parent.$parent ) {
+			if ( labelName ) {
+				if ( parent.type === "LabeledStatement" && parent.label.name === labelName ) {
+					return parent.body;
+				}
+			}
+			else if ( core.is.isLoop(parent) || jumpNode.type === "BreakStatement" && parent.type === "SwitchStatement" ) {
+				return parent;
+			}
+		}
+		return null;
+	}
+
+	, addCompletion: function(loopNode, completion) {
+		const completions = loopNode.$iifeCompletions;
+
+		if ( !completions.some(function(existing) { return existing.statement === completion.statement }) ) {
+			completions.push(completion);
+		}
+	}
+
+	, transformLoopBody: function(loopNode) {
+		const isOutermostLoop = !this.getIifeLoop(loopNode);
 		let beforeHead = "";
-		let funcCallResult = "";
 
-		special.forEach(function(special) {
+		loopNode.$iifeSpecial.forEach(function(special) {
 			let type = special.type
-				, result
-				, replaceWith
 				, from = special.range[0]
 				, to = special.range[1]
 			;
 
-			if (type === "BreakStatement") {
-				let labelName = special.label && special.label.name || "";
-				let name = this.getPermamentName("break" + labelName);
+			if ( type === "VariableDeclaration" ) {
+				// the var declarations are moved out of all the nested IIFE's
+				if ( isOutermostLoop ) {
+					beforeHead += (";var " + special.declarations.map(function(node) {
+						if ( core.is.isObjectPattern(node.id) || core.is.isArrayPattern(node.id) ) {
+							return core.getDestructuringVariablesName(node.id).join(", ");
+						}
+						else if ( node ) {
+							return node.id.name;
+						}
+						else {
+							return null
+						}
+						}).filter(function(name) {
+							return !!name;
+						}).join(", ") + ";"
+					);
 
-				if ( !loopNode["$__break" + labelName] ) {
-					loopNode["$__break" + labelName] = true;
-					result = "if(" + name + "===true){" + name + "=void 0;break " + labelName + "}";
-					beforeHead += ";var " + name + ";"
+					this.alter.replace(special.range[0], special.range[0] + 4, ";");//remove 'var'
 				}
+				return;
+			}
 
-				replaceWith = "{" + name + " = true;return}";
+			const isThisOrArguments = type === "ThisExpression" || type === "Identifier" && special.name === "arguments";
+
+			if ( this.getIifeLoop(special, isThisOrArguments) !== loopNode ) {
+				// the statement is inside the IIFE of the nested loop
+				return;
 			}
-			else if (type === "ContinueStatement") {
-				let labelName = special.label && special.label.name || "";
-				let name = this.getPermamentName("continue" + labelName);
-
-				if ( !loopNode["$__continue" + labelName] ) {
-					loopNode["$__continue" + labelName] = true;
-					if ( labelName ) {
-						result = "if(" + name + "===true){" + name + "=void 0;continue " + labelName + "}";
-						beforeHead += ";var " + name + ";"
-					}
-				}
 
-				if ( labelName ) {
-					replaceWith = "{" + name + " = true;return}";
+			if ( type === "BreakStatement" || type === "ContinueStatement" ) {
+				let target = this.getJumpTarget(special);
+
+				if ( !target || target !== loopNode && this.isInsideNode(target, loopNode.body) ) {
+					// the jump inside the loop body: for(;;) { ... while(a) { break } }
+					return;
 				}
-				else {
-					replaceWith = "return;"
+
+				if ( type === "ContinueStatement" && target === loopNode ) {
+					// text change 'continue' => 'return'
+					this.alter.replace(from, to, "return;");
+					return;
 				}
+
+				// the IIFE returns the completion record which is dispatched after the IIFE call
+				let statement = target === loopNode
+					? "break"
+					: (type === "BreakStatement" ? "break " : "continue ") + special.label.name
+				;
+
+				// text change 'break' => 'return "break"', 'continue outer' => 'return "continue outer"'
+				this.alter.replace(from, to, "return \"" + statement + "\";");
+				this.addCompletion(loopNode, {statement: statement, target: target});
 			}
 			else if ( type === "ReturnStatement" || type === "YieldExpression" ) {
 				let argument = special.argument
-					, argTypeIsPrimitive = argument && argument.type === 'Literal'
-					, keys = type === "YieldExpression"
-						? {primitive: "yieldPrim", probablyObject: "yieldVal", exitPoint: "yield", nodeKey: "$__yield"}
-						: {primitive: "retPrim", probablyObject: "retVal", undefined: "retVoid", exitPoint: "return", nodeKey: "$__return"}
+					, key = type === "ReturnStatement" ? "v" : "y"
 				;
 
 				if ( argument ) {
-					let key = argTypeIsPrimitive ? keys.primitive : keys.probablyObject;
-					let name = this.getPermamentName(key);
-					let recipient = loopNode[keys.nodeKey + key];
+					let isSequence = argument.type === "SequenceExpression" && !argument.groupRange;
 
-					replaceWith = "{" + name + " = true;return ";
-					this.alter.insertAfter(to, "}");
-
-					if ( !recipient ) {
-						recipient = loopNode[keys.nodeKey + key] = this.getPermamentName("value");
-
-						beforeHead += ";var " + name + ";";
-
-						funcCallResult = ";var " + recipient + " = ";
-						if ( argTypeIsPrimitive ) {
-							result = "if(" + name + "===true){" + name + "=void 0;" + keys.exitPoint + " " + recipient + "}";
-						}
-						else {
-							let returnPointName = this.getPermamentName("rp");
-							// wrap return/yield to try/catch to prevent memory leaking
-							result = "if(" + name + "===true){try{throw " + recipient + " }catch(" + returnPointName + "){" + recipient + "=" + name + "=void 0;" + keys.exitPoint + " " + returnPointName + "}}";
-						}
-					}
-					else {
-						result = "";
-					}
-					to = argument.range[0];
+					// text change 'return <value>' => 'return {"v": <value>}', 'yield <value>' => '{return {"y": <value>}}'
+					this.alter.replace(from, getRange(argument)[0]
+						, (type === "YieldExpression" ? "{" : "") + "return {\"" + key + "\": " + (isSequence ? "(" : "")
+					);
+					this.alter.insertAfter(getRange(argument)[1], (isSequence ? ")" : "") + (type === "YieldExpression" ? "}}" : "}"));
 				}
 				else {
 					assert(type === "ReturnStatement");//yield should always return value
 
-					let name = this.getPermamentName(keys.undefined);
-					if ( !loopNode[keys.nodeKey + "Void"] ) {
-						loopNode[keys.nodeKey + "Void"] = true;
-						result = "if(" + name + "===true){" + name + "=void 0;" + keys.exitPoint + "}";
-						beforeHead += ";var " + name + ";"
-					}
-					else {
-						result = ""
-					}
-
-					replaceWith = "{" + name + " = true;return}";
+					// text change 'return' => 'return {"v": void 0}'
+					this.alter.replace(from, from + 6, "return {\"v\": void 0}");
 				}
+
+				this.addCompletion(loopNode, {statement: type === "ReturnStatement" ? "return" : "yield", target: null});
 			}
-			else if (type === "ThisExpression" || (type === "Identifier" && special.name === "arguments")) {
+			else if ( isThisOrArguments ) {
 				let keys = type === "ThisExpression"
-					? {nodeKey: "$__this", varName: "this", permamentName: "that"}
-					: {nodeKey: "$__arguments", varName: "arguments", permamentName: "args"}
+					? {varName: "this", permamentName: "that"}
+					: {varName: "arguments", permamentName: "args"}
 				;
 				let name = this.getPermamentName(keys.permamentName);
+				let hoistScopeNode = loopNode.$scope.closestHoistScope().node;
 
-				if ( !loopNode[keys.nodeKey] ) {
-					let hoistScopeNode = loopNode.$scope.closestHoistScope().node;
-
-					if ( !hoistScopeNode['$__has__' + name] ) {
-						hoistScopeNode['$__has__' + name] = true;
-						this.alter.insertAfter(core.__getNodeBegin(hoistScopeNode), ";var " + name + "=" + keys.varName + ";");
-					}
+				if ( !hoistScopeNode['$__has__' + name] ) {
+					hoistScopeNode['$__has__' + name] = true;
+					this.alter.insertBefore(core.__getNodeBegin(hoistScopeNode), ";var " + name + "=" + keys.varName + ";");
 				}
 
-				result = "";
-				replaceWith = name;
+				// the arrow function of the loop body should not replace it again: '() => this'
+				special.$loopClosureName = name;
+				this.alter.replace(from, to, name);
 			}
-			else if (type === "VariableDeclaration" && special.kind === "var") {
-				beforeHead += (";var " + special.declarations.map(function(node) {
-					if ( core.is.isObjectPattern(node.id) || core.is.isArrayPattern(node.id) ) {
-						return core.getDestructuringVariablesName(node.id).join(", ");
-					}
-					else if ( node ) {
-						return node.id.name;
-					}
-					else {
-						return null
-					}
-					}).filter(function(name) {
-						return !!name;
-					}).join(", ") + ";"
-				);
+		}, this);
 
-				this.alter.replace(special.range[0], special.range[0] + 4, ";");//remove 'val'
-			}
+		loopNode.$iifeFragmentOption.beforeHead = beforeHead;
+	}
 
-			if ( replaceWith ) {
-				this.alter.replace(from, to, replaceWith);
-			}
+	/**
+	 * for(<head>) {<body>} => for(<head>) {var $c$0 = (function(){<body>})();if($c$0!==void 0){<dispatch>}}
+	 */
+	, createCompletionsDispatch: function(loopNode) {
+		const fragmentOption = loopNode.$iifeFragmentOption;
+		const completions = loopNode.$iifeCompletions;
+		const outerLoop = this.getIifeLoop(loopNode);
+		const perIterationVariables = fragmentOption.perIterationVariables;
+
+		let beforeHead = fragmentOption.beforeHead;
+
+		if ( perIterationVariables ) {
+			perIterationVariables.forEach(function(variable) {
+				if( variable.isMutated ) {
+					variable.copyName = this.getPermamentName("copy_" + variable.node.name);
+					beforeHead += ";var " + variable.copyName + ";";
+				}
+			}, this);
+		}
+
+		if ( fragmentOption.factoryName ) {
+			beforeHead += ";var " + fragmentOption.factoryName + ";";
+		}
+
+		if ( completions.length ) {
+			const completionName = this.getPermamentName("c");
+			let dispatch = "", passToOuterLoop = false;
+
+			completions.forEach(function(completion) {
+				let statement = completion.statement;
+
+				if ( outerLoop && (!completion.target || !this.isInsideNode(completion.target, outerLoop.body)) ) {
+					// the target is outside of the IIFE of the outer loop
+					passToOuterLoop = true;
+					this.addCompletion(outerLoop, completion);
+				}
+				else if ( statement === "return" ) {
+					// wrap return to try/catch to prevent memory leaking
+					let returnPointName = this.getPermamentName("rp");
+					dispatch += "if(typeof " + completionName + "===\"object\"&&\"v\" in " + completionName + "){"
+						+ "try{throw " + completionName + "[\"v\"]}catch(" + returnPointName + "){" + completionName + "=void 0;return " + returnPointName + "}"
+					+ "}";
+				}
+				else if ( statement === "yield" ) {
+					dispatch += "if(typeof " + completionName + "===\"object\"&&\"y\" in " + completionName + ")yield " + completionName + "[\"y\"];";
+				}
+				else {
+					dispatch += "if(" + completionName + "===\"" + statement + "\")" + statement + ";";
+				}
+			}, this);
 
-			if ( result ) {
-				afterTail += result;
+			if ( passToOuterLoop ) {
+				dispatch += "return " + completionName + ";";
 			}
-		}, this);
 
-		fragmentOption.afterTail = afterTail;
-		fragmentOption.beforeHead = (beforeHead + funcCallResult).replace(/;;/g, ";");
+			beforeHead += ";var " + completionName + " = ";
+			fragmentOption.afterTail = "if(" + completionName + "!==void 0){" + dispatch + "}";
+		}
 
-		this.alter.insert(insertHeadPosition, "--head--", fragmentOption);
-		this.alter.insert(insertTailPosition, "--tail--", fragmentOption);
+		fragmentOption.beforeHead = beforeHead.replace(/;;/g, ";");
+	}
+
+	/**
+	 * @returns {Array|null} the variables of the 'for(let ...;;)' loop header which are captured in the loop body closures
+	 *  (and in the test and update expressions moved to the loop body)
+	 */
+	, getPerIterationVariables: function(loopNode) {
+		if( loopNode.type !== "ForStatement" || !core.is.isForWithConstLet(loopNode) ) {
+			return null;
+		}
 
-		this.transformLoopScope(loopNode, variableDeclarationNode, variableDeclarator, hasBlock);
+		let iterationNodes = loopNode.$iifyHeader ? [loopNode.test, loopNode.update, loopNode.body] : [loopNode.body];
+		let result = [];
+
+		core.getVariableDeclarationNodes(loopNode.init).forEach(function(variableNode) {
+			let bodyRefs = (loopNode.$scope.getRefs(variableNode.name) || []).filter(function(ref) {
+				return iterationNodes.some(function(node) {
+					return node && core.hasNodeBetween(ref, loopNode, node);
+				});
+			});
+			let isCaptured = bodyRefs.some(function(ref) {
+				return core.hasNodeBetween(ref, loopNode, 'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression');
+			});
+
+			if( isCaptured ) {
+				result.push({
+					node: variableNode
+					, bodyRefs: bodyRefs
+					, isMutated: bodyRefs.some(function(ref) {
+						return core.is.isLvalue(ref);
+					})
+				});
+			}
+		});
+
+		return result.length ? result : null;
 	}
 
-	, transformLoopScope: function(loopNode, variableDeclarationNode, variableDeclarator, hasBlock) {
+	, transformLoopScope: function(loopNode, variableDeclarationNode, variableDeclarator, hasBlock, perIterationVariables) {
 		if( hasBlock === void 0 ) {
 			hasBlock = (loopNode.body.type === "BlockStatement")
 		}
@@ -390,10 +724,19 @@ var plugin = module.exports = {
 			&& core.detectDestructuringParent(variableDeclarationNode)
 		;
 
+		if( perIterationVariables ) {
+			// the loop body references the copy of the loop header variable: the IIFE parameter with the original name
+			perIterationVariables.forEach(function(variable) {
+				variable.bodyRefs.forEach(setNewRefToScope);
+			});
+		}
+
 		if( destructuringVariableDeclarationNode ) {
 			core.traverseDestructuringVariables(destructuringVariableDeclarationNode, setNewRefToScope);
 		}
-		else if( variableDeclarationNode.type === "Identifier" ) {
+		else if( variableDeclarationNode.type === "Identifier" && !(perIterationVariables && perIterationVariables.some(function(variable) {
+			return variable.node === variableDeclarationNode;
+		})) ) {
 			setNewRefToScope(variableDeclarationNode);
 		}
 	}
@@ -0,0 +1,362 @@
+"use strict";
+
+const assert = require("assert");
+const path = require("path");
+const error = require("./../lib/error");
+const core = require("./core");
+
+const MODULE_FORMATS = ["commonjs", "amd", "umd", "global"];
+
+function getSourceBaseName(source) {
+	let name = String(source).replace(/\/+$/, "").split("/").pop().replace(/\.js$/, "");
+
+	name = name.replace(/[^a-zA-Z0-9_$]+/g, "_");
+	if ( !name || /^[0-9]/.test(name) ) {
+		name = "_" + name;
+	}
+
+	return name;
+}
+
+function propertyAccess(object, name) {
+	return /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(name) && name !== "default"
+		? object + "." + name
+		: object + "[" + JSON.stringify(name) + "]"
+	;
+}
+
+var plugin = module.exports = {
+	reset: function() {
+		this.modules = null;
+		this.exportsList = null;
+		this.exportAllList = null;
+		this.importedBindings = null;
+	}
+
+	, setup: function(alter, ast, options, src) {
+		if( !this.__isInit ) {
+			this.reset();
+			this.__isInit = true;
+		}
+
+		this.alter = alter;
+		this.options = options;
+		this.src = src;
+
+		// source -> module record {source, varName, defaultVarName, namespaces, hasNamed, hasDefault}
+		this.modules = Object.create(null);
+		this.modulesOrder = [];
+		// [{exported: "name", local: Identifier}] or [{exported: "name", record, remote: "name"}]
+		this.exportsList = [];
+		this.exportAllList = [];
+		// local name -> {record, remote: "name"|null (null for default)}
+		this.importedBindings = Object.create(null);
+		this.isModule = false;
+
+		this.moduleFormat = String(options.moduleFormat || "commonjs").toLowerCase();
+		if ( MODULE_FORMATS.indexOf(this.moduleFormat) === -1 ) {
+			error(-1, "unsupported moduleFormat {0} (expected one of: {1})", options.moduleFormat, MODULE_FORMATS.join(", "));
+			this.moduleFormat = "commonjs";
+		}
+	}
+
+	, getModuleRecord: function(source) {
+		let record = this.modules[source];
+
+		if ( !record ) {
+			record = this.modules[source] = {
+				source: source
+				, varName: null
+				, defaultVarName: null
+				, namespaces: []
+				, hasNamed: false
+				, hasDefault: false
+			};
+			this.modulesOrder.push(record);
+		}
+
+		return record;
+	}
+
+	, removeKeepingLineBreaks: function(from, to) {
+		const lineBreaks = this.src.substring(from, to).match(/\r\n|\n|\r/g);
+
+		this.alter.replace(from, to, lineBreaks ? lineBreaks.join("") : "");
+	}
+
+	, '::ImportDeclaration': function(node) {
+		this.isModule = true;
+
+		const record = this.getModuleRecord(node.source.value);
+
+		node.specifiers.forEach(function(specifier) {
+			if ( specifier.type === "ImportNamespaceSpecifier" ) {
+				record.namespaces.push(specifier.id.name);
+			}
+			else if ( specifier.type === "ImportDefaultSpecifier" ) {
+				record.hasDefault = true;
+				this.importedBindings[specifier.id.name] = {record: record, remote: null};
+			}
+			else {
+				assert(specifier.type === "ImportSpecifier");
+
+				const remote = specifier.id.name;
+				if ( remote === "default" ) {
+					record.hasDefault = true;
+				}
+				else {
+					record.hasNamed = true;
+				}
+				this.importedBindings[(specifier.name || specifier.id).name] = {record: record, remote: remote === "default" ? null : remote};
+			}
+		}, this);
+
+		this.removeKeepingLineBreaks(node.range[0], node.range[1]);
+	}
+
+	, '::ModuleDeclaration': function(node) {
+		this.isModule = true;
+
+		this.getModuleRecord(node.source.value).namespaces.push(node.id.name);
+
+		this.removeKeepingLineBreaks(node.range[0], node.range[1]);
+	}
+
+	, '::ExportDeclaration': function(node) {
+		this.isModule = true;
+
+		const declaration = node.declaration;
+
+		if ( node["default"] ) {
+			if ( declaration.type === "FunctionDeclaration" || declaration.type === "ClassDeclaration" ) {
+				// export default function f() {} -> function f() {}
+				this.alter.remove(node.range[0], declaration.range[0]);
+				this.exportsList.push({exported: "default", local: declaration.id});
+			}
+			else {
+				// export default <expression> -> exports["default"] = <expression>
+				this.alter.replace(node.range[0], declaration.range[0], "exports[\"default\"] = ");
+				if ( this.src.substring(declaration.range[1], node.range[1]).indexOf(";") === -1 ) {
+					this.alter.insert(declaration.range[1], ";");
+				}
+			}
+		}
+		else if ( declaration ) {
+			// export let|const|var|function|class ... -> let|const|var|function|class ...
+			this.alter.remove(node.range[0], declaration.range[0]);
+
+			const declarationNodes = declaration.type === "ClassDeclaration"
+				? [declaration.id]
+				: core.getVariableDeclarationNodes(declaration)
+			;
+
+			declarationNodes.forEach(function(identifier) {
+				this.exportsList.push({exported: identifier.name, local: identifier});
+			}, this);
+		}
+		else {
+			const record = node.source ? this.getModuleRecord(node.source.value) : null;
+
+			node.specifiers.forEach(function(specifier) {
+				if ( specifier.type === "ExportBatchSpecifier" ) {
+					assert(record);
+					this.exportAllList.push(record);
+				}
+				else {
+					const exported = (specifier.name || specifier.id).name;
+
+					if ( record ) {
+						if ( specifier.id.name === "default" ) {
+							record.hasDefault = true;
+						}
+						else {
+							record.hasNamed = true;
+						}
+						this.exportsList.push({exported: exported, record: record, remote: specifier.id.name === "default" ? null : specifier.id.name});
+					}
+					else {
+						this.exportsList.push({exported: exported, local: specifier.id});
+					}
+				}
+			}, this);
+
+			this.removeKeepingLineBreaks(node.range[0], node.range[1]);
+		}
+	}
+
+	, after: function(ast) {
+		if ( !this.isModule ) {
+			return;
+		}
+
+		let requires = [];
+		const isCommonJS = this.moduleFormat === "commonjs";
+
+		if ( this.moduleFormat === "umd" || this.moduleFormat === "global" ) {
+			let globalName = this.options.moduleGlobalName;
+
+			if ( !globalName && typeof this.options.filename === "string" ) {
+				globalName = getSourceBaseName(path.basename(this.options.filename));
+			}
+			if ( !globalName ) {
+				error(-1, "moduleGlobalName option is required for the {0} module format", this.moduleFormat);
+			}
+			this.globalName = globalName;
+		}
+
+		// module variables
+		this.modulesOrder.forEach(function(record) {
+			let requireString;
+
+			if ( isCommonJS ) {
+				requireString = "require(" + JSON.stringify(record.source) + ")";
+			}
+			else {
+				// the module is passed to the factory function as a parameter
+				requireString = record.paramName = core.unique(getSourceBaseName(record.source), true);
+			}
+			let namespaces = record.namespaces;
+
+			if ( namespaces.length ) {
+				record.varName = record.defaultVarName = namespaces[0];
+				requires.push("var " + namespaces[0] + " = " + core.createVars(ast, "importAll") + "(" + requireString + ");");
+				namespaces.slice(1).forEach(function(name) {
+					requires.push("var " + name + " = " + record.varName + ";");
+				});
+			}
+			else if ( record.hasNamed || record.hasDefault || this.exportAllList.indexOf(record) !== -1 ) {
+				const baseName = getSourceBaseName(record.source);
+
+				if ( !isCommonJS ) {
+					record.varName = requireString;
+				}
+				else if ( record.hasNamed || !record.hasDefault ) {
+					record.varName = core.unique(baseName, true);
+					requires.push("var " + record.varName + " = " + requireString + ";");
+					requireString = record.varName;
+				}
+				if ( record.hasDefault ) {
+					record.defaultVarName = core.unique(baseName, true);
+					requires.push("var " + record.defaultVarName + " = " + core.createVars(ast, "importDefault") + "(" + requireString + ");");
+				}
+			}
+			else if ( isCommonJS ) {
+				// import "module"
+				requires.push(requireString + ";");
+			}
+		}, this);
+
+		// imported bindings are replaced with a module member access to keep them live
+		const programScope = ast.$scope;
+		for ( let name in this.importedBindings ) {
+			const binding = this.importedBindings[name];
+			const expression = this.getImportExpression(binding.record, binding.remote);
+
+			programScope.decls.get(name).refs.forEach(function(refNode) {
+				const parent = refNode.$parentNode;
+
+				if ( parent.type === "ExportSpecifier" ) {
+					return;
+				}
+
+				const isCallee = parent.type === "CallExpression" && parent.callee === refNode
+					|| parent.type === "TaggedTemplateExpression" && parent.tag === refNode
+				;
+
+				refNode.$originalName = refNode.name;
+				refNode.name = expression;
+				const options = refNode.$renamingOptions = {
+					inactive: false// other transpilers can set it to true
+				};
+
+				this.alter.replace(refNode.range[0], refNode.range[1], isCallee ? "(0, " + expression + ")" : expression, options);
+			}, this);
+		}
+
+		// exports
+		let exportsDescriptors = ["\"__esModule\": {\"value\": true}"];
+		this.exportsList.forEach(function(exportRecord) {
+			let expression;
+
+			if ( exportRecord.record ) {
+				expression = this.getImportExpression(exportRecord.record, exportRecord.remote);
+			}
+			else {
+				const local = exportRecord.local;
+				const binding = this.importedBindings[local.$originalName || local.name];
+
+				expression = binding && local.$refToScope === programScope
+					? this.getImportExpression(binding.record, binding.remote)
+					: local.name
+				;
+			}
+
+			exportsDescriptors.push(JSON.stringify(exportRecord.exported) + ": {\"get\": function(){return " + expression + "}, \"enumerable\": true}");
+		}, this);
+
+		let header = core.createVars(ast, "defineProperties") + "(exports, {" + exportsDescriptors.join(", ") + "});"
+			+ requires.join("")
+		;
+
+		if ( this.exportAllList.length ) {
+			const exportAll = core.createVars(ast, "exportAll");
+
+			header += this.exportAllList.map(function(record) {
+				return exportAll + "(exports, " + record.varName + ");";
+			}).join("");
+		}
+
+		this.alter.insertBefore(core.__getNodeBegin(ast), header);
+	}
+
+	, onResultObject: function(output) {
+		if ( !this.isModule || this.moduleFormat === "commonjs" || output.errors.length || !output.src ) {
+			return;
+		}
+
+		// the factory begins on the first line and ends after the last one to keep line-to-line mapping
+		const sources = this.modulesOrder.map(function(record) {
+			return JSON.stringify(record.source);
+		});
+		const factory = "function(" + ["exports"].concat(this.modulesOrder.map(function(record) {
+			return record.paramName;
+		})).join(", ") + "){";
+		const globalName = this.globalName;
+		let prefix;
+
+		const moduleGlobals = this.options.moduleGlobals || {};
+		const globals = ["root[" + JSON.stringify(String(globalName)) + "]={}"].concat(this.modulesOrder.map(function(record) {
+			return "root[" + JSON.stringify(moduleGlobals[record.source] || getSourceBaseName(record.source)) + "]";
+		})).join(",");
+
+		if ( this.moduleFormat === "amd" ) {
+			prefix = "define([" + ["\"exports\""].concat(sources).join(",") + "], " + factory;
+		}
+		else if ( this.moduleFormat === "umd" ) {
+			prefix = "(function(root,factory){"
+				+ "if(typeof define===\"function\"&&define[\"amd\"])define([" + ["\"exports\""].concat(sources).join(",") + "],factory);"
+				+ "else if(typeof exports===\"object\"&&typeof module!==\"undefined\")factory(" + ["exports"].concat(sources.map(function(source) {
+					return "require(" + source + ")";
+				})).join(",") + ");"
+				+ "else factory(" + globals + ");"
+				+ "})(this, " + factory
+			;
+		}
+		else {
+			prefix = "(function(root,factory){factory(" + globals + ")})(this, " + factory;
+		}
+
+		output.src = prefix + output.src + "\n});";
+	}
+
+	, getImportExpression: function(record, remote) {
+		return remote === null
+			? propertyAccess(record.defaultVarName, "default")
+			: propertyAccess(record.varName, remote)
+		;
+	}
+};
+
+for(let i in plugin) if( plugin.hasOwnProperty(i) && typeof plugin[i] === "function" ) {
+	plugin[i] = plugin[i].bind(plugin);
+}
@@ -4,6 +4,14 @@ const assert = require("assert");
 const error = require("./../lib/error");
 const core = require("./core");
 
+function getline(node) {
+	return node.loc.start.line;
+}
+
+function getRange(node) {
+	return node.groupRange || node.range;
+}
+
 function is__proto__Property(node) {
 	if ( core.is.isProperty(node) && node.kind !== 'get' && node.kind !== 'set' ) {
 		let nodeKey = node.key;
@@ -52,7 +60,112 @@ var plugin = module.exports = {
 	, '::Property[method=true]': function(node) {
 		const methodKey = node.key;
 
-		this.alter.insert(methodKey.range[1], ": function");
+		if ( node.value.generator ) {
+			// text change '*method(<something>)' => 'method: function*(<something>)'
+			this.alter.remove(node.range[0], (methodKey.bracketsRange || methodKey.range)[0]);//remove '*'
+			this.alter.insert(methodKey.range[1], ": function*");
+		}
+		else if ( node.value.async ) {
+			// text change 'async method(<something>)' => 'method: async function(<something>)'
+			this.alter.remove(node.range[0], (methodKey.bracketsRange || methodKey.range)[0]);//remove 'async'
+			this.alter.insert(methodKey.range[1], ": async function");
+		}
+		else {
+			this.alter.insert(methodKey.range[1], ": function");
+		}
+	}
+
+	, '::ObjectExpression': function(node, astQuery) {
+		let superNodes = [];
+
+		node.properties.forEach(function(property) {
+			if ( !core.is.isObjectLiteralMethod(property.value) ) {
+				return;
+			}
+
+			astQuery.traverse(property.value.body, function(child) {
+				if ( core.is.isIdentifier(child, 'super') ) {
+					superNodes.push(child);
+				}
+				else if ( core.is.isClass(child) || core.is.isFunction(child) && child.type !== 'ArrowFunctionExpression' ) {
+					return false;
+				}
+			});
+		});
+
+		if ( !superNodes.length ) {
+			return;
+		}
+
+		let usesArguments = false, hasYield = false;
+		astQuery.traverse(node, function(child) {
+			if ( core.is.isFunction(child) && child.type !== 'ArrowFunctionExpression' ) {
+				return false;
+			}
+			if ( core.is.isIdentifier(child, 'arguments') && core.is.isReference(child) ) {
+				usesArguments = true;
+			}
+			else if ( child.type === "YieldExpression" || child.type === "AwaitExpression" ) {
+				hasYield = true;
+			}
+		});
+
+		let homeObjectName;
+
+		if ( hasYield ) {
+			// the property values can not be moved into the function: the home object is the shared variable of the scope
+			homeObjectName = core.getScopeTempVar(node, node.$scope);
+
+			// text change '{<properties>}' => '($D$0 = {<properties>})'
+			this.alter.insertBefore(node.range[0], "(" + homeObjectName + " = ");
+			this.alter.insert(node.range[1], ")");
+		}
+		else {
+			// the home object is bound to the each created object (the object literal in a loop)
+			homeObjectName = core.unique("$home", true);
+
+			// text change '{<properties>}' => '(function(){var $home$0;return $home$0 = {<properties>}}).call(this)'
+			this.alter.insertBefore(node.range[0], "(function(){var " + homeObjectName + ";return " + homeObjectName + " = ");
+			this.alter.insert(node.range[1], "})" + (usesArguments ? ".apply(this, arguments)" : ".call(this)"));
+		}
+
+		superNodes.forEach(function(superNode) {
+			this.replaceSuper(superNode, homeObjectName);
+		}, this);
+	}
+
+	, replaceSuper: function(node, homeObjectName) {
+		const memberNode = node.$parentNode;
+
+		if ( !core.is.isMemberExpression(memberNode) || memberNode.object !== node ) {
+			return error(getline(node), "'super' keyword unexpected here");
+		}
+
+		// text change 'super' => 'GPO$0($D$0)'
+		this.alter.replace(node.range[0], node.range[1], core.createVars(node, "getPrototypeOf") + "(" + homeObjectName + ")");
+
+		const callNode = memberNode.$parentNode;
+
+		if ( callNode.type !== "CallExpression" || callNode.callee !== memberNode
+			|| callNode.arguments.some(function(argument) { return argument.type === "SpreadElement" })// '.apply(this, ' is added by the spread transpiler
+		) {
+			return;
+		}
+
+		// 'this' of the arrow function is replaced by the functions transpiler
+		const thisString = node.$scope.closestHoistScope().node.type === "ArrowFunctionExpression"
+			? core.uniqueByToken('this', 'this', true)
+			: "this"
+		;
+		const callArguments = callNode.arguments;
+
+		// text change 'super.method(<some>)' => 'GPO$0($D$0).method.call(this, <some>)'
+		if ( callArguments.length ) {
+			this.alter.replace(getRange(memberNode)[1], getRange(callArguments[0])[0], ".call(" + thisString + ", ");
+		}
+		else {
+			this.alter.replace(getRange(memberNode)[1], callNode.range[1], ".call(" + thisString + ")");
+		}
 	}
 
 	, '::Property[shorthand=true]': function(node) {//':: :not(ObjectPattern,ArrayPattern) > Property[shorthand=true]'
@@ -98,6 +211,15 @@ var plugin = module.exports = {
 		}
 	}
 
+	, '::SpreadElement': function(node) {//':: ObjectExpression > SpreadElement'
+		var parent = node.$parent;
+		if ( parent.type === 'ObjectExpression' && !parent.$uncomputed ) {
+			parent.$uncomputed = true;
+
+			this.replaceComputedProperties(parent);
+		}
+	}
+
 	, replaceComputedProperties: function(node) {
 		let properties = node.properties;
 		let beforeString = '';
@@ -125,6 +247,23 @@ var plugin = module.exports = {
 
 			let isComputed = property.computed;
 
+			if ( property.type === 'SpreadElement' ) {
+				computedReplacementStarted = true;
+
+				beforeString = core.createVars(node, "ownPropertiesCopy") + '(' + beforeString;
+
+				// text change '...<expression>' => '<expression>'
+				this.alter.remove(property.range[0], property.argument.range[0]);
+
+				closeOpenTag(prevProperty);
+
+				property.$literal = true;
+
+				endFragment = ')';
+
+				continue;
+			}
+
 			if ( !isComputed && is__proto__Property(property) ) {
 				has__proto__inside = true;
 
@@ -227,6 +366,11 @@ var plugin = module.exports = {
 			}
 		}
 
+		if ( beforeString && endFragment === '}))' ) {
+			// the last '}' of the object literal closes the last accessors definition
+			endFragment = '))';
+		}
+
 		if ( has__proto__inside ) {
 			let forceFix = !!beforeString;
 
@@ -236,10 +380,6 @@ var plugin = module.exports = {
 		}
 
 		if ( beforeString ) {
-			if ( endFragment === '}))' ) {
-				endFragment = '))';
-			}
-
 			if ( property.computed === true || property.$literal === true ) {// lastProperty
 				this.alter.replace(node.range[1] - 1, node.range[1], endFragment, {extend: true});//replace '}'
 			}
@@ -5,14 +5,65 @@ const core = require("./core");
 const is = require("simple-is");
 const fs = require("fs");
 const path = require("path");
+const child_process = require("child_process");
 const POLYFILLS_LIB_VERSION = 0.1;
 
 const polifillsMap = {
-	"String.raw": "String_raw"
-	, "RegExp_u_flag": "RegExp"
+	"RegExp_u_flag": "RegExp"
 	, "RegExp_y_flag": "RegExp"
+	, "Promise": "Promise"
+	, "Symbol": "Symbol"
+	, "WeakMap": "WeakMap"
+	, "WeakSet": "WeakSet"
+	, "Map": "Map"
+	, "Set": "Set"
 };
 
+// the members of Symbol provided by the Symbol polyfill
+const SYMBOL_MEMBERS = ["for", "keyFor"
+	// well-known symbols
+	, "hasInstance", "isConcatSpreadable", "iterator", "match", "replace", "search", "species", "split", "toPrimitive", "toStringTag", "unscopables"
+];
+
+// the global constructors provided by the polyfills: detected by any reference to the global
+const GLOBAL_CONSTRUCTORS = ["Map", "Set", "WeakMap", "WeakSet", "Promise"];
+
+// the static members of the built-in objects provided by the polyfills: detected by 'String.raw', 'String["raw"]',
+//  'S.raw' after 'var S = String' or 'var {raw} = String'
+const STATIC_MEMBERS = {
+	"String": ["raw"]
+	, "Array": ["from", "of"]
+	, "Object": ["assign", "is"]
+	, "Number": ["isFinite", "isInteger", "isNaN", "isSafeInteger", "parseFloat", "parseInt", "EPSILON", "MAX_SAFE_INTEGER", "MIN_SAFE_INTEGER"]
+	, "Math": ["acosh", "asinh", "atanh", "cbrt", "clz32", "cosh", "expm1", "fround", "hypot", "imul", "log1p", "log10", "log2", "sign", "sinh", "tanh", "trunc"]
+};
+
+// the additions of Number and Math are in the one polyfill file per object
+const GROUPED_STATIC_MEMBERS = ["Number", "Math"];
+
+// the prototype methods provided by the polyfills: the type of the object is unknown until runtime,
+//  so the method is detected by the name of the member ('array.find(...)', 'string["repeat"](...)')
+const PROTOTYPE_MEMBERS = {
+	"Array": ["find", "findIndex", "fill"]
+	, "String": ["startsWith", "endsWith", "includes", "repeat", "codePointAt"]
+};
+
+Object.keys(STATIC_MEMBERS).forEach(function(objectName) {
+	const isGrouped = GROUPED_STATIC_MEMBERS.indexOf(objectName) !== -1;
+
+	STATIC_MEMBERS[objectName].forEach(function(memberName) {
+		// "String.raw" => "String/raw", "Math.sign" => "Math"
+		polifillsMap[objectName + "." + memberName] = isGrouped ? objectName : objectName + "/" + memberName;
+	});
+});
+
+Object.keys(PROTOTYPE_MEMBERS).forEach(function(objectName) {
+	PROTOTYPE_MEMBERS[objectName].forEach(function(memberName) {
+		// "Array.prototype.find" => "Array/prototype/find"
+		polifillsMap[objectName + ".prototype." + memberName] = objectName + "/prototype/" + memberName;
+	});
+});
+
 let plugin = module.exports = {
 	reset: function() {
 		this.__currentApplyName = null;
@@ -22,6 +73,11 @@ let plugin = module.exports = {
 		if( !this.__isInit ) {
 			this.reset();
 			this.__isInit = true;
+
+			// polyfillsFilename => the polyfills collected from all the files of the run (see writePolyfills in es6-transpiler.js)
+			this.sharedPolyfills = Object.create(null);
+			// file name => the transpiled source of the polyfill (when there is no build)
+			this.transpiledPolyfills = Object.create(null);
 		}
 
 		this.alter = alter;
@@ -30,9 +86,16 @@ let plugin = module.exports = {
 		this.polyfills = [];
 		this.polyfillKeys = {};
 
+		// the polyfills are applied before the standard variables of the file header (S_ITER, S_MARK etc. look up Symbol),
+		//  so the place of the call is taken before the other plugins add the header and the call is set in after()
+		this.applyCallString = "";
+		alter.insertBefore(core.__getNodeBegin(ast), "", {onbefore: () => this.applyCallString});
+
 		let buildDir = path.join(__dirname, "..", "build", "es5", "polyfills");
+		this.polyfillsAreSources = false;
 		if ( !fs.existsSync(buildDir) ) {
 			buildDir = path.join(__dirname, "..", "polyfills");
+			this.polyfillsAreSources = true;
 		}
 		this.polyfillsRoot = buildDir;
 	}
@@ -55,8 +118,17 @@ let plugin = module.exports = {
 
 	, after: function(astTree) {
 		let includePolyfillsOption = this.options.includePolyfills;
+		let polyfillsFilename = this.options.polyfillsFilename;
 		let polyfillLib;
 
+		if ( polyfillsFilename && (includePolyfillsOption === true || includePolyfillsOption === "full") ) {
+			// the polyfills are written once to the shared file instead of the every output file
+			if ( this.addSharedPolyfills(polyfillsFilename, includePolyfillsOption === "full") ) {
+				this.alter.insertBefore(0, "/* polyfills: " + JSON.stringify(String(polyfillsFilename)) + " */");
+			}
+			return;
+		}
+
 		if ( includePolyfillsOption === "full" ) {
 			polyfillLib = this.getFullLib();
 		}
@@ -68,35 +140,152 @@ let plugin = module.exports = {
 			let currentApplyName = this.getApplyName();
 			let polyfillsSeparator = this.options.polyfillsSeparator || "";
 
-			this.alter.insertBefore(0, ";" + currentApplyName + "();");
+			this.applyCallString = ";" + currentApplyName + "();";
 			this.alter.insertAfter(astTree.range[1], polyfillsSeparator + "\nfunction " + currentApplyName + "(){\"use strict\";\n" + polyfillLib + "\n}");
 		}
 	}
 
-//	, 'MemberExpression[object=Identifier]:first': function(node, parent) {
-//		let object = node["object"], property = node["property"];
-//
-//		assert(isIdentifier(object));
-//
-//		if( (isIdentifier(property) && property["name"] === 'raw' )
-//			|| (property["type"] === 'Literal' && property["value"] === 'raw' )
-//		) {
-//			let index = this.polyfills.length - 1;
-//			this.polyfills[index] = 'String.raw';
-//			this.polyfillKeys["String.raw"] = index;
-//
-//			return true;
-//		}
-//		return false;
-//	}
-//
-//	, 'Identifier[name="Symbol"]:first': function(node, parent) {
-//		let index = this.polyfills.length - 1;
-//		this.polyfills[index] = 'Symbol';
-//		this.polyfillKeys["Symbol"] = index;
-//
-//		return true;
-//	}
+	, '::FunctionDeclaration,FunctionExpression,ArrowFunctionExpression': function(node) {
+		if ( node.async ) {
+			// async functions return a Promise
+			this.mark('Promise');
+		}
+	}
+
+	, '::XPrivateProperty': function() {
+		// the private fields are stored in a WeakMap
+		this.mark('WeakMap');
+	}
+
+	, '::MethodDefinition': function(node) {
+		if ( node.key.type === "PrivateName" ) {
+			// the instances with the private methods are branded by a WeakSet
+			this.mark('WeakSet');
+		}
+	}
+
+	, '::Identifier[name=Symbol]': function(node) {
+		const parent = node.$parentNode;
+
+		if ( !core.is.isReference(node) || this.isDeclaredLocally(node) ) {
+			return;
+		}
+
+		if ( parent.type === "CallExpression" && parent.callee === node ) {
+			// Symbol(<description>)
+			this.mark('Symbol');
+		}
+		else if ( parent.type === "MemberExpression" && parent.object === node ) {
+			// Symbol.for, Symbol.keyFor, Symbol.iterator, Symbol["toStringTag"] etc
+			if ( SYMBOL_MEMBERS.indexOf(this.getMemberName(parent)) !== -1 ) {
+				this.mark('Symbol');
+			}
+		}
+	}
+
+	, '::Identifier': function(node) {
+		// new Map(), Set.prototype, typeof Promise etc
+		if ( GLOBAL_CONSTRUCTORS.indexOf(node.name) !== -1 && core.is.isReference(node) && !this.isDeclaredLocally(node) ) {
+			this.mark(node.name);
+		}
+	}
+
+	, '::MemberExpression': function(node) {
+		const name = this.getMemberName(node);
+		const parent = node.$parentNode;
+
+		if ( name === null || parent.type === "AssignmentExpression" && parent.left === node ) {
+			// the own property of the object: 'object.find = function() {}'
+			return;
+		}
+
+		this.markStaticMember(node.object, name);
+		this.markPrototypeMember(name);
+	}
+
+	, '::VariableDeclarator': function(node) {
+		// var {raw} = String, var {find} = Array.prototype
+		const init = node.init;
+
+		if ( core.is.isObjectPattern(node.id) && init ) {
+			node.id.properties.forEach(function(property) {
+				if ( property.type === "Property" ) {
+					const name = property.computed ? (property.key.type === "Literal" ? String(property.key.value) : null) : core.getKeyName(property.key);
+
+					if ( name !== null ) {
+						this.markStaticMember(init, name);
+
+						if ( core.is.isMemberExpression(init) && this.getMemberName(init) === "prototype" ) {
+							this.markPrototypeMember(name, init.object);
+						}
+					}
+				}
+			}, this);
+		}
+	}
+
+	, markStaticMember: function(objectNode, name) {
+		for ( let objectName in STATIC_MEMBERS ) if ( STATIC_MEMBERS.hasOwnProperty(objectName) ) {
+			if ( STATIC_MEMBERS[objectName].indexOf(name) !== -1 && this.isGlobalReference(objectNode, objectName) ) {
+				this.mark(objectName + "." + name);
+			}
+		}
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {Object=} constructorNode the node of 'Array' in 'var {find} = Array.prototype'
+	 */
+	, markPrototypeMember: function(name, constructorNode) {
+		for ( let objectName in PROTOTYPE_MEMBERS ) if ( PROTOTYPE_MEMBERS.hasOwnProperty(objectName) ) {
+			if ( PROTOTYPE_MEMBERS[objectName].indexOf(name) !== -1
+				&& (!constructorNode || this.isGlobalReference(constructorNode, objectName))
+			) {
+				this.mark(objectName + ".prototype." + name);
+			}
+		}
+	}
+
+	, getMemberName: function(node) {
+		const property = node.property;
+
+		if ( node.computed ) {
+			return property.type === "Literal" ? String(property.value) : null;
+		}
+		return property.name;
+	}
+
+	/**
+	 * 'String' or the alias of the global: 'var S = String'
+	 */
+	, isGlobalReference: function(node, globalName) {
+		for ( let aliasesCount = 0 ; core.is.isIdentifier(node) && aliasesCount < 10 ; aliasesCount++ ) {
+			if ( !core.is.isReference(node) ) {
+				return false;
+			}
+
+			if ( !this.isDeclaredLocally(node) ) {
+				return node.name === globalName;
+			}
+
+			const declarationNode = node.$refToScope.get(node.name).node;
+			const declarator = declarationNode.$parentNode;
+
+			if ( !declarator || declarator.type !== "VariableDeclarator" || declarator.id !== declarationNode ) {
+				return false;
+			}
+
+			node = declarator.init;
+		}
+		return false;
+	}
+
+	, isDeclaredLocally: function(node) {
+		const scope = node.$refToScope;
+		const declaration = scope && scope.get(node.name);
+
+		return !!declaration && declaration.isGlobal !== true;
+	}
 
 	, mark: function(polyfillName) {
 		if ( this.polyfillKeys[polyfillName] === void 0 ) {
@@ -119,30 +308,101 @@ let plugin = module.exports = {
 	}
 
 	, getFullLib: function() {
-		let filterMap = {};
-		return Object.keys(polifillsMap)
-			.map(function(key){ return polifillsMap[key] })
-			.filter(function(name){ return filterMap[name] ? false : (filterMap[name] = true) })
-			.map(function(name){ return this.loadPolyfill(name) }, this)
-		;
+		return this.getLib(Object.keys(polifillsMap));
 	}
 
 	, getNeedfulLib: function() {
-		let content = "";
-		for ( let i = 0, len = this.polyfills.length ; i < len ; i++ ) {
-			content += this.loadPolyfill(this.polyfills[i]);
+		return this.getLib(this.polyfills);
+	}
+
+	, getLib: function(polyfills) {
+		let fileNames = [];
+		for ( let i = 0, len = polyfills.length ; i < len ; i++ ) {
+			let fileName = path.join(this.polyfillsRoot, (polifillsMap[polyfills[i]] || polyfills[i]) + ".js");
+
+			if ( fileNames.indexOf(fileName) === -1 && fs.existsSync(fileName) ) {
+				fileNames.push(fileName);
+			}
+		}
+
+		if ( this.polyfillsAreSources ) {
+			this.transpilePolyfills(fileNames.filter(function(fileName) {
+				return !(fileName in this.transpiledPolyfills);
+			}, this));
 		}
-		return content;
+
+		return fileNames.map(this.loadPolyfill).join("");
 	}
 
-	, loadPolyfill: function(name) {
-		let fileName = path.join(this.polyfillsRoot, name + ".js");
+	/**
+	 * @return {boolean} the file needs the polyfills
+	 */
+	, addSharedPolyfills: function(polyfillsFilename, isFull) {
+		let shared = this.sharedPolyfills[polyfillsFilename] || (this.sharedPolyfills[polyfillsFilename] = {full: false, polyfills: []});
+
+		if ( isFull ) {
+			shared.full = true;
+		}
 
-		if ( !fs.existsSync(fileName) ) {
-			return '';
+		this.polyfills.forEach(function(name) {
+			if ( shared.polyfills.indexOf(name) === -1 ) {
+				shared.polyfills.push(name);
+			}
+		});
+
+		return isFull || this.polyfills.length > 0;
+	}
+
+	/**
+	 * The standalone script with the polyfills collected for the polyfillsFilename. The collected list is cleared.
+	 */
+	, takeSharedLib: function(polyfillsFilename) {
+		let shared = this.sharedPolyfills && this.sharedPolyfills[polyfillsFilename];
+		let polyfillLib = shared ? (shared.full ? this.getFullLib() : this.getLib(shared.polyfills)) : "";
+
+		if ( shared ) {
+			delete this.sharedPolyfills[polyfillsFilename];
+		}
+
+		return "(function(){\"use strict\";\n" + polyfillLib + "\n})();\n";
+	}
+
+	/**
+	 * The polyfills are joined into the one function, so each of them gets its own scope:
+	 *  the variables of the transpiled 'let' declarations of the different polyfills do not overwrite each other
+	 */
+	, loadPolyfill: function(fileName) {
+		// there is no build: the polyfill is the ES6 source transpiled by transpilePolyfills
+		let src = this.polyfillsAreSources ? this.transpiledPolyfills[fileName] : String(fs.readFileSync(fileName));
+
+		return "(function(){" + src + "\n})();\n";
+	}
+
+	/**
+	 * The transpiler is busy with the current file, so the sources of the polyfills are transpiled by the separate process
+	 *  (all of them at once). The ES6 source is never included instead of the failed one: the error is thrown
+	 */
+	, transpilePolyfills: function(fileNames) {
+		if ( !fileNames.length ) {
+			return;
+		}
+
+		let result;
+
+		try {
+			result = JSON.parse(child_process.execFileSync(process.execPath, [
+				"-e"
+				, "var t=require(process.argv[1]);process.stdout.write(JSON.stringify(process.argv.slice(2).map(function(f){var o=t.run({filename:f});if(o.errors.length)throw new Error(o.errors.join('\\n'));return o.src})))"
+				, path.join(__dirname, "..", "es6-transpiler.js")
+			].concat(fileNames), {stdio: ["ignore", "pipe", "pipe"]}));
+		}
+		catch(e) {
+			throw new Error("Cannot transpile the polyfills " + fileNames.join(", ") + ":\n" + (e.stderr ? String(e.stderr) : e.message));
 		}
 
-		return String(fs.readFileSync(fileName));
+		fileNames.forEach(function(fileName, index) {
+			this.transpiledPolyfills[fileName] = result[index];
+		}, this);
 	}
 };
 
@@ -2,17 +2,13 @@
 // @see http://www.nczonline.net/blog/2012/08/01/a-critical-review-of-ecmascript-6-quasi-literals/
 "use strict";
 
-const assert = require("assert");
 const error = require("./../lib/error");
-const tmpl = require("./../lib/tmpl");
 const core = require("./core");
 const unicode = require("./unicode");
 
-let UUID = tmpl.generateUUID();
-
 var plugin = module.exports = {
 	reset: function() {
-		this.quasisesTmp = {};
+
 	}
 
 	, setup: function(alter, ast, options) {
@@ -109,41 +105,18 @@ var plugin = module.exports = {
 			return "\"" + this.escape(this.cleanupTemplateString(quasiString), {compat: true}) + "\"";
 		}, this).join(", ");
 
-		let quasisesTmpKey;
-
-		if( quasiRawString.length === quasiCookedString.length && quasiRawString === quasiCookedString ) {
+		if( quasiRawString === quasiCookedString ) {
 			quasiRawString = null;
-			quasisesTmpKey = quasiCookedString;
 		}
-		else {
-			quasisesTmpKey = quasiCookedString + "|" + quasiRawString;
-		}
-
-		let temporaryVarName = this.quasisesTmp[quasisesTmpKey];
-		if( !temporaryVarName ) {
-			let nearestIIFENode = core.getNearestIIFENode(expressionContainer);
-			if( !nearestIIFENode ) {
-				nearestIIFENode = this.ast;
-				assert(nearestIIFENode.type === "Program");
-			}
 
-			const _Object_freeze = core.bubbledVariableDeclaration(nearestIIFENode.$scope, "$freeze", "Object.freeze", false);
-			const _Object_defineProperties = core.bubbledVariableDeclaration(nearestIIFENode.$scope, "$defProps", "Object.defineProperties", false);
+		// the template object is created once for each call site
+		let runOnceNode = core.getRunOnceNode(expressionContainer);
 
-			let quasiString, variableNamePlaceholder;
-			if( !quasiRawString ) {
-				while ( quasiCookedString.contains(UUID) ) {// paranoiac mode: on
-					UUID = tmpl.generateUUID();
-				}
-				variableNamePlaceholder = UUID;
-				quasiString = "[" + quasiCookedString + "];" + variableNamePlaceholder + " = " + _Object_freeze + "(" + _Object_defineProperties + "(" + variableNamePlaceholder + ", {\"raw\": {\"value\": " + variableNamePlaceholder + "}}))";
-			}
-			else {
-				quasiString = _Object_freeze + "(" + _Object_defineProperties + "([" + quasiCookedString + "], {\"raw\": {\"value\": " + _Object_freeze + "([" + quasiRawString + "])}}))";
-			}
+		let templateObjectString = core.createVars(runOnceNode, "templateObject")
+			+ "([" + quasiCookedString + "]" + (quasiRawString ? ", [" + quasiRawString + "]" : "") + ")"
+		;
 
-			temporaryVarName = this.quasisesTmp[quasisesTmpKey] = core.bubbledVariableDeclaration(nearestIIFENode.$scope, "$TS", quasiString, false, variableNamePlaceholder);
-		}
+		let temporaryVarName = core.__createBubbledVariableDeclaration(runOnceNode.$scope, "$TS", templateObjectString, false);
 
 		quasiContainer.quasis.forEach(function(quasi, index, array) {
 			let isLast = array.length - 1 === index;
@@ -97,11 +97,17 @@ var plugin = module.exports = {
 			, expressionInside = ""
 		;
 
+		// 'this' of the arrow function is replaced by the functions transpiler
+		const superThisString = isSuper && node.$scope.closestHoistScope().node.type === "ArrowFunctionExpression"
+			? core.uniqueByToken('this', 'this', true)
+			: "this"
+		;
+
 		if( isMemberExpression ) {
 			if( isSimpleMemberExpression || isSuper ) {
 				if ( isSuper ) {
 					expressionInside =
-						".apply(this, "
+						".apply(" + superThisString + ", "
 					;
 				}
 				else {
@@ -131,7 +137,7 @@ var plugin = module.exports = {
 		else {
 			if ( isSuper ) {
 				expressionInside =
-					".apply(this, "
+					".apply(" + superThisString + ", "
 				;
 			}
 			else {
@@ -419,33 +425,40 @@ var plugin = module.exports = {
 							const lineBreaks = this.alter.getRange(from, to).match(/[\r\n]/g) || [];
 							const lineBreaksCount = lineBreaks.length;
 
-							this.alter.replace(
-								from
-								, to
-								, this.alter.get(from, to) + '|' + concatStr + arrayHolesString + callIteratorFunctionName + "("
-								, {transform: function(str) {
-									// HACK START: fix strange bug: removing last ')' if we come from replaceNewExpression
-									let char0, add = '', index = 0;
-									do {
-										char0 = str.charAt(index);
-										index++;
-										if ( char0 === ')' ) {
-											add += ')';
+							if ( concatStr === ", " && !lineBreaksCount && this.alter.getRange(from, from + 1) === "," ) {
+								// the comma after the previous element is kept, so the changes at the end of the previous element stay before it
+								//  without the record of the replaced range (the record breaks the changes of the moved parameter default value)
+								this.alter.replace(from + 1, to, " " + arrayHolesString + callIteratorFunctionName + "(");
+							}
+							else {
+								this.alter.replace(
+									from
+									, to
+									, this.alter.get(from, to) + '|' + concatStr + arrayHolesString + callIteratorFunctionName + "("
+									, {transform: function(str) {
+										// HACK START: fix strange bug: removing last ')' if we come from replaceNewExpression
+										let char0, add = '', index = 0;
+										do {
+											char0 = str.charAt(index);
+											index++;
+											if ( char0 === ')' ) {
+												add += ')';
+											}
 										}
-									}
-									while ( char0 != '|' );
-									str = add + str.substr(index);
-									// HACK END
-
-									const newLineBreaks = str.match(/[\r\n]/g) || [];
-									const newLineBreaksCount = newLineBreaks.length;
-
-									if ( newLineBreaksCount < lineBreaksCount ) {
-										str = lineBreaks.slice(newLineBreaksCount).join("") + str;
-									}
-									return str;
-								}}
-							);
+										while ( char0 != '|' );
+										str = add + str.substr(index);
+										// HACK END
+
+										const newLineBreaks = str.match(/[\r\n]/g) || [];
+										const newLineBreaksCount = newLineBreaks.length;
+
+										if ( newLineBreaksCount < lineBreaksCount ) {
+											str = lineBreaks.slice(newLineBreaksCount).join("") + str;
+										}
+										return str;
+									}}
+								);
+							}
 						}
 						this.alter.insert(argumentRange[1], callIteratorCloseStr);
 					}
@@ -0,0 +1,98 @@
+"use strict";
+
+const core = require("./core");
+
+// the result of typeof differs for the symbols of the Symbol polyfill only if it is "object"
+const TYPEOF_SYMBOL_RESULTS = ["object", "symbol"];
+
+function getRange(node) {
+	return node.groupRange || node.range;
+}
+
+var plugin = module.exports = {
+	reset: function() {
+
+	}
+
+	, setup: function(alter, ast, options) {
+		if( !this.__isInit ) {
+			this.reset();
+			this.__isInit = true;
+		}
+
+		this.alter = alter;
+		this.options = options;
+
+		// the typeof expressions are rewritten in after() only if the file uses Symbol
+		this.typeofNodes = [];
+		this.usesSymbols = false;
+	}
+
+	, '::UnaryExpression[operator=typeof]': function(node) {
+		if ( core.getScopeOptions(node.$scope, node)['symbols'] === false || !this.isSymbolTypeSensitive(node) ) {
+			return;
+		}
+
+		this.typeofNodes.push(node);
+	}
+
+	, '::Identifier[name=Symbol]': function(node) {
+		if ( core.is.isReference(node) && this.isUnknownReference(node) ) {
+			this.usesSymbols = true;
+		}
+	}
+
+	, after: function() {
+		if ( this.usesSymbols ) {
+			this.typeofNodes.forEach(this.replaceTypeof);
+		}
+		this.typeofNodes = null;
+	}
+
+	, replaceTypeof: function(node) {
+		const argument = node.argument;
+		const typeofFunctionName = core.createVars(node, "typeof");
+
+		if ( this.isUnknownReference(argument) ) {
+			// typeof of an undeclared variable should not throw: typeof x -> (typeof x==="object"?TYPEOF(x):typeof x)
+			this.alter.insert(node.range[0], "(typeof " + argument.name + "===\"object\"?" + typeofFunctionName + "(" + argument.name + "):");
+			this.alter.insert(node.range[1], ")");
+		}
+		else {
+			// typeof x -> TYPEOF(x)
+			this.alter.replace(node.range[0], getRange(argument)[0], typeofFunctionName + "(");
+			this.alter.insert(getRange(argument)[1], ")");
+		}
+	}
+
+	/**
+	 * typeof x === "string" and the like are not affected by the symbols
+	 */
+	, isSymbolTypeSensitive: function(node) {
+		const parent = node.$parentNode;
+
+		if ( parent && parent.type === "BinaryExpression" && ["==", "===", "!=", "!=="].indexOf(parent.operator) !== -1 ) {
+			const other = parent.left === node ? parent.right : parent.left;
+
+			if ( other.type === "Literal" && typeof other.value === "string" ) {
+				return TYPEOF_SYMBOL_RESULTS.indexOf(other.value) !== -1;
+			}
+		}
+		return true;
+	}
+
+	, isUnknownReference: function(node) {
+		if ( !core.is.isIdentifier(node) ) {
+			return false;
+		}
+
+		const scope = node.$refToScope;
+		const declaration = scope && scope.get(node.name);
+
+		return !declaration || declaration.isGlobal === true;
+	}
+};
+
+for(let i in plugin) if( plugin.hasOwnProperty(i) && typeof plugin[i] === "function" ) {
+	plugin[i] = plugin[i].bind(plugin);
+}
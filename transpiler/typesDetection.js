@@ -57,6 +57,11 @@ var plugin = module.exports = {
 	}
 	
 	, ':: SpreadElement': function(node) {
+		let parent = node.$parentNode;
+		if ( core.is.isObjectPattern(parent) || parent.type === "ObjectExpression" ) {// object rest and spread properties
+			return;
+		}
+
 		this.addVariableType(node, TYPES.Array);
 	}
 